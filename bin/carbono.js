@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/**
+ * carbono - Command-line CO2 emissions calculator
+ *
+ * Uses the same calculation core as the page (js/core/), so results match the browser.
+ *
+ * Usage:
+ *   carbono --from "São Paulo" --to "Rio de Janeiro" [--mode car] [--json]
+ *   carbono --km 120 [--mode bus] [--json]
+ *   carbono --batch [--json] < viagens.csv
+ *
+ * A single trip prints its emission and the comparison with every mode that fits the distance.
+ * Batch mode reads a CSV of trips from stdin (same columns as the batch section of the page)
+ * and prints the totals by mode.
+ *
+ * Exit codes (see EXIT_CODES): 0 success, 1 unexpected error, 2 invalid arguments or input,
+ * 3 route not found, 4 invalid transport mode. In batch mode, a failed line sets the exit code
+ * of the first failed line, after printing the totals of the others.
+ */
+
+import { parseArgs } from 'node:util';
+
+import { CONFIG, Calculator, CSVReader, RoutesDB, TripBatch } from '../js/core/index.js';
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    ROUTE_NOT_FOUND: 3,
+    INVALID_MODE: 4
+};
+
+// Exit code of each failed batch line status
+const STATUS_EXIT_CODES = {
+    'route-not-found': EXIT_CODES.ROUTE_NOT_FOUND,
+    'invalid-mode': EXIT_CODES.INVALID_MODE,
+    'invalid-distance': EXIT_CODES.USAGE
+};
+
+const USAGE = `Uso:
+  carbono --from <cidade> --to <cidade> [--mode <modo>] [--json]
+  carbono --km <distância> [--mode <modo>] [--json]
+  carbono --batch [--json] < viagens.csv
+
+Opções:
+  --from, --to   Origem e destino, buscados na base de rotas (ex.: "São Paulo")
+  --km           Distância em km; dispensa a busca da rota
+  --mode         Modo de transporte (padrão: car): ${Object.keys(CONFIG.TRANSPORT_MODES).join(', ')}
+  --json         Saída em JSON
+  --batch        Lê um CSV de viagens da entrada padrão (colunas origem, destino, distância opcional e modo)
+  --help         Mostra esta ajuda
+
+Códigos de saída: 0 sucesso, 2 argumentos inválidos, 3 rota não encontrada, 4 modo inválido`;
+
+/**
+ * Error that ends the program with a message and an exit code
+ */
+class CliError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Read the command-line options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Parsed options
+ * @throws {CliError} For unknown options or missing values
+ */
+function readOptions(args) {
+    try {
+        return parseArgs({
+            args: args,
+            options: {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                km: { type: 'string' },
+                mode: { type: 'string', default: 'car' },
+                json: { type: 'boolean', default: false },
+                batch: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }).values;
+    } catch (error) {
+        throw new CliError(`${error.message}\n\n${USAGE}`, EXIT_CODES.USAGE);
+    }
+}
+
+/**
+ * Calculate a single trip and its comparison with the other modes
+ * @param {Object} options - Parsed options with from, to, km and mode
+ * @returns {Object} Trip with origin, destination, distance, distanceSource, mode, emission,
+ *                   credits, factorSet and comparison (from Calculator.calculateAllModes)
+ * @throws {CliError} For a missing trip, an invalid distance, an invalid mode or an unknown route
+ */
+function calculateTrip(options) {
+    const hasRoute = options.from !== undefined && options.to !== undefined;
+
+    if (!hasRoute && options.km === undefined) {
+        throw new CliError(`Informe --from e --to, ou --km\n\n${USAGE}`, EXIT_CODES.USAGE);
+    }
+
+    const mode = TripBatch.resolveMode(options.mode);
+    if (!mode) {
+        throw new CliError(`Modo de transporte inválido: ${options.mode}`, EXIT_CODES.INVALID_MODE);
+    }
+
+    let distance;
+    let distanceSource;
+
+    if (options.km !== undefined) {
+        distance = CSVReader.parseNumber(options.km);
+        distanceSource = 'manual';
+
+        if (!(distance > 0)) {
+            throw new CliError(`Distância inválida: ${options.km}`, EXIT_CODES.USAGE);
+        }
+        if (distance > CONFIG.VALIDATION.MAX_DISTANCE_KM) {
+            throw new CliError(`Distância acima do máximo de ${CONFIG.VALIDATION.MAX_DISTANCE_KM} km: ${options.km}`, EXIT_CODES.USAGE);
+        }
+    } else {
+        distance = RoutesDB.findDistance(options.from, options.to);
+        distanceSource = 'table';
+
+        if (!distance) {
+            throw new CliError(`Rota não encontrada: ${options.from} → ${options.to}. Informe a distância com --km`, EXIT_CODES.ROUTE_NOT_FOUND);
+        }
+    }
+
+    const emission = Calculator.calculateEmission(distance, mode);
+
+    return {
+        origin: hasRoute ? RoutesDB.resolveCity(options.from) || options.from : null,
+        destination: hasRoute ? RoutesDB.resolveCity(options.to) || options.to : null,
+        distance: distance,
+        distanceSource: distanceSource,
+        mode: mode,
+        emission: emission,
+        credits: Calculator.calculateCarbonCredits(emission),
+        factorSet: CONFIG.FACTOR_SET.id,
+        comparison: Calculator.calculateAllModes(distance, { skipInapplicable: true, includeMode: mode })
+    };
+}
+
+/**
+ * Calculate every trip of a CSV file
+ * @param {string} text - CSV text
+ * @returns {Object} Object with trips (from TripBatch.processTrip) and totals (from TripBatch.getTotalsByMode)
+ * @throws {CliError} For a file without the required columns or without trips
+ */
+function calculateBatch(text) {
+    const trips = TripBatch.parseTrips(text);
+
+    if (!trips) {
+        throw new CliError('O CSV precisa das colunas origem, destino e modo (distância é opcional)', EXIT_CODES.USAGE);
+    }
+
+    if (trips.length === 0) {
+        throw new CliError('Nenhuma viagem encontrada no CSV', EXIT_CODES.USAGE);
+    }
+
+    const rows = trips.map(trip => TripBatch.processTrip(trip));
+
+    return {
+        trips: rows,
+        totals: TripBatch.getTotalsByMode(rows)
+    };
+}
+
+/**
+ * Get the label of a transport mode
+ * @param {string} mode - Transport mode key
+ * @returns {string} Mode label (e.g., "Carro")
+ */
+function modeLabel(mode) {
+    return CONFIG.TRANSPORT_MODES[mode].label;
+}
+
+/**
+ * Lay out rows as a plain-text table, numbers aligned to the right
+ * @param {Array} header - Column titles
+ * @param {Array} rows - Array of rows, each an array of strings or numbers
+ * @returns {string} Table text
+ */
+function formatTable(header, rows) {
+    const lines = [header].concat(rows).map(row => row.map(String));
+    const widths = header.map((title, column) => Math.max(...lines.map(line => line[column].length)));
+
+    return lines
+        .map(line => line
+            .map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))
+            .join('   ')
+            .trimEnd())
+        .join('\n');
+}
+
+/**
+ * Format a single trip as text
+ * @param {Object} trip - Trip from calculateTrip()
+ * @returns {string} Trip summary followed by the comparison table
+ */
+function formatTrip(trip) {
+    const lines = [];
+
+    if (trip.origin) {
+        lines.push(`Rota: ${trip.origin} → ${trip.destination}`);
+    }
+
+    lines.push(
+        `Distância: ${trip.distance} km (${trip.distanceSource === 'table' ? 'tabela de rotas' : 'informada'})`,
+        `Modo: ${modeLabel(trip.mode)}`,
+        `Emissão: ${trip.emission.toFixed(2)} kg CO₂`,
+        `Créditos de carbono: ${trip.credits.toFixed(4)}`,
+        '',
+        formatTable(
+            ['Modo', 'Emissão (kg CO₂)', 'Em relação ao carro'],
+            trip.comparison.map(item => [
+                `${item.mode === trip.mode ? '* ' : '  '}${modeLabel(item.mode)}`,
+                item.emission.toFixed(2),
+                `${item.percentageVsCar.toFixed(1)}%`
+            ])
+        )
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * Format batch results as text
+ * @param {Object} results - Results from calculateBatch()
+ * @returns {string} Totals by mode, followed by the failed lines
+ */
+function formatBatch(results) {
+    const { trips, totals } = results;
+    const rows = totals.byMode.map(total => [
+        modeLabel(total.mode),
+        total.trips,
+        total.distance.toFixed(2),
+        total.emission.toFixed(2)
+    ]);
+    rows.push(['Total', totals.trips - totals.failed, totals.distance.toFixed(2), totals.emission.toFixed(2)]);
+
+    const lines = [
+        `${totals.trips - totals.failed} de ${totals.trips} viagens calculadas`,
+        '',
+        formatTable(['Modo', 'Viagens', 'Distância (km)', 'Emissão (kg CO₂)'], rows)
+    ];
+
+    const failed = trips.filter(trip => trip.status !== 'ok');
+    if (failed.length > 0) {
+        lines.push('', 'Linhas com erro:');
+        const reasons = {
+            'invalid-mode': trip => `modo inválido (${trip.modeText})`,
+            'invalid-distance': trip => `distância inválida (${trip.distance})`,
+            'route-not-found': trip => `rota não encontrada (${trip.origin} → ${trip.destination})`
+        };
+        failed.forEach(trip => lines.push(`  Linha ${trip.line}: ${reasons[trip.status](trip)}`));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Text read
+ */
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let text = '';
+
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => {
+            text += chunk;
+        });
+        process.stdin.on('end', () => resolve(text));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Run the command
+ * @param {Array} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+function main(args) {
+    return Promise.resolve()
+        .then(() => {
+            const options = readOptions(args);
+
+            if (options.help) {
+                console.log(USAGE);
+                return EXIT_CODES.OK;
+            }
+
+            if (!options.batch) {
+                const trip = calculateTrip(options);
+                console.log(options.json ? JSON.stringify(trip, null, 2) : formatTrip(trip));
+                return EXIT_CODES.OK;
+            }
+
+            if (process.stdin.isTTY) {
+                throw new CliError('Envie o CSV pela entrada padrão, por exemplo: carbono --batch < viagens.csv', EXIT_CODES.USAGE);
+            }
+
+            return readStdin().then(text => {
+                const results = calculateBatch(text);
+                const firstFailed = results.trips.find(trip => trip.status !== 'ok');
+
+                console.log(options.json ? JSON.stringify(results, null, 2) : formatBatch(results));
+                return firstFailed ? STATUS_EXIT_CODES[firstFailed.status] : EXIT_CODES.OK;
+            });
+        })
+        .catch(error => {
+            if (error instanceof CliError) {
+                console.error(error.message);
+                return error.exitCode;
+            }
+
+            console.error('Erro ao calcular emissões:', error);
+            return EXIT_CODES.ERROR;
+        });
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -5,6 +5,26 @@
  * and handles form submissions with validation and calculation logic
  */
 
+// Last successful calculation, kept for export
+let lastCalculation = null;
+
+// History entry saved for the last calculation, null when it was not saved (opened from a link or back/forward)
+let lastEntryId = null;
+
+// Validation issues and calculation error shown in the form, re-rendered when the language changes
+let formFeedback = { issues: [], error: null };
+
+// How the next calculation was started: null when submitted by the user,
+// 'link' when opened from a shared link, 'history' when restored with back/forward
+let pendingNavigation = null;
+
+// Comparison drawn from form values edited after the last passenger calculation,
+// null while the form still matches the calculated trip
+let comparisonPreview = null;
+
+// Pending redraw of the comparison charts while the form is being edited
+let previewTimer = null;
+
 // Initialize application when DOM is fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     console.log('DOM carregado, iniciando aplicação...');
@@ -13,11 +33,37 @@ document.addEventListener('DOMContentLoaded', function() {
     // INITIALIZATION
     // ==========================================
 
-    // Populate cities datalist for autocomplete functionality
-    CONFIG.populateDatalist();
+    // Pick the interface language first so everything below renders translated
+    I18n.init();
+
+    // Pick the unit system (metric or imperial) used to show and enter values
+    Units.init();
+
+    // Add the user's routes and cities and loaded route packs to the routes database
+    CustomRoutes.init();
+
+    // Attach ranked city autocomplete to origin and destination inputs
+    Autocomplete.attach(document.getElementById('origin'));
+    Autocomplete.attach(document.getElementById('destination'));
 
     // Setup automatic distance autofill when cities are selected
-    CONFIG.setupDistanceAutofill();
+    FormSetup.setupDistanceAutofill();
+
+    // Setup adding and removing extra trip legs
+    Legs.init();
+
+    // Setup round-trip and recurring trip options
+    FormSetup.setupFrequencyOptions();
+
+    // Create transport mode options from configuration
+    FormSetup.populateTransportModes();
+
+    // Setup advanced vehicle options (fuel, consumption, passengers)
+    FormSetup.setupVehicleOptions();
+
+    // Create freight mode options and setup passenger/freight switching
+    FormSetup.populateFreightModes();
+    FormSetup.setupCalculationType();
 
     // Get the main calculator form element
     const calculatorForm = document.getElementById('calculator-form');
@@ -30,6 +76,65 @@ document.addEventListener('DOMContentLoaded', function() {
     // Add submit event listener to form
     calculatorForm.addEventListener('submit', handleFormSubmit);
 
+    // Editing a field dismisses its validation message
+    calculatorForm.addEventListener('input', event => clearFieldFeedback(event.target));
+
+    // Redraw the comparison charts as the form is edited after a calculation
+    calculatorForm.addEventListener('input', scheduleComparisonPreview);
+    calculatorForm.addEventListener('change', scheduleComparisonPreview);
+
+    // Render saved trips and handle history actions (re-run, delete, clear)
+    refreshHistory();
+    const historyContent = document.getElementById('history-content');
+    if (historyContent) {
+        historyContent.addEventListener('click', handleHistoryClick);
+    }
+
+    // Load credit prices and exchange rates; re-price open results when they change
+    Pricing.init(repriceCarbonCredits);
+
+    // Open the offset checkout from the carbon credits section
+    Offset.init();
+    const creditsContent = document.getElementById('carbon-credits-content');
+    if (creditsContent) {
+        creditsContent.addEventListener('click', handleOffsetClick);
+    }
+
+    // Setup bulk calculation from CSV files
+    Batch.init();
+
+    // Export buttons for the current result and the history
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', handleExportClick);
+    });
+
+    // Printable reports for the current result or a period of saved trips
+    document.querySelectorAll('[data-report]').forEach(button => {
+        button.addEventListener('click', handleReportClick);
+    });
+
+    // Work offline and offer to update when a new version is deployed
+    PWA.init();
+
+    // Tooltips of the comparison and history charts
+    Charts.init();
+
+    // Re-render dynamic content when the interface language or unit system changes
+    document.addEventListener('localechange', handleLocaleChange);
+    document.addEventListener('unitschange', handleUnitsChange);
+
+    // Copy a link to the current result
+    document.querySelectorAll('[data-share]').forEach(button => {
+        button.addEventListener('click', handleShareClick);
+    });
+
+    // Back/forward move between calculations; a shared link runs its calculation right away
+    window.addEventListener('popstate', handlePopState);
+    const sharedForm = Share.fromQuery(window.location.search);
+    if (sharedForm) {
+        runCalculationFrom(sharedForm, 'link');
+    }
+
     console.log('Calculadora inicializada!');
 });
 
@@ -41,10 +146,153 @@ function handleFormSubmit(event) {
     // Prevent default form submission behavior
     event.preventDefault();
 
+    // Remember how this calculation was started before the delayed processing
+    const navigation = pendingNavigation;
+    pendingNavigation = null;
+
+    // Freight shipments follow their own calculation flow
+    const calculationType = document.querySelector('input[name="calculation-type"]:checked');
+    if (calculationType && calculationType.value === 'freight') {
+        handleFreightSubmit(event, navigation);
+        return;
+    }
+
     // ==========================================
     // GET FORM VALUES
     // ==========================================
 
+    const formState = readPassengerForm();
+    const { legs, frequency, vehicle } = formState;
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    // Check every leg, the recurring schedule and the vehicle profile; warnings don't block
+    const issues = Validator.validateLegs(legs)
+        .concat(Validator.validateFrequency(frequency))
+        .concat(Validator.validateVehicle(vehicle));
+
+    setFormFeedback(issues);
+
+    if (Validator.hasErrors(issues)) {
+        focusFirstError();
+        return;
+    }
+
+    // ==========================================
+    // SHOW LOADING STATE
+    // ==========================================
+
+    // Get submit button element
+    const submitButton = event.target.querySelector('button[type="submit"]');
+
+    // Show loading state on button
+    UI.showLoading(submitButton);
+
+    // Hide previous results sections
+    UI.hideElement('results');
+    UI.hideElement('comparison');
+    UI.hideElement('carbon-credits');
+    UI.hideElement('export');
+
+    // ==========================================
+    // SIMULATE PROCESSING DELAY
+    // ==========================================
+
+    // Use setTimeout to simulate processing and provide UX feedback
+    setTimeout(() => {
+        try {
+            // ==========================================
+            // PERFORM CALCULATIONS
+            // ==========================================
+
+            // Calculate the trip, the comparison with every mode, credits and recurring projections
+            const calculation = Calculation.buildPassenger(formState);
+            const resultsData = calculation.result;
+
+            // ==========================================
+            // SAVE TO HISTORY
+            // ==========================================
+
+            lastEntryId = null;
+
+            // Trips opened from a link or restored with back/forward are not saved again
+            if (!navigation) {
+                lastEntryId = TripHistory.add({
+                    calculationType: 'passenger',
+                    origin: resultsData.origin,
+                    destination: resultsData.destination,
+                    distance: resultsData.distance,
+                    mode: resultsData.mode,
+                    modes: [...new Set(resultsData.legs.map(leg => leg.mode))],
+                    emission: resultsData.emission,
+                    credits: calculation.credits.credits,
+                    factorSet: CONFIG.FACTOR_SET.id,
+                    units: Units.system,
+                    form: formState
+                }).id;
+                refreshHistory();
+            }
+
+            // Keep calculation for export; the charts show it again instead of any preview
+            comparisonPreview = null;
+            lastCalculation = calculation;
+
+            // Put the calculation in the address bar so it can be shared or revisited
+            updateLocation(formState, navigation);
+
+            // ==========================================
+            // RENDER RESULTS
+            // ==========================================
+
+            // Render main results, mode comparison and carbon credits information
+            renderCalculation(lastCalculation);
+
+            // ==========================================
+            // SHOW RESULTS SECTIONS
+            // ==========================================
+
+            // Show all results sections
+            UI.showElement('results');
+            UI.showElement('comparison');
+            UI.showElement('carbon-credits');
+            UI.showElement('export');
+
+            // Scroll smoothly to results section
+            UI.scrollToElement('results');
+
+            console.log('Cálculo realizado com sucesso:', resultsData);
+
+        } catch (error) {
+            // ==========================================
+            // ERROR HANDLING
+            // ==========================================
+
+            // Log detailed error to console for debugging
+            console.error('Erro ao processar cálculo:', error);
+
+            // Show user-friendly error message next to the submit button
+            setFormFeedback(formFeedback.issues, error);
+
+        } finally {
+            // ==========================================
+            // CLEANUP
+            // ==========================================
+
+            // Hide loading state regardless of success or failure
+            UI.hideLoading(submitButton);
+        }
+
+    }, 1500); // 1500ms delay to simulate processing
+}
+
+/**
+ * Read the passenger trip from the calculator form
+ * @returns {Object} Form state saved with the result so the trip can be re-run later: calculationType,
+ *                   manualDistance, legs, frequency, vehicle and radiativeForcing
+ */
+function readPassengerForm() {
     // Get origin and destination inputs
     const originInput = document.getElementById('origin');
     const destinationInput = document.getElementById('destination');
@@ -55,8 +303,8 @@ function handleFormSubmit(event) {
     const origin = originInput.value.trim();
     const destination = destinationInput.value.trim();
 
-    // Parse distance as float
-    const distance = parseFloat(distanceInput.value);
+    // Parse distance shown in the display unit, in km
+    const distance = Units.readDistanceInput(distanceInput);
 
     // Get selected transport mode from radio buttons
     let selectedTransport = 'car';
@@ -67,19 +315,76 @@ function handleFormSubmit(event) {
         }
     }
 
+    // Get trip frequency options
+    const roundTripRadio = document.querySelector('input[name="trip-type"][value="round-trip"]');
+    const frequency = {
+        roundTrip: roundTripRadio ? roundTripRadio.checked : false,
+        recurring: document.getElementById('recurring').checked,
+        tripsPerWeek: parseFloat(document.getElementById('trips-per-week').value),
+        weeksPerYear: parseFloat(document.getElementById('weeks-per-year').value)
+    };
+
+    // Get vehicle profile from advanced options; it applies to the selected mode
+    // when that mode supports it, otherwise to car legs
+    const useVehicle = document.getElementById('use-vehicle').checked;
+    const fuelType = document.getElementById('fuel-type').value;
+    const vehicle = useVehicle ? {
+        mode: CONFIG.TRANSPORT_MODES[selectedTransport].vehicleProfile ? selectedTransport : 'car',
+        fuel: fuelType,
+        consumption: Units.readConsumption(document.getElementById('consumption').value, CONFIG.FUEL_TYPES[fuelType].consumptionUnit) || null,
+        passengers: parseInt(document.getElementById('passengers').value, 10) || 1
+    } : null;
+
+    // Build trip legs: main form fields are the first leg, followed by any extra legs
+    const legs = [{
+        origin: origin,
+        destination: destination,
+        distance: distance,
+        mode: selectedTransport,
+        distanceSource: distanceInput.dataset.source || 'manual'
+    }].concat(Legs.getExtraLegs());
+
+    return {
+        calculationType: 'passenger',
+        manualDistance: document.getElementById('manual-distance').checked,
+        legs: legs,
+        frequency: frequency,
+        vehicle: vehicle,
+        radiativeForcing: document.getElementById('radiative-forcing').checked
+    };
+}
+
+/**
+ * Handle form submission in freight mode and perform shipment calculations
+ * @param {Event} event - Form submit event
+ * @param {string|null} navigation - How the calculation was started (see pendingNavigation)
+ */
+function handleFreightSubmit(event, navigation) {
+    // ==========================================
+    // GET FORM VALUES
+    // ==========================================
+
+    const origin = document.getElementById('origin').value.trim();
+    const destination = document.getElementById('destination').value.trim();
+    const distance = Units.readDistanceInput(document.getElementById('distance'));
+    const cargoTonnes = parseFloat(document.getElementById('cargo-weight').value);
+    const emptyReturn = document.getElementById('empty-return').checked;
+
+    // Get selected freight mode from radio buttons
+    const freightRadio = document.querySelector('input[name="freight-mode"]:checked');
+    const freightMode = freightRadio ? freightRadio.value : 'carreta';
+
     // ==========================================
     // VALIDATION
     // ==========================================
 
-    // Check if all required fields are filled
-    if (!origin || !destination) {
-        alert('⚠️ Por favor, preencha os campos de origem e destino.');
-        return;
-    }
+    const issues = Validator.validateLegs([{ origin: origin, destination: destination, distance: distance }])
+        .concat(Validator.validateCargo(cargoTonnes));
+
+    setFormFeedback(issues);
 
-    // Check if distance is valid
-    if (!distance || distance <= 0) {
-        alert('⚠️ Por favor, preencha a distância com um valor maior que zero.');
+    if (Validator.hasErrors(issues)) {
+        focusFirstError();
         return;
     }
 
@@ -87,115 +392,679 @@ function handleFormSubmit(event) {
     // SHOW LOADING STATE
     // ==========================================
 
-    // Get submit button element
     const submitButton = event.target.querySelector('button[type="submit"]');
-
-    // Show loading state on button
     UI.showLoading(submitButton);
 
-    // Hide previous results sections
     UI.hideElement('results');
     UI.hideElement('comparison');
     UI.hideElement('carbon-credits');
+    UI.hideElement('export');
 
-    // ==========================================
-    // SIMULATE PROCESSING DELAY
-    // ==========================================
-
-    // Use setTimeout to simulate processing and provide UX feedback
     setTimeout(() => {
         try {
             // ==========================================
             // PERFORM CALCULATIONS
             // ==========================================
 
-            // Calculate emission for selected transport mode
-            const selectedModeEmission = Calculator.calculateEmission(distance, selectedTransport);
-
-            // Calculate car emission as baseline for comparison
-            const carEmission = Calculator.calculateEmission(distance, 'car');
+            const options = { emptyReturn: emptyReturn };
 
-            // Calculate savings compared to car
-            const savings = Calculator.calculateSavings(selectedModeEmission, carEmission);
+            // Calculate emission for the selected freight mode
+            const shipment = Calculator.calculateFreightEmission(distance, cargoTonnes, freightMode, options);
 
-            // Calculate emissions for all transport modes
-            const allModesComparison = Calculator.calculateAllModes(distance);
+            // Calculate emissions for every freight mode for side-by-side comparison
+            const allFreightModes = Calculator.calculateAllFreightModes(distance, cargoTonnes, options);
 
-            // Calculate carbon credits needed for this emission
-            const carbonCredits = Calculator.calculateCarbonCredits(selectedModeEmission);
-
-            // Estimate carbon credit pricing
+            // Calculate carbon credits and pricing for the shipment
+            const carbonCredits = Calculator.calculateCarbonCredits(shipment.emission);
             const creditPricing = Calculator.estimateCreditPrice(carbonCredits);
 
             // ==========================================
             // BUILD DATA OBJECTS FOR RENDERING
             // ==========================================
 
-            // Results data object
-            const resultsData = {
+            const resultsData = Object.assign({
                 origin: origin,
                 destination: destination,
                 distance: distance,
-                emission: selectedModeEmission,
-                mode: selectedTransport,
-                savings: savings
-            };
+                mode: freightMode,
+                cargoTonnes: cargoTonnes,
+                emptyReturn: emptyReturn
+            }, shipment);
 
-            // Carbon credits data object
             const creditsData = {
                 credits: carbonCredits,
                 price: creditPricing
             };
 
             // ==========================================
-            // RENDER RESULTS
+            // SAVE TO HISTORY
             // ==========================================
 
-            // Render and display main results
-            const resultsContent = document.getElementById('results-content');
-            resultsContent.innerHTML = UI.renderResults(resultsData);
+            const formState = {
+                calculationType: 'freight',
+                manualDistance: document.getElementById('manual-distance').checked,
+                legs: [{
+                    origin: origin,
+                    destination: destination,
+                    distance: distance,
+                    distanceSource: document.getElementById('distance').dataset.source || 'manual'
+                }],
+                freightMode: freightMode,
+                cargoTonnes: cargoTonnes,
+                emptyReturn: emptyReturn
+            };
+
+            lastEntryId = null;
 
-            // Render and display mode comparison
-            const comparisonContent = document.getElementById('comparison-content');
-            comparisonContent.innerHTML = UI.renderComparison(allModesComparison, selectedTransport);
+            // Trips opened from a link or restored with back/forward are not saved again
+            if (!navigation) {
+                lastEntryId = TripHistory.add({
+                    calculationType: 'freight',
+                    origin: origin,
+                    destination: destination,
+                    distance: distance,
+                    mode: freightMode,
+                    emission: shipment.emission,
+                    credits: carbonCredits,
+                    factorSet: CONFIG.FACTOR_SET.id,
+                    units: Units.system,
+                    form: formState
+                }).id;
+                refreshHistory();
+            }
+
+            // Keep calculation for export; the charts show it again instead of any preview
+            comparisonPreview = null;
+            lastCalculation = {
+                calculationType: 'freight',
+                timestamp: new Date().toISOString(),
+                result: resultsData,
+                comparison: allFreightModes,
+                credits: creditsData,
+                units: Units.system,
+                form: formState
+            };
 
-            // Render and display carbon credits information
-            const creditsContent = document.getElementById('carbon-credits-content');
-            creditsContent.innerHTML = UI.renderCarbonCredits(creditsData);
+            // Put the calculation in the address bar so it can be shared or revisited
+            updateLocation(formState, navigation);
 
             // ==========================================
-            // SHOW RESULTS SECTIONS
+            // RENDER RESULTS
             // ==========================================
 
-            // Show all results sections
+            renderCalculation(lastCalculation);
+
             UI.showElement('results');
             UI.showElement('comparison');
             UI.showElement('carbon-credits');
+            UI.showElement('export');
 
-            // Scroll smoothly to results section
             UI.scrollToElement('results');
 
-            console.log('Cálculo realizado com sucesso:', resultsData);
+            console.log('Cálculo de frete realizado com sucesso:', resultsData);
 
         } catch (error) {
-            // ==========================================
-            // ERROR HANDLING
-            // ==========================================
-
-            // Log detailed error to console for debugging
-            console.error('Erro ao processar cálculo:', error);
-
-            // Show user-friendly error message
-            alert('❌ Ocorreu um erro ao processar o cálculo. Por favor, tente novamente.');
+            console.error('Erro ao processar cálculo de frete:', error);
+            setFormFeedback(formFeedback.issues, error);
 
         } finally {
-            // ==========================================
-            // CLEANUP
-            // ==========================================
-
-            // Hide loading state regardless of success or failure
             UI.hideLoading(submitButton);
         }
 
     }, 1500); // 1500ms delay to simulate processing
 }
+
+/**
+ * Render results, mode comparison and carbon credits of a calculation
+ * @param {Object} calculation - Calculation with calculationType, result, comparison and credits
+ */
+function renderCalculation(calculation) {
+    const { calculationType, result, comparison, credits } = calculation;
+
+    if (calculationType === 'freight') {
+        document.getElementById('results-content').innerHTML = UI.renderFreightResults(result);
+        document.getElementById('comparison-content').innerHTML = UI.renderFreightComparison(comparison, result.mode);
+    } else {
+        document.getElementById('results-content').innerHTML = UI.renderResults(result);
+        renderPassengerComparison(calculation);
+    }
+
+    document.getElementById('carbon-credits-content').innerHTML = UI.renderCarbonCredits(credits);
+}
+
+/**
+ * Render the mode comparison charts of a passenger calculation, or of the edited form while previewing
+ * @param {Object} calculation - Passenger calculation with result, comparison and form
+ */
+function renderPassengerComparison(calculation) {
+    const preview = comparisonPreview;
+    const content = document.getElementById('comparison-content');
+
+    if (preview) {
+        content.innerHTML = UI.renderComparison(preview.comparison, preview.mode, {
+            distance: preview.trip.totalDistance,
+            options: preview.options,
+            preview: true
+        });
+        return;
+    }
+
+    content.innerHTML = UI.renderComparison(calculation.comparison, calculation.result.mode, {
+        distance: calculation.result.distance,
+        options: { vehicle: calculation.form.vehicle, radiativeForcing: calculation.form.radiativeForcing }
+    });
+}
+
+/**
+ * Redraw the comparison charts shortly after the user stops editing the form
+ */
+function scheduleComparisonPreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(previewComparison, 300);
+}
+
+/**
+ * Redraw the comparison charts from the form values edited after a passenger calculation
+ * Results and history keep the calculated trip; values that don't make a valid trip leave the charts as they are
+ */
+function previewComparison() {
+    const calculationType = document.querySelector('input[name="calculation-type"]:checked');
+    const comparisonSection = document.getElementById('comparison');
+
+    if (!lastCalculation || lastCalculation.calculationType !== 'passenger' ||
+        (calculationType && calculationType.value !== 'passenger') ||
+        !comparisonSection || comparisonSection.classList.contains('hidden')) {
+        return;
+    }
+
+    const formState = readPassengerForm();
+
+    // Only distances and the vehicle matter to the charts; cities may still be half typed
+    const issues = Validator.validateLegs(formState.legs)
+        .filter(issue => issue.field === 'distance')
+        .concat(Validator.validateVehicle(formState.vehicle));
+
+    if (Validator.hasErrors(issues)) {
+        return;
+    }
+
+    try {
+        const sameTrip = JSON.stringify(formState) === JSON.stringify(lastCalculation.form);
+        comparisonPreview = sameTrip ? null : Calculation.calculatePassengerTrip(formState);
+        renderPassengerComparison(lastCalculation);
+    } catch (error) {
+        console.error('Erro ao atualizar gráficos de comparação:', error);
+    }
+}
+
+/**
+ * Replace the validation issues and calculation error shown in the form
+ * @param {Array} issues - Issues from Validator
+ * @param {Error|null} error - Error thrown while calculating (default: none)
+ */
+function setFormFeedback(issues, error = null) {
+    // Keep the input of each issue so messages stay on the right leg if legs are removed
+    formFeedback = {
+        issues: issues.map(issue => Object.assign({}, issue, { input: issue.input || getIssueInput(issue) })),
+        error: error
+    };
+
+    renderFormFeedback();
+}
+
+/**
+ * Show the current validation messages next to their fields and summarize them in the form status
+ */
+function renderFormFeedback() {
+    const form = document.getElementById('calculator-form');
+    UI.clearFieldMessages(form);
+
+    const issues = formFeedback.issues.filter(issue => issue.input && document.contains(issue.input));
+    issues.forEach(issue => UI.showFieldMessage(issue.input, Validator.getMessage(issue), issue.severity));
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+    if (formFeedback.error) {
+        UI.showFormStatus(getErrorMessage(formFeedback.error), 'error');
+    } else if (errorCount > 0) {
+        UI.showFormStatus(I18n.t('errors.formInvalid', { count: errorCount }), 'error');
+    } else if (issues.length > 0) {
+        UI.showFormStatus(I18n.t('warnings.checkValues', { count: issues.length }), 'warning');
+    } else {
+        UI.clearFormStatus();
+    }
+}
+
+/**
+ * Find the form input a validation issue refers to
+ * Leg fields of the first leg are the main form fields; the others belong to extra legs
+ * @param {Object} issue - Issue from Validator
+ * @returns {HTMLElement|null} Input element, null if not found
+ */
+function getIssueInput(issue) {
+    if (!issue.leg) {
+        return document.getElementById(issue.field);
+    }
+
+    return Legs.getInput(issue.leg - 1, issue.field);
+}
+
+/**
+ * Move focus to the first field with an error, opening the section it is in
+ */
+function focusFirstError() {
+    const issue = formFeedback.issues.find(item => item.severity === 'error' && item.input);
+
+    if (!issue) {
+        return;
+    }
+
+    const details = issue.input.closest('details');
+    if (details) {
+        details.open = true;
+    }
+
+    issue.input.focus();
+}
+
+/**
+ * Dismiss the validation message of a field being edited
+ * @param {HTMLElement} input - Edited input
+ */
+function clearFieldFeedback(input) {
+    if (!formFeedback.issues.some(issue => issue.input === input)) {
+        return;
+    }
+
+    formFeedback.issues = formFeedback.issues.filter(issue => issue.input !== input);
+    renderFormFeedback();
+}
+
+/**
+ * Get a user-friendly message for an error thrown while calculating
+ * @param {Error} error - Thrown error
+ * @returns {string} Specific message for a CalculationError, a generic one otherwise
+ */
+function getErrorMessage(error) {
+    if (error instanceof CalculationError) {
+        return I18n.t(`calculationError.${error.code}`, error.details);
+    }
+
+    return I18n.t('errors.calculation');
+}
+
+/**
+ * Re-render translated dynamic content after the interface language changes
+ * Static text marked with data-i18n is already translated by I18n.setLocale()
+ */
+function handleLocaleChange() {
+    // Mode options, keeping the current selections
+    const checkedTransport = document.querySelector('input[name="transport"]:checked');
+    const checkedFreight = document.querySelector('input[name="freight-mode"]:checked');
+    FormSetup.populateTransportModes(checkedTransport ? checkedTransport.value : undefined);
+    FormSetup.populateFreightModes(checkedFreight ? checkedFreight.value : undefined);
+    Legs.translateModeOptions();
+
+    // Fuel names, then the consumption placeholder of the selected fuel
+    const fuelSelect = document.getElementById('fuel-type');
+    if (fuelSelect) {
+        Array.from(fuelSelect.options).forEach(option => {
+            option.textContent = I18n.fuelLabel(option.value);
+        });
+        fuelSelect.dispatchEvent(new Event('change'));
+    }
+
+    Units.renderOptions();
+    Units.updateLabels();
+    renderFormFeedback();
+    refreshHistory();
+    Pricing.renderSettings();
+    CustomRoutes.renderSettings();
+
+    if (lastCalculation) {
+        renderCalculation(lastCalculation);
+    }
+
+    if (Batch.lastResults) {
+        document.getElementById('batch-content').innerHTML = UI.renderBatchResults(Batch.lastResults.rows, Batch.lastResults.totals);
+    }
+
+    // An open checkout would mix languages; it can simply be reopened
+    if (Offset.checkout) {
+        Offset.close();
+    }
+}
+
+/**
+ * Convert typed values and re-render results after the unit system changes
+ * Inputs are converted from the previous system so the trip itself does not change
+ * @param {CustomEvent} event - "unitschange" event with the previous and new systems
+ */
+function handleUnitsChange(event) {
+    const previous = event.detail.previous;
+
+    document.querySelectorAll('#distance, .calculator__leg-distance').forEach(input => {
+        if (input.value !== '') {
+            Units.setDistanceInput(input, Units.readDistanceInput(input, previous));
+        }
+    });
+
+    const fuelSelect = document.getElementById('fuel-type');
+    const consumptionInput = document.getElementById('consumption');
+    if (fuelSelect && consumptionInput) {
+        const metricUnit = CONFIG.FUEL_TYPES[fuelSelect.value].consumptionUnit;
+        if (consumptionInput.value !== '') {
+            consumptionInput.value = Units.toConsumptionInput(Units.readConsumption(consumptionInput.value, metricUnit, previous), metricUnit);
+        }
+        // Updates the consumption unit and placeholder
+        fuelSelect.dispatchEvent(new Event('change'));
+    }
+
+    Units.updateLabels();
+    renderFormFeedback();
+    refreshHistory();
+    CustomRoutes.renderSettings();
+
+    if (lastCalculation) {
+        renderCalculation(lastCalculation);
+    }
+}
+
+/**
+ * Re-render the trip history section from localStorage
+ */
+function refreshHistory() {
+    const historyContent = document.getElementById('history-content');
+
+    if (!historyContent) {
+        return;
+    }
+
+    const entries = TripHistory.getAll();
+    historyContent.innerHTML = UI.renderHistory(entries, TripHistory.getTotals(entries), TripHistory.getMonthlyTotals(entries));
+}
+
+/**
+ * Handle clicks on history buttons (re-run, delete and clear)
+ * @param {Event} event - Click event delegated from the history section
+ */
+function handleHistoryClick(event) {
+    const button = event.target.closest('[data-action]');
+
+    if (!button) {
+        return;
+    }
+
+    const action = button.dataset.action;
+
+    if (action === 'rerun') {
+        const entry = TripHistory.get(button.dataset.id);
+        if (entry && entry.form) {
+            fillForm(entry.form);
+            document.getElementById('calculator-form').requestSubmit();
+        }
+    } else if (action === 'delete') {
+        TripHistory.remove(button.dataset.id);
+        refreshHistory();
+    } else if (action === 'clear') {
+        if (confirm(I18n.t('history.confirmClear'))) {
+            TripHistory.clear();
+            refreshHistory();
+        }
+    }
+}
+
+/**
+ * Fill the calculator form from a saved form state
+ * Restores calculation type, cities, manual-distance state, legs and all options
+ * @param {Object} formState - Form state saved with a history entry
+ */
+function fillForm(formState) {
+    const setChecked = (element, checked) => {
+        if (element && element.checked !== checked) {
+            element.checked = checked;
+            element.dispatchEvent(new Event('change'));
+        }
+    };
+
+    // Calculation type (passenger or freight)
+    setChecked(document.querySelector(`input[name="calculation-type"][value="${formState.calculationType || 'passenger'}"]`), true);
+
+    // First leg uses the main form fields
+    const firstLeg = formState.legs[0];
+    const manualDistanceCheckbox = document.getElementById('manual-distance');
+    const distanceInput = document.getElementById('distance');
+
+    document.getElementById('origin').value = firstLeg.origin;
+    document.getElementById('destination').value = firstLeg.destination;
+
+    // Reset manual distance so the checkbox handler restores the readonly/autofill state
+    manualDistanceCheckbox.checked = !formState.manualDistance;
+    setChecked(manualDistanceCheckbox, !!formState.manualDistance);
+
+    if (formState.manualDistance) {
+        Units.setDistanceInput(distanceInput, firstLeg.distance);
+    }
+
+    if (formState.calculationType === 'freight') {
+        setChecked(document.querySelector(`input[name="freight-mode"][value="${formState.freightMode}"]`), true);
+        document.getElementById('cargo-weight').value = formState.cargoTonnes;
+        document.getElementById('empty-return').checked = !!formState.emptyReturn;
+        return;
+    }
+
+    // Transport mode of the first leg
+    setChecked(document.querySelector(`input[name="transport"][value="${firstLeg.mode}"]`), true);
+
+    // Extra legs
+    Legs.clear();
+    formState.legs.slice(1).forEach(leg => Legs.add(leg));
+
+    // Frequency
+    const frequency = formState.frequency || {};
+    setChecked(document.querySelector(`input[name="trip-type"][value="${frequency.roundTrip ? 'round-trip' : 'one-way'}"]`), true);
+    setChecked(document.getElementById('recurring'), !!frequency.recurring);
+    if (frequency.recurring) {
+        document.getElementById('trips-per-week').value = frequency.tripsPerWeek;
+        document.getElementById('weeks-per-year').value = frequency.weeksPerYear;
+    }
+
+    // Vehicle profile
+    setChecked(document.getElementById('use-vehicle'), !!formState.vehicle);
+    if (formState.vehicle) {
+        const fuelSelect = document.getElementById('fuel-type');
+        fuelSelect.value = formState.vehicle.fuel;
+        fuelSelect.dispatchEvent(new Event('change'));
+        document.getElementById('consumption').value = formState.vehicle.consumption ?
+            Units.toConsumptionInput(formState.vehicle.consumption, CONFIG.FUEL_TYPES[formState.vehicle.fuel].consumptionUnit) : '';
+        document.getElementById('passengers').value = formState.vehicle.passengers;
+    }
+
+    document.getElementById('radiative-forcing').checked = !!formState.radiativeForcing;
+}
+
+/**
+ * Fill the form from a form state and run its calculation
+ * @param {Object} formState - Form state from a shared link or the browser history
+ * @param {string} navigation - 'link' or 'history' (see pendingNavigation)
+ */
+function runCalculationFrom(formState, navigation) {
+    fillForm(formState);
+    pendingNavigation = navigation;
+    document.getElementById('calculator-form').requestSubmit();
+}
+
+/**
+ * Show the calculation in the address bar through the History API
+ * New calculations add a browser history entry; a shared link keeps its own entry,
+ * and back/forward navigation already points at the right address
+ * @param {Object} formState - Form state of the calculation
+ * @param {string|null} navigation - How the calculation was started (see pendingNavigation)
+ */
+function updateLocation(formState, navigation) {
+    if (navigation === 'history') {
+        return;
+    }
+
+    const url = Share.buildUrl(formState);
+    const state = { form: formState };
+
+    try {
+        // Running the same calculation again does not add another entry
+        if (navigation === 'link' || url === window.location.href) {
+            history.replaceState(state, '', url);
+        } else {
+            history.pushState(state, '', url);
+        }
+    } catch (error) {
+        console.error('Erro ao atualizar endereço da página:', error);
+    }
+}
+
+/**
+ * Restore the calculation of a browser history entry (back/forward buttons)
+ * @param {PopStateEvent} event - Event with the form state saved by updateLocation()
+ */
+function handlePopState(event) {
+    const formState = event.state && event.state.form ? event.state.form : Share.fromQuery(window.location.search);
+
+    if (formState) {
+        runCalculationFrom(formState, 'history');
+        return;
+    }
+
+    // Back to the page without a calculation
+    lastCalculation = null;
+    lastEntryId = null;
+    setFormFeedback([]);
+    UI.hideElement('results');
+    UI.hideElement('comparison');
+    UI.hideElement('carbon-credits');
+    UI.hideElement('export');
+}
+
+/**
+ * Copy a link to the current result
+ * @param {Event} event - Click event from a button with a data-share attribute
+ */
+function handleShareClick(event) {
+    const button = event.currentTarget;
+
+    if (!lastCalculation) {
+        alert(I18n.t('errors.noResultToShare'));
+        return;
+    }
+
+    Share.copy(Share.buildUrl(lastCalculation.form)).then(copied => {
+        if (copied) {
+            button.textContent = I18n.t('share.copied');
+            setTimeout(() => {
+                button.textContent = I18n.t(button.dataset.i18n);
+            }, 2000);
+        }
+    });
+}
+
+/**
+ * Handle export buttons for the current result and the trip history
+ * @param {Event} event - Click event from a button with a data-export attribute
+ */
+function handleExportClick(event) {
+    const [target, format] = event.currentTarget.dataset.export.split('-');
+
+    if (target === 'result') {
+        if (!lastCalculation) {
+            alert(I18n.t('errors.noResultToExport'));
+            return;
+        }
+
+        if (format === 'csv') {
+            Exporter.download(Exporter.buildFilename('resultado', 'csv'), Exporter.buildResultCSV(lastCalculation), 'text/csv');
+        } else {
+            Exporter.download(Exporter.buildFilename('resultado', 'json'), Exporter.buildResultJSON(lastCalculation), 'application/json');
+        }
+        return;
+    }
+
+    const entries = TripHistory.getAll();
+
+    if (entries.length === 0) {
+        alert(I18n.t('errors.noHistoryToExport'));
+        return;
+    }
+
+    if (format === 'csv') {
+        Exporter.download(Exporter.buildFilename('historico', 'csv'), Exporter.buildHistoryCSV(entries), 'text/csv');
+    } else {
+        Exporter.download(Exporter.buildFilename('historico', 'json'), Exporter.buildHistoryJSON(entries), 'application/json');
+    }
+}
+
+/**
+ * Handle report buttons for the current result and for a period of saved trips
+ * @param {Event} event - Click event from a button with a data-report attribute
+ */
+function handleReportClick(event) {
+    if (event.currentTarget.dataset.report === 'result') {
+        if (!lastCalculation) {
+            alert(I18n.t('errors.noResultToReport'));
+            return;
+        }
+
+        Report.open(Report.buildTripReport(lastCalculation));
+        return;
+    }
+
+    const from = document.getElementById('report-from').value;
+    const to = document.getElementById('report-to').value;
+
+    if (from && to && from > to) {
+        alert(I18n.t('errors.invalidPeriod'));
+        return;
+    }
+
+    const report = Report.buildPeriodReport(TripHistory.getAll(), from, to);
+
+    if (!report) {
+        alert(I18n.t('errors.emptyPeriod'));
+        return;
+    }
+
+    Report.open(report);
+}
+
+/**
+ * Handle the offset button of the carbon credits section
+ * @param {Event} event - Click event inside the carbon credits section
+ */
+function handleOffsetClick(event) {
+    if (!event.target.closest('[data-action="offset"]') || !lastCalculation) {
+        return;
+    }
+
+    const { result, credits } = lastCalculation;
+
+    Offset.open({
+        credits: credits.credits,
+        route: `${result.origin} → ${result.destination}`,
+        entryId: lastEntryId
+    });
+}
+
+/**
+ * Re-estimate credit prices of the current result after pricing settings change
+ */
+function repriceCarbonCredits() {
+    if (!lastCalculation) {
+        return;
+    }
+
+    const { credits } = lastCalculation;
+
+    credits.price = Calculator.estimateCreditPrice(credits.credits);
+    if (credits.annual) {
+        credits.annual.price = Calculator.estimateCreditPrice(credits.annual.credits);
+    }
+
+    document.getElementById('carbon-credits-content').innerHTML = UI.renderCarbonCredits(credits);
+}
@@ -0,0 +1,203 @@
+/**
+ * Autocomplete - City autocomplete and "did you mean" suggestions
+ *
+ * Contains methods for:
+ * - Attaching a ranked city dropdown (ARIA combobox) to text inputs
+ * - Keyboard and mouse selection of cities
+ * - Suggesting the closest city when the typed name is not recognized
+ */
+
+const Autocomplete = {
+    /**
+     * Maximum number of cities shown in the dropdown
+     */
+    MAX_RESULTS: 8,
+
+    /**
+     * Attach autocomplete behaviour to a city input
+     * Wraps the input, creates the dropdown list and the suggestion line below it
+     * @param {HTMLInputElement} input - Text input that receives a city name
+     */
+    attach: function(input) {
+        if (!input) {
+            console.error('Campo do autocompletar não encontrado');
+            return;
+        }
+
+        // Wrap input so the dropdown can be positioned below it
+        const wrapper = document.createElement('div');
+        wrapper.className = 'autocomplete';
+        input.parentNode.insertBefore(wrapper, input);
+        wrapper.appendChild(input);
+
+        // Create dropdown list
+        const list = document.createElement('ul');
+        list.id = `${input.id}-listbox`;
+        list.className = 'autocomplete__list hidden';
+        list.setAttribute('role', 'listbox');
+        wrapper.appendChild(list);
+
+        // Create "did you mean" suggestion line
+        const suggestion = document.createElement('p');
+        suggestion.className = 'calculator__suggestion hidden';
+        suggestion.setAttribute('aria-live', 'polite');
+        wrapper.after(suggestion);
+
+        // Combobox accessibility attributes
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', list.id);
+
+        let activeIndex = -1;
+
+        /**
+         * Helper function to close the dropdown
+         */
+        const close = () => {
+            list.classList.add('hidden');
+            list.innerHTML = '';
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+            activeIndex = -1;
+        };
+
+        /**
+         * Helper function to put a city in the input and notify listeners
+         * @param {string} city - Selected city name
+         */
+        const select = (city) => {
+            input.value = city;
+            close();
+            this.hideSuggestion(suggestion);
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        };
+
+        /**
+         * Helper function to highlight an option by index
+         * @param {number} index - Option index to highlight
+         */
+        const highlight = (index) => {
+            const options = list.querySelectorAll('.autocomplete__option');
+            if (options.length === 0) {
+                return;
+            }
+
+            // Wrap around at both ends
+            activeIndex = (index + options.length) % options.length;
+
+            options.forEach((option, optionIndex) => {
+                const isActive = optionIndex === activeIndex;
+                option.classList.toggle('autocomplete__option--active', isActive);
+                option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            });
+
+            input.setAttribute('aria-activedescendant', options[activeIndex].id);
+            options[activeIndex].scrollIntoView({ block: 'nearest' });
+        };
+
+        /**
+         * Helper function to rebuild the dropdown from the current input value
+         */
+        const update = () => {
+            const query = input.value.trim();
+            const cities = query ? RoutesDB.rankCities(query, this.MAX_RESULTS) : RoutesDB.getAllCities();
+
+            // Nothing to show, or the input already holds the only match
+            if (cities.length === 0 || (cities.length === 1 && cities[0] === input.value)) {
+                close();
+                return;
+            }
+
+            list.innerHTML = '';
+            activeIndex = -1;
+
+            cities.forEach((city, index) => {
+                const option = document.createElement('li');
+                option.id = `${list.id}-option-${index}`;
+                option.className = 'autocomplete__option';
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+                option.textContent = city;
+
+                // Use mousedown so the input doesn't lose focus before selection
+                option.addEventListener('mousedown', (event) => {
+                    event.preventDefault();
+                    select(city);
+                });
+
+                list.appendChild(option);
+            });
+
+            list.classList.remove('hidden');
+            input.setAttribute('aria-expanded', 'true');
+        };
+
+        input.addEventListener('input', update);
+        input.addEventListener('focus', update);
+        input.addEventListener('blur', close);
+
+        // Keyboard navigation
+        input.addEventListener('keydown', (event) => {
+            const isOpen = !list.classList.contains('hidden');
+
+            if (event.key === 'ArrowDown') {
+                event.preventDefault();
+                if (!isOpen) {
+                    update();
+                }
+                highlight(activeIndex + 1);
+            } else if (event.key === 'ArrowUp') {
+                event.preventDefault();
+                highlight(activeIndex - 1);
+            } else if (event.key === 'Enter' && isOpen && activeIndex >= 0) {
+                // Select highlighted city instead of submitting the form
+                event.preventDefault();
+                select(list.querySelectorAll('.autocomplete__option')[activeIndex].textContent);
+            } else if (event.key === 'Escape' && isOpen) {
+                close();
+            }
+        });
+
+        // Offer a suggestion when the committed value is not a known city
+        input.addEventListener('change', () => {
+            this.showSuggestion(input, suggestion);
+        });
+    },
+
+    /**
+     * Show "did you mean" suggestion below an input when its city is not recognized
+     * @param {HTMLInputElement} input - City input
+     * @param {HTMLElement} suggestion - Suggestion element below the input
+     */
+    showSuggestion: function(input, suggestion) {
+        const suggestedCity = RoutesDB.suggestCity(input.value);
+
+        if (!suggestedCity) {
+            this.hideSuggestion(suggestion);
+            return;
+        }
+
+        suggestion.innerHTML = I18n.t('autocomplete.didYouMean', {
+            city: `<button type="button" class="calculator__suggestion-button">${UI.escapeHtml(suggestedCity)}</button>`
+        });
+        suggestion.classList.remove('hidden');
+
+        // Accept suggestion on click
+        suggestion.querySelector('button').addEventListener('click', () => {
+            input.value = suggestedCity;
+            this.hideSuggestion(suggestion);
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    },
+
+    /**
+     * Hide and clear a suggestion element
+     * @param {HTMLElement} suggestion - Suggestion element below the input
+     */
+    hideSuggestion: function(suggestion) {
+        suggestion.classList.add('hidden');
+        suggestion.innerHTML = '';
+    }
+};
@@ -0,0 +1,141 @@
+/**
+ * Batch - Bulk emission calculation from a CSV file of trips
+ *
+ * Contains methods for:
+ * - Reading the CSV file chosen by the user
+ * - Calculating its trips with TripBatch (js/core/batch.js), accepting modes in any interface language
+ * - Rendering the results and exporting them as CSV
+ */
+
+const Batch = {
+    /**
+     * Results of the last processed file, kept for download
+     */
+    lastResults: null,
+
+    /**
+     * Setup the file input and the download button of the batch section
+     */
+    init: function() {
+        const fileInput = document.getElementById('batch-file');
+        const content = document.getElementById('batch-content');
+
+        if (!fileInput || !content) {
+            console.error('Elementos do cálculo em lote não encontrados');
+            return;
+        }
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                this.run(reader.result);
+                // Allow the same file to be selected again after editing it
+                fileInput.value = '';
+            };
+            reader.onerror = () => alert(I18n.t('batch.readError'));
+            reader.readAsText(file, 'utf-8');
+        });
+
+        // The download button is rendered with the results
+        content.addEventListener('click', (event) => {
+            if (event.target.closest('[data-action="batch-download"]') && this.lastResults) {
+                Exporter.download(Exporter.buildFilename('lote', 'csv'), this.buildCSV(this.lastResults), 'text/csv');
+            }
+        });
+
+        console.log('Cálculo em lote configurado');
+    },
+
+    /**
+     * Process CSV text and render the results table
+     * @param {string} text - CSV file content
+     */
+    run: function(text) {
+        const trips = TripBatch.parseTrips(text);
+
+        if (!trips) {
+            alert(I18n.t('batch.missingHeader'));
+            return;
+        }
+
+        if (trips.length === 0) {
+            alert(I18n.t('batch.noTrips'));
+            return;
+        }
+
+        const rows = trips.map(trip => TripBatch.processTrip(trip, mode => this.resolveMode(mode)));
+
+        this.lastResults = {
+            rows: rows,
+            totals: TripBatch.getTotalsByMode(rows)
+        };
+
+        const content = document.getElementById('batch-content');
+        content.innerHTML = UI.renderBatchResults(this.lastResults.rows, this.lastResults.totals);
+    },
+
+    /**
+     * Find the transport mode key for a mode written in the file
+     * Accepts mode keys (e.g., "car") and labels in any supported language (e.g., "Carro", "Auto"),
+     * without accents or case
+     * @param {string} text - Mode as written in the file
+     * @returns {string|null} Transport mode key, null if unknown
+     */
+    resolveMode: function(text) {
+        const normalized = RoutesDB.normalizeText(text);
+
+        return Object.keys(CONFIG.TRANSPORT_MODES).find(mode =>
+            mode === normalized ||
+            I18n.allLabels('mode', mode, CONFIG.TRANSPORT_MODES[mode].label)
+                .some(label => RoutesDB.normalizeText(label) === normalized)
+        ) || null;
+    },
+
+    /**
+     * Build CSV with every processed trip and the totals by mode
+     * @param {Object} results - Object with rows and totals
+     * @returns {string} CSV text
+     */
+    buildCSV: function(results) {
+        const { rows, totals } = results;
+        const csvRows = Exporter.buildHeaderRows(I18n.t('batch.exportTitle'));
+
+        csvRows.push([
+            I18n.t('batch.line'), I18n.t('form.origin'), I18n.t('form.destination'), I18n.t('batch.distance'),
+            I18n.t('batch.distanceSource'), I18n.t('batch.mode'), I18n.t('batch.emission'), I18n.t('batch.status')
+        ]);
+        rows.forEach(row => {
+            csvRows.push([
+                row.line,
+                row.origin,
+                row.destination,
+                CSV.formatNumber(row.distance),
+                row.distanceSource ? I18n.t(`batch.source.${row.distanceSource}`) : '',
+                row.mode ? I18n.modeLabel(row.mode) : row.modeText,
+                CSV.formatNumber(row.emission),
+                I18n.t(`batch.status.${row.status}`)
+            ]);
+        });
+
+        // Totals by mode
+        csvRows.push([]);
+        csvRows.push([I18n.t('batch.totalsByMode')]);
+        csvRows.push([I18n.t('batch.mode'), I18n.t('history.trips'), I18n.t('batch.distance'), I18n.t('batch.emission')]);
+        totals.byMode.forEach(total => {
+            csvRows.push([
+                I18n.modeLabel(total.mode),
+                total.trips,
+                CSV.formatNumber(total.distance),
+                CSV.formatNumber(total.emission)
+            ]);
+        });
+        csvRows.push([I18n.t('offset.total'), totals.trips - totals.failed, CSV.formatNumber(totals.distance), CSV.formatNumber(totals.emission)]);
+
+        return CSV.stringify(csvRows);
+    }
+};
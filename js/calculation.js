@@ -0,0 +1,126 @@
+/**
+ * Calculation - Builds the result of a passenger trip from the form state
+ *
+ * Shared by the page form (js/app.js) and the embeddable widget (js/widget.js), so both
+ * render and report exactly the same numbers.
+ *
+ * Contains methods for:
+ * - Calculating the trip legs and the comparison with every transport mode
+ * - Building the result, carbon credits and recurring projections shown to the user
+ */
+
+const Calculation = {
+    /**
+     * Calculate a passenger trip and the emission of every transport mode over its total distance
+     * Round trips repeat every leg in reverse order on the way back
+     * @param {Object} formState - Form state (see readPassengerForm() in js/app.js)
+     * @returns {Object} Object with trip (from Calculator.calculateTrip), mode (shared by every leg, null when they differ),
+     *                   options (calculation options) and comparison (from Calculator.calculateAllModes)
+     * @throws {CalculationError} When the trip cannot be calculated
+     */
+    calculatePassengerTrip: function(formState) {
+        const { legs, frequency } = formState;
+
+        // Options shared by every calculation of this trip
+        const options = {
+            vehicle: formState.vehicle,
+            radiativeForcing: formState.radiativeForcing
+        };
+
+        const tripLegs = frequency.roundTrip ? legs.concat(legs.slice().reverse().map(leg => Object.assign({}, leg, {
+            origin: leg.destination,
+            destination: leg.origin
+        }))) : legs;
+
+        const trip = Calculator.calculateTrip(tripLegs, options);
+
+        // Trip uses a single mode only if every leg shares it
+        const mode = trip.legs.every(leg => leg.mode === trip.legs[0].mode) ? trip.legs[0].mode : null;
+
+        return {
+            trip: trip,
+            mode: mode,
+            options: options,
+            comparison: Calculator.calculateAllModes(trip.totalDistance, Object.assign({
+                skipInapplicable: true,
+                includeMode: mode
+            }, options))
+        };
+    },
+
+    /**
+     * Calculate a passenger trip with everything shown to the user
+     * @param {Object} formState - Form state (see readPassengerForm() in js/app.js)
+     * @returns {Object} Calculation with calculationType, timestamp, result (rendered by UI.renderResults),
+     *                   comparison, credits (rendered by UI.renderCarbonCredits), units and form
+     * @throws {CalculationError} When the trip cannot be calculated
+     */
+    buildPassenger: function(formState) {
+        const { legs, frequency, vehicle } = formState;
+
+        // Calculate emission for each leg, the trip total and every mode over the whole trip
+        const {
+            trip,
+            mode: tripMode,
+            options: calculationOptions,
+            comparison: allModesComparison
+        } = this.calculatePassengerTrip(formState);
+
+        // Calculate car emission over the whole trip as baseline for comparison
+        const carEmission = Calculator.calculateEmission(trip.totalDistance, 'car', calculationOptions);
+
+        // Calculate savings compared to car
+        const savings = Calculator.calculateSavings(trip.totalEmission, carEmission);
+
+        // Calculate carbon credits needed for the trip total
+        const carbonCredits = Calculator.calculateCarbonCredits(trip.totalEmission);
+
+        // Estimate carbon credit pricing
+        const creditPricing = Calculator.estimateCreditPrice(carbonCredits);
+
+        // Project emission and savings over the recurring schedule
+        const periods = frequency.recurring ? {
+            emission: Calculator.calculatePeriodTotals(trip.totalEmission, frequency),
+            savedKg: Calculator.calculatePeriodTotals(Math.max(savings.savedKg, 0), frequency)
+        } : null;
+
+        // Annual credits come from the annual emission to avoid compounding rounding
+        const annualCredits = periods ? Calculator.calculateCarbonCredits(periods.emission.yearly) : 0;
+
+        // Results data object
+        const resultsData = {
+            origin: legs[0].origin,
+            destination: legs[legs.length - 1].destination,
+            distance: trip.totalDistance,
+            emission: trip.totalEmission,
+            mode: tripMode,
+            legs: trip.legs,
+            roundTrip: frequency.roundTrip,
+            vehicle: vehicle ? Object.assign({}, vehicle, {
+                factor: Calculator.getEmissionFactor(vehicle.mode, trip.totalDistance, calculationOptions)
+            }) : null,
+            savings: savings,
+            periods: periods
+        };
+
+        // Carbon credits data object
+        const creditsData = {
+            credits: carbonCredits,
+            price: creditPricing,
+            annual: periods ? {
+                credits: annualCredits,
+                price: Calculator.estimateCreditPrice(annualCredits)
+            } : null
+        };
+
+        return {
+            calculationType: 'passenger',
+            timestamp: new Date().toISOString(),
+            result: resultsData,
+            comparison: allModesComparison,
+            credits: creditsData,
+            units: Units.system,
+            form: formState
+        };
+    }
+};
@@ -0,0 +1,494 @@
+/**
+ * Charts - SVG charts for the mode comparison and the trip history
+ *
+ * Charts are built as HTML strings, like the rest of UI, without external libraries:
+ * - Horizontal bars with the emission of every transport mode
+ * - Emission by distance for each mode, marking where one mode starts emitting less than another
+ * - Emission of saved trips by month, stacked by mode
+ *
+ * Each chart is a <figure> whose SVG is labelled with the chart title and followed by a table
+ * with the same values, for screen readers and keyboard users. Values use the current unit system.
+ */
+
+const Charts = {
+    /**
+     * Width of every chart in SVG units; charts scale to the width of their section
+     */
+    WIDTH: 480,
+
+    /**
+     * Height of each mode row in the bar chart, in SVG units
+     */
+    ROW_HEIGHT: 30,
+
+    /**
+     * Shortest distance range of the emission-by-distance chart, in km
+     * Long enough to show the short-haul flight band, where planes change places with road modes
+     */
+    CURVE_MIN_RANGE_KM: 1000,
+
+    /**
+     * Evenly spaced distances sampled to draw each emission curve
+     */
+    CURVE_SAMPLES: 100,
+
+    /**
+     * Most recent months shown in the history chart
+     */
+    MONTHS_SHOWN: 12,
+
+    /**
+     * Color of trips that mix several modes
+     */
+    MIXED_COLOR: '#9ca3af',
+
+    /**
+     * Show chart tooltips when the pointer is over a chart element with a data-tooltip attribute
+     */
+    init: function() {
+        document.addEventListener('mouseover', event => this.showTooltip(event.target));
+        document.addEventListener('mouseout', event => this.hideTooltip(event.target));
+    },
+
+    /**
+     * Show the tooltip of a chart element above it
+     * @param {EventTarget} target - Element under the pointer
+     */
+    showTooltip: function(target) {
+        const element = target.closest ? target.closest('[data-tooltip]') : null;
+        const figure = element ? element.closest('.chart') : null;
+
+        if (!figure) {
+            return;
+        }
+
+        const tooltip = figure.querySelector('.chart__tooltip');
+        const box = element.getBoundingClientRect();
+        const frame = figure.getBoundingClientRect();
+
+        tooltip.textContent = element.getAttribute('data-tooltip');
+        tooltip.style.left = `${box.left + box.width / 2 - frame.left}px`;
+        tooltip.style.top = `${box.top - frame.top}px`;
+        tooltip.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the tooltip of the chart the pointer left
+     * @param {EventTarget} target - Element the pointer left
+     */
+    hideTooltip: function(target) {
+        const figure = target.closest ? target.closest('.chart') : null;
+
+        if (figure) {
+            figure.querySelector('.chart__tooltip').classList.add('hidden');
+        }
+    },
+
+    /**
+     * Render the bar chart of every transport mode
+     * @param {Array} modesArray - Array of mode data from Calculator.calculateAllModes(), sorted by emission
+     * @param {string|null} selectedMode - Mode of the trip, highlighted in the chart
+     * @returns {string} HTML string with the chart and its table
+     */
+    renderModesChart: function(modesArray, selectedMode) {
+        const escape = text => UI.escapeHtml(text);
+        const labelWidth = 140;
+        const plotWidth = this.WIDTH - labelWidth - 100;
+        const barHeight = 20;
+        const maxEmission = Math.max(...modesArray.map(mode => mode.emission));
+
+        const rows = modesArray.map((mode, index) => {
+            const modeData = CONFIG.TRANSPORT_MODES[mode.mode];
+            const label = I18n.modeLabel(mode.mode);
+            const y = index * this.ROW_HEIGHT;
+            const middle = y + this.ROW_HEIGHT / 2;
+            const width = maxEmission > 0 ? (mode.emission / maxEmission) * plotWidth : 0;
+            const tooltip = `${label}: ${Units.formatMass(mode.emission)} CO₂ · ${I18n.t('comparison.vsCar', { percentage: UI.formatNumber(mode.percentageVsCar, 1) })}`;
+
+            return `
+                <g class="chart__row ${mode.mode === selectedMode ? 'chart__row--selected' : ''}" data-tooltip="${escape(tooltip)}">
+                    <rect class="chart__hit" x="0" y="${y}" width="${this.WIDTH}" height="${this.ROW_HEIGHT}"></rect>
+                    <text class="chart__label" x="${labelWidth - 8}" y="${middle}" text-anchor="end" dominant-baseline="middle">${modeData.icon} ${escape(label)}</text>
+                    <rect class="chart__bar" x="${labelWidth}" y="${middle - barHeight / 2}" width="${width.toFixed(1)}" height="${barHeight}" rx="3" fill="${this.barColor(mode.percentageVsCar)}"></rect>
+                    <text class="chart__value" x="${(labelWidth + width + 6).toFixed(1)}" y="${middle}" dominant-baseline="middle">${Units.formatMass(mode.emission)}</text>
+                </g>
+            `;
+        }).join('');
+
+        const table = `
+            <table class="batch__table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('charts.mode')}</th>
+                        <th class="batch__number">${I18n.t('charts.emission', { unit: Units.massUnit() })}</th>
+                        <th class="batch__number">${I18n.t('charts.vsCar')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${modesArray.map(mode => `
+                        <tr>
+                            <th scope="row">${CONFIG.TRANSPORT_MODES[mode.mode].icon} ${escape(I18n.modeLabel(mode.mode))}</th>
+                            <td class="batch__number">${UI.formatNumber(Units.mass(mode.emission), 2)}</td>
+                            <td class="batch__number">${UI.formatNumber(mode.percentageVsCar, 1)}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        return this.renderFigure(I18n.t('charts.modesTitle'), rows, modesArray.length * this.ROW_HEIGHT, table);
+    },
+
+    /**
+     * Render the emission-by-distance chart of the compared modes
+     * Each mode is drawn only where it is applicable; markers show the current trip and
+     * the distances where one mode starts emitting less than another
+     * @param {Array} modesArray - Array of mode data from Calculator.calculateAllModes()
+     * @param {string|null} selectedMode - Mode of the trip, highlighted in the chart
+     * @param {number} distanceKm - Distance of the trip in kilometers
+     * @param {Object} options - Calculation options of the trip (vehicle, radiativeForcing)
+     * @returns {string} HTML string with the chart and its table, empty if no mode emits CO₂
+     */
+    renderCurvesChart: function(modesArray, selectedMode, distanceKm, options = {}) {
+        const escape = text => UI.escapeHtml(text);
+        const modes = modesArray.filter(mode => mode.emission > 0).map(mode => mode.mode);
+
+        if (modes.length === 0) {
+            return '';
+        }
+
+        // Distance axis in the display unit, from zero to at least twice the trip
+        const kmPerUnit = 1 / Units.distance(1);
+        const xTicks = this.niceTicks(Units.distance(Math.max(distanceKm * 2, this.CURVE_MIN_RANGE_KM)));
+        const maxKm = xTicks[xTicks.length - 1] * kmPerUnit;
+
+        // Evenly spaced distances plus both sides of every distance where a factor or a mode's range changes
+        const epsilon = maxKm / 10000;
+        const breakpoints = [CONFIG.FLIGHT_FACTORS.SHORT_HAUL_MAX_KM];
+        modes.forEach(mode => {
+            const modeData = CONFIG.TRANSPORT_MODES[mode];
+            [modeData.minDistanceKm, modeData.maxDistanceKm].forEach(km => {
+                if (km !== undefined) {
+                    breakpoints.push(km);
+                }
+            });
+        });
+        const distances = Array.from({ length: this.CURVE_SAMPLES + 1 }, (_, index) => maxKm * index / this.CURVE_SAMPLES)
+            .concat(...breakpoints.filter(km => km < maxKm).map(km => [km, km + epsilon]))
+            .sort((a, b) => a - b);
+
+        const emissionAt = (mode, km) => km * Calculator.getEmissionFactor(mode, km, options);
+        const maxEmission = Math.max(...modes.map(mode => Math.max(...distances
+            .filter(km => Calculator.isModeApplicable(mode, km))
+            .map(km => emissionAt(mode, km)))));
+        const yTicks = this.niceTicks(Units.mass(maxEmission));
+
+        // Plot area
+        const left = 52;
+        const top = 20;
+        const plotWidth = this.WIDTH - left - 16;
+        const plotHeight = 200;
+        const x = km => left + (Units.distance(km) / xTicks[xTicks.length - 1]) * plotWidth;
+        const y = kg => top + plotHeight - (Units.mass(kg) / yTicks[yTicks.length - 1]) * plotHeight;
+        const point = (km, kg) => `${x(km).toFixed(1)},${y(kg).toFixed(1)}`;
+
+        const axes = this.renderAxes(xTicks, yTicks, x, y, 1 / Units.mass(1), left, plotWidth);
+
+        const lines = modes.map(mode => {
+            let drawing = false;
+            const path = distances.map(km => {
+                if (!Calculator.isModeApplicable(mode, km)) {
+                    drawing = false;
+                    return '';
+                }
+                const command = drawing ? 'L' : 'M';
+                drawing = true;
+                return `${command}${point(km, emissionAt(mode, km))}`;
+            }).join(' ');
+
+            return `<path class="chart__line ${mode === selectedMode ? 'chart__line--selected' : ''}" d="${path}" stroke="${CONFIG.TRANSPORT_MODES[mode].color}" data-tooltip="${escape(I18n.modeLabel(mode))}"></path>`;
+        }).join('');
+
+        // Current trip: a dashed line with each mode's emission at that distance
+        const tripX = x(distanceKm).toFixed(1);
+        const tripPoints = modes.filter(mode => Calculator.isModeApplicable(mode, distanceKm)).map(mode => {
+            const tooltip = I18n.t('charts.emissionAt', {
+                mode: I18n.modeLabel(mode),
+                mass: Units.formatMass(emissionAt(mode, distanceKm)),
+                distance: Units.formatDistance(distanceKm)
+            });
+            return `<circle class="chart__point" cx="${tripX}" cy="${y(emissionAt(mode, distanceKm)).toFixed(1)}" r="4" fill="${CONFIG.TRANSPORT_MODES[mode].color}" data-tooltip="${escape(tooltip)}"></circle>`;
+        }).join('');
+        const trip = `
+            <line class="chart__marker" x1="${tripX}" y1="${top}" x2="${tripX}" y2="${top + plotHeight}"></line>
+            <text class="chart__marker-label" x="${tripX}" y="${top - 6}" text-anchor="middle">${escape(I18n.t('charts.currentTrip'))}</text>
+            ${tripPoints}
+        `;
+
+        const crossovers = Calculator.calculateCrossovers(modes, maxKm, options);
+        const crossoverText = crossover => I18n.t('charts.crossover', {
+            lower: I18n.modeLabel(crossover.lower),
+            higher: I18n.modeLabel(crossover.higher),
+            distance: Units.formatDistance(crossover.distance)
+        });
+        const crossoverMarks = crossovers.map(crossover => {
+            const kg = (emissionAt(crossover.lower, crossover.distance) + emissionAt(crossover.higher, crossover.distance)) / 2;
+            return `<circle class="chart__crossover" cx="${x(crossover.distance).toFixed(1)}" cy="${y(kg).toFixed(1)}" r="5" data-tooltip="${escape(crossoverText(crossover))}"></circle>`;
+        }).join('');
+
+        const legend = this.renderLegend(modes.map(mode => ({
+            label: I18n.modeLabel(mode),
+            color: CONFIG.TRANSPORT_MODES[mode].color
+        })));
+
+        const table = crossovers.length > 0 ? `
+            <table class="batch__table">
+                <thead>
+                    <tr>
+                        <th class="batch__number">${I18n.t('charts.from')}</th>
+                        <th>${I18n.t('charts.lowerMode')}</th>
+                        <th>${I18n.t('charts.higherMode')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${crossovers.map(crossover => `
+                        <tr>
+                            <td class="batch__number">${Units.formatDistance(crossover.distance)}</td>
+                            <td>${escape(I18n.modeLabel(crossover.lower))}</td>
+                            <td>${escape(I18n.modeLabel(crossover.higher))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : `<p class="chart__note">${I18n.t('charts.noCrossovers', { distance: Units.formatDistance(maxKm) })}</p>`;
+
+        return this.renderFigure(I18n.t('charts.curvesTitle'), axes + lines + trip + crossoverMarks, top + plotHeight + 28, table, legend);
+    },
+
+    /**
+     * Render the chart of saved trip emissions by month, stacked by mode
+     * @param {Array} months - Monthly totals from TripHistory.getMonthlyTotals()
+     * @returns {string} HTML string with the chart and its table, empty without saved trips
+     */
+    renderMonthlyChart: function(months) {
+        const escape = text => UI.escapeHtml(text);
+        const shown = months.slice(-this.MONTHS_SHOWN);
+
+        if (shown.length === 0) {
+            return '';
+        }
+
+        // Modes with the largest emission first, so stacks keep the same order every month
+        const modeTotals = {};
+        shown.forEach(month => {
+            Object.entries(month.modes).forEach(([key, emission]) => {
+                modeTotals[key] = (modeTotals[key] || 0) + emission;
+            });
+        });
+        const keys = Object.keys(modeTotals).sort((a, b) => modeTotals[b] - modeTotals[a]);
+
+        const yTicks = this.niceTicks(Units.mass(Math.max(...shown.map(month => month.emission))));
+        const left = 52;
+        const top = 20;
+        const plotWidth = this.WIDTH - left - 16;
+        const plotHeight = 160;
+        const slot = plotWidth / shown.length;
+        const barWidth = Math.min(36, slot * 0.6);
+        const height = kg => (Units.mass(kg) / yTicks[yTicks.length - 1]) * plotHeight;
+
+        const axes = this.renderAxes(null, yTicks, null, kg => top + plotHeight - height(kg), 1 / Units.mass(1), left, plotWidth);
+
+        const bars = shown.map((month, index) => {
+            const x = left + slot * index + (slot - barWidth) / 2;
+            const [year, monthNumber] = month.month.split('-').map(Number);
+            const date = new Date(year, monthNumber - 1, 1);
+            const monthName = date.toLocaleDateString(I18n.getFormatLocale(), { month: 'long', year: 'numeric' });
+            let base = 0;
+
+            const segments = keys.filter(key => month.modes[key] > 0).map(key => {
+                const segmentHeight = height(month.modes[key]);
+                const tooltip = I18n.t('charts.monthTooltip', {
+                    month: monthName,
+                    mode: this.modeKeyInfo(key).label,
+                    mass: Units.formatMass(month.modes[key])
+                });
+                base += segmentHeight;
+                return `<rect class="chart__segment" x="${x.toFixed(1)}" y="${(top + plotHeight - base).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${segmentHeight.toFixed(1)}" fill="${this.modeKeyInfo(key).color}" data-tooltip="${escape(tooltip)}"></rect>`;
+            }).join('');
+
+            // Month below each bar, with the year under the first bar and every January
+            const labelX = (x + barWidth / 2).toFixed(1);
+            const yearLabel = index === 0 || monthNumber === 1 ?
+                `<text class="chart__tick" x="${labelX}" y="${top + plotHeight + 28}" text-anchor="middle">${year}</text>` : '';
+
+            return `
+                ${segments}
+                <text class="chart__tick" x="${labelX}" y="${top + plotHeight + 14}" text-anchor="middle">${escape(date.toLocaleDateString(I18n.getFormatLocale(), { month: 'short' }))}</text>
+                ${yearLabel}
+            `;
+        }).join('');
+
+        const legend = this.renderLegend(keys.map(key => this.modeKeyInfo(key)));
+
+        const table = `
+            <table class="batch__table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('charts.month')}</th>
+                        ${keys.map(key => `<th class="batch__number">${escape(this.modeKeyInfo(key).label)}</th>`).join('')}
+                        <th class="batch__number">${I18n.t('charts.total')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${shown.map(month => {
+                        const [year, monthNumber] = month.month.split('-').map(Number);
+                        return `
+                            <tr>
+                                <th scope="row">${new Date(year, monthNumber - 1, 1).toLocaleDateString(I18n.getFormatLocale(), { month: 'long', year: 'numeric' })}</th>
+                                ${keys.map(key => `<td class="batch__number">${UI.formatNumber(Units.mass(month.modes[key] || 0), 2)}</td>`).join('')}
+                                <td class="batch__number">${UI.formatNumber(Units.mass(month.emission), 2)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const title = `${I18n.t('charts.monthlyTitle')} (${Units.massUnit()} CO₂)`;
+        return this.renderFigure(title, axes + bars, top + plotHeight + 34, table, legend);
+    },
+
+    /**
+     * Render horizontal grid lines with value labels, and distance labels when given
+     * @param {Array|null} xTicks - Distance ticks in the display unit, null for a chart without a distance axis
+     * @param {Array} yTicks - Value ticks in the display unit
+     * @param {Function|null} x - Position of a distance in km
+     * @param {Function} y - Position of a canonical value (kg)
+     * @param {number} canonicalPerUnit - Canonical value of one display unit on the value axis
+     * @param {number} left - Left edge of the plot area
+     * @param {number} plotWidth - Width of the plot area
+     * @returns {string} SVG elements
+     */
+    renderAxes: function(xTicks, yTicks, x, y, canonicalPerUnit, left, plotWidth) {
+        const decimalsOf = ticks => ticks.length > 1 && ticks[1] < 1 ? Math.ceil(-Math.log10(ticks[1])) : 0;
+        const yDecimals = decimalsOf(yTicks);
+
+        const horizontal = yTicks.map(tick => {
+            const position = y(tick * canonicalPerUnit).toFixed(1);
+            return `
+                <line class="chart__grid" x1="${left}" y1="${position}" x2="${left + plotWidth}" y2="${position}"></line>
+                <text class="chart__tick" x="${left - 6}" y="${position}" text-anchor="end" dominant-baseline="middle">${UI.formatNumber(tick, yDecimals)}</text>
+            `;
+        }).join('');
+
+        const unit = `<text class="chart__tick" x="${left - 6}" y="10" text-anchor="end">${Units.massUnit()} CO₂</text>`;
+
+        if (!xTicks) {
+            return horizontal + unit;
+        }
+
+        const bottom = y(0) + 16;
+        const xDecimals = decimalsOf(xTicks);
+        const kmPerUnit = 1 / Units.distance(1);
+        const vertical = xTicks.map((tick, index) => {
+            const label = UI.formatNumber(tick, xDecimals) + (index === xTicks.length - 1 ? ` ${Units.distanceUnit()}` : '');
+            const anchor = index === xTicks.length - 1 ? 'end' : 'middle';
+            return `<text class="chart__tick" x="${x(tick * kmPerUnit).toFixed(1)}" y="${bottom.toFixed(1)}" text-anchor="${anchor}">${label}</text>`;
+        }).join('');
+
+        return horizontal + unit + vertical;
+    },
+
+    /**
+     * Wrap a chart drawing in a figure with its title, legend, tooltip and data table
+     * @param {string} title - Chart title, also the accessible name of the drawing
+     * @param {string} content - SVG elements of the chart
+     * @param {number} height - Height of the drawing in SVG units
+     * @param {string} table - HTML with the chart values
+     * @param {string} legend - HTML legend (default: none)
+     * @returns {string} HTML string with the chart figure
+     */
+    renderFigure: function(title, content, height, table, legend = '') {
+        return `
+            <figure class="chart">
+                <figcaption class="chart__title">${title}</figcaption>
+                <svg class="chart__svg" viewBox="0 0 ${this.WIDTH} ${height}" role="img" aria-label="${UI.escapeHtml(title)}">
+                    ${content}
+                </svg>
+                ${legend}
+                <div class="chart__tooltip hidden" aria-hidden="true"></div>
+                <details class="chart__data">
+                    <summary class="chart__data-toggle">${I18n.t('charts.showTable')}</summary>
+                    <div class="batch__table-wrapper">
+                        ${table}
+                    </div>
+                </details>
+            </figure>
+        `;
+    },
+
+    /**
+     * Render a chart legend
+     * @param {Array} items - Objects with label and color
+     * @returns {string} HTML list of legend items
+     */
+    renderLegend: function(items) {
+        return `
+            <ul class="chart__legend" aria-hidden="true">
+                ${items.map(item => `
+                    <li class="chart__legend-item"><span class="chart__swatch" style="background-color: ${item.color};"></span>${UI.escapeHtml(item.label)}</li>
+                `).join('')}
+            </ul>
+        `;
+    },
+
+    /**
+     * Get the label and color of a mode key from TripHistory.getMonthlyTotals()
+     * @param {string} key - "calculationType:mode" key (e.g., 'passenger:car', 'freight:toco', 'passenger:mixed')
+     * @returns {Object} Object with label and color
+     */
+    modeKeyInfo: function(key) {
+        const [calculationType, mode] = key.split(':');
+        const modeData = (calculationType === 'freight' ? CONFIG.FREIGHT_MODES : CONFIG.TRANSPORT_MODES)[mode];
+
+        if (!modeData) {
+            return { label: I18n.t('charts.mixedModes'), color: this.MIXED_COLOR };
+        }
+
+        return {
+            label: calculationType === 'freight' ? I18n.freightModeLabel(mode) : I18n.modeLabel(mode),
+            color: modeData.color
+        };
+    },
+
+    /**
+     * Get the bar color of a mode from its emission compared to car
+     * @param {number} percentageVsCar - Emission as a percentage of the car emission
+     * @returns {string} Hex color: green, yellow, orange or red
+     */
+    barColor: function(percentageVsCar) {
+        if (percentageVsCar <= 25) return '#10b981'; // Green
+        if (percentageVsCar <= 75) return '#f59e0b'; // Yellow
+        if (percentageVsCar <= 100) return '#f97316'; // Orange
+        return '#ef4444'; // Red
+    },
+
+    /**
+     * Get evenly spaced round axis values from zero up to at least a maximum
+     * @param {number} max - Largest value to show
+     * @param {number} count - Approximate number of intervals (default: 4)
+     * @returns {Array} Tick values starting at 0 (e.g., [0, 50, 100, 150] for 130)
+     */
+    niceTicks: function(max, count = 4) {
+        if (!(max > 0)) {
+            return [0, 1];
+        }
+
+        const rough = max / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= rough);
+        const intervals = Math.ceil(max / step - 1e-9);
+
+        return Array.from({ length: intervals + 1 }, (_, index) => parseFloat((index * step).toPrecision(12)));
+    }
+};
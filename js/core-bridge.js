@@ -0,0 +1,23 @@
+/**
+ * core-bridge.js - Publishes the calculation core to the page scripts
+ *
+ * The core (js/core/) is made of ES modules shared with Node, while the page scripts are
+ * classic scripts that share globals. This module puts the core objects on window so
+ * CONFIG, Calculator, CalculationError, RoutesDB, CSVReader, TripBatch and RoutePack work as globals.
+ *
+ * Load it as the first script of the page, with every other script deferred:
+ * deferred scripts run in document order after it, before DOMContentLoaded.
+ * Only the app's own page loads it: the widget (js/widget.js) keeps the core out of window.
+ */
+
+import { CONFIG, Calculator, CalculationError, RoutesDB, CSVReader, TripBatch, RoutePack } from './core/index.js';
+
+Object.assign(window, {
+    CONFIG: CONFIG,
+    Calculator: Calculator,
+    CalculationError: CalculationError,
+    RoutesDB: RoutesDB,
+    CSVReader: CSVReader,
+    TripBatch: TripBatch,
+    RoutePack: RoutePack
+});
@@ -0,0 +1,170 @@
+/**
+ * TripBatch - Bulk emission calculation of trips read from CSV
+ *
+ * Contains methods for:
+ * - Reading trips (origin, destination, optional distance, mode) from CSV
+ * - Resolving distances and modes and calculating each trip
+ * - Aggregating totals by mode
+ *
+ * No DOM access: shared by the batch section of the page (Batch in js/batch.js)
+ * and the command-line tool.
+ */
+
+import { CONFIG } from './config.js';
+import { Calculator } from './calculator.js';
+import { CSVReader } from './csv.js';
+import { RoutesDB } from './routes.js';
+
+export const TripBatch = {
+    /**
+     * Accepted header names for each column (English, Portuguese and Spanish), compared without accents or case
+     */
+    COLUMNS: {
+        origin: ['origin', 'origem', 'origen'],
+        destination: ['destination', 'destino'],
+        distance: ['distance', 'distancia', 'distancia (km)', 'km'],
+        mode: ['mode', 'modo', 'transporte']
+    },
+
+    /**
+     * Read trips from CSV text using its header row to locate the columns
+     * @param {string} text - CSV text
+     * @returns {Array|null} Array of trips with line, origin, destination, distance and mode,
+     *                       null if the header lacks a required column
+     */
+    parseTrips: function(text) {
+        const [header, ...dataRows] = CSVReader.parse(text);
+
+        if (!header) {
+            return null;
+        }
+
+        // Map each column to its position in the header
+        const normalizedHeader = header.map(name => RoutesDB.normalizeText(name));
+        const positions = {};
+        Object.keys(this.COLUMNS).forEach(column => {
+            positions[column] = normalizedHeader.findIndex(name => this.COLUMNS[column].includes(name));
+        });
+
+        if (positions.origin < 0 || positions.destination < 0 || positions.mode < 0) {
+            return null;
+        }
+
+        /**
+         * Helper function to read a trimmed field by column name
+         * @param {Array} row - CSV row
+         * @param {string} column - Column name
+         * @returns {string} Field value (empty if the column or field is missing)
+         */
+        const read = (row, column) => positions[column] >= 0 ? (row[positions[column]] || '').trim() : '';
+
+        // Line numbers count the header as line 1
+        return dataRows.map((row, index) => ({
+            line: index + 2,
+            origin: read(row, 'origin'),
+            destination: read(row, 'destination'),
+            distance: read(row, 'distance'),
+            mode: read(row, 'mode')
+        }));
+    },
+
+    /**
+     * Find the transport mode key for a mode written in the file
+     * Accepts mode keys (e.g., "car") and the Portuguese labels of CONFIG (e.g., "Carro"),
+     * without accents or case. The page also accepts labels in the other interface languages.
+     * @param {string} text - Mode as written in the file
+     * @returns {string|null} Transport mode key, null if unknown
+     */
+    resolveMode: function(text) {
+        const normalized = RoutesDB.normalizeText(text);
+
+        return Object.keys(CONFIG.TRANSPORT_MODES).find(mode =>
+            mode === normalized || RoutesDB.normalizeText(CONFIG.TRANSPORT_MODES[mode].label) === normalized
+        ) || null;
+    },
+
+    /**
+     * Resolve distance and mode of a trip and calculate its emission
+     * A blank distance is looked up in the routes database
+     * @param {Object} trip - Trip read from the file
+     * @param {Function} resolveMode - Finds the mode key for the mode text (default: resolveMode)
+     * @returns {Object} Trip with status ('ok', 'invalid-mode', 'invalid-distance' or 'route-not-found'),
+     *                   mode, distance, distanceSource and emission
+     */
+    processTrip: function(trip, resolveMode = text => this.resolveMode(text)) {
+        const result = Object.assign({}, trip, {
+            status: 'ok',
+            mode: resolveMode(trip.mode),
+            modeText: trip.mode,
+            distance: null,
+            distanceSource: null,
+            emission: null
+        });
+
+        if (!result.mode) {
+            result.status = 'invalid-mode';
+            return result;
+        }
+
+        // Use the distance from the file, or look it up when blank
+        if (trip.distance !== '') {
+            const fileDistance = CSVReader.parseNumber(trip.distance);
+
+            if (!(fileDistance > 0) || fileDistance > CONFIG.VALIDATION.MAX_DISTANCE_KM) {
+                result.status = 'invalid-distance';
+                return result;
+            }
+
+            result.distance = fileDistance;
+            result.distanceSource = 'manual';
+        } else {
+            result.distance = RoutesDB.findDistance(trip.origin, trip.destination);
+
+            if (!result.distance) {
+                result.status = 'route-not-found';
+                return result;
+            }
+
+            result.distanceSource = 'table';
+        }
+
+        result.emission = Calculator.calculateEmission(result.distance, result.mode);
+
+        return result;
+    },
+
+    /**
+     * Aggregate distance and emission of successful trips by mode
+     * @param {Array} rows - Processed trips
+     * @returns {Object} Object with byMode (array sorted by emission, highest first) and overall trips, failed, distance and emission
+     */
+    getTotalsByMode: function(rows) {
+        const byMode = {};
+
+        rows.filter(row => row.status === 'ok').forEach(row => {
+            if (!byMode[row.mode]) {
+                byMode[row.mode] = { mode: row.mode, trips: 0, distance: 0, emission: 0 };
+            }
+            byMode[row.mode].trips++;
+            byMode[row.mode].distance += row.distance;
+            byMode[row.mode].emission += row.emission;
+        });
+
+        const modes = Object.values(byMode).map(total => Object.assign(total, {
+            distance: Math.round(total.distance * 100) / 100,
+            emission: Math.round(total.emission * 100) / 100
+        }));
+        modes.sort((a, b) => b.emission - a.emission);
+
+        const distance = modes.reduce((sum, total) => sum + total.distance, 0);
+        const emission = modes.reduce((sum, total) => sum + total.emission, 0);
+
+        return {
+            byMode: modes,
+            trips: rows.length,
+            failed: rows.filter(row => row.status !== 'ok').length,
+            distance: Math.round(distance * 100) / 100,
+            emission: Math.round(emission * 100) / 100
+        };
+    }
+};
@@ -0,0 +1,449 @@
+/**
+ * Calculator - Calculation engine for CO2 emissions
+ * 
+ * Contains methods for:
+ * - Calculating emissions by transport mode
+ * - Comparing emissions across all modes
+ * - Computing savings vs baseline
+ * - Carbon credit calculations and pricing
+ *
+ * Inputs that cannot be calculated (unknown mode, fuel, market or currency) throw a CalculationError
+ * instead of producing a zero emission. Keys are looked up as own properties of the CONFIG tables,
+ * so names such as "constructor" are unknown too.
+ *
+ * Has no DOM access, so it runs in the page and in Node alike.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Error thrown by Calculator for inputs it cannot calculate
+ * The code identifies the problem (e.g., 'invalid-mode') so callers can show a specific message,
+ * and details carries the offending values (e.g., { mode: 'rocket' }).
+ */
+export class CalculationError extends Error {
+    constructor(code, details = {}) {
+        super(`${code}: ${JSON.stringify(details)}`);
+        this.name = 'CalculationError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export const Calculator = {
+    /**
+     * Calculate per-passenger emission factor for a specific vehicle
+     * @param {Object} vehicle - Object with fuel, consumption and passengers
+     * @returns {number} Emission factor in kg CO2 per km per passenger
+     * @throws {CalculationError} 'invalid-fuel' for an unknown fuel type
+     */
+    calculateVehicleFactor: function(vehicle) {
+        if (!Object.hasOwn(CONFIG.FUEL_TYPES, vehicle.fuel)) {
+            throw new CalculationError('invalid-fuel', { fuel: vehicle.fuel });
+        }
+
+        const fuel = CONFIG.FUEL_TYPES[vehicle.fuel];
+
+        const consumption = vehicle.consumption || fuel.defaultConsumption;
+        const passengers = vehicle.passengers || 1;
+
+        // Electric consumption is energy per 100 km; other fuels are distance per unit of fuel
+        const vehicleFactor = fuel.consumptionUnit === 'kWh/100km' ?
+            fuel.kgCO2PerUnit * consumption / 100 :
+            fuel.kgCO2PerUnit / consumption;
+
+        // Share the vehicle emission among everyone on board
+        return vehicleFactor / passengers;
+    },
+
+    /**
+     * Calculate per-passenger emission factor for a domestic flight
+     * @param {number} distanceKm - Flight distance in kilometers
+     * @param {boolean} radiativeForcing - Whether to include non-CO2 effects at altitude
+     * @returns {number} Emission factor in kg CO2 per passenger-kilometer
+     */
+    calculateFlightFactor: function(distanceKm, radiativeForcing) {
+        const flight = CONFIG.FLIGHT_FACTORS;
+
+        // Short flights have a higher factor per kilometer
+        const factor = distanceKm <= flight.SHORT_HAUL_MAX_KM ? flight.SHORT_HAUL : flight.LONG_HAUL;
+
+        return radiativeForcing ? factor * flight.RADIATIVE_FORCING_MULTIPLIER : factor;
+    },
+
+    /**
+     * Get emission factor for a transport mode
+     * Uses the vehicle profile when it applies to the mode, distance bands for flights,
+     * otherwise the fixed factor table
+     * @param {string} transportMode - Transport mode (e.g., bicycle, car, bus, plane)
+     * @param {number} distanceKm - Distance in kilometers (used by distance-dependent modes)
+     * @param {Object} options - Optional settings: vehicle (object with mode, fuel, consumption, passengers)
+     *                           and radiativeForcing (boolean, flights only)
+     * @returns {number|undefined} Emission factor in kg CO2 per km, undefined for unknown mode
+     * @throws {CalculationError} 'invalid-fuel' when the vehicle profile has an unknown fuel type
+     */
+    getEmissionFactor: function(transportMode, distanceKm, options = {}) {
+        if (options.vehicle && options.vehicle.mode === transportMode) {
+            return this.calculateVehicleFactor(options.vehicle);
+        }
+
+        if (transportMode === 'plane') {
+            return this.calculateFlightFactor(distanceKm, options.radiativeForcing);
+        }
+
+        return Object.hasOwn(CONFIG.EMISSION_FACTORS, transportMode) ? CONFIG.EMISSION_FACTORS[transportMode] : undefined;
+    },
+
+    /**
+     * Check whether a transport mode makes sense for a distance
+     * @param {string} transportMode - Transport mode
+     * @param {number} distanceKm - Distance in kilometers
+     * @returns {boolean} True if the distance is within the mode's range
+     */
+    isModeApplicable: function(transportMode, distanceKm) {
+        const modeData = CONFIG.TRANSPORT_MODES[transportMode] || {};
+
+        if (modeData.minDistanceKm !== undefined && distanceKm < modeData.minDistanceKm) {
+            return false;
+        }
+
+        if (modeData.maxDistanceKm !== undefined && distanceKm > modeData.maxDistanceKm) {
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Calculate CO2 emission for a given distance and transport mode
+     * @param {number} distanceKm - Distance in kilometers
+     * @param {string} transportMode - Transport mode (e.g., bicycle, car, bus, plane)
+     * @param {Object} options - Optional settings passed to getEmissionFactor (e.g., vehicle, radiativeForcing)
+     * @returns {number} CO2 emission in kg, rounded to 2 decimal places
+     * @throws {CalculationError} 'invalid-mode' for an unknown transport mode, 'invalid-fuel' for an unknown vehicle fuel
+     */
+    calculateEmission: function(distanceKm, transportMode, options = {}) {
+        // Get emission factor for the transport mode
+        const emissionFactor = this.getEmissionFactor(transportMode, distanceKm, options);
+
+        if (emissionFactor === undefined) {
+            throw new CalculationError('invalid-mode', { mode: transportMode });
+        }
+
+        // Calculate: distance (km) * emission factor (kg/km)
+        const emission = distanceKm * emissionFactor;
+
+        // Return rounded to 2 decimal places
+        return Math.round(emission * 100) / 100;
+    },
+
+    /**
+     * Calculate CO2 emission for a trip made of one or more legs
+     * @param {Array} legs - Array of leg objects with origin, destination, distance (km) and mode
+     * @param {Object} options - Optional settings passed to calculateEmission (e.g., vehicle)
+     * @returns {Object} Object with legs (each with its emission), totalDistance and totalEmission
+     * @throws {CalculationError} When a leg cannot be calculated (see calculateEmission)
+     */
+    calculateTrip: function(legs, options = {}) {
+        // Calculate emission for each leg with its own transport mode
+        const legResults = legs.map(leg => Object.assign({}, leg, {
+            emission: this.calculateEmission(leg.distance, leg.mode, options)
+        }));
+
+        // Sum distance and emission over all legs
+        const totalDistance = legResults.reduce((sum, leg) => sum + leg.distance, 0);
+        const totalEmission = legResults.reduce((sum, leg) => sum + leg.emission, 0);
+
+        return {
+            legs: legResults,
+            totalDistance: Math.round(totalDistance * 100) / 100,
+            totalEmission: Math.round(totalEmission * 100) / 100
+        };
+    },
+
+    /**
+     * Project a per-trip value over a recurring schedule
+     * @param {number} perTripValue - Value for a single trip (emission, savings or credits)
+     * @param {Object} frequency - Object with tripsPerWeek and weeksPerYear
+     * @param {number} decimals - Number of decimal places to round to (default: 2)
+     * @returns {Object} Object with perTrip, weekly, monthly and yearly values
+     */
+    calculatePeriodTotals: function(perTripValue, frequency, decimals = 2) {
+        const factor = Math.pow(10, decimals);
+        const round = value => Math.round(value * factor) / factor;
+
+        // Weekly and yearly follow the schedule; monthly is the yearly total spread over 12 months
+        const weekly = perTripValue * frequency.tripsPerWeek;
+        const yearly = weekly * frequency.weeksPerYear;
+        const monthly = yearly / CONFIG.FREQUENCY.MONTHS_PER_YEAR;
+
+        return {
+            perTrip: round(perTripValue),
+            weekly: round(weekly),
+            monthly: round(monthly),
+            yearly: round(yearly)
+        };
+    },
+
+    /**
+     * Calculate emissions for all transport modes and compare against car baseline
+     * @param {number} distanceKm - Distance in kilometers
+     * @param {Object} options - Optional settings passed to calculateEmission (e.g., vehicle), plus
+     *                           skipInapplicable (boolean) to leave out modes that don't fit the distance
+     *                           and includeMode (string) to always keep one mode, such as the selected one
+     * @returns {Array} Array of objects with mode, emission, and percentageVsCar, sorted by emission
+     */
+    calculateAllModes: function(distanceKm, options = {}) {
+        // Calculate car emission as baseline for comparison
+        const carEmission = this.calculateEmission(distanceKm, 'car', options);
+
+        // Create array to store results for each transport mode
+        const results = [];
+
+        // Iterate through each transport mode
+        for (const mode in CONFIG.EMISSION_FACTORS) {
+            // Skip modes that don't make sense for this distance (e.g., a plane for 13 km)
+            if (options.skipInapplicable && mode !== options.includeMode && !this.isModeApplicable(mode, distanceKm)) {
+                continue;
+            }
+
+            // Calculate emission for this mode
+            const emission = this.calculateEmission(distanceKm, mode, options);
+
+            // Calculate percentage vs car baseline (avoid division by zero)
+            const percentageVsCar = carEmission > 0 ? 
+                Math.round((emission / carEmission) * 10000) / 100 : 0;
+
+            // Push result object
+            results.push({
+                mode: mode,
+                emission: emission,
+                percentageVsCar: percentageVsCar
+            });
+        }
+
+        // Sort by emission (lowest first)
+        results.sort((a, b) => a.emission - b.emission);
+
+        return results;
+    },
+
+    /**
+     * Find the distances where one transport mode starts emitting less than another
+     * Pairs are only compared where both modes are applicable; each change is narrowed down by bisection
+     * @param {Array} modes - Transport modes to compare
+     * @param {number} maxDistanceKm - Longest distance to look at, in kilometers
+     * @param {Object} options - Optional settings passed to getEmissionFactor (e.g., vehicle, radiativeForcing)
+     * @returns {Array} Array of objects with distance (km, rounded to 1 decimal place), lower (mode that
+     *                  emits less from that distance on) and higher, sorted by distance
+     */
+    calculateCrossovers: function(modes, maxDistanceKm, options = {}) {
+        const samples = 200;
+        const crossovers = [];
+
+        // Positive when mode a emits more than mode b at this distance
+        const difference = (a, b, distanceKm) =>
+            this.getEmissionFactor(a, distanceKm, options) - this.getEmissionFactor(b, distanceKm, options);
+        const applicable = (a, b, distanceKm) => this.isModeApplicable(a, distanceKm) && this.isModeApplicable(b, distanceKm);
+
+        modes.forEach((a, index) => {
+            modes.slice(index + 1).forEach(b => {
+                for (let step = 1; step < samples; step++) {
+                    let low = maxDistanceKm * step / samples;
+                    let high = maxDistanceKm * (step + 1) / samples;
+
+                    if (!applicable(a, b, low) || !applicable(a, b, high)) {
+                        continue;
+                    }
+
+                    const before = Math.sign(difference(a, b, low));
+                    const after = Math.sign(difference(a, b, high));
+
+                    if (before === 0 || after === 0 || before === after) {
+                        continue;
+                    }
+
+                    // Narrow the change down to about a meter
+                    while (high - low > 0.001) {
+                        const middle = (low + high) / 2;
+                        if (Math.sign(difference(a, b, middle)) === before) {
+                            low = middle;
+                        } else {
+                            high = middle;
+                        }
+                    }
+
+                    crossovers.push({
+                        distance: Math.round(high * 10) / 10,
+                        lower: after > 0 ? b : a,
+                        higher: after > 0 ? a : b
+                    });
+                }
+            });
+        });
+
+        return crossovers.sort((x, y) => x.distance - y.distance);
+    },
+
+    /**
+     * Calculate CO2 emission for a cargo shipment
+     * Road vehicles returning empty add their empty-running emission for each vehicle needed
+     * @param {number} distanceKm - Distance in kilometers
+     * @param {number} cargoTonnes - Cargo weight in tonnes
+     * @param {string} freightMode - Freight mode (vuc, toco, trucado, carreta, rail, cabotage)
+     * @param {Object} options - Optional settings: emptyReturn (boolean)
+     * @returns {Object} Object with emission (kg), tonneKm, vehicles and emptyReturnEmission (kg), all rounded to 2 decimals
+     * @throws {CalculationError} 'invalid-freight-mode' for an unknown freight mode
+     */
+    calculateFreightEmission: function(distanceKm, cargoTonnes, freightMode, options = {}) {
+        if (!Object.hasOwn(CONFIG.FREIGHT_MODES, freightMode)) {
+            throw new CalculationError('invalid-freight-mode', { mode: freightMode });
+        }
+
+        const modeData = CONFIG.FREIGHT_MODES[freightMode];
+
+        // Loaded trip: tonne-km times the mode's intensity
+        const tonneKm = distanceKm * cargoTonnes;
+        const loadedEmission = tonneKm * modeData.kgCO2PerTkm;
+
+        // Number of road vehicles needed to carry the cargo
+        const vehicles = modeData.capacityTonnes ? Math.ceil(cargoTonnes / modeData.capacityTonnes) : 1;
+
+        // Empty return trip, only for modes that run dedicated vehicles
+        const emptyReturnEmission = options.emptyReturn && modeData.emptyReturnKgPerKm !== null ?
+            distanceKm * modeData.emptyReturnKgPerKm * vehicles : 0;
+
+        return {
+            emission: Math.round((loadedEmission + emptyReturnEmission) * 100) / 100,
+            tonneKm: Math.round(tonneKm * 100) / 100,
+            vehicles: vehicles,
+            emptyReturnEmission: Math.round(emptyReturnEmission * 100) / 100
+        };
+    },
+
+    /**
+     * Calculate emissions for all freight modes for the same shipment
+     * @param {number} distanceKm - Distance in kilometers
+     * @param {number} cargoTonnes - Cargo weight in tonnes
+     * @param {Object} options - Optional settings passed to calculateFreightEmission (e.g., emptyReturn)
+     * @returns {Array} Array of objects with mode, emission, tonneKm, vehicles, emptyReturnEmission and
+     *                  gramsPerTkm (effective intensity), sorted by emission
+     */
+    calculateAllFreightModes: function(distanceKm, cargoTonnes, options = {}) {
+        const results = Object.keys(CONFIG.FREIGHT_MODES).map(mode => {
+            const shipment = this.calculateFreightEmission(distanceKm, cargoTonnes, mode, options);
+
+            // Effective intensity including any empty return
+            const gramsPerTkm = shipment.tonneKm > 0 ?
+                Math.round((shipment.emission * 1000 / shipment.tonneKm) * 10) / 10 : 0;
+
+            return Object.assign({ mode: mode, gramsPerTkm: gramsPerTkm }, shipment);
+        });
+
+        // Sort by emission (lowest first)
+        results.sort((a, b) => a.emission - b.emission);
+
+        return results;
+    },
+
+    /**
+     * Calculate CO2 savings compared to baseline emission
+     * @param {number} emission - Actual emission in kg
+     * @param {number} baselineEmission - Baseline emission in kg (usually car)
+     * @returns {Object} Object with savedKg and percentage, both rounded to 2 decimals
+     */
+    calculateSavings: function(emission, baselineEmission) {
+        // Calculate saved kg
+        const savedKg = Math.round((baselineEmission - emission) * 100) / 100;
+
+        // Calculate percentage saved
+        const percentage = baselineEmission > 0 ? 
+            Math.round(((savedKg / baselineEmission) * 100) * 100) / 100 : 0;
+
+        return {
+            savedKg: savedKg,
+            percentage: percentage
+        };
+    },
+
+    /**
+     * Calculate number of carbon credits from emission amount
+     * @param {number} emissionKg - Emission in kilograms
+     * @returns {number} Number of carbon credits, rounded to 4 decimal places
+     */
+    calculateCarbonCredits: function(emissionKg) {
+        // Divide emission by kg per credit
+        const credits = emissionKg / CONFIG.CARBON_CREDIT.KG_PER_CREDIT;
+
+        // Return rounded to 4 decimal places
+        return Math.round(credits * 10000) / 10000;
+    },
+
+    /**
+     * Convert a value between currencies using the configured exchange rates
+     * @param {number} value - Value in the source currency
+     * @param {string} from - Source currency code (e.g., 'EUR')
+     * @param {string} to - Target currency code (e.g., 'BRL')
+     * @returns {number} Converted value (not rounded)
+     */
+    convertCurrency: function(value, from, to) {
+        const rates = CONFIG.CURRENCY.RATES;
+
+        if (from === to) {
+            return value;
+        }
+
+        // Rates are per unit of the base currency, so go through the base
+        return value / rates[from] * rates[to];
+    },
+
+    /**
+     * Estimate carbon credit price range based on market prices
+     * @param {number} credits - Number of carbon credits
+     * @param {Object} options - Optional market and currency (default: selected market and currency)
+     * @returns {Object} Object with min, max and average prices rounded to 2 decimals, the currency,
+     *                   the price source (market id, label, source and updatedAt) and the exchange rate used
+     * @throws {CalculationError} 'invalid-market' for an unknown market, 'invalid-currency' for a currency without exchange rate
+     */
+    estimateCreditPrice: function(credits, options = {}) {
+        const marketId = options.market || CONFIG.CARBON_CREDIT.MARKET;
+        const currency = options.currency || CONFIG.CURRENCY.SELECTED;
+
+        if (!Object.hasOwn(CONFIG.CARBON_CREDIT.MARKETS, marketId)) {
+            throw new CalculationError('invalid-market', { market: marketId });
+        }
+
+        if (!Object.hasOwn(CONFIG.CURRENCY.RATES, currency)) {
+            throw new CalculationError('invalid-currency', { currency: currency });
+        }
+
+        const market = CONFIG.CARBON_CREDIT.MARKETS[marketId];
+
+        /**
+         * Helper function to price the credits in the display currency
+         * @param {number} pricePerCredit - Price per credit in the market currency
+         * @returns {number} Rounded price
+         */
+        const price = pricePerCredit =>
+            Math.round(this.convertCurrency(credits * pricePerCredit, market.currency, currency) * 100) / 100;
+
+        return {
+            min: price(market.min),
+            max: price(market.max),
+            average: price(market.average),
+            currency: currency,
+            source: {
+                market: marketId,
+                label: market.label,
+                source: market.source,
+                updatedAt: market.updatedAt
+            },
+            exchangeRate: market.currency === currency ? null : {
+                from: market.currency,
+                to: currency,
+                rate: Math.round(this.convertCurrency(1, market.currency, currency) * 10000) / 10000,
+                updatedAt: CONFIG.CURRENCY.UPDATED_AT
+            }
+        };
+    }
+};
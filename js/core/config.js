@@ -0,0 +1,308 @@
+/**
+ * CONFIG - Configuration data of the CO2 emissions calculator
+ * 
+ * Contains:
+ * - Emission factors for different transport modes
+ * - Transport mode metadata and styling
+ * - Carbon credit pricing information
+ *
+ * Plain data with no DOM access, shared by the page (as the CONFIG global), Node scripts and tests.
+ * The form controls built from it live in FormSetup (js/form-setup.js).
+ */
+
+export const CONFIG = {
+    /**
+     * Identification of the emission factor set below
+     * Recorded with exports and saved trips so numbers can be audited later.
+     * Change the id whenever any factor changes.
+     */
+    FACTOR_SET: {
+        id: "carbono-br-2025.1",
+        description: "Fatores médios brasileiros por modo, combustível e frete",
+        updatedAt: "2025-12-26"
+    },
+
+    /**
+     * Emission factors in kg CO2 per kilometer
+     * Based on average vehicle occupancy and fuel consumption
+     */
+    EMISSION_FACTORS: {
+        walking: 0,
+        bicycle: 0,
+        motorcycle: 0.083,
+        car: 0.12,
+        bus: 0.089,
+        metro: 0.028,
+        train: 0.035,
+        ferry: 0.115,
+        plane: 0.158,
+        truck: 0.96
+    },
+
+    /**
+     * Domestic flight factors in kg CO2 per passenger-kilometer
+     * Short flights spend a larger share of fuel on take-off and climb, so they use a higher factor.
+     * The radiative forcing multiplier optionally accounts for non-CO2 effects at altitude.
+     */
+    FLIGHT_FACTORS: {
+        SHORT_HAUL_MAX_KM: 800,
+        SHORT_HAUL: 0.158,
+        LONG_HAUL: 0.117,
+        RADIATIVE_FORCING_MULTIPLIER: 1.9
+    },
+
+    /**
+     * Transport mode metadata with labels, icons, and colors
+     * Optional minDistanceKm/maxDistanceKm mark the distances where a mode makes sense
+     * Optional maxPlausibleKm is the longest trip accepted without a warning in the form
+     */
+    TRANSPORT_MODES: {
+        walking: {
+            label: "A pé",
+            icon: "🚶",
+            color: "#22c55e",
+            maxDistanceKm: 30,
+            maxPlausibleKm: 1000
+        },
+        bicycle: {
+            label: "Bicicleta",
+            icon: "🚴",
+            color: "#3b82f6",
+            maxPlausibleKm: 5000
+        },
+        motorcycle: {
+            label: "Moto",
+            icon: "🏍️",
+            color: "#ec4899",
+            vehicleProfile: true
+        },
+        car: {
+            label: "Carro",
+            icon: "🚗",
+            color: "#ef4444",
+            vehicleProfile: true
+        },
+        bus: {
+            label: "Ônibus",
+            icon: "🚌",
+            color: "#f59e0b"
+        },
+        metro: {
+            label: "Metrô",
+            icon: "🚇",
+            color: "#14b8a6",
+            maxDistanceKm: 60
+        },
+        train: {
+            label: "Trem",
+            icon: "🚆",
+            color: "#6366f1"
+        },
+        ferry: {
+            label: "Balsa",
+            icon: "⛴️",
+            color: "#0ea5e9"
+        },
+        plane: {
+            label: "Avião",
+            icon: "✈️",
+            color: "#64748b",
+            minDistanceKm: 150
+        },
+        truck: {
+            label: "Caminhão",
+            icon: "🚚",
+            color: "#8b5cf6",
+            vehicleProfile: true
+        }
+    },
+
+    /**
+     * Freight modes for cargo shipments
+     * - kgCO2PerTkm: kg CO2 per tonne-kilometer of cargo carried
+     * - capacityTonnes: payload of one vehicle (null for rail and cabotage)
+     * - emptyReturnKgPerKm: kg CO2 per km for each vehicle returning empty (null when not applicable)
+     */
+    FREIGHT_MODES: {
+        vuc: {
+            label: "VUC",
+            icon: "🚐",
+            color: "#f97316",
+            kgCO2PerTkm: 0.25,
+            capacityTonnes: 3,
+            emptyReturnKgPerKm: 0.28
+        },
+        toco: {
+            label: "Caminhão toco",
+            icon: "🚚",
+            color: "#f59e0b",
+            kgCO2PerTkm: 0.15,
+            capacityTonnes: 6,
+            emptyReturnKgPerKm: 0.55
+        },
+        trucado: {
+            label: "Caminhão truck",
+            icon: "🚛",
+            color: "#ef4444",
+            kgCO2PerTkm: 0.11,
+            capacityTonnes: 12,
+            emptyReturnKgPerKm: 0.7
+        },
+        carreta: {
+            label: "Carreta",
+            icon: "🚛",
+            color: "#8b5cf6",
+            kgCO2PerTkm: 0.075,
+            capacityTonnes: 27,
+            emptyReturnKgPerKm: 0.85
+        },
+        rail: {
+            label: "Ferroviário",
+            icon: "🚂",
+            color: "#6366f1",
+            kgCO2PerTkm: 0.022,
+            capacityTonnes: null,
+            emptyReturnKgPerKm: null
+        },
+        cabotage: {
+            label: "Cabotagem",
+            icon: "🚢",
+            color: "#0ea5e9",
+            kgCO2PerTkm: 0.018,
+            capacityTonnes: null,
+            emptyReturnKgPerKm: null
+        }
+    },
+
+    /**
+     * Fuel emission coefficients for vehicle-specific calculations
+     * - kgCO2PerUnit: fossil kg CO2 per unit of fuel (liter, m³ or kWh)
+     * - consumptionUnit: how consumption is entered for this fuel
+     * - defaultConsumption: typical consumption of a passenger car
+     * Gasolina is Brazilian gasoline C (27% anhydrous ethanol), diesel is S10 with biodiesel,
+     * etanol counts only the fossil share of its life cycle and elétrico uses the Brazilian grid average.
+     */
+    FUEL_TYPES: {
+        gasolina: {
+            label: "Gasolina",
+            kgCO2PerUnit: 1.64,
+            consumptionUnit: "km/l",
+            defaultConsumption: 11
+        },
+        etanol: {
+            label: "Etanol",
+            kgCO2PerUnit: 0.41,
+            consumptionUnit: "km/l",
+            defaultConsumption: 7.7
+        },
+        diesel: {
+            label: "Diesel",
+            kgCO2PerUnit: 2.3,
+            consumptionUnit: "km/l",
+            defaultConsumption: 10
+        },
+        gnv: {
+            label: "GNV",
+            kgCO2PerUnit: 1.99,
+            consumptionUnit: "km/m³",
+            defaultConsumption: 13
+        },
+        eletrico: {
+            label: "Elétrico",
+            kgCO2PerUnit: 0.0385,
+            consumptionUnit: "kWh/100km",
+            defaultConsumption: 15
+        },
+        hibrido: {
+            label: "Híbrido",
+            kgCO2PerUnit: 1.64,
+            consumptionUnit: "km/l",
+            defaultConsumption: 18
+        }
+    },
+
+    /**
+     * Carbon credit configuration
+     * MARKETS holds the price per credit of each market in its own currency.
+     * These are the built-in defaults; Pricing updates them from data/credit-prices.json
+     * and from the user's overrides.
+     */
+    CARBON_CREDIT: {
+        KG_PER_CREDIT: 1000,
+        MARKET: "voluntary",
+        MARKETS: {
+            voluntary: {
+                label: "Mercado voluntário",
+                currency: "BRL",
+                min: 50,
+                max: 150,
+                average: 100,
+                updatedAt: "2025-12-26",
+                source: "Faixa típica de projetos brasileiros no mercado voluntário"
+            },
+            regulated: {
+                label: "Mercado regulado (SBCE)",
+                currency: "BRL",
+                min: 60,
+                max: 120,
+                average: 90,
+                updatedAt: "2025-12-26",
+                source: "Estimativa para o Sistema Brasileiro de Comércio de Emissões"
+            },
+            "eu-ets": {
+                label: "EU ETS",
+                currency: "EUR",
+                min: 60,
+                max: 90,
+                average: 75,
+                updatedAt: "2025-12-26",
+                source: "Faixa de preços das permissões do Sistema Europeu de Comércio de Emissões"
+            }
+        }
+    },
+
+    /**
+     * Display currency and exchange rates
+     * RATES are units of each currency per 1 unit of BASE
+     */
+    CURRENCY: {
+        SELECTED: "BRL",
+        BASE: "BRL",
+        UPDATED_AT: "2025-12-26",
+        RATES: {
+            BRL: 1,
+            USD: 0.18,
+            EUR: 0.16
+        },
+        LABELS: {
+            BRL: "Real (R$)",
+            USD: "Dólar (US$)",
+            EUR: "Euro (€)"
+        }
+    },
+
+    /**
+     * Distance estimation used when no road route is known
+     * Great-circle distance is multiplied by the winding factor to approximate roads
+     */
+    DISTANCE_ESTIMATE: {
+        ROAD_WINDING_FACTOR: 1.2
+    },
+
+    /**
+     * Default trip frequency for recurring trips (e.g., daily commute)
+     */
+    FREQUENCY: {
+        TRIPS_PER_WEEK: 5,
+        WEEKS_PER_YEAR: 48,
+        MONTHS_PER_YEAR: 12
+    },
+
+    /**
+     * Form validation limits
+     * MAX_DISTANCE_KM is about half the Earth's circumference, so no leg between two points is longer
+     */
+    VALIDATION: {
+        MAX_DISTANCE_KM: 20000
+    }
+};
@@ -0,0 +1,111 @@
+/**
+ * CSVReader - Reads CSV text into rows
+ *
+ * Files may use either semicolon or comma as delimiter, and numbers either decimal comma
+ * or decimal point, so files saved by Excel in any locale are accepted.
+ *
+ * No DOM access: shared by the page (as the CSVReader global), the command-line tool and tests.
+ * Writing CSV in the interface locale is done by CSV (js/csv.js).
+ */
+
+export const CSVReader = {
+    /**
+     * Parse a number written with either decimal comma or decimal point
+     * Thousands may be grouped with point, comma or space when the decimal separator is the other one.
+     * Anything else (e.g., "0x10", "1e3" or "1.234.5") is not a number.
+     * @param {string} text - Number text (e.g., "1.234,5", "1,234.5", "1234.5" or "12,5")
+     * @returns {number} Parsed number, NaN if the text is not a number
+     */
+    parseNumber: function(text) {
+        const number = String(text).trim().replace(/\s/g, ' ');
+
+        // Digits with an optional decimal part after a single comma or point (e.g., "12", "12,5" or "1234.5")
+        const simple = number.match(/^([-+]?\d+)(?:[.,](\d+))?$/);
+        if (simple) {
+            return Number(`${simple[1]}.${simple[2] || 0}`);
+        }
+
+        // Groups of three digits after the same separator, then an optional decimal part after another one
+        const grouped = number.match(/^([-+]?\d{1,3})([., ])(\d{3}(?:\2\d{3})*)(?:([.,])(\d+))?$/);
+        if (grouped && grouped[4] !== grouped[2]) {
+            return Number(`${grouped[1]}${grouped[3].split(grouped[2]).join('')}.${grouped[5] || 0}`);
+        }
+
+        return NaN;
+    },
+
+    /**
+     * Detect the field delimiter from the first line of a file
+     * @param {string} text - CSV text
+     * @returns {string} ';' or ','
+     */
+    detectDelimiter: function(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const semicolons = (firstLine.match(/;/g) || []).length;
+        const commas = (firstLine.match(/,/g) || []).length;
+
+        return semicolons >= commas ? ';' : ',';
+    },
+
+    /**
+     * Parse CSV text into rows
+     * Handles quoted fields with escaped quotes and line breaks, and ignores a leading byte order mark
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter (default: detected from the first line)
+     * @returns {Array} Array of rows, each an array of strings (blank lines are skipped)
+     */
+    parse: function(text, delimiter = this.detectDelimiter(text)) {
+        const source = text.replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        /**
+         * Helper function to close the current row, skipping blank lines
+         */
+        const endRow = () => {
+            row.push(field);
+            if (row.length > 1 || row[0].trim() !== '') {
+                rows.push(row);
+            }
+            row = [];
+            field = '';
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                // Treat CRLF as a single line break
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+
+        // Last row without a trailing line break
+        if (field !== '' || row.length > 0) {
+            endRow();
+        }
+
+        return rows;
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Calculation core - Entry point of the DOM-free modules
+ *
+ * Import from here in Node scripts and tests:
+ *   import { Calculator, RoutesDB } from './js/core/index.js';
+ *
+ * The page loads the same modules through js/core-bridge.js.
+ */
+
+export { CONFIG } from './config.js';
+export { Calculator, CalculationError } from './calculator.js';
+export { RoutesDB } from './routes.js';
+export { CSVReader } from './csv.js';
+export { TripBatch } from './batch.js';
+export { RoutePack } from './route-pack.js';
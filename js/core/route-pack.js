@@ -0,0 +1,178 @@
+/**
+ * RoutePack - Reads extra routes and cities from JSON or CSV files
+ *
+ * A route pack adds routes (e.g., to warehouses or client offices) to RoutesDB as an extra source.
+ *
+ * JSON packs list routes, cities or both:
+ *   { "routes": [{ "origin": "Campinas, SP", "destination": "CD Jundiaí, SP", "distanceKm": 42 }],
+ *     "cities": [{ "name": "CD Jundiaí, SP", "lat": -23.18, "lon": -46.88 }] }
+ * A plain array of routes is accepted too.
+ *
+ * CSV packs have one route per line, with origin, destination and distance columns
+ * (header names in English, Portuguese or Spanish, as in TripBatch).
+ *
+ * No DOM access: used by the page (CustomRoutes in js/custom-routes.js) and available to Node scripts.
+ */
+
+import { CONFIG } from './config.js';
+import { CSVReader } from './csv.js';
+import { RoutesDB } from './routes.js';
+
+export const RoutePack = {
+    /**
+     * Accepted CSV header names for each column, compared without accents or case
+     */
+    COLUMNS: {
+        origin: ['origin', 'origem', 'origen'],
+        destination: ['destination', 'destino'],
+        distance: ['distance', 'distancekm', 'distancia', 'distancia (km)', 'km']
+    },
+
+    /**
+     * Read a route pack, choosing the format from the file name or its content
+     * @param {string} text - File content
+     * @param {string} fileName - File name (e.g., "armazens.csv"; default: detect from content)
+     * @returns {Object|null} Pack with routes, cities and skipped (see parseJSON()), null if the file is not a route pack
+     */
+    parse: function(text, fileName = '') {
+        const isJSON = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\uFEFF?\s*[[{]/.test(text));
+
+        return isJSON ? this.parseJSON(text) : this.parseCSV(text);
+    },
+
+    /**
+     * Read a JSON route pack
+     * @param {string} text - JSON text
+     * @returns {Object|null} Object with routes (array of { origin, destination, distanceKm }), cities
+     *                        (array of { name, lat, lon }) and skipped (number of invalid entries left out),
+     *                        null if the text is not JSON with routes or cities
+     */
+    parseJSON: function(text) {
+        let data;
+
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            return null;
+        }
+
+        const routes = Array.isArray(data) ? data : data && data.routes;
+        const cities = data && !Array.isArray(data) ? data.cities : undefined;
+
+        if (!Array.isArray(routes) && !Array.isArray(cities)) {
+            return null;
+        }
+
+        const pack = { routes: [], cities: [], skipped: 0 };
+
+        (routes || []).forEach(entry => {
+            const route = entry ? this.readRoute(entry.origin, entry.destination, entry.distanceKm !== undefined ? entry.distanceKm : entry.distance) : null;
+
+            if (route) {
+                pack.routes.push(route);
+            } else {
+                pack.skipped++;
+            }
+        });
+
+        (cities || []).forEach(entry => {
+            const city = entry ? this.readCity(entry.name, entry.lat, entry.lon) : null;
+
+            if (city) {
+                pack.cities.push(city);
+            } else {
+                pack.skipped++;
+            }
+        });
+
+        return pack;
+    },
+
+    /**
+     * Read a CSV route pack using its header row to locate the columns
+     * @param {string} text - CSV text
+     * @returns {Object|null} Object with routes, cities (always empty) and skipped (number of invalid lines left out),
+     *                        null if the header lacks a required column
+     */
+    parseCSV: function(text) {
+        const [header, ...dataRows] = CSVReader.parse(text);
+
+        if (!header) {
+            return null;
+        }
+
+        // Map each column to its position in the header
+        const normalizedHeader = header.map(name => RoutesDB.normalizeText(name));
+        const positions = {};
+        Object.keys(this.COLUMNS).forEach(column => {
+            positions[column] = normalizedHeader.findIndex(name => this.COLUMNS[column].includes(name));
+        });
+
+        if (positions.origin < 0 || positions.destination < 0 || positions.distance < 0) {
+            return null;
+        }
+
+        const pack = { routes: [], cities: [], skipped: 0 };
+
+        dataRows.forEach(row => {
+            const read = column => row[positions[column]] || '';
+            const route = this.readRoute(read('origin'), read('destination'), read('distance'));
+
+            if (route) {
+                pack.routes.push(route);
+            } else {
+                pack.skipped++;
+            }
+        });
+
+        return pack;
+    },
+
+    /**
+     * Check and normalize one route
+     * @param {string} origin - Origin city name
+     * @param {string} destination - Destination city name
+     * @param {number|string} distance - Distance in km (numbers in text may use decimal comma)
+     * @returns {Object|null} Route with origin, destination and distanceKm, null if invalid
+     */
+    readRoute: function(origin, destination, distance) {
+        const distanceKm = typeof distance === 'number' ? distance : CSVReader.parseNumber(distance || '');
+        const from = typeof origin === 'string' ? origin.trim() : '';
+        const to = typeof destination === 'string' ? destination.trim() : '';
+
+        if (!from || !to || RoutesDB.cityKey(from) === RoutesDB.cityKey(to) ||
+            !(distanceKm > 0) || distanceKm > CONFIG.VALIDATION.MAX_DISTANCE_KM) {
+            return null;
+        }
+
+        return { origin: from, destination: to, distanceKm: distanceKm };
+    },
+
+    /**
+     * Check and normalize one city
+     * @param {string} name - City name (with or without state)
+     * @param {number|string} lat - Latitude in decimal degrees (optional)
+     * @param {number|string} lon - Longitude in decimal degrees (optional)
+     * @returns {Object|null} City with name, lat and lon (null when not given), null if invalid
+     */
+    readCity: function(name, lat, lon) {
+        const readCoordinate = value => value === undefined || value === null || value === '' ? null :
+            (typeof value === 'number' ? value : CSVReader.parseNumber(value));
+        const city = {
+            name: typeof name === 'string' ? name.trim() : '',
+            lat: readCoordinate(lat),
+            lon: readCoordinate(lon)
+        };
+
+        // Coordinates are optional, but must come in pairs and be valid
+        const hasCoordinates = city.lat !== null || city.lon !== null;
+        const validCoordinates = Number.isFinite(city.lat) && Number.isFinite(city.lon) &&
+            Math.abs(city.lat) <= 90 && Math.abs(city.lon) <= 180;
+
+        if (!city.name || (hasCoordinates && !validCoordinates)) {
+            return null;
+        }
+
+        return city;
+    }
+};
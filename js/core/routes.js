@@ -0,0 +1,727 @@
+/**
+ * RoutesDB - Database of Brazilian routes
+ * 
+ * Structure:
+ * - routes: Array of route objects containing origin, destination, and distanceKm
+ * - sources: Extra route sources (route packs, the user's own routes) layered over the built-in routes
+ * - Methods for querying and managing route data
+ *
+ * The city list, merged routes and route graph are built once and kept until the sources change,
+ * so batches of lookups don't rebuild them for every trip.
+ *
+ * Has no DOM access, so it runs in the page and in Node alike.
+ */
+
+import { CONFIG } from './config.js';
+
+export const RoutesDB = {
+    /**
+     * Array of route objects
+     * Each route has:
+     * - origin: string (city name with state abbreviation, e.g., "São Paulo, SP")
+     * - destination: string (city name with state abbreviation)
+     * - distanceKm: number (distance in kilometers)
+     */
+    routes: [
+        // Capital to Capital connections
+        { origin: "São Paulo, SP", destination: "Rio de Janeiro, RJ", distanceKm: 430 },
+        { origin: "São Paulo, SP", destination: "Brasília, DF", distanceKm: 1015 },
+        { origin: "Rio de Janeiro, RJ", destination: "Brasília, DF", distanceKm: 1148 },
+        { origin: "São Paulo, SP", destination: "Belo Horizonte, MG", distanceKm: 586 },
+        { origin: "Rio de Janeiro, RJ", destination: "Belo Horizonte, MG", distanceKm: 716 },
+        { origin: "São Paulo, SP", destination: "Salvador, BA", distanceKm: 1945 },
+        { origin: "Rio de Janeiro, RJ", destination: "Salvador, BA", distanceKm: 1959 },
+        { origin: "São Paulo, SP", destination: "Curitiba, PR", distanceKm: 408 },
+        { origin: "São Paulo, SP", destination: "Manaus, AM", distanceKm: 3150 },
+        { origin: "São Paulo, SP", destination: "Recife, PE", distanceKm: 2430 },
+        
+        // São Paulo Region
+        { origin: "São Paulo, SP", destination: "Campinas, SP", distanceKm: 95 },
+        { origin: "São Paulo, SP", destination: "Santos, SP", distanceKm: 70 },
+        { origin: "São Paulo, SP", destination: "Sorocaba, SP", distanceKm: 108 },
+        { origin: "São Paulo, SP", destination: "Ribeirão Preto, SP", distanceKm: 312 },
+        { origin: "Campinas, SP", destination: "Ribeirão Preto, SP", distanceKm: 217 },
+        
+        // Rio de Janeiro Region
+        { origin: "Rio de Janeiro, RJ", destination: "Niterói, RJ", distanceKm: 13 },
+        { origin: "Rio de Janeiro, RJ", destination: "Duque de Caxias, RJ", distanceKm: 35 },
+        { origin: "Rio de Janeiro, RJ", destination: "Petrópolis, RJ", distanceKm: 68 },
+        { origin: "Rio de Janeiro, RJ", destination: "Angra dos Reis, RJ", distanceKm: 165 },
+        
+        // Minas Gerais Region
+        { origin: "Belo Horizonte, MG", destination: "Ouro Preto, MG", distanceKm: 100 },
+        { origin: "Belo Horizonte, MG", destination: "Montes Claros, MG", distanceKm: 418 },
+        { origin: "Belo Horizonte, MG", destination: "Juiz de Fora, MG", distanceKm: 290 },
+        { origin: "Belo Horizonte, MG", destination: "Uberaba, MG", distanceKm: 467 },
+        
+        // Paraná Region
+        { origin: "Curitiba, PR", destination: "Londrina, PR", distanceKm: 398 },
+        { origin: "Curitiba, PR", destination: "Maringá, PR", distanceKm: 409 },
+        { origin: "Curitiba, PR", destination: "Foz do Iguaçu, PR", distanceKm: 645 },
+        
+        // Bahia Region
+        { origin: "Salvador, BA", destination: "Feira de Santana, BA", distanceKm: 110 },
+        { origin: "Salvador, BA", destination: "Vitória da Conquista, BA", distanceKm: 710 },
+        { origin: "Salvador, BA", destination: "Camaçari, BA", distanceKm: 52 },
+        
+        // Ceará Region
+        { origin: "Fortaleza, CE", destination: "Sobral, CE", distanceKm: 240 },
+        { origin: "Fortaleza, CE", destination: "Juazeiro do Norte, CE", distanceKm: 530 },
+        
+        // Pernambuco Region
+        { origin: "Recife, PE", destination: "Olinda, PE", distanceKm: 8 },
+        { origin: "Recife, PE", destination: "Caruaru, PE", distanceKm: 134 },
+        
+        // Goiás Region
+        { origin: "Brasília, DF", destination: "Goiânia, GO", distanceKm: 209 },
+        { origin: "Goiânia, GO", destination: "Anápolis, GO", distanceKm: 54 },
+        
+        // Espírito Santo Region
+        { origin: "Vitória, ES", destination: "Vila Velha, ES", distanceKm: 25 },
+        { origin: "Vitória, ES", destination: "Cachoeiro de Itapemirim, ES", distanceKm: 115 },
+        
+        // Rio Grande do Sul Region
+        { origin: "Porto Alegre, RS", destination: "Caxias do Sul, RS", distanceKm: 230 },
+        { origin: "Porto Alegre, RS", destination: "Pelotas, RS", distanceKm: 280 },
+    ],
+
+    /**
+     * Source id of the built-in routes and coordinates
+     */
+    BUILTIN_SOURCE: 'builtin',
+
+    /**
+     * Extra route sources, each overriding the built-in routes and the sources before it
+     * Each source has:
+     * - id: string (unique, e.g., 'custom' or 'pack:armazens')
+     * - label: string (name shown to the user, e.g., the pack file name)
+     * - routes: array of { origin, destination, distanceKm }
+     * - cities: array of { name, lat, lon } (coordinates optional)
+     */
+    sources: [],
+
+    /**
+     * Geographic coordinates of each city (decimal degrees)
+     * Used to estimate distances when no road route is known.
+     * Cities listed here without routes are still offered in autocomplete.
+     */
+    coordinates: {
+        "São Paulo, SP": { lat: -23.5505, lon: -46.6333 },
+        "Rio de Janeiro, RJ": { lat: -22.9068, lon: -43.1729 },
+        "Brasília, DF": { lat: -15.7939, lon: -47.8828 },
+        "Belo Horizonte, MG": { lat: -19.9167, lon: -43.9345 },
+        "Salvador, BA": { lat: -12.9714, lon: -38.5014 },
+        "Curitiba, PR": { lat: -25.4284, lon: -49.2733 },
+        "Manaus, AM": { lat: -3.1190, lon: -60.0217 },
+        "Recife, PE": { lat: -8.0476, lon: -34.8770 },
+        "Campinas, SP": { lat: -22.9099, lon: -47.0626 },
+        "Santos, SP": { lat: -23.9608, lon: -46.3336 },
+        "Sorocaba, SP": { lat: -23.5015, lon: -47.4526 },
+        "Ribeirão Preto, SP": { lat: -21.1704, lon: -47.8103 },
+        "Niterói, RJ": { lat: -22.8832, lon: -43.1034 },
+        "Duque de Caxias, RJ": { lat: -22.7856, lon: -43.3117 },
+        "Petrópolis, RJ": { lat: -22.5050, lon: -43.1786 },
+        "Angra dos Reis, RJ": { lat: -23.0067, lon: -44.3181 },
+        "Ouro Preto, MG": { lat: -20.3856, lon: -43.5035 },
+        "Montes Claros, MG": { lat: -16.7350, lon: -43.8617 },
+        "Juiz de Fora, MG": { lat: -21.7642, lon: -43.3496 },
+        "Uberaba, MG": { lat: -19.7472, lon: -47.9381 },
+        "Londrina, PR": { lat: -23.3045, lon: -51.1696 },
+        "Maringá, PR": { lat: -23.4205, lon: -51.9333 },
+        "Foz do Iguaçu, PR": { lat: -25.5163, lon: -54.5854 },
+        "Feira de Santana, BA": { lat: -12.2664, lon: -38.9663 },
+        "Vitória da Conquista, BA": { lat: -14.8615, lon: -40.8442 },
+        "Camaçari, BA": { lat: -12.6996, lon: -38.3263 },
+        "Fortaleza, CE": { lat: -3.7319, lon: -38.5267 },
+        "Sobral, CE": { lat: -3.6880, lon: -40.3497 },
+        "Juazeiro do Norte, CE": { lat: -7.2131, lon: -39.3151 },
+        "Olinda, PE": { lat: -8.0089, lon: -34.8553 },
+        "Caruaru, PE": { lat: -8.2760, lon: -35.9819 },
+        "Goiânia, GO": { lat: -16.6869, lon: -49.2648 },
+        "Anápolis, GO": { lat: -16.3281, lon: -48.9530 },
+        "Vitória, ES": { lat: -20.3155, lon: -40.3128 },
+        "Vila Velha, ES": { lat: -20.3297, lon: -40.2925 },
+        "Cachoeiro de Itapemirim, ES": { lat: -20.8489, lon: -41.1129 },
+        "Porto Alegre, RS": { lat: -30.0346, lon: -51.2177 },
+        "Caxias do Sul, RS": { lat: -29.1678, lon: -51.1794 },
+        "Pelotas, RS": { lat: -31.7654, lon: -52.3376 },
+
+        // Capitals and large cities without curated routes
+        "Florianópolis, SC": { lat: -27.5954, lon: -48.5480 },
+        "Joinville, SC": { lat: -26.3045, lon: -48.8487 },
+        "Belém, PA": { lat: -1.4558, lon: -48.4902 },
+        "São Luís, MA": { lat: -2.5307, lon: -44.3068 },
+        "Teresina, PI": { lat: -5.0920, lon: -42.8038 },
+        "Natal, RN": { lat: -5.7945, lon: -35.2110 },
+        "João Pessoa, PB": { lat: -7.1195, lon: -34.8450 },
+        "Maceió, AL": { lat: -9.6658, lon: -35.7350 },
+        "Aracaju, SE": { lat: -10.9472, lon: -37.0731 },
+        "Campo Grande, MS": { lat: -20.4697, lon: -54.6201 },
+        "Cuiabá, MT": { lat: -15.6014, lon: -56.0979 },
+        "Palmas, TO": { lat: -10.2491, lon: -48.3243 },
+        "Porto Velho, RO": { lat: -8.7612, lon: -63.9004 },
+        "Rio Branco, AC": { lat: -9.9754, lon: -67.8249 },
+        "Boa Vista, RR": { lat: 2.8235, lon: -60.6758 },
+        "Macapá, AP": { lat: 0.0349, lon: -51.0694 }
+    },
+
+    /**
+     * Data derived from routes, coordinates and sources (cities, city index, merged routes, graph)
+     * Built on first use; null until then and after clearCache()
+     */
+    cache: null,
+
+    /**
+     * Replace the extra route sources
+     * @param {Array} sources - Sources in order of precedence, lowest first (see sources)
+     */
+    setSources: function(sources) {
+        this.sources = sources;
+        this.clearCache();
+    },
+
+    /**
+     * Drop the derived data, so it is rebuilt from the current routes, coordinates and sources
+     * Call it after changing routes or coordinates directly
+     */
+    clearCache: function() {
+        this.cache = null;
+    },
+
+    /**
+     * Get a piece of derived data, building it on first use
+     * @param {string} name - Cache entry name
+     * @param {Function} build - Builds the entry when missing
+     * @returns {*} Cached entry
+     */
+    cached: function(name, build) {
+        if (!this.cache) {
+            this.cache = {};
+        }
+
+        if (!(name in this.cache)) {
+            this.cache[name] = build();
+        }
+
+        return this.cache[name];
+    },
+
+    /**
+     * Get all unique cities from the routes database
+     * @returns {Array} Sorted array of unique city names with state abbreviation
+     */
+    getAllCities: function() {
+        return this.cached('cities', () => this.collectCities()).slice();
+    },
+
+    /**
+     * Collect the cities of the built-in routes and coordinates and of the extra sources
+     * @returns {Array} Sorted array of unique city names
+     */
+    collectCities: function() {
+        const cities = new Set();
+        
+        // Extract all cities from both origin and destination (with state)
+        this.routes.forEach(route => {
+            cities.add(route.origin);
+            cities.add(route.destination);
+        });
+
+        // Include cities that only have coordinates
+        Object.keys(this.coordinates).forEach(city => cities.add(city));
+
+        // Include cities of the extra sources, unless they only repeat a known city
+        // (same city and state, or the same city written without state)
+        const known = new Set(Array.from(cities).map(city => this.cityKey(city)));
+        const knownNames = new Set(Array.from(cities).map(city => this.parseCityName(city).city));
+        this.sources.forEach(source => {
+            const names = source.routes.reduce((list, route) => list.concat(route.origin, route.destination), [])
+                .concat(source.cities.map(city => city.name));
+
+            names.forEach(name => {
+                const parsed = this.parseCityName(name);
+                if (!parsed.city || known.has(this.cityKey(name)) || (!parsed.state && knownNames.has(parsed.city))) {
+                    return;
+                }
+                known.add(this.cityKey(name));
+                knownNames.add(parsed.city);
+                cities.add(name.trim());
+            });
+        });
+        
+        // Convert to array, sort alphabetically, and return
+        return Array.from(cities).sort((a, b) => a.localeCompare(b, 'pt-BR'));
+    },
+
+    /**
+     * Brazilian state abbreviations accepted after a city name
+     */
+    STATE_CODES: [
+        "ac", "al", "ap", "am", "ba", "ce", "df", "es", "go", "ma", "mt", "ms", "mg", "pa",
+        "pb", "pr", "pe", "pi", "rj", "rn", "rs", "ro", "rr", "sc", "sp", "se", "to"
+    ],
+
+    /**
+     * Normalize free text for comparison: strip diacritics, lowercase and collapse whitespace
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text (e.g., "São  Paulo" -> "sao paulo")
+     */
+    normalizeText: function(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Split a city name into normalized city and state parts
+     * Accepts "São Paulo, SP", "São Paulo - SP", "São Paulo/SP", "São Paulo (SP)" and "São Paulo SP"
+     * @param {string} name - City name (with or without state)
+     * @returns {Object} Object with city and state (state is null when not given)
+     */
+    parseCityName: function(name) {
+        const normalized = this.normalizeText(name);
+
+        // Explicit separators: comma, dash, slash or parentheses before a two-letter state
+        const separatorMatch = normalized.match(/^(.+?)\s*(?:,|-|\/|\()\s*([a-z]{2})\)?$/);
+        if (separatorMatch && this.STATE_CODES.includes(separatorMatch[2])) {
+            return { city: separatorMatch[1].trim(), state: separatorMatch[2] };
+        }
+
+        // Trailing state code separated only by a space
+        const spaceMatch = normalized.match(/^(.+) ([a-z]{2})$/);
+        if (spaceMatch && this.STATE_CODES.includes(spaceMatch[2])) {
+            return { city: spaceMatch[1], state: spaceMatch[2] };
+        }
+
+        // No state given; drop any leftover comma-separated suffix
+        return { city: normalized.split(',')[0].trim(), state: null };
+    },
+
+    /**
+     * Key that identifies a city regardless of how its name is written
+     * @param {string} name - City name (with or without state)
+     * @returns {string} Normalized city and state (e.g., "sao paulo|sp")
+     */
+    cityKey: function(name) {
+        const parsed = this.parseCityName(name);
+        return `${parsed.city}|${parsed.state || ''}`;
+    },
+
+    /**
+     * Resolve a city name typed by the user to its canonical name in the routes table
+     * Matching ignores accents, letter case, extra whitespace and the state format used;
+     * a name without state matches the city in any state
+     * @param {string} name - City name (with or without state)
+     * @returns {string|null} Canonical city name (e.g., "São Paulo, SP") if found, null otherwise
+     */
+    resolveCity: function(name) {
+        const input = this.parseCityName(name);
+        const index = this.getCityIndex();
+
+        if (!input.city) {
+            return null;
+        }
+
+        // Exact match including the state abbreviation
+        const exactMatch = index.byKey.get(`${input.city}|${input.state || ''}`);
+        if (exactMatch) {
+            return exactMatch;
+        }
+
+        // Without a state, fall back to matching by city name only; a state that
+        // doesn't match rules the city out, as in scoreCity()
+        if (input.state) {
+            return null;
+        }
+
+        return index.byCity.get(input.city) || null;
+    },
+
+    /**
+     * Index of the known cities for resolveCity()
+     * @returns {Object} Object with byKey (city key to name) and byCity (normalized city to the
+     *                   first name in alphabetical order with that city, whatever the state)
+     */
+    getCityIndex: function() {
+        return this.cached('cityIndex', () => {
+            const index = { byKey: new Map(), byCity: new Map() };
+
+            this.getAllCities().forEach(city => {
+                const parsed = this.parseCityName(city);
+                const key = `${parsed.city}|${parsed.state || ''}`;
+
+                if (!index.byKey.has(key)) {
+                    index.byKey.set(key, city);
+                }
+                if (!index.byCity.has(parsed.city)) {
+                    index.byCity.set(parsed.city, city);
+                }
+            });
+
+            return index;
+        });
+    },
+
+    /**
+     * Calculate the Levenshtein edit distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Minimum number of single-character edits to turn a into b
+     */
+    editDistance: function(a, b) {
+        // Single row dynamic programming table
+        let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const currentRow = [i];
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                currentRow[j] = Math.min(
+                    previousRow[j] + 1,         // Deletion
+                    currentRow[j - 1] + 1,      // Insertion
+                    previousRow[j - 1] + cost   // Substitution
+                );
+            }
+
+            previousRow = currentRow;
+        }
+
+        return previousRow[b.length];
+    },
+
+    /**
+     * Score how closely a typed query matches a city name
+     * Prefix matches score highest, then substring matches, then edit-distance similarity
+     * @param {string} query - Text typed by the user
+     * @param {string} city - Canonical city name
+     * @returns {number} Score between 0 (no match) and 1 (exact match)
+     */
+    scoreCity: function(query, city) {
+        const input = this.parseCityName(query);
+        const candidate = this.parseCityName(city);
+
+        // A state that doesn't match rules the city out
+        if (!input.city || (input.state && input.state !== candidate.state)) {
+            return 0;
+        }
+
+        if (candidate.city === input.city) {
+            return 1;
+        }
+
+        if (candidate.city.startsWith(input.city)) {
+            return 0.9 + 0.09 * (input.city.length / candidate.city.length);
+        }
+
+        if (candidate.city.includes(input.city)) {
+            return 0.8 + 0.09 * (input.city.length / candidate.city.length);
+        }
+
+        // Compare against the start of the name too, so partial typos still rank
+        const prefix = candidate.city.slice(0, input.city.length);
+        const fullSimilarity = 1 - this.editDistance(input.city, candidate.city) /
+            Math.max(input.city.length, candidate.city.length);
+        const prefixSimilarity = 1 - this.editDistance(input.city, prefix) /
+            Math.max(input.city.length, prefix.length);
+
+        return Math.max(fullSimilarity, prefixSimilarity * 0.9) * 0.8;
+    },
+
+    /**
+     * Rank all known cities by similarity to a query
+     * @param {string} query - Text typed by the user
+     * @param {number} limit - Maximum number of cities to return (default: 8)
+     * @returns {Array} City names ordered from best to worst match
+     */
+    rankCities: function(query, limit = 8) {
+        const MIN_SCORE = 0.5;
+
+        return this.getAllCities()
+            .map(city => ({ city: city, score: this.scoreCity(query, city) }))
+            .filter(entry => entry.score >= MIN_SCORE)
+            .sort((a, b) => b.score - a.score || a.city.localeCompare(b.city, 'pt-BR'))
+            .slice(0, limit)
+            .map(entry => entry.city);
+    },
+
+    /**
+     * Suggest the closest known city for a name that could not be resolved
+     * @param {string} name - City name typed by the user
+     * @returns {string|null} Suggested canonical city name, null if the name resolves or nothing is close
+     */
+    suggestCity: function(name) {
+        const SUGGESTION_MIN_SCORE = 0.55;
+
+        if (!name.trim() || this.resolveCity(name)) {
+            return null;
+        }
+
+        let bestCity = null;
+        let bestScore = SUGGESTION_MIN_SCORE;
+
+        this.getAllCities().forEach(city => {
+            const score = this.scoreCity(name, city);
+            if (score >= bestScore) {
+                bestCity = city;
+                bestScore = score;
+            }
+        });
+
+        return bestCity;
+    },
+
+    /**
+     * Merge the built-in routes with the extra sources into one route per pair of cities
+     * An entry for the same pair in a later source replaces the earlier one; entries that
+     * disagree on the distance are kept in conflicts so they can be flagged
+     * @returns {Array} Array of routes with origin and destination (canonical names), distanceKm,
+     *                  source (source id) and conflicts (array of { distanceKm, source } it replaced or that disagree with it)
+     */
+    getRoutes: function() {
+        return this.cached('routes', () => this.mergeRoutes()).slice();
+    },
+
+    /**
+     * Merge the routes of every source (see getRoutes())
+     * @returns {Array} Merged routes
+     */
+    mergeRoutes: function() {
+        const merged = new Map();
+
+        const entries = this.routes.map(route => Object.assign({ source: this.BUILTIN_SOURCE }, route));
+        this.sources.forEach(source => {
+            source.routes.forEach(route => {
+                entries.push({
+                    origin: this.resolveCity(route.origin) || route.origin,
+                    destination: this.resolveCity(route.destination) || route.destination,
+                    distanceKm: route.distanceKm,
+                    source: source.id
+                });
+            });
+        });
+
+        entries.forEach(entry => {
+            // Routes go both ways, so the pair is the same in either direction
+            const key = [this.cityKey(entry.origin), this.cityKey(entry.destination)].sort().join('→');
+            const previous = merged.get(key);
+            const conflicts = previous ? previous.conflicts.slice() : [];
+
+            if (previous && previous.distanceKm !== entry.distanceKm) {
+                conflicts.push({ distanceKm: previous.distanceKm, source: previous.source });
+            }
+
+            merged.set(key, Object.assign(entry, {
+                conflicts: conflicts.filter(conflict => conflict.distanceKm !== entry.distanceKm)
+            }));
+        });
+
+        return Array.from(merged.values());
+    },
+
+    /**
+     * Get the routes whose sources disagree on the distance
+     * @returns {Array} Merged routes (see getRoutes()) with at least one conflict
+     */
+    getConflicts: function() {
+        return this.getRoutes().filter(route => route.conflicts.length > 0);
+    },
+
+    /**
+     * Get the coordinates of a city, from the built-in table or the extra sources
+     * @param {string} city - Canonical city name
+     * @returns {Object|null} Object with lat and lon, null if unknown
+     */
+    getCoordinates: function(city) {
+        const key = this.cityKey(city);
+        let found = this.coordinates[city] || null;
+
+        this.sources.forEach(source => {
+            source.cities.forEach(entry => {
+                if (Number.isFinite(entry.lat) && Number.isFinite(entry.lon) && this.cityKey(entry.name) === key) {
+                    found = { lat: entry.lat, lon: entry.lon };
+                }
+            });
+        });
+
+        return found;
+    },
+
+    /**
+     * Get the route graph, built once from the merged routes
+     * @returns {Map} Graph from buildGraph()
+     */
+    getGraph: function() {
+        return this.cached('graph', () => this.buildGraph());
+    },
+
+    /**
+     * Build an undirected weighted graph from the merged routes
+     * @returns {Map} Map of city name to array of { city, distanceKm, source, conflicts } neighbours
+     */
+    buildGraph: function() {
+        const graph = new Map();
+
+        // Helper to register one direction of an edge
+        const addEdge = (from, to, route) => {
+            if (!graph.has(from)) {
+                graph.set(from, []);
+            }
+            graph.get(from).push({ city: to, distanceKm: route.distanceKm, source: route.source, conflicts: route.conflicts });
+        };
+
+        // Every route can be travelled in both directions
+        this.getRoutes().forEach(route => {
+            addEdge(route.origin, route.destination, route);
+            addEdge(route.destination, route.origin, route);
+        });
+
+        return graph;
+    },
+
+    /**
+     * Find the shortest route between two cities, chaining routes through intermediate cities
+     * Uses Dijkstra's algorithm over the graph built from the routes array
+     * @param {string} origin - Origin city name (with or without state)
+     * @param {string} destination - Destination city name (with or without state)
+     * @returns {Object|null} Object with distanceKm, path (all cities in order), via (intermediate cities) and
+     *                       segments (each route used, with origin, destination, distanceKm, source and conflicts), null if no route
+     */
+    findRoute: function(origin, destination) {
+        const start = this.resolveCity(origin);
+        const end = this.resolveCity(destination);
+
+        // Both cities must exist and be different
+        if (!start || !end || start === end) {
+            return null;
+        }
+
+        const graph = this.getGraph();
+        const distances = new Map([[start, 0]]);
+        const previous = new Map();
+        const previousEdge = new Map();
+        const visited = new Set();
+        const queue = [start];
+
+        while (queue.length > 0) {
+            // Take the closest unvisited city (the graph is small, so sorting is enough)
+            queue.sort((a, b) => distances.get(a) - distances.get(b));
+            const current = queue.shift();
+
+            if (visited.has(current)) {
+                continue;
+            }
+            visited.add(current);
+
+            // Shortest distance to the destination is settled
+            if (current === end) {
+                break;
+            }
+
+            // Relax edges to neighbouring cities
+            for (const edge of graph.get(current) || []) {
+                const candidate = distances.get(current) + edge.distanceKm;
+
+                if (!distances.has(edge.city) || candidate < distances.get(edge.city)) {
+                    distances.set(edge.city, candidate);
+                    previous.set(edge.city, current);
+                    previousEdge.set(edge.city, edge);
+                    queue.push(edge.city);
+                }
+            }
+        }
+
+        // Destination is not reachable from origin
+        if (!distances.has(end)) {
+            return null;
+        }
+
+        // Walk back from destination to origin to rebuild the path
+        const path = [end];
+        while (path[0] !== start) {
+            path.unshift(previous.get(path[0]));
+        }
+
+        return {
+            distanceKm: distances.get(end),
+            path: path,
+            via: path.slice(1, -1),
+            segments: path.slice(1).map((city, index) => ({
+                origin: path[index],
+                destination: city,
+                distanceKm: previousEdge.get(city).distanceKm,
+                source: previousEdge.get(city).source,
+                conflicts: previousEdge.get(city).conflicts
+            }))
+        };
+    },
+
+    /**
+     * Find distance between two cities
+     * Uses the shortest chained route when there is no direct connection
+     * @param {string} origin - Origin city name (with or without state)
+     * @param {string} destination - Destination city name (with or without state)
+     * @returns {number|null} Distance in kilometers if route found, null otherwise
+     */
+    findDistance: function(origin, destination) {
+        const route = this.findRoute(origin, destination);
+
+        // Route not found
+        if (!route) {
+            return null;
+        }
+
+        return route.distanceKm;
+    },
+
+    /**
+     * Calculate the great-circle distance between two points using the haversine formula
+     * @param {Object} from - Object with lat and lon in decimal degrees
+     * @param {Object} to - Object with lat and lon in decimal degrees
+     * @returns {number} Straight-line distance in kilometers
+     */
+    greatCircleDistance: function(from, to) {
+        const EARTH_RADIUS_KM = 6371;
+        const toRadians = degrees => degrees * Math.PI / 180;
+
+        const deltaLat = toRadians(to.lat - from.lat);
+        const deltaLon = toRadians(to.lon - from.lon);
+
+        const a = Math.sin(deltaLat / 2) ** 2 +
+            Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLon / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    },
+
+    /**
+     * Estimate road distance between two cities from their coordinates
+     * The straight-line distance is multiplied by a winding factor to approximate roads
+     * @param {string} origin - Origin city name (with or without state)
+     * @param {string} destination - Destination city name (with or without state)
+     * @param {number} windingFactor - Road winding factor (default: CONFIG.DISTANCE_ESTIMATE.ROAD_WINDING_FACTOR)
+     * @returns {Object|null} Object with distanceKm, straightLineKm and windingFactor, null if coordinates are missing
+     */
+    estimateDistance: function(origin, destination, windingFactor = CONFIG.DISTANCE_ESTIMATE.ROAD_WINDING_FACTOR) {
+        const start = this.resolveCity(origin);
+        const end = this.resolveCity(destination);
+
+        // Both cities must have known coordinates and be different
+        const from = start ? this.getCoordinates(start) : null;
+        const to = end ? this.getCoordinates(end) : null;
+
+        if (!start || !end || start === end || !from || !to) {
+            return null;
+        }
+
+        const straightLineKm = this.greatCircleDistance(from, to);
+
+        return {
+            distanceKm: Math.round(straightLineKm * windingFactor),
+            straightLineKm: Math.round(straightLineKm),
+            windingFactor: windingFactor
+        };
+    }
+};
@@ -0,0 +1,71 @@
+/**
+ * CSV - Helpers for writing CSV files
+ *
+ * Written files follow the conventions of Excel in the interface locale:
+ * - Decimal separator of the locale and no thousands separator in numbers
+ * - Semicolon as field delimiter when the decimal separator is a comma (pt-BR, es),
+ *   comma otherwise (en)
+ *
+ * Reading CSV text is done by CSVReader (js/core/csv.js), shared with the command-line tool.
+ */
+
+const CSV = {
+    /**
+     * Get the decimal separator and field delimiter for the interface locale
+     * @returns {Object} Object with decimal and delimiter
+     */
+    getDialect: function() {
+        const decimalPart = new Intl.NumberFormat(I18n.getFormatLocale())
+            .formatToParts(1.5)
+            .find(part => part.type === 'decimal');
+        const decimal = decimalPart ? decimalPart.value : '.';
+
+        return {
+            decimal: decimal,
+            delimiter: decimal === ',' ? ';' : ','
+        };
+    },
+
+    /**
+     * Format a number with the locale decimal separator and no thousands separator
+     * @param {number} value - Number to format
+     * @param {number} decimals - Number of decimal places (default: 2)
+     * @returns {string} Formatted number (e.g., "1234,56" or "1234.56"), empty string for missing values
+     */
+    formatNumber: function(value, decimals = 2) {
+        if (value === null || value === undefined || isNaN(value)) {
+            return '';
+        }
+
+        return Number(value).toFixed(decimals).replace('.', this.getDialect().decimal);
+    },
+
+    /**
+     * Escape a single field, quoting it when it contains the delimiter, quotes or line breaks
+     * @param {*} value - Field value
+     * @param {string} delimiter - Field delimiter (default: delimiter of the interface locale)
+     * @returns {string} Escaped field
+     */
+    escapeField: function(value, delimiter = this.getDialect().delimiter) {
+        const text = value === null || value === undefined ? '' : String(value);
+
+        if (/["\r\n]/.test(text) || text.includes(delimiter)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    },
+
+    /**
+     * Convert rows to CSV text
+     * @param {Array} rows - Array of rows, each an array of field values (an empty array is a blank line)
+     * @returns {string} CSV text with CRLF line endings
+     */
+    stringify: function(rows) {
+        const delimiter = this.getDialect().delimiter;
+
+        return rows
+            .map(row => row.map(field => this.escapeField(field, delimiter)).join(delimiter))
+            .join('\r\n');
+    }
+};
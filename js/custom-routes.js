@@ -0,0 +1,398 @@
+/**
+ * CustomRoutes - The user's own routes and cities, and route packs loaded from files
+ *
+ * Route sources are layered, each one overriding the previous one (see RoutesDB.sources):
+ * 1. Built-in routes of RoutesDB
+ * 2. Route packs loaded from JSON or CSV files (read by RoutePack), in the order they were loaded
+ * 3. Routes and cities added by the user in the routes panel
+ *
+ * Packs and custom entries are kept in localStorage. Routes whose sources disagree on the
+ * distance are listed in the panel, and the distance helper of the form warns about them.
+ *
+ * Contains methods for:
+ * - Reading and saving custom routes, custom cities and route packs
+ * - Publishing them to RoutesDB
+ * - Rendering and handling the routes panel
+ */
+
+const CustomRoutes = {
+    /**
+     * localStorage key where the user's routes and cities are kept
+     */
+    STORAGE_KEY: 'carbono.customRoutes',
+
+    /**
+     * localStorage key where the loaded route packs are kept
+     */
+    PACKS_STORAGE_KEY: 'carbono.routePacks',
+
+    /**
+     * Source id of the user's routes and cities in RoutesDB
+     */
+    SOURCE_ID: 'custom',
+
+    /**
+     * Prefix of the source id of each route pack in RoutesDB
+     */
+    PACK_SOURCE_PREFIX: 'pack:',
+
+    /**
+     * Route or city being edited in the panel: { type: 'route' | 'city', id }, null when adding
+     */
+    editing: null,
+
+    /**
+     * Publish the saved routes to RoutesDB and setup the routes panel
+     */
+    init: function() {
+        this.apply();
+        this.setupSettings();
+    },
+
+    /**
+     * Get the user's routes and cities
+     * @returns {Object} Object with routes (array of { id, origin, destination, distanceKm })
+     *                   and cities (array of { id, name, lat, lon })
+     */
+    getCustom: function() {
+        const defaults = { routes: [], cities: [] };
+
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            return stored ? Object.assign(defaults, JSON.parse(stored)) : defaults;
+        } catch (error) {
+            console.error('Erro ao ler rotas personalizadas:', error);
+            return defaults;
+        }
+    },
+
+    /**
+     * Save the user's routes and cities and publish them
+     * @param {Object} custom - Object with routes and cities
+     */
+    saveCustom: function(custom) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(custom));
+        } catch (error) {
+            console.error('Erro ao salvar rotas personalizadas:', error);
+        }
+
+        this.apply();
+    },
+
+    /**
+     * Get the loaded route packs
+     * @returns {Array} Array of packs with id, name (file name), loadedAt, routes and cities, oldest first
+     */
+    getPacks: function() {
+        try {
+            const stored = localStorage.getItem(this.PACKS_STORAGE_KEY);
+            const packs = stored ? JSON.parse(stored) : [];
+            return Array.isArray(packs) ? packs : [];
+        } catch (error) {
+            console.error('Erro ao ler pacotes de rotas:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Save the route packs and publish them
+     * @param {Array} packs - Array of packs, oldest first
+     */
+    savePacks: function(packs) {
+        try {
+            localStorage.setItem(this.PACKS_STORAGE_KEY, JSON.stringify(packs));
+        } catch (error) {
+            console.error('Erro ao salvar pacotes de rotas:', error);
+        }
+
+        this.apply();
+    },
+
+    /**
+     * Give RoutesDB the packs, then the user's routes, so the user's routes take precedence
+     */
+    apply: function() {
+        const custom = this.getCustom();
+        const packSources = this.getPacks().map(pack => ({
+            id: `${this.PACK_SOURCE_PREFIX}${pack.id}`,
+            label: pack.name,
+            routes: pack.routes,
+            cities: pack.cities
+        }));
+
+        RoutesDB.setSources(packSources.concat({
+            id: this.SOURCE_ID,
+            label: I18n.t('routes.source.custom'),
+            routes: custom.routes,
+            cities: custom.cities
+        }));
+    },
+
+    /**
+     * Get the name of a route source shown to the user
+     * @param {string} sourceId - Source id from RoutesDB (e.g., 'builtin', 'custom' or 'pack:...')
+     * @returns {string} Source name in the interface language, or the pack file name
+     */
+    sourceLabel: function(sourceId) {
+        if (sourceId === RoutesDB.BUILTIN_SOURCE || sourceId === this.SOURCE_ID) {
+            return I18n.t(`routes.source.${sourceId}`);
+        }
+
+        const source = RoutesDB.sources.find(item => item.id === sourceId);
+        return source ? source.label : sourceId;
+    },
+
+    /**
+     * Describe where the distance of a route found by RoutesDB.findRoute() came from
+     * @param {Object} route - Route with via and segments
+     * @returns {Object} Object with key and params of the helper message, and conflict (true when
+     *                   the sources of any segment disagree on its distance)
+     */
+    describeRoute: function(route) {
+        const sources = [...new Set(route.segments.map(segment => segment.source))];
+        const conflict = route.segments.some(segment => segment.conflicts.length > 0);
+        const params = {
+            sources: I18n.formatList(sources.map(source => this.sourceLabel(source))),
+            via: route.via.join(' → ')
+        };
+
+        if (conflict) {
+            return { key: 'distance.conflict', params: params, conflict: true };
+        }
+
+        // Built-in routes keep the usual message
+        if (sources.every(source => source === RoutesDB.BUILTIN_SOURCE)) {
+            return { key: route.via.length > 0 ? 'distance.foundVia' : 'distance.found', params: params, conflict: false };
+        }
+
+        return { key: route.via.length > 0 ? 'distance.foundSourceVia' : 'distance.foundSource', params: params, conflict: false };
+    },
+
+    /**
+     * Build a unique id for a new entry
+     * @returns {string} Entry id
+     */
+    createId: function() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * Setup the routes panel
+     */
+    setupSettings: function() {
+        const content = document.getElementById('routes-content');
+
+        if (!content) {
+            console.error('Painel de rotas não encontrado');
+            return;
+        }
+
+        this.renderSettings();
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) {
+                return;
+            }
+
+            const id = button.dataset.id;
+            const actions = {
+                'routes-save-route': () => this.saveRoute(),
+                'routes-save-city': () => this.saveCity(),
+                'routes-edit-route': () => this.startEditing('route', id),
+                'routes-edit-city': () => this.startEditing('city', id),
+                'routes-cancel': () => this.startEditing(null),
+                'routes-delete-route': () => this.deleteRoute(id),
+                'routes-delete-city': () => this.deleteCity(id),
+                'routes-remove-pack': () => this.removePack(id)
+            };
+
+            if (actions[button.dataset.action]) {
+                actions[button.dataset.action]();
+            }
+        });
+
+        content.addEventListener('change', (event) => {
+            if (event.target.id === 'routes-pack-file' && event.target.files[0]) {
+                this.loadPackFile(event.target.files[0]);
+            }
+        });
+
+        console.log('Painel de rotas configurado');
+    },
+
+    /**
+     * Render the routes panel from the saved routes, cities and packs
+     */
+    renderSettings: function() {
+        const content = document.getElementById('routes-content');
+
+        if (content) {
+            content.innerHTML = UI.renderRouteSettings(this.getCustom(), this.getPacks(), RoutesDB.getConflicts(), this.editing);
+        }
+
+        UI.clearFormStatus(document.getElementById('routes-status'));
+    },
+
+    /**
+     * Show a message in the status area of the panel
+     * @param {string} message - Message text
+     * @param {string} severity - 'error' or 'warning'
+     */
+    showStatus: function(message, severity) {
+        UI.showFormStatus(message, severity, document.getElementById('routes-status'));
+    },
+
+    /**
+     * Fill the route or city form with an entry to edit, or clear it
+     * @param {string|null} type - 'route', 'city' or null to stop editing
+     * @param {string} id - Id of the entry to edit
+     */
+    startEditing: function(type, id) {
+        this.editing = type ? { type: type, id: id } : null;
+        this.renderSettings();
+
+        const field = document.getElementById(type === 'city' ? 'routes-city-name' : 'routes-origin');
+        if (type && field) {
+            field.focus();
+        }
+    },
+
+    /**
+     * Read the route form, validate it and add or update the route
+     * Adding a route between the same cities as an existing one replaces it
+     */
+    saveRoute: function() {
+        const read = id => document.getElementById(id).value;
+        const route = RoutePack.readRoute(read('routes-origin'), read('routes-destination'), Units.readDistanceInput(document.getElementById('routes-distance')));
+
+        if (!route) {
+            this.showStatus(I18n.t('routes.invalidRoute', { maxDistance: Units.formatDistance(CONFIG.VALIDATION.MAX_DISTANCE_KM) }), 'error');
+            return;
+        }
+
+        // Use the known name of each city, so the route joins the existing ones
+        route.origin = RoutesDB.resolveCity(route.origin) || route.origin;
+        route.destination = RoutesDB.resolveCity(route.destination) || route.destination;
+
+        const custom = this.getCustom();
+        const pairKey = item => [RoutesDB.cityKey(item.origin), RoutesDB.cityKey(item.destination)].sort().join('→');
+        const editingId = this.editing && this.editing.type === 'route' ? this.editing.id : null;
+        const routes = custom.routes.filter(item => item.id !== editingId && pairKey(item) !== pairKey(route));
+
+        routes.push(Object.assign({ id: editingId || this.createId() }, route));
+
+        this.editing = null;
+        this.saveCustom(Object.assign(custom, { routes: routes }));
+        this.renderSettings();
+    },
+
+    /**
+     * Delete a custom route
+     * @param {string} id - Route id
+     */
+    deleteRoute: function(id) {
+        const custom = this.getCustom();
+
+        this.editing = null;
+        this.saveCustom(Object.assign(custom, { routes: custom.routes.filter(route => route.id !== id) }));
+        this.renderSettings();
+    },
+
+    /**
+     * Read the city form, validate it and add or update the city
+     * Adding a city already in the list replaces it
+     */
+    saveCity: function() {
+        const read = id => document.getElementById(id).value;
+        const city = RoutePack.readCity(read('routes-city-name'), read('routes-city-lat'), read('routes-city-lon'));
+
+        if (!city) {
+            this.showStatus(I18n.t('routes.invalidCity'), 'error');
+            return;
+        }
+
+        const custom = this.getCustom();
+        const editingId = this.editing && this.editing.type === 'city' ? this.editing.id : null;
+        const cities = custom.cities.filter(item => item.id !== editingId && RoutesDB.cityKey(item.name) !== RoutesDB.cityKey(city.name));
+
+        cities.push(Object.assign({ id: editingId || this.createId() }, city));
+
+        this.editing = null;
+        this.saveCustom(Object.assign(custom, { cities: cities }));
+        this.renderSettings();
+    },
+
+    /**
+     * Delete a custom city
+     * Routes to the city are kept, so it still appears among the cities while they exist
+     * @param {string} id - City id
+     */
+    deleteCity: function(id) {
+        const custom = this.getCustom();
+
+        this.editing = null;
+        this.saveCustom(Object.assign(custom, { cities: custom.cities.filter(city => city.id !== id) }));
+        this.renderSettings();
+    },
+
+    /**
+     * Read a route pack file chosen by the user
+     * @param {File} file - JSON or CSV file
+     */
+    loadPackFile: function(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => this.addPack(file.name, reader.result);
+        reader.onerror = () => this.showStatus(I18n.t('batch.readError'), 'error');
+        reader.readAsText(file, 'utf-8');
+    },
+
+    /**
+     * Read a route pack and add it as the newest pack
+     * Loading a file with the same name as a loaded pack replaces that pack
+     * @param {string} name - File name
+     * @param {string} text - File content
+     * @returns {Object|null} Added pack, null if the file is not a valid route pack
+     */
+    addPack: function(name, text) {
+        const pack = RoutePack.parse(text, name);
+
+        if (!pack) {
+            this.showStatus(I18n.t('routes.invalidPack'), 'error');
+            return null;
+        }
+
+        if (pack.routes.length === 0 && pack.cities.length === 0) {
+            this.showStatus(I18n.t('routes.emptyPack'), 'error');
+            return null;
+        }
+
+        const entry = {
+            id: this.createId(),
+            name: name,
+            loadedAt: new Date().toISOString(),
+            routes: pack.routes,
+            cities: pack.cities
+        };
+
+        this.savePacks(this.getPacks().filter(item => item.name !== name).concat(entry));
+        this.renderSettings();
+
+        if (pack.skipped > 0) {
+            this.showStatus(I18n.t('routes.packSkipped', { count: pack.skipped }), 'warning');
+        }
+
+        return entry;
+    },
+
+    /**
+     * Remove a loaded route pack
+     * @param {string} id - Pack id
+     */
+    removePack: function(id) {
+        this.savePacks(this.getPacks().filter(pack => pack.id !== id));
+        this.renderSettings();
+    }
+};
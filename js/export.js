@@ -0,0 +1,233 @@
+/**
+ * Exporter - CSV and JSON export of results and trip history
+ *
+ * Contains methods for:
+ * - Building CSV (in the interface language and unit system, see CSV and Units) and JSON documents
+ * - Recording the emission factor set used for auditing
+ * - Triggering file downloads in the browser
+ */
+
+const Exporter = {
+    /**
+     * Get the emission factor set with every factor used in calculations
+     * @returns {Object} Factor set metadata and factor tables
+     */
+    getFactorSet: function() {
+        return Object.assign({}, CONFIG.FACTOR_SET, {
+            emissionFactors: CONFIG.EMISSION_FACTORS,
+            flightFactors: CONFIG.FLIGHT_FACTORS,
+            fuelTypes: CONFIG.FUEL_TYPES,
+            freightModes: CONFIG.FREIGHT_MODES,
+            carbonCredit: CONFIG.CARBON_CREDIT,
+            currency: CONFIG.CURRENCY
+        });
+    },
+
+    /**
+     * Get the translated display label of a mode
+     * @param {string} calculationType - 'passenger' or 'freight'
+     * @param {string|null} mode - Mode key, null for multimodal trips
+     * @returns {string} Mode label
+     */
+    getModeLabel: function(calculationType, mode) {
+        if (!mode) {
+            return I18n.t('results.multimodal');
+        }
+
+        if (calculationType === 'freight') {
+            return CONFIG.FREIGHT_MODES[mode] ? I18n.freightModeLabel(mode) : mode;
+        }
+
+        return CONFIG.TRANSPORT_MODES[mode] ? I18n.modeLabel(mode) : mode;
+    },
+
+    /**
+     * Build CSV header rows shared by every export
+     * @param {string} title - Document title
+     * @returns {Array} Header rows
+     */
+    buildHeaderRows: function(title) {
+        return [
+            [title],
+            [I18n.t('export.generatedAt'), UI.formatDateTime(new Date().toISOString())],
+            [I18n.t('export.factorSet'), `${CONFIG.FACTOR_SET.id} (${CONFIG.FACTOR_SET.updatedAt})`],
+            [I18n.t('export.units'), I18n.t(`units.${Units.system}`)],
+            []
+        ];
+    },
+
+    /**
+     * Build CSV for the current result and the full mode comparison
+     * @param {Object} calculation - Last calculation: calculationType, result, comparison and credits
+     * @returns {string} CSV text
+     */
+    buildResultCSV: function(calculation) {
+        const { calculationType, result, comparison, credits } = calculation;
+        const rows = this.buildHeaderRows(I18n.t('export.resultTitle'));
+        const distanceHeader = I18n.t('export.distance', { unit: Units.distanceUnit() });
+        const emissionHeader = I18n.t('export.emission', { unit: Units.massUnit() });
+
+        // Main result
+        rows.push([I18n.t('export.result')]);
+        const currency = credits.price.currency;
+        rows.push([
+            I18n.t('form.origin'), I18n.t('form.destination'), distanceHeader, I18n.t('batch.mode'),
+            emissionHeader, I18n.t('history.credits'),
+            I18n.t('export.averageValue', { currency: currency }),
+            I18n.t('export.minValue', { currency: currency }),
+            I18n.t('export.maxValue', { currency: currency })
+        ]);
+        rows.push([
+            result.origin,
+            result.destination,
+            CSV.formatNumber(Units.distance(result.distance)),
+            this.getModeLabel(calculationType, result.mode),
+            CSV.formatNumber(Units.mass(result.emission)),
+            CSV.formatNumber(credits.credits, 4),
+            CSV.formatNumber(credits.price.average),
+            CSV.formatNumber(credits.price.min),
+            CSV.formatNumber(credits.price.max)
+        ]);
+        rows.push([I18n.t('credits.priceSource'), UI.describePriceSource(credits.price)]);
+        rows.push([]);
+
+        // Leg-by-leg breakdown for multi-leg trips
+        if (result.legs && result.legs.length > 1) {
+            rows.push([I18n.t('results.legs')]);
+            rows.push([I18n.t('export.leg'), I18n.t('form.origin'), I18n.t('form.destination'), distanceHeader, I18n.t('batch.mode'), emissionHeader]);
+            result.legs.forEach((leg, index) => {
+                rows.push([
+                    index + 1,
+                    leg.origin,
+                    leg.destination,
+                    CSV.formatNumber(Units.distance(leg.distance)),
+                    this.getModeLabel(calculationType, leg.mode),
+                    CSV.formatNumber(Units.mass(leg.emission))
+                ]);
+            });
+            rows.push([]);
+        }
+
+        // Mode comparison
+        rows.push([I18n.t('export.comparison')]);
+        if (calculationType === 'freight') {
+            rows.push([I18n.t('batch.mode'), emissionHeader, I18n.t('export.intensity'), I18n.t('export.vehicles'), I18n.t('export.emptyReturn', { unit: Units.massUnit() })]);
+            comparison.forEach(mode => {
+                rows.push([
+                    this.getModeLabel(calculationType, mode.mode),
+                    CSV.formatNumber(Units.mass(mode.emission)),
+                    CSV.formatNumber(mode.gramsPerTkm, 1),
+                    mode.vehicles,
+                    CSV.formatNumber(Units.mass(mode.emptyReturnEmission))
+                ]);
+            });
+        } else {
+            rows.push([I18n.t('batch.mode'), emissionHeader, I18n.t('export.percentageVsCar')]);
+            comparison.forEach(mode => {
+                rows.push([
+                    this.getModeLabel(calculationType, mode.mode),
+                    CSV.formatNumber(Units.mass(mode.emission)),
+                    CSV.formatNumber(mode.percentageVsCar)
+                ]);
+            });
+        }
+
+        return CSV.stringify(rows);
+    },
+
+    /**
+     * Build JSON for the current result with raw numbers and the factor set
+     * Numbers stay in km and kg CO₂; the unit system chosen by the user is recorded alongside
+     * @param {Object} calculation - Last calculation: calculationType, timestamp, result, comparison, credits and form
+     * @returns {string} JSON text
+     */
+    buildResultJSON: function(calculation) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            factorSet: this.getFactorSet(),
+            calculation: calculation
+        }, null, 2);
+    },
+
+    /**
+     * Build CSV with all saved trips
+     * @param {Array} entries - Trip entries from TripHistory.getAll()
+     * @returns {string} CSV text
+     */
+    buildHistoryCSV: function(entries) {
+        const rows = this.buildHeaderRows(I18n.t('export.historyTitle'));
+
+        rows.push([
+            I18n.t('offset.date'), I18n.t('export.type'), I18n.t('form.origin'), I18n.t('form.destination'),
+            I18n.t('export.distance', { unit: Units.distanceUnit() }), I18n.t('batch.mode'),
+            I18n.t('export.emission', { unit: Units.massUnit() }), I18n.t('history.credits'), I18n.t('export.factorSet')
+        ]);
+        entries.forEach(entry => {
+            rows.push([
+                UI.formatDateTime(entry.timestamp),
+                I18n.t(entry.calculationType === 'freight' ? 'form.freight' : 'form.passenger'),
+                entry.origin,
+                entry.destination,
+                CSV.formatNumber(Units.distance(entry.distance)),
+                this.getModeLabel(entry.calculationType, entry.mode),
+                CSV.formatNumber(Units.mass(entry.emission)),
+                CSV.formatNumber(entry.credits, 4),
+                entry.factorSet || ''
+            ]);
+        });
+
+        // Cumulative totals
+        const totals = TripHistory.getTotals(entries);
+        rows.push([]);
+        rows.push([I18n.t('offset.total'), '', '', '', CSV.formatNumber(Units.distance(totals.distance)), '', CSV.formatNumber(Units.mass(totals.emission)), CSV.formatNumber(totals.credits, 4)]);
+
+        return CSV.stringify(rows);
+    },
+
+    /**
+     * Build JSON with all saved trips, totals and the factor set
+     * @param {Array} entries - Trip entries from TripHistory.getAll()
+     * @returns {string} JSON text
+     */
+    buildHistoryJSON: function(entries) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            factorSet: this.getFactorSet(),
+            units: Units.system,
+            totals: TripHistory.getTotals(entries),
+            trips: entries
+        }, null, 2);
+    },
+
+    /**
+     * Download text content as a file
+     * CSV files get a UTF-8 byte order mark so Excel detects the encoding
+     * @param {string} filename - File name offered to the user
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type (e.g., 'text/csv')
+     */
+    download: function(filename, content, mimeType) {
+        const prefix = mimeType === 'text/csv' ? '\uFEFF' : '';
+        const blob = new Blob([prefix + content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Build a dated file name
+     * @param {string} name - Base name (e.g., 'resultado')
+     * @param {string} extension - File extension without dot
+     * @returns {string} File name (e.g., "carbono-resultado-2026-10-19.csv")
+     */
+    buildFilename: function(name, extension) {
+        return `carbono-${name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+};
@@ -0,0 +1,305 @@
+/**
+ * FormSetup - Builds and wires the calculator form from CONFIG
+ *
+ * Contains methods for:
+ * - Creating transport mode, freight mode and fuel options
+ * - Switching between passenger and freight calculations
+ * - Round-trip, recurring trip and vehicle options
+ * - Distance autofill when cities are selected
+ */
+
+const FormSetup = {
+    /**
+     * Create transport mode radio buttons from TRANSPORT_MODES
+     * Adding a mode to the configuration is enough to show it in the form
+     * @param {string} selectedMode - Mode checked by default (default: 'car')
+     */
+    populateTransportModes: function(selectedMode = 'car') {
+        const grid = document.querySelector('.calculator__transport-grid');
+
+        if (!grid) {
+            console.error('Grade de modos de transporte não encontrada');
+            return;
+        }
+
+        // Clear existing options
+        grid.innerHTML = '';
+
+        // Create a radio option for each transport mode
+        Object.keys(CONFIG.TRANSPORT_MODES).forEach(mode => {
+            const modeData = CONFIG.TRANSPORT_MODES[mode];
+            const option = document.createElement('label');
+            option.className = 'calculator__transport-option';
+            option.innerHTML = `
+                <input 
+                    type="radio" 
+                    name="transport" 
+                    value="${mode}" 
+                    class="calculator__radio"
+                    ${mode === selectedMode ? 'checked' : ''}
+                >
+                <span class="calculator__transport-content">
+                    <span class="calculator__transport-emoji">${modeData.icon}</span>
+                    <span class="calculator__transport-text">${I18n.modeLabel(mode)}</span>
+                </span>
+            `;
+            grid.appendChild(option);
+        });
+
+        console.log(`Grade de transporte preenchida com ${Object.keys(CONFIG.TRANSPORT_MODES).length} modos`);
+    },
+
+    /**
+     * Create freight mode radio buttons from FREIGHT_MODES
+     * @param {string} selectedMode - Mode checked by default (default: 'carreta')
+     */
+    populateFreightModes: function(selectedMode = 'carreta') {
+        const grid = document.querySelector('.calculator__freight-grid');
+
+        if (!grid) {
+            console.error('Grade de modos de frete não encontrada');
+            return;
+        }
+
+        // Clear existing options
+        grid.innerHTML = '';
+
+        // Create a radio option for each freight mode
+        Object.keys(CONFIG.FREIGHT_MODES).forEach(mode => {
+            const modeData = CONFIG.FREIGHT_MODES[mode];
+            const option = document.createElement('label');
+            option.className = 'calculator__transport-option';
+            option.innerHTML = `
+                <input 
+                    type="radio" 
+                    name="freight-mode" 
+                    value="${mode}" 
+                    class="calculator__radio"
+                    ${mode === selectedMode ? 'checked' : ''}
+                >
+                <span class="calculator__transport-content">
+                    <span class="calculator__transport-emoji">${modeData.icon}</span>
+                    <span class="calculator__transport-text">${I18n.freightModeLabel(mode)}</span>
+                </span>
+            `;
+            grid.appendChild(option);
+        });
+
+        console.log(`Grade de frete preenchida com ${Object.keys(CONFIG.FREIGHT_MODES).length} modos`);
+    },
+
+    /**
+     * Setup switching between passenger and freight calculation
+     * Passenger-only fields are hidden in freight mode and vice versa
+     */
+    setupCalculationType: function() {
+        const typeRadios = document.getElementsByName('calculation-type');
+        const freightFields = document.getElementById('freight-fields');
+
+        if (typeRadios.length === 0 || !freightFields) {
+            console.error('Elementos do formulário para o tipo de cálculo não encontrados');
+            return;
+        }
+
+        /**
+         * Helper function to show the fields of the selected calculation type
+         */
+        const updateVisibleFields = () => {
+            const isFreight = document.querySelector('input[name="calculation-type"]:checked').value === 'freight';
+
+            freightFields.classList.toggle('hidden', !isFreight);
+            document.querySelectorAll('.calculator__passenger-only').forEach(element => {
+                element.classList.toggle('hidden', isFreight);
+            });
+        };
+
+        typeRadios.forEach(radio => radio.addEventListener('change', updateVisibleFields));
+        updateVisibleFields();
+
+        console.log('Tipo de cálculo configurado');
+    },
+
+    /**
+     * Setup trip frequency options
+     * Shows trips per week and weeks per year only for recurring trips
+     */
+    setupFrequencyOptions: function() {
+        const recurringCheckbox = document.getElementById('recurring');
+        const recurringFields = document.getElementById('recurring-fields');
+        const tripsPerWeekInput = document.getElementById('trips-per-week');
+        const weeksPerYearInput = document.getElementById('weeks-per-year');
+
+        if (!recurringCheckbox || !recurringFields || !tripsPerWeekInput || !weeksPerYearInput) {
+            console.error('Elementos do formulário para a frequência não encontrados');
+            return;
+        }
+
+        // Start with default frequency values
+        tripsPerWeekInput.value = CONFIG.FREQUENCY.TRIPS_PER_WEEK;
+        weeksPerYearInput.value = CONFIG.FREQUENCY.WEEKS_PER_YEAR;
+
+        // Toggle recurring fields with the checkbox
+        recurringCheckbox.addEventListener('change', function() {
+            if (this.checked) {
+                recurringFields.classList.remove('hidden');
+            } else {
+                recurringFields.classList.add('hidden');
+            }
+        });
+
+        console.log('Opções de frequência configuradas');
+    },
+
+    /**
+     * Setup advanced vehicle options panel
+     * Fills the fuel list and keeps the consumption unit in sync with the selected fuel
+     */
+    setupVehicleOptions: function() {
+        const useVehicleCheckbox = document.getElementById('use-vehicle');
+        const vehicleFields = document.getElementById('vehicle-fields');
+        const fuelSelect = document.getElementById('fuel-type');
+        const consumptionInput = document.getElementById('consumption');
+        const consumptionUnit = document.getElementById('consumption-unit');
+
+        if (!useVehicleCheckbox || !vehicleFields || !fuelSelect || !consumptionInput || !consumptionUnit) {
+            console.error('Elementos do formulário para as opções do veículo não encontrados');
+            return;
+        }
+
+        // Create an option for each fuel type
+        fuelSelect.innerHTML = '';
+        Object.keys(CONFIG.FUEL_TYPES).forEach(fuel => {
+            const option = document.createElement('option');
+            option.value = fuel;
+            option.textContent = I18n.fuelLabel(fuel);
+            fuelSelect.appendChild(option);
+        });
+
+        /**
+         * Helper function to show the unit and typical consumption of the selected fuel
+         */
+        const updateConsumptionUnit = () => {
+            const fuel = CONFIG.FUEL_TYPES[fuelSelect.value];
+            consumptionUnit.textContent = Units.consumptionUnit(fuel.consumptionUnit);
+            consumptionInput.placeholder = I18n.t('form.consumptionPlaceholder', {
+                value: UI.formatNumber(Units.consumption(fuel.defaultConsumption, fuel.consumptionUnit), 1)
+            });
+        };
+
+        fuelSelect.addEventListener('change', updateConsumptionUnit);
+        updateConsumptionUnit();
+
+        // Enable vehicle fields only when the option is checked
+        useVehicleCheckbox.addEventListener('change', function() {
+            vehicleFields.disabled = !this.checked;
+        });
+        vehicleFields.disabled = !useVehicleCheckbox.checked;
+
+        console.log('Opções do veículo configuradas');
+    },
+
+    /**
+     * Setup automatic distance autofill functionality
+     * Listens to origin and destination changes to automatically fill distance
+     * Handles manual distance entry option
+     */
+    setupDistanceAutofill: function() {
+        // Get form elements
+        const originInput = document.getElementById('origin');
+        const destinationInput = document.getElementById('destination');
+        const distanceInput = document.getElementById('distance');
+        const manualDistanceCheckbox = document.getElementById('manual-distance');
+        const helperText = document.querySelector('.calculator__helper');
+
+        if (!originInput || !destinationInput || !distanceInput || !helperText) {
+            console.error('Elementos do formulário para o preenchimento da distância não encontrados');
+            return;
+        }
+
+        /**
+         * Helper function to attempt automatic distance filling
+         */
+        const autoFillDistance = () => {
+            // Skip if manual distance entry is enabled
+            if (manualDistanceCheckbox && manualDistanceCheckbox.checked) {
+                return;
+            }
+
+            const origin = originInput.value.trim();
+            const destination = destinationInput.value.trim();
+
+            // Both fields must be filled
+            if (!origin || !destination) {
+                distanceInput.value = '';
+                distanceInput.classList.remove('success');
+                delete distanceInput.dataset.source;
+                I18n.setText(helperText, 'form.distanceHelper');
+                helperText.style.color = '';
+                return;
+            }
+
+            // Try to find the shortest route between cities
+            const route = RoutesDB.findRoute(origin, destination);
+
+            if (route !== null) {
+                // Distance found - fill input in the display unit and make readonly
+                Units.setDistanceInput(distanceInput, route.distanceKm);
+                distanceInput.setAttribute('readonly', true);
+                distanceInput.classList.add('success');
+                distanceInput.dataset.source = 'table';
+
+                // Show intermediate cities, and where the distance came from unless it is the routes table
+                const notice = CustomRoutes.describeRoute(route);
+                I18n.setText(helperText, notice.key, notice.params);
+                helperText.style.color = notice.conflict ? '#f59e0b' : '#10b981'; // Warning or primary green color
+                return;
+            }
+
+            // No known route - fall back to a great-circle estimate
+            const estimate = RoutesDB.estimateDistance(origin, destination);
+
+            if (estimate !== null) {
+                // Estimate available - fill input but flag it clearly as an estimate
+                Units.setDistanceInput(distanceInput, estimate.distanceKm);
+                distanceInput.setAttribute('readonly', true);
+                distanceInput.classList.remove('success');
+                distanceInput.dataset.source = 'estimated';
+                I18n.setText(helperText, 'distance.estimated', {
+                    straightLine: Units.formatDistance(estimate.straightLineKm),
+                    factor: UI.formatNumber(estimate.windingFactor, 1)
+                });
+                helperText.style.color = '#f59e0b'; // Warning color
+            } else {
+                // Distance not found - clear input and suggest manual entry
+                distanceInput.value = '';
+                distanceInput.classList.remove('success');
+                delete distanceInput.dataset.source;
+                I18n.setText(helperText, 'distance.notFound');
+                helperText.style.color = '#f59e0b'; // Warning color
+            }
+        };
+
+        // Add change event listeners to origin and destination inputs
+        originInput.addEventListener('change', autoFillDistance);
+        destinationInput.addEventListener('change', autoFillDistance);
+
+        // Handle manual distance checkbox
+        if (manualDistanceCheckbox) {
+            manualDistanceCheckbox.addEventListener('change', function() {
+                if (this.checked) {
+                    // Enable manual distance entry
+                    distanceInput.removeAttribute('readonly');
+                    distanceInput.dataset.source = 'manual';
+                    I18n.setText(helperText, 'distance.manual');
+                    helperText.style.color = '';
+                } else {
+                    // Try to autofill again when unchecked
+                    distanceInput.value = '';
+                    autoFillDistance();
+                }
+            });
+        }
+
+        console.log('Preenchimento automático da distância configurado');
+    }
+};
@@ -0,0 +1,170 @@
+/**
+ * TripHistory - Persistent history of calculated trips
+ *
+ * Contains methods for:
+ * - Saving every successful calculation to localStorage
+ * - Reading, deleting and clearing saved trips
+ * - Computing cumulative totals over all saved trips
+ */
+
+const TripHistory = {
+    /**
+     * localStorage key where the history is kept
+     */
+    STORAGE_KEY: 'carbono.history',
+
+    /**
+     * Maximum number of trips kept; the oldest are dropped first
+     */
+    MAX_ENTRIES: 200,
+
+    /**
+     * Get all saved trips
+     * @returns {Array} Array of trip entries, newest first
+     */
+    getAll: function() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            const entries = stored ? JSON.parse(stored) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error('Erro ao ler histórico de viagens:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Persist trips to localStorage
+     * @param {Array} entries - Array of trip entries, newest first
+     */
+    saveAll: function(entries) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries.slice(0, this.MAX_ENTRIES)));
+        } catch (error) {
+            console.error('Erro ao salvar histórico de viagens:', error);
+        }
+    },
+
+    /**
+     * Save a new trip to the history
+     * @param {Object} trip - Trip data: calculationType, origin, destination, distance, mode, modes,
+     *                        emission, credits and form (form state used to re-run the trip)
+     * @returns {Object} Saved entry with generated id and timestamp
+     */
+    add: function(trip) {
+        const entry = Object.assign({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date().toISOString()
+        }, trip);
+
+        const entries = this.getAll();
+        entries.unshift(entry);
+        this.saveAll(entries);
+
+        return entry;
+    },
+
+    /**
+     * Find a saved trip by id
+     * @param {string} id - Entry id
+     * @returns {Object|null} Trip entry if found, null otherwise
+     */
+    get: function(id) {
+        return this.getAll().find(entry => entry.id === id) || null;
+    },
+
+    /**
+     * Delete a saved trip
+     * @param {string} id - Entry id
+     */
+    remove: function(id) {
+        this.saveAll(this.getAll().filter(entry => entry.id !== id));
+    },
+
+    /**
+     * Delete all saved trips
+     */
+    clear: function() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.error('Erro ao limpar histórico de viagens:', error);
+        }
+    },
+
+    /**
+     * Calculate cumulative totals over saved trips
+     * @param {Array} entries - Trip entries (default: all saved trips)
+     * @returns {Object} Object with trips, distance, emission and credits, rounded like Calculator results
+     */
+    getTotals: function(entries = this.getAll()) {
+        const totals = entries.reduce((sum, entry) => ({
+            distance: sum.distance + (entry.distance || 0),
+            emission: sum.emission + (entry.emission || 0),
+            credits: sum.credits + (entry.credits || 0)
+        }), { distance: 0, emission: 0, credits: 0 });
+
+        return {
+            trips: entries.length,
+            distance: Math.round(totals.distance * 100) / 100,
+            emission: Math.round(totals.emission * 100) / 100,
+            credits: Math.round(totals.credits * 10000) / 10000
+        };
+    },
+
+    /**
+     * Sum the emission of saved trips by calendar month and mode
+     * Trips mixing several modes are grouped as 'mixed'; months without trips are included with zero
+     * @param {Array} entries - Trip entries (default: all saved trips)
+     * @returns {Array} Objects with month ('YYYY-MM', local time), emission (kg) and modes (kg by
+     *                  "calculationType:mode" key, e.g., 'passenger:car'), oldest month first
+     */
+    getMonthlyTotals: function(entries = this.getAll()) {
+        const byMonth = {};
+        const monthOf = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+        entries.forEach(entry => {
+            const date = new Date(entry.timestamp);
+
+            if (isNaN(date.getTime())) {
+                return;
+            }
+
+            const month = monthOf(date.getFullYear(), date.getMonth() + 1);
+            const key = `${entry.calculationType || 'passenger'}:${entry.mode || 'mixed'}`;
+            const totals = byMonth[month] || (byMonth[month] = { month: month, emission: 0, modes: {} });
+
+            totals.emission += entry.emission || 0;
+            totals.modes[key] = (totals.modes[key] || 0) + (entry.emission || 0);
+        });
+
+        const months = Object.keys(byMonth).sort();
+
+        if (months.length === 0) {
+            return [];
+        }
+
+        const round = value => Math.round(value * 100) / 100;
+        const last = months[months.length - 1];
+        let [year, month] = months[0].split('-').map(Number);
+        const series = [];
+
+        while (true) {
+            const key = monthOf(year, month);
+            const totals = byMonth[key] || { month: key, emission: 0, modes: {} };
+
+            series.push({
+                month: key,
+                emission: round(totals.emission),
+                modes: Object.fromEntries(Object.entries(totals.modes).map(([mode, emission]) => [mode, round(emission)]))
+            });
+
+            if (key === last) {
+                return series;
+            }
+
+            month = month === 12 ? 1 : month + 1;
+            year = month === 1 ? year + 1 : year;
+        }
+    }
+};
@@ -0,0 +1,323 @@
+/**
+ * I18n - Interface translation and locale-aware formatting
+ *
+ * Contains methods for:
+ * - Registering message catalogs (see js/locales/) and looking up messages
+ * - Choosing and persisting the interface language
+ * - Translating static page text marked with data-i18n attributes
+ *
+ * Messages may contain {name} placeholders, and plural messages are objects
+ * keyed by Intl.PluralRules categories ("one", "other") selected with params.count.
+ */
+
+const I18n = {
+    /**
+     * Language used when no choice is saved and the browser language is not supported
+     * Its catalog is also the fallback for missing messages in other languages.
+     */
+    DEFAULT_LOCALE: 'pt-BR',
+
+    /**
+     * localStorage key where the chosen language is kept
+     */
+    STORAGE_KEY: 'carbono.locale',
+
+    /**
+     * Supported languages with their name and the locale used to format numbers and dates
+     */
+    LOCALES: {
+        'pt-BR': {
+            label: 'Português',
+            formatLocale: 'pt-BR'
+        },
+        en: {
+            label: 'English',
+            formatLocale: 'en-US'
+        },
+        es: {
+            label: 'Español',
+            formatLocale: 'es-AR'
+        }
+    },
+
+    /**
+     * Message catalogs by language
+     */
+    messages: {},
+
+    /**
+     * Current language
+     */
+    locale: 'pt-BR',
+
+    /**
+     * Add messages to the catalog of a language
+     * @param {string} locale - Language code (e.g., 'en')
+     * @param {Object} messages - Messages by key
+     */
+    addMessages: function(locale, messages) {
+        this.messages[locale] = Object.assign(this.messages[locale] || {}, messages);
+    },
+
+    /**
+     * Pick the initial language, translate the page and setup the language switcher
+     */
+    init: function() {
+        this.locale = this.detectLocale();
+        document.documentElement.lang = this.locale;
+        this.translatePage();
+
+        const select = document.getElementById('language-select');
+
+        if (!select) {
+            console.error('Seletor de idioma não encontrado');
+            return;
+        }
+
+        select.innerHTML = Object.keys(this.LOCALES).map(locale =>
+            `<option value="${locale}" ${locale === this.locale ? 'selected' : ''}>${this.LOCALES[locale].label}</option>`
+        ).join('');
+
+        select.addEventListener('change', () => this.setLocale(select.value));
+
+        console.log(`Idioma configurado (${this.locale})`);
+    },
+
+    /**
+     * Find the language to use: saved choice, then browser languages, then the default
+     * @returns {string} Supported language code
+     */
+    detectLocale: function() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            if (saved && this.LOCALES[saved]) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('Erro ao ler idioma salvo:', error);
+        }
+
+        const browserLocales = navigator.languages || [navigator.language || ''];
+
+        for (const browserLocale of browserLocales) {
+            // Match exact codes first (pt-BR), then the language alone (en-GB -> en, pt-PT -> pt-BR)
+            const language = browserLocale.split('-')[0];
+            const match = this.LOCALES[browserLocale] ? browserLocale :
+                Object.keys(this.LOCALES).find(locale => locale.split('-')[0] === language);
+
+            if (match) {
+                return match;
+            }
+        }
+
+        return this.DEFAULT_LOCALE;
+    },
+
+    /**
+     * Change the interface language, save the choice and notify listeners
+     * Dispatches a "localechange" event on document so dynamic content can be re-rendered
+     * @param {string} locale - Supported language code
+     */
+    setLocale: function(locale) {
+        if (!this.LOCALES[locale]) {
+            console.error(`Idioma não suportado: ${locale}`);
+            return;
+        }
+
+        this.locale = locale;
+        document.documentElement.lang = locale;
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, locale);
+        } catch (error) {
+            console.error('Erro ao salvar idioma:', error);
+        }
+
+        this.translatePage();
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: locale } }));
+    },
+
+    /**
+     * Run a function in another language, without saving it or notifying listeners
+     * Lets each embedded widget render in its own language (see js/widget.js)
+     * @param {string} locale - Supported language code; other values keep the current language
+     * @param {Function} callback - Function to run
+     * @returns {*} Value returned by the callback
+     */
+    withLocale: function(locale, callback) {
+        const previous = this.locale;
+        this.locale = this.LOCALES[locale] ? locale : previous;
+
+        try {
+            return callback();
+        } finally {
+            this.locale = previous;
+        }
+    },
+
+    /**
+     * Get the locale used to format numbers, currency and dates
+     * @returns {string} BCP 47 locale (e.g., 'es-AR')
+     */
+    getFormatLocale: function() {
+        return this.LOCALES[this.locale].formatLocale;
+    },
+
+    /**
+     * Check whether a message exists in the current or default language
+     * @param {string} key - Message key
+     * @returns {boolean} True if the message exists
+     */
+    has: function(key) {
+        return this.lookup(key) !== undefined;
+    },
+
+    /**
+     * Find a message in the current language, falling back to the default language
+     * @param {string} key - Message key
+     * @returns {string|Object|undefined} Message, undefined if missing
+     */
+    lookup: function(key) {
+        const current = this.messages[this.locale] || {};
+        const fallback = this.messages[this.DEFAULT_LOCALE] || {};
+
+        return current[key] !== undefined ? current[key] : fallback[key];
+    },
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key (e.g., 'results.distance')
+     * @param {Object} params - Values for {name} placeholders; count also selects the plural form
+     * @returns {string} Translated text, or the key itself when the message is missing
+     */
+    t: function(key, params = {}) {
+        let message = this.lookup(key);
+
+        if (message === undefined) {
+            console.warn(`Mensagem não encontrada: ${key}`);
+            return key;
+        }
+
+        // Plural messages are objects keyed by plural category
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.getFormatLocale()).select(params.count);
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined ? params[name] : placeholder
+        );
+    },
+
+    /**
+     * Translate a configured label, keeping the configuration label when there is no message
+     * @param {string} type - Label type used as key prefix (e.g., 'mode', 'freightMode', 'fuel')
+     * @param {string} id - Item id (e.g., 'car')
+     * @param {string} fallback - Label from the configuration
+     * @returns {string} Translated label
+     */
+    label: function(type, id, fallback) {
+        const key = `${type}.${id}`;
+        return this.has(key) ? this.t(key) : fallback;
+    },
+
+    /**
+     * Get every known label of a configured item, in all languages
+     * Used to accept labels typed in any supported language (e.g., in imported files)
+     * @param {string} type - Label type used as key prefix (e.g., 'mode')
+     * @param {string} id - Item id (e.g., 'car')
+     * @param {string} fallback - Label from the configuration
+     * @returns {Array} Distinct labels
+     */
+    allLabels: function(type, id, fallback) {
+        const key = `${type}.${id}`;
+        const labels = Object.keys(this.messages)
+            .map(locale => this.messages[locale][key])
+            .filter(label => typeof label === 'string');
+
+        return [...new Set([fallback, ...labels])];
+    },
+
+    /**
+     * Get the translated label of a transport mode
+     * @param {string} mode - Transport mode key
+     * @returns {string} Mode label
+     */
+    modeLabel: function(mode) {
+        return this.label('mode', mode, CONFIG.TRANSPORT_MODES[mode].label);
+    },
+
+    /**
+     * Get the translated label of a freight mode
+     * @param {string} mode - Freight mode key
+     * @returns {string} Mode label
+     */
+    freightModeLabel: function(mode) {
+        return this.label('freightMode', mode, CONFIG.FREIGHT_MODES[mode].label);
+    },
+
+    /**
+     * Get the translated label of a fuel type
+     * @param {string} fuel - Fuel type key
+     * @returns {string} Fuel label
+     */
+    fuelLabel: function(fuel) {
+        return this.label('fuel', fuel, CONFIG.FUEL_TYPES[fuel].label);
+    },
+
+    /**
+     * Join items as a natural-language list (e.g., "A, B e C")
+     * @param {Array} items - Strings to join
+     * @returns {string} Formatted list
+     */
+    formatList: function(items) {
+        return new Intl.ListFormat(this.getFormatLocale(), { style: 'long', type: 'conjunction' }).format(items);
+    },
+
+    /**
+     * Set translated text on an element and remember the message,
+     * so translatePage() can update it when the language changes
+     * @param {HTMLElement} element - Target element
+     * @param {string} key - Message key
+     * @param {Object} params - Message params
+     */
+    setText: function(element, key, params = {}) {
+        element.dataset.i18n = key;
+        element.dataset.i18nParams = JSON.stringify(params);
+        element.textContent = this.t(key, params);
+    },
+
+    /**
+     * Translate static text marked with data attributes:
+     * data-i18n (text), data-i18n-html (trusted catalog markup),
+     * data-i18n-placeholder, data-i18n-title and data-i18n-aria-label
+     * @param {HTMLElement|Document} root - Element to translate (default: whole document)
+     */
+    translatePage: function(root = document) {
+        const paramsOf = element => element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, paramsOf(element));
+        });
+
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+
+        if (root === document) {
+            document.title = this.t('app.title');
+        }
+    }
+};
@@ -0,0 +1,238 @@
+/**
+ * Legs - Manager for additional trip legs in the calculator form
+ *
+ * The main form fields are always the first leg. This object handles:
+ * - Adding and removing extra legs, each with origin, destination, distance and mode
+ * - Automatic distance lookup for each extra leg
+ * - Reading extra legs back as plain data objects
+ */
+
+const Legs = {
+    /**
+     * Counter used to generate unique element ids for each leg
+     */
+    nextId: 1,
+
+    /**
+     * Setup the "add leg" button and the container for extra legs
+     */
+    init: function() {
+        const addButton = document.getElementById('add-leg');
+
+        if (!addButton || !document.getElementById('extra-legs')) {
+            console.error('Elementos dos trechos da viagem não encontrados');
+            return;
+        }
+
+        addButton.addEventListener('click', () => this.add());
+
+        console.log('Trechos da viagem configurados');
+    },
+
+    /**
+     * Add a new leg to the form
+     * The origin defaults to the destination of the previous leg
+     * @param {Object} data - Optional initial values: origin, destination, distance, mode
+     * @returns {HTMLElement} The created leg element
+     */
+    add: function(data = {}) {
+        const container = document.getElementById('extra-legs');
+        const id = `leg-${this.nextId++}`;
+
+        // Continue the trip from where the previous leg ended
+        const previousDestination = this.getLastDestination();
+
+        // Build mode options from transport mode metadata
+        const modeOptions = this.buildModeOptions();
+
+        const leg = document.createElement('fieldset');
+        leg.className = 'calculator__leg';
+        leg.dataset.legId = id;
+        leg.innerHTML = `
+            <legend class="calculator__legend calculator__leg-title"></legend>
+
+            <div class="calculator__field">
+                <label for="${id}-origin" class="calculator__label" data-i18n="form.origin">${I18n.t('form.origin')}</label>
+                <input type="text" id="${id}-origin" class="calculator__input calculator__leg-origin" placeholder="${I18n.t('form.cityPlaceholder')}" data-i18n-placeholder="form.cityPlaceholder">
+            </div>
+
+            <div class="calculator__field">
+                <label for="${id}-destination" class="calculator__label" data-i18n="form.destination">${I18n.t('form.destination')}</label>
+                <input type="text" id="${id}-destination" class="calculator__input calculator__leg-destination" placeholder="${I18n.t('form.cityPlaceholder')}" data-i18n-placeholder="form.cityPlaceholder">
+            </div>
+
+            <div class="calculator__field">
+                <label for="${id}-distance" class="calculator__label" data-i18n="form.distance">${I18n.t('form.distance')}</label>
+                <input type="number" id="${id}-distance" class="calculator__input calculator__leg-distance" min="0" step="any">
+                <small class="calculator__helper calculator__leg-helper" data-i18n="legs.distanceHelper">${I18n.t('legs.distanceHelper')}</small>
+            </div>
+
+            <div class="calculator__field">
+                <label for="${id}-mode" class="calculator__label" data-i18n="form.transportMode">${I18n.t('form.transportMode')}</label>
+                <select id="${id}-mode" class="calculator__input calculator__leg-mode">${modeOptions}</select>
+            </div>
+
+            <button type="button" class="calculator__remove-leg" data-i18n="legs.remove">${I18n.t('legs.remove')}</button>
+        `;
+
+        container.appendChild(leg);
+        Units.updateLabels(leg);
+
+        const originInput = leg.querySelector('.calculator__leg-origin');
+        const destinationInput = leg.querySelector('.calculator__leg-destination');
+        const distanceInput = leg.querySelector('.calculator__leg-distance');
+
+        // Apply initial values
+        originInput.value = data.origin || previousDestination;
+        destinationInput.value = data.destination || '';
+        leg.querySelector('.calculator__leg-mode').value = data.mode || 'car';
+        if (data.distance) {
+            Units.setDistanceInput(distanceInput, data.distance);
+            distanceInput.dataset.source = data.distanceSource || 'manual';
+        }
+
+        // City autocomplete and automatic distance lookup
+        Autocomplete.attach(originInput);
+        Autocomplete.attach(destinationInput);
+        originInput.addEventListener('change', () => this.autoFillDistance(leg));
+        destinationInput.addEventListener('change', () => this.autoFillDistance(leg));
+
+        // Typing a distance makes it a manual entry
+        distanceInput.addEventListener('input', () => {
+            distanceInput.dataset.source = 'manual';
+        });
+
+        leg.querySelector('.calculator__remove-leg').addEventListener('click', () => this.remove(leg));
+
+        this.renumber();
+
+        return leg;
+    },
+
+    /**
+     * Build the transport mode options of a leg select
+     * @returns {string} HTML string with one option per transport mode
+     */
+    buildModeOptions: function() {
+        return Object.keys(CONFIG.TRANSPORT_MODES).map(mode => {
+            const modeData = CONFIG.TRANSPORT_MODES[mode];
+            return `<option value="${mode}">${modeData.icon} ${I18n.modeLabel(mode)}</option>`;
+        }).join('');
+    },
+
+    /**
+     * Update mode names of every leg after the language changes, keeping the selected modes
+     */
+    translateModeOptions: function() {
+        document.querySelectorAll('#extra-legs .calculator__leg-mode').forEach(select => {
+            const selected = select.value;
+            select.innerHTML = this.buildModeOptions();
+            select.value = selected;
+        });
+    },
+
+    /**
+     * Remove a leg from the form
+     * @param {HTMLElement} leg - Leg element to remove
+     */
+    remove: function(leg) {
+        leg.remove();
+        this.renumber();
+    },
+
+    /**
+     * Remove all extra legs
+     */
+    clear: function() {
+        document.getElementById('extra-legs').innerHTML = '';
+    },
+
+    /**
+     * Update leg titles after adding or removing legs
+     * The main form is leg 1, so extra legs start at 2
+     */
+    renumber: function() {
+        document.querySelectorAll('#extra-legs .calculator__leg').forEach((leg, index) => {
+            I18n.setText(leg.querySelector('.calculator__leg-title'), 'legs.title', { number: index + 2 });
+        });
+    },
+
+    /**
+     * Get the destination of the last leg currently in the form
+     * @returns {string} Destination city of the last leg (may be empty)
+     */
+    getLastDestination: function() {
+        const legDestinations = document.querySelectorAll('#extra-legs .calculator__leg-destination');
+
+        if (legDestinations.length > 0) {
+            return legDestinations[legDestinations.length - 1].value.trim();
+        }
+
+        const mainDestination = document.getElementById('destination');
+        return mainDestination ? mainDestination.value.trim() : '';
+    },
+
+    /**
+     * Fill the distance of a leg from the routes database
+     * Keeps any distance the user typed by hand
+     * @param {HTMLElement} leg - Leg element
+     */
+    autoFillDistance: function(leg) {
+        const origin = leg.querySelector('.calculator__leg-origin').value.trim();
+        const destination = leg.querySelector('.calculator__leg-destination').value.trim();
+        const distanceInput = leg.querySelector('.calculator__leg-distance');
+        const helperText = leg.querySelector('.calculator__leg-helper');
+
+        if (!origin || !destination || distanceInput.dataset.source === 'manual') {
+            return;
+        }
+
+        // Prefer a known route, then a great-circle estimate
+        const route = RoutesDB.findRoute(origin, destination);
+        const estimate = route ? null : RoutesDB.estimateDistance(origin, destination);
+
+        if (route) {
+            Units.setDistanceInput(distanceInput, route.distanceKm);
+            distanceInput.dataset.source = 'table';
+            const notice = CustomRoutes.describeRoute(route);
+            I18n.setText(helperText, notice.key, notice.params);
+        } else if (estimate) {
+            Units.setDistanceInput(distanceInput, estimate.distanceKm);
+            distanceInput.dataset.source = 'estimated';
+            I18n.setText(helperText, 'legs.estimated');
+        } else {
+            distanceInput.value = '';
+            delete distanceInput.dataset.source;
+            I18n.setText(helperText, 'legs.notFound');
+        }
+    },
+
+    /**
+     * Get an input of an extra leg
+     * @param {number} index - Position of the extra leg (0 for the first extra leg)
+     * @param {string} field - 'origin', 'destination', 'distance' or 'mode'
+     * @returns {HTMLElement|null} Input element, null if the leg does not exist
+     */
+    getInput: function(index, field) {
+        const leg = document.querySelectorAll('#extra-legs .calculator__leg')[index];
+        return leg ? leg.querySelector(`.calculator__leg-${field}`) : null;
+    },
+
+    /**
+     * Read all extra legs from the form
+     * @returns {Array} Array of objects with origin, destination, distance (km), mode and distanceSource
+     */
+    getExtraLegs: function() {
+        return Array.from(document.querySelectorAll('#extra-legs .calculator__leg')).map(leg => {
+            const distanceInput = leg.querySelector('.calculator__leg-distance');
+
+            return {
+                origin: leg.querySelector('.calculator__leg-origin').value.trim(),
+                destination: leg.querySelector('.calculator__leg-destination').value.trim(),
+                distance: Units.readDistanceInput(distanceInput),
+                mode: leg.querySelector('.calculator__leg-mode').value,
+                distanceSource: distanceInput.dataset.source || 'manual'
+            };
+        });
+    }
+};
@@ -0,0 +1,400 @@
+/**
+ * English messages
+ */
+
+I18n.addMessages('en', {
+    // App
+    'app.title': 'CO₂ Emissions Calculator',
+    'app.heading': '🍃 CO₂ Emissions Calculator',
+    'app.subtitle': 'Calculate how much carbon dioxide your trips emit and find out how to contribute to a more sustainable planet.',
+    'app.footer': 'Developed by Teixeira | GitHub Copilot - DIO',
+    'language.label': 'Language',
+    'units.label': 'Units',
+    'units.metric': 'Metric (km, kg)',
+    'units.imperial': 'Imperial (mi, lb)',
+
+    // Form
+    'form.calcType': 'Calculation type',
+    'form.passenger': 'Passengers',
+    'form.freight': 'Cargo (freight)',
+    'form.origin': 'Origin',
+    'form.destination': 'Destination',
+    'form.cityPlaceholder': 'Type a city',
+    'form.distance': 'Distance ({unit})',
+    'form.distanceHelper': 'The distance will be filled in automatically',
+    'form.manualDistance': 'Enter distance manually',
+    'form.transportMode': 'Transport Mode',
+    'form.radiativeForcing': '✈️ Include non-CO₂ effects of flights (radiative forcing)',
+    'form.freightMode': 'Freight Mode',
+    'form.cargoWeight': 'Cargo weight (tonnes)',
+    'form.emptyReturn': 'Include the empty return trip of the vehicle',
+    'form.vehicleOptions': '⚙️ Advanced vehicle options',
+    'form.useVehicle': 'Use my vehicle data (car, motorcycle or truck)',
+    'form.fuel': 'Fuel',
+    'form.consumption': 'Consumption',
+    'form.consumptionPlaceholder': 'E.g.: {value}',
+    'form.passengers': 'Passengers',
+    'form.vehicleHelper': 'The vehicle emission is split among the passengers.',
+    'form.frequency': 'Trip Frequency',
+    'form.oneWay': 'One way',
+    'form.roundTrip': 'Round trip',
+    'form.recurring': 'Recurring trip (e.g., home-to-work commute)',
+    'form.tripsPerWeek': 'Trips per week',
+    'form.weeksPerYear': 'Weeks per year',
+    'form.submit': 'Calculate Emission',
+    'form.calculating': 'Calculating...',
+
+    // Distance autofill
+    'distance.foundVia': '✓ Distance found automatically (via {via})',
+    'distance.found': '✓ Distance found automatically',
+    'distance.estimated': '≈ Estimated distance: {straightLine} in a straight line × {factor} (an estimate, not a known road distance). Check the option below to correct it.',
+    'distance.notFound': 'Route not found. Enter the distance manually or check the option below.',
+    'distance.manual': 'Type the distance manually',
+    'distance.foundSource': '✓ Distance from {sources}',
+    'distance.foundSourceVia': '✓ Distance from {sources} (via {via})',
+    'distance.conflict': '⚠️ Distance from {sources}, but the sources disagree on it. Check "My routes and cities".',
+    'autocomplete.didYouMean': 'Did you mean {city}?',
+
+    // Legs
+    'legs.add': '➕ Add leg',
+    'legs.remove': '🗑️ Remove leg',
+    'legs.title': 'Leg {number}',
+    'legs.distanceHelper': 'Filled in automatically when the route is known',
+    'legs.estimated': '≈ Straight-line estimated distance (not a known road distance)',
+    'legs.notFound': 'Route not found. Enter the distance manually.',
+
+    // Validation and errors
+    'errors.originRequired': 'Enter the origin city.',
+    'errors.destinationRequired': 'Enter the destination city.',
+    'errors.sameOriginDestination': 'The destination is the same city as the origin.',
+    'errors.distance': 'Enter a distance greater than zero.',
+    'errors.distanceTooLong': 'The distance is over {max}, more than halfway around the world. Check the value.',
+    'errors.tripsPerWeek': 'Enter how many trips are made per week.',
+    'errors.weeksPerYear': 'Enter between 1 and 52 weeks per year.',
+    'errors.consumption': 'Enter a consumption greater than zero.',
+    'errors.passengers': 'Enter at least 1 passenger.',
+    'errors.cargoWeight': 'Enter the cargo weight in tonnes.',
+    'errors.formInvalid': {
+        one: '⚠️ Fix the highlighted field to calculate.',
+        other: '⚠️ Fix the {count} highlighted fields to calculate.'
+    },
+    'warnings.implausibleDistance': 'Unusual distance for {mode} (over {max}). Check that the value is right.',
+    'warnings.checkValues': {
+        one: 'ℹ️ Check the highlighted value. The calculation was done anyway.',
+        other: 'ℹ️ Check the {count} highlighted values. The calculation was done anyway.'
+    },
+    'calculationError.invalid-mode': '❌ Unknown transport mode: {mode}. Choose another mode and try again.',
+    'calculationError.invalid-fuel': '❌ Unknown fuel: {fuel}. Choose another fuel and try again.',
+    'calculationError.invalid-freight-mode': '❌ Unknown freight mode: {mode}. Choose another mode and try again.',
+    'calculationError.invalid-market': '❌ Unknown credit market: {market}. Choose another market in the price settings.',
+    'calculationError.invalid-currency': '❌ Currency without exchange rate: {currency}. Choose another currency in the price settings.',
+    'errors.calculation': '❌ An error occurred while processing the calculation. Please try again.',
+    'errors.noResultToExport': '⚠️ Run a calculation before exporting the result.',
+    'errors.noHistoryToExport': '⚠️ There are no saved trips in the history to export.',
+    'errors.noResultToReport': '⚠️ Run a calculation before generating the report.',
+    'errors.noResultToShare': '⚠️ Run a calculation before sharing the result.',
+    'errors.invalidPeriod': '⚠️ The start date must be before the end date.',
+    'errors.emptyPeriod': '⚠️ No trips saved in the selected period.',
+
+    // Results
+    'results.route': 'Route',
+    'results.distance': 'Distance',
+    'results.emission': 'CO₂ Emission',
+    'results.multimodal': 'Multimodal',
+    'results.legs': 'Legs',
+    'results.savings': 'CO₂ Savings',
+    'results.lessThanCar': '{percentage}% less than by car',
+    'results.passengers': { one: '{count} passenger', other: '{count} passengers' },
+    'results.factorPerPassenger': '{factor} per passenger',
+    'results.recurring': 'Recurring Emission',
+    'results.perTrip': 'Per trip',
+    'results.weekly': 'Weekly',
+    'results.monthly': 'Monthly',
+    'results.yearly': 'Yearly',
+    'results.yearlySavings': 'Yearly savings vs car: {value} CO₂',
+
+    // Comparison
+    'comparison.selected': 'Selected',
+    'comparison.vsCar': '{percentage}% vs Car',
+    'comparison.vsSelected': '{difference}% vs selected',
+    'comparison.preview': 'Charts updated with the current form values. Calculate again to update the result and the history.',
+    'comparison.tip': 'Tip',
+    'comparison.zeroEmission': { one: '{modes} produces zero emissions!', other: '{modes} produce zero emissions!' },
+    'comparison.lowestMotorized': {
+        one: '{modes} is the most sustainable motorized option for this distance.',
+        other: '{modes} are the most sustainable motorized options for this distance.'
+    },
+
+    // Charts
+    'charts.modesTitle': 'Emission by transport mode',
+    'charts.curvesTitle': 'Emission by distance',
+    'charts.monthlyTitle': 'Emissions by month',
+    'charts.showTable': 'Show data table',
+    'charts.mode': 'Mode',
+    'charts.emission': 'Emission ({unit} CO₂)',
+    'charts.vsCar': 'Compared to car',
+    'charts.currentTrip': 'Your trip',
+    'charts.emissionAt': '{mode}: {mass} CO₂ over {distance}',
+    'charts.crossover': '{lower} emits less than {higher} from {distance} on',
+    'charts.from': 'From',
+    'charts.lowerMode': 'Emits less',
+    'charts.higherMode': 'Than',
+    'charts.noCrossovers': 'Up to {distance}, no mode starts emitting less than another: the comparison order does not change with distance.',
+    'charts.month': 'Month',
+    'charts.total': 'Total',
+    'charts.mixedModes': 'Several modes',
+    'charts.monthTooltip': '{month} · {mode}: {mass} CO₂',
+
+    // Freight
+    'freight.cargo': 'Cargo',
+    'freight.emptyReturnIncluded': 'Includes {value} from the empty return trip',
+    'freight.emptyReturnNotApplicable': 'Empty return does not apply to this mode',
+    'freight.vehicles': { one: '{count} vehicle of up to {capacity} t', other: '{count} vehicles of up to {capacity} t' },
+    'freight.tip': 'Rail and coastal shipping emit much less per tonne carried. Avoiding empty return trips also reduces road transport emissions.',
+
+    // Carbon credits
+    'credits.title': 'Carbon Credits',
+    'credits.definition': '1 credit = {mass} CO₂',
+    'credits.estimatedValue': 'Estimated Value',
+    'credits.perYear': 'Per Year',
+    'credits.creditsUnit': 'credits',
+    'credits.amount': '{value} credits',
+    'credits.priceSource': 'Price source',
+    'credits.sourceUpdated': '{market} · updated on {date}',
+    'credits.exchangeRate': 'exchange rate 1 {from} = {rate} {to} ({date})',
+    'credits.infoTitle': 'What are Carbon Credits?',
+    'credits.infoText': 'Carbon credits represent the right to emit one tonne of CO₂. You can offset your emissions by investing in sustainability projects such as reforestation, renewable energy and clean technologies.',
+    'credits.offsetButton': 'Offset Emissions',
+
+    // Export
+    'export.title': '📤 Export result',
+    'export.resultCsv': '⬇️ CSV (Excel)',
+    'export.resultTitle': 'CO₂ emissions calculator - Result',
+    'export.historyTitle': 'CO₂ emissions calculator - History',
+    'export.generatedAt': 'Generated on',
+    'export.factorSet': 'Factor set',
+    'export.result': 'Result',
+    'export.averageValue': 'Average value ({currency})',
+    'export.minValue': 'Minimum value ({currency})',
+    'export.maxValue': 'Maximum value ({currency})',
+    'export.leg': 'Leg',
+    'export.comparison': 'Mode comparison',
+    'export.intensity': 'Intensity (g CO₂/t·km)',
+    'export.vehicles': 'Vehicles',
+    'export.emptyReturn': 'Empty return ({unit} CO₂)',
+    'export.percentageVsCar': '% vs car',
+    'export.type': 'Type',
+    'export.distance': 'Distance ({unit})',
+    'export.emission': 'Emission ({unit} CO₂)',
+    'export.units': 'Unit system',
+
+    // Share
+    'share.copyLink': '🔗 Copy link',
+    'share.copied': '✅ Link copied!',
+    'share.copyPrompt': 'Copy the link to this calculation:',
+
+    // App updates
+    'pwa.updateAvailable': 'A new version is available.',
+    'pwa.update': 'Update',
+
+    // Report
+    'report.generate': '🖨️ Generate report',
+    'report.period': 'Period report',
+    'report.from': 'From',
+    'report.to': 'To',
+    'report.generatePeriod': '🖨️ Generate period report',
+    'report.tripTitle': 'Trip emissions report',
+    'report.periodTitle': 'Period emissions report',
+    'report.periodRange': '{from} to {to}',
+    'report.brand': 'CO₂ emissions calculator',
+    'report.factors': 'Factors',
+    'report.print': 'Print / Save as PDF',
+    'report.factor': 'Factor',
+    'report.emptyReturn': 'empty return',
+    'report.creditsNeeded': 'Credits needed',
+    'report.priceRange': 'Price range',
+    'report.creditsNote': '1 credit = {mass} CO₂. Values are estimates and may vary with the market.',
+    'report.comparisonNote': 'Estimated emission to travel {distance} with each mode.',
+    'report.source.table': 'Route table',
+    'report.source.estimated': 'Estimate (straight line)',
+    'report.source.manual': 'Entered manually',
+
+    // Batch calculation
+    'batch.title': '📂 Batch Calculation',
+    'batch.help': 'Upload a CSV file with the columns <code>origin</code>, <code>destination</code>, <code>distance</code> (optional) and <code>mode</code>. When the distance is blank, it is looked up in the route table.',
+    'batch.file': 'CSV file',
+    'batch.readError': '⚠️ The selected file could not be read.',
+    'batch.missingHeader': '⚠️ The file needs a header with the columns origin, destination and mode (distance is optional).',
+    'batch.noTrips': '⚠️ The file does not contain any trips.',
+    'batch.summary': { one: '{calculated} of {count} trip calculated', other: '{calculated} of {count} trips calculated' },
+    'batch.totalEmission': '{value} kg CO₂ in total',
+    'batch.totalsByMode': 'Totals by mode',
+    'batch.line': 'Line',
+    'batch.mode': 'Mode',
+    'batch.distance': 'Distance (km)',
+    'batch.distanceSource': 'Distance source',
+    'batch.emission': 'Emission (kg CO₂)',
+    'batch.status': 'Status',
+    'batch.status.ok': 'ok',
+    'batch.status.route-not-found': 'route not found',
+    'batch.status.invalid-mode': 'invalid mode',
+    'batch.status.invalid-distance': 'invalid distance',
+    'batch.source.table': 'table',
+    'batch.source.manual': 'file',
+    'batch.download': 'Download results (CSV)',
+    'batch.exportTitle': 'CO₂ emissions calculator - Batch calculation',
+
+    // Pricing settings
+    'pricing.title': '💱 Credit prices and currency',
+    'pricing.market': 'Reference market',
+    'pricing.currency': 'Display currency',
+    'pricing.pricesCaption': 'Price per credit (in each market\'s currency)',
+    'pricing.marketColumn': 'Market',
+    'pricing.min': 'Minimum',
+    'pricing.average': 'Average',
+    'pricing.max': 'Maximum',
+    'pricing.ratesCaption': 'Exchange rates (updated on {date})',
+    'pricing.rateLabel': '1 {base} in {currency}',
+    'pricing.userDefined': 'User-defined value',
+    'pricing.save': 'Save prices and rates',
+    'pricing.reset': 'Restore defaults',
+    'pricing.invalidPrices': '⚠️ Invalid prices for {market}: use positive values with minimum ≤ average ≤ maximum.',
+    'pricing.invalidRate': '⚠️ Enter a positive exchange rate for {currency}.',
+
+    // Custom routes
+    'routes.title': '🗺️ My routes and cities',
+    'routes.help': 'Add your own routes and places, such as warehouses and client offices. They are saved in this browser and take precedence over the routes table and loaded packs.',
+    'routes.addRoute': 'Add route',
+    'routes.editRoute': 'Edit route',
+    'routes.saveRoute': 'Add route',
+    'routes.updateRoute': 'Save route',
+    'routes.addCity': 'Add city or place',
+    'routes.editCity': 'Edit city or place',
+    'routes.saveCity': 'Add city',
+    'routes.updateCity': 'Save city',
+    'routes.cancel': 'Cancel',
+    'routes.edit': 'Edit',
+    'routes.delete': 'Delete',
+    'routes.cityName': 'City or place',
+    'routes.cityPlaceholder': 'E.g.: Jundiaí DC, SP',
+    'routes.latitude': 'Latitude',
+    'routes.longitude': 'Longitude',
+    'routes.cityHelper': 'Coordinates are optional; with them, the distance to other cities can be estimated.',
+    'routes.routesCaption': 'My routes',
+    'routes.citiesCaption': 'My cities',
+    'routes.noRoutes': 'No routes added.',
+    'routes.noCities': 'No cities added.',
+    'routes.packsCaption': 'Route packs',
+    'routes.packHelp': 'CSV with origin, destination and distance (km) columns, or JSON with routes and cities lists. Loading a file with the same name replaces the previous pack.',
+    'routes.packFile': 'Load pack (JSON or CSV)',
+    'routes.loadedPacks': 'Loaded packs',
+    'routes.noPacks': 'No packs loaded.',
+    'routes.packName': 'File',
+    'routes.routeCount': 'Routes',
+    'routes.cityCount': 'Cities',
+    'routes.loadedAt': 'Loaded on',
+    'routes.removePack': 'Remove pack',
+    'routes.conflictsCaption': '⚠️ Conflicting distances',
+    'routes.conflict': '{origin} ↔ {destination}: using {used}; also given as {others}',
+    'routes.source.builtin': 'routes table',
+    'routes.source.custom': 'my routes',
+    'routes.invalidRoute': '⚠️ Enter different origin and destination and a distance greater than zero, up to {maxDistance}.',
+    'routes.invalidCity': '⚠️ Enter the city name. Latitude and longitude are optional, but must be given together (latitude between -90 and 90, longitude between -180 and 180).',
+    'routes.invalidPack': '⚠️ The file is not a route pack: use a CSV with origin, destination and distance columns, or a JSON with routes and cities.',
+    'routes.emptyPack': '⚠️ The pack has no valid routes or cities.',
+    'routes.packSkipped': { one: '⚠️ {count} invalid entry of the pack was skipped.', other: '⚠️ {count} invalid entries of the pack were skipped.' },
+
+    // History
+    'history.title': '🕘 Trip History',
+    'history.exportCsv': '⬇️ History CSV',
+    'history.exportJson': '⬇️ History JSON',
+    'history.empty': 'No saved calculations yet. Your calculations will appear here automatically.',
+    'history.rerun': 'Run again',
+    'history.delete': 'Delete',
+    'history.trips': 'Trips',
+    'history.distance': 'Distance',
+    'history.emission': 'Emission',
+    'history.credits': 'Credits',
+    'history.clear': 'Clear history',
+    'history.confirmClear': 'Delete the whole trip history?',
+
+    // Carbon offset
+    'offset.title': '🌍 Offset Emissions',
+    'offset.close': 'Close',
+    'offset.noProvider': '⚠️ No offset provider available.',
+    'offset.loading': 'Loading projects...',
+    'offset.loadError': 'The projects could not be loaded. Please try again later.',
+    'offset.chooseProject': '1. Choose a project',
+    'offset.chooseAmount': '2. How much to offset',
+    'offset.perCredit': '{price}/credit',
+    'offset.thisTrip': 'This trip ({route}): {credits} credits',
+    'offset.tripOffset': 'This trip ({route}) has already been offset',
+    'offset.balance': 'Accumulated history balance: {credits} credits',
+    'offset.balanceReference': 'Accumulated balance',
+    'offset.chooseHint': 'Choose a project and an amount to offset.',
+    'offset.summary': '{credits} credits × {price} = {total}',
+    'offset.provider': 'Provider',
+    'offset.confirm': 'Confirm offset',
+    'offset.processing': 'Processing...',
+    'offset.purchaseError': '⚠️ The offset could not be completed: {message}',
+    'offset.myOffsets': 'My offsets ({count})',
+    'offset.confirmed': 'Offset confirmed!',
+    'offset.receipt': 'Receipt',
+    'offset.date': 'Date',
+    'offset.project': 'Project',
+    'offset.reference': 'Reference',
+    'offset.total': 'Total',
+    'offset.receiptSaved': 'The receipt was saved in this browser.',
+    'offset.done': 'Done',
+
+    // Transport modes
+    'mode.walking': 'On foot',
+    'mode.bicycle': 'Bicycle',
+    'mode.motorcycle': 'Motorcycle',
+    'mode.car': 'Car',
+    'mode.bus': 'Bus',
+    'mode.metro': 'Subway',
+    'mode.train': 'Train',
+    'mode.ferry': 'Ferry',
+    'mode.plane': 'Plane',
+    'mode.truck': 'Truck',
+
+    // Freight modes
+    'freightMode.vuc': 'Urban delivery truck (VUC)',
+    'freightMode.toco': 'Two-axle rigid truck',
+    'freightMode.trucado': 'Three-axle rigid truck',
+    'freightMode.carreta': 'Semi-trailer truck',
+    'freightMode.rail': 'Rail',
+    'freightMode.cabotage': 'Coastal shipping',
+
+    // Fuels
+    'fuel.gasolina': 'Gasoline',
+    'fuel.etanol': 'Ethanol',
+    'fuel.diesel': 'Diesel',
+    'fuel.gnv': 'CNG',
+    'fuel.eletrico': 'Electric',
+    'fuel.hibrido': 'Hybrid',
+
+    // Credit markets and currencies
+    'market.voluntary': 'Voluntary market',
+    'market.regulated': 'Regulated market (SBCE)',
+    'market.eu-ets': 'EU ETS',
+    'currency.BRL': 'Brazilian real (R$)',
+    'currency.USD': 'US dollar (US$)',
+    'currency.EUR': 'Euro (€)',
+
+    // Demonstration offset provider
+    'offsetProvider.mock': 'Demonstration provider (offline)',
+    'offsetProject.reforestation-atlantic-forest.type': 'reforestation',
+    'offsetProject.reforestation-atlantic-forest.name': 'Atlantic Forest reforestation',
+    'offsetProject.reforestation-atlantic-forest.description': 'Planting native species in degraded areas of the São Paulo coast.',
+    'offsetProject.renewable-wind-ne.type': 'renewable energy',
+    'offsetProject.renewable-wind-ne.name': 'Wind farm in Northeast Brazil',
+    'offsetProject.renewable-wind-ne.description': 'Wind power generation replacing fossil-fuel thermal plants.',
+    'offsetProject.redd-amazon.type': 'forest conservation',
+    'offsetProject.redd-amazon.name': 'REDD+ in the Amazon',
+    'offsetProject.redd-amazon.description': 'Protecting standing forest against deforestation in Pará.',
+    'offsetProject.biogas-landfill.type': 'biogas',
+    'offsetProject.biogas-landfill.name': 'Landfill methane capture',
+    'offsetProject.biogas-landfill.description': 'Flaring and energy recovery of methane from sanitary landfills.'
+});
@@ -0,0 +1,400 @@
+/**
+ * Spanish messages
+ */
+
+I18n.addMessages('es', {
+    // App
+    'app.title': 'Calculadora de emisiones de CO₂',
+    'app.heading': '🍃 Calculadora de emisiones de CO₂',
+    'app.subtitle': 'Calculá la cantidad de dióxido de carbono que emiten tus viajes y descubrí cómo contribuir a un planeta más sustentable.',
+    'app.footer': 'Desarrollado por Teixeira | GitHub Copilot - DIO',
+    'language.label': 'Idioma',
+    'units.label': 'Unidades',
+    'units.metric': 'Métrico (km, kg)',
+    'units.imperial': 'Imperial (mi, lb)',
+
+    // Form
+    'form.calcType': 'Tipo de cálculo',
+    'form.passenger': 'Pasajeros',
+    'form.freight': 'Carga (flete)',
+    'form.origin': 'Origen',
+    'form.destination': 'Destino',
+    'form.cityPlaceholder': 'Escribí una ciudad',
+    'form.distance': 'Distancia ({unit})',
+    'form.distanceHelper': 'La distancia se completará automáticamente',
+    'form.manualDistance': 'Ingresar la distancia manualmente',
+    'form.transportMode': 'Medio de Transporte',
+    'form.radiativeForcing': '✈️ Incluir efectos no CO₂ de los vuelos (forzamiento radiativo)',
+    'form.freightMode': 'Modo de Flete',
+    'form.cargoWeight': 'Peso de la carga (toneladas)',
+    'form.emptyReturn': 'Incluir el regreso vacío del vehículo',
+    'form.vehicleOptions': '⚙️ Opciones avanzadas del vehículo',
+    'form.useVehicle': 'Usar los datos de mi vehículo (auto, moto o camión)',
+    'form.fuel': 'Combustible',
+    'form.consumption': 'Consumo',
+    'form.consumptionPlaceholder': 'Ej.: {value}',
+    'form.passengers': 'Pasajeros',
+    'form.vehicleHelper': 'La emisión del vehículo se divide entre los pasajeros.',
+    'form.frequency': 'Frecuencia del Viaje',
+    'form.oneWay': 'Solo ida',
+    'form.roundTrip': 'Ida y vuelta',
+    'form.recurring': 'Viaje recurrente (ej.: trayecto casa-trabajo)',
+    'form.tripsPerWeek': 'Viajes por semana',
+    'form.weeksPerYear': 'Semanas por año',
+    'form.submit': 'Calcular Emisión',
+    'form.calculating': 'Calculando...',
+
+    // Distance autofill
+    'distance.foundVia': '✓ Distancia encontrada automáticamente (vía {via})',
+    'distance.found': '✓ Distancia encontrada automáticamente',
+    'distance.estimated': '≈ Distancia estimada: {straightLine} en línea recta × {factor} (estimación, no es una distancia vial conocida). Marcá la opción de abajo para corregirla.',
+    'distance.notFound': 'Ruta no encontrada. Ingresá la distancia manualmente o marcá la opción de abajo.',
+    'distance.manual': 'Escribí la distancia manualmente',
+    'distance.foundSource': '✓ Distancia de {sources}',
+    'distance.foundSourceVia': '✓ Distancia de {sources} (vía {via})',
+    'distance.conflict': '⚠️ Distancia de {sources}, pero las fuentes no coinciden. Revisalas en "Mis rutas y ciudades".',
+    'autocomplete.didYouMean': '¿Quisiste decir {city}?',
+
+    // Legs
+    'legs.add': '➕ Agregar tramo',
+    'legs.remove': '🗑️ Quitar tramo',
+    'legs.title': 'Tramo {number}',
+    'legs.distanceHelper': 'Se completa automáticamente cuando la ruta es conocida',
+    'legs.estimated': '≈ Distancia estimada en línea recta (no es una distancia vial conocida)',
+    'legs.notFound': 'Ruta no encontrada. Ingresá la distancia manualmente.',
+
+    // Validation and errors
+    'errors.originRequired': 'Indicá la ciudad de origen.',
+    'errors.destinationRequired': 'Indicá la ciudad de destino.',
+    'errors.sameOriginDestination': 'El destino es la misma ciudad que el origen.',
+    'errors.distance': 'Ingresá una distancia mayor que cero.',
+    'errors.distanceTooLong': 'La distancia supera {max}, más de media vuelta al mundo. Revisá el valor.',
+    'errors.tripsPerWeek': 'Indicá cuántos viajes se hacen por semana.',
+    'errors.weeksPerYear': 'Indicá entre 1 y 52 semanas por año.',
+    'errors.consumption': 'Indicá un consumo mayor que cero.',
+    'errors.passengers': 'Indicá al menos 1 pasajero.',
+    'errors.cargoWeight': 'Indicá el peso de la carga en toneladas.',
+    'errors.formInvalid': {
+        one: '⚠️ Corregí el campo destacado para calcular.',
+        other: '⚠️ Corregí los {count} campos destacados para calcular.'
+    },
+    'warnings.implausibleDistance': 'Distancia inusual para {mode} (más de {max}). Revisá que el valor sea correcto.',
+    'warnings.checkValues': {
+        one: 'ℹ️ Revisá el valor destacado. El cálculo se hizo de todos modos.',
+        other: 'ℹ️ Revisá los {count} valores destacados. El cálculo se hizo de todos modos.'
+    },
+    'calculationError.invalid-mode': '❌ Medio de transporte desconocido: {mode}. Elegí otro medio e intentá de nuevo.',
+    'calculationError.invalid-fuel': '❌ Combustible desconocido: {fuel}. Elegí otro combustible e intentá de nuevo.',
+    'calculationError.invalid-freight-mode': '❌ Modo de flete desconocido: {mode}. Elegí otro modo e intentá de nuevo.',
+    'calculationError.invalid-market': '❌ Mercado de créditos desconocido: {market}. Elegí otro mercado en la configuración de precios.',
+    'calculationError.invalid-currency': '❌ Moneda sin tipo de cambio: {currency}. Elegí otra moneda en la configuración de precios.',
+    'errors.calculation': '❌ Ocurrió un error al procesar el cálculo. Por favor, intentá de nuevo.',
+    'errors.noResultToExport': '⚠️ Hacé un cálculo antes de exportar el resultado.',
+    'errors.noHistoryToExport': '⚠️ No hay viajes guardados en el historial para exportar.',
+    'errors.noResultToReport': '⚠️ Hacé un cálculo antes de generar el informe.',
+    'errors.noResultToShare': '⚠️ Hacé un cálculo antes de compartir el resultado.',
+    'errors.invalidPeriod': '⚠️ La fecha inicial debe ser anterior a la fecha final.',
+    'errors.emptyPeriod': '⚠️ No hay viajes guardados en el período seleccionado.',
+
+    // Results
+    'results.route': 'Ruta',
+    'results.distance': 'Distancia',
+    'results.emission': 'Emisión de CO₂',
+    'results.multimodal': 'Multimodal',
+    'results.legs': 'Tramos',
+    'results.savings': 'Ahorro de CO₂',
+    'results.lessThanCar': '{percentage}% menos que en auto',
+    'results.passengers': { one: '{count} pasajero', other: '{count} pasajeros' },
+    'results.factorPerPassenger': '{factor} por pasajero',
+    'results.recurring': 'Emisión Recurrente',
+    'results.perTrip': 'Por viaje',
+    'results.weekly': 'Semanal',
+    'results.monthly': 'Mensual',
+    'results.yearly': 'Anual',
+    'results.yearlySavings': 'Ahorro anual vs auto: {value} CO₂',
+
+    // Comparison
+    'comparison.selected': 'Seleccionado',
+    'comparison.vsCar': '{percentage}% vs Auto',
+    'comparison.vsSelected': '{difference}% vs seleccionado',
+    'comparison.preview': 'Gráficos actualizados con los valores actuales del formulario. Calculá de nuevo para actualizar el resultado y el historial.',
+    'comparison.tip': 'Consejo',
+    'comparison.zeroEmission': { one: '¡{modes} no produce emisiones!', other: '¡{modes} no producen emisiones!' },
+    'comparison.lowestMotorized': {
+        one: '{modes} es la opción motorizada más sustentable para esta distancia.',
+        other: '{modes} son las opciones motorizadas más sustentables para esta distancia.'
+    },
+
+    // Charts
+    'charts.modesTitle': 'Emisión por modo de transporte',
+    'charts.curvesTitle': 'Emisión según la distancia',
+    'charts.monthlyTitle': 'Emisiones por mes',
+    'charts.showTable': 'Ver datos en tabla',
+    'charts.mode': 'Modo',
+    'charts.emission': 'Emisión ({unit} CO₂)',
+    'charts.vsCar': 'En relación al auto',
+    'charts.currentTrip': 'Tu viaje',
+    'charts.emissionAt': '{mode}: {mass} CO₂ en {distance}',
+    'charts.crossover': '{lower} pasa a emitir menos que {higher} a partir de {distance}',
+    'charts.from': 'A partir de',
+    'charts.lowerMode': 'Emite menos',
+    'charts.higherMode': 'Que',
+    'charts.noCrossovers': 'Hasta {distance}, ningún modo pasa a emitir menos que otro: el orden de la comparación no cambia con la distancia.',
+    'charts.month': 'Mes',
+    'charts.total': 'Total',
+    'charts.mixedModes': 'Varios modos',
+    'charts.monthTooltip': '{month} · {mode}: {mass} CO₂',
+
+    // Freight
+    'freight.cargo': 'Carga',
+    'freight.emptyReturnIncluded': 'Incluye {value} del regreso vacío',
+    'freight.emptyReturnNotApplicable': 'El regreso vacío no se aplica a este modo',
+    'freight.vehicles': { one: '{count} vehículo de hasta {capacity} t', other: '{count} vehículos de hasta {capacity} t' },
+    'freight.tip': 'El ferrocarril y el cabotaje emiten mucho menos por tonelada transportada. Evitar regresos vacíos también reduce las emisiones del transporte por carretera.',
+
+    // Carbon credits
+    'credits.title': 'Créditos de Carbono',
+    'credits.definition': '1 crédito = {mass} CO₂',
+    'credits.estimatedValue': 'Valor Estimado',
+    'credits.perYear': 'Por Año',
+    'credits.creditsUnit': 'créditos',
+    'credits.amount': '{value} créditos',
+    'credits.priceSource': 'Fuente del precio',
+    'credits.sourceUpdated': '{market} · actualizado el {date}',
+    'credits.exchangeRate': 'tipo de cambio 1 {from} = {rate} {to} ({date})',
+    'credits.infoTitle': '¿Qué son los Créditos de Carbono?',
+    'credits.infoText': 'Los créditos de carbono representan el derecho a emitir una tonelada de CO₂. Podés compensar tus emisiones invirtiendo en proyectos de sustentabilidad como reforestación, energía renovable y tecnologías limpias.',
+    'credits.offsetButton': 'Compensar Emisiones',
+
+    // Export
+    'export.title': '📤 Exportar resultado',
+    'export.resultCsv': '⬇️ CSV (Excel)',
+    'export.resultTitle': 'Calculadora de emisiones de CO₂ - Resultado',
+    'export.historyTitle': 'Calculadora de emisiones de CO₂ - Historial',
+    'export.generatedAt': 'Generado el',
+    'export.factorSet': 'Conjunto de factores',
+    'export.result': 'Resultado',
+    'export.averageValue': 'Valor promedio ({currency})',
+    'export.minValue': 'Valor mínimo ({currency})',
+    'export.maxValue': 'Valor máximo ({currency})',
+    'export.leg': 'Tramo',
+    'export.comparison': 'Comparación entre modos',
+    'export.intensity': 'Intensidad (g CO₂/t·km)',
+    'export.vehicles': 'Vehículos',
+    'export.emptyReturn': 'Regreso vacío ({unit} CO₂)',
+    'export.percentageVsCar': '% vs auto',
+    'export.type': 'Tipo',
+    'export.distance': 'Distancia ({unit})',
+    'export.emission': 'Emisión ({unit} CO₂)',
+    'export.units': 'Sistema de unidades',
+
+    // Share
+    'share.copyLink': '🔗 Copiar enlace',
+    'share.copied': '✅ ¡Enlace copiado!',
+    'share.copyPrompt': 'Copiá el enlace del cálculo:',
+
+    // App updates
+    'pwa.updateAvailable': 'Hay una nueva versión disponible.',
+    'pwa.update': 'Actualizar',
+
+    // Report
+    'report.generate': '🖨️ Generar informe',
+    'report.period': 'Informe del período',
+    'report.from': 'Desde',
+    'report.to': 'Hasta',
+    'report.generatePeriod': '🖨️ Generar informe del período',
+    'report.tripTitle': 'Informe de emisiones del viaje',
+    'report.periodTitle': 'Informe de emisiones del período',
+    'report.periodRange': '{from} al {to}',
+    'report.brand': 'Calculadora de emisiones de CO₂',
+    'report.factors': 'Factores',
+    'report.print': 'Imprimir / Guardar como PDF',
+    'report.factor': 'Factor',
+    'report.emptyReturn': 'regreso vacío',
+    'report.creditsNeeded': 'Créditos necesarios',
+    'report.priceRange': 'Rango de precios',
+    'report.creditsNote': '1 crédito = {mass} CO₂. Los valores son estimaciones y pueden variar según el mercado.',
+    'report.comparisonNote': 'Emisión estimada para recorrer {distance} con cada modo.',
+    'report.source.table': 'Tabla de rutas',
+    'report.source.estimated': 'Estimación (línea recta)',
+    'report.source.manual': 'Ingresada manualmente',
+
+    // Batch calculation
+    'batch.title': '📂 Cálculo por Lotes',
+    'batch.help': 'Subí un archivo CSV con las columnas <code>origen</code>, <code>destino</code>, <code>distancia</code> (opcional) y <code>modo</code>. Cuando la distancia queda en blanco, se busca en la tabla de rutas.',
+    'batch.file': 'Archivo CSV',
+    'batch.readError': '⚠️ No se pudo leer el archivo seleccionado.',
+    'batch.missingHeader': '⚠️ El archivo necesita un encabezado con las columnas origen, destino y modo (la distancia es opcional).',
+    'batch.noTrips': '⚠️ El archivo no contiene ningún viaje.',
+    'batch.summary': { one: '{calculated} de {count} viaje calculado', other: '{calculated} de {count} viajes calculados' },
+    'batch.totalEmission': '{value} kg CO₂ en total',
+    'batch.totalsByMode': 'Totales por modo',
+    'batch.line': 'Línea',
+    'batch.mode': 'Modo',
+    'batch.distance': 'Distancia (km)',
+    'batch.distanceSource': 'Fuente de la distancia',
+    'batch.emission': 'Emisión (kg CO₂)',
+    'batch.status': 'Estado',
+    'batch.status.ok': 'ok',
+    'batch.status.route-not-found': 'ruta no encontrada',
+    'batch.status.invalid-mode': 'modo inválido',
+    'batch.status.invalid-distance': 'distancia inválida',
+    'batch.source.table': 'tabla',
+    'batch.source.manual': 'archivo',
+    'batch.download': 'Descargar resultados (CSV)',
+    'batch.exportTitle': 'Calculadora de emisiones de CO₂ - Cálculo por lotes',
+
+    // Pricing settings
+    'pricing.title': '💱 Precios de créditos y moneda',
+    'pricing.market': 'Mercado de referencia',
+    'pricing.currency': 'Moneda de visualización',
+    'pricing.pricesCaption': 'Precio por crédito (en la moneda de cada mercado)',
+    'pricing.marketColumn': 'Mercado',
+    'pricing.min': 'Mínimo',
+    'pricing.average': 'Promedio',
+    'pricing.max': 'Máximo',
+    'pricing.ratesCaption': 'Tipos de cambio (actualizados el {date})',
+    'pricing.rateLabel': '1 {base} en {currency}',
+    'pricing.userDefined': 'Valor definido por el usuario',
+    'pricing.save': 'Guardar precios y tipos de cambio',
+    'pricing.reset': 'Restaurar valores predeterminados',
+    'pricing.invalidPrices': '⚠️ Precios inválidos para {market}: usá valores positivos con mínimo ≤ promedio ≤ máximo.',
+    'pricing.invalidRate': '⚠️ Ingresá un tipo de cambio positivo para {currency}.',
+
+    // Custom routes
+    'routes.title': '🗺️ Mis rutas y ciudades',
+    'routes.help': 'Agregá tus propias rutas y lugares, como depósitos y oficinas de clientes. Se guardan en este navegador y tienen prioridad sobre la tabla de rutas y los paquetes cargados.',
+    'routes.addRoute': 'Agregar ruta',
+    'routes.editRoute': 'Editar ruta',
+    'routes.saveRoute': 'Agregar ruta',
+    'routes.updateRoute': 'Guardar ruta',
+    'routes.addCity': 'Agregar ciudad o lugar',
+    'routes.editCity': 'Editar ciudad o lugar',
+    'routes.saveCity': 'Agregar ciudad',
+    'routes.updateCity': 'Guardar ciudad',
+    'routes.cancel': 'Cancelar',
+    'routes.edit': 'Editar',
+    'routes.delete': 'Eliminar',
+    'routes.cityName': 'Ciudad o lugar',
+    'routes.cityPlaceholder': 'Ej.: Depósito Jundiaí, SP',
+    'routes.latitude': 'Latitud',
+    'routes.longitude': 'Longitud',
+    'routes.cityHelper': 'Las coordenadas son opcionales; con ellas se puede estimar la distancia a otras ciudades.',
+    'routes.routesCaption': 'Mis rutas',
+    'routes.citiesCaption': 'Mis ciudades',
+    'routes.noRoutes': 'No agregaste ninguna ruta.',
+    'routes.noCities': 'No agregaste ninguna ciudad.',
+    'routes.packsCaption': 'Paquetes de rutas',
+    'routes.packHelp': 'CSV con las columnas origen, destino y distancia (km), o JSON con las listas routes y cities. Cargar un archivo con el mismo nombre reemplaza el paquete anterior.',
+    'routes.packFile': 'Cargar paquete (JSON o CSV)',
+    'routes.loadedPacks': 'Paquetes cargados',
+    'routes.noPacks': 'No hay paquetes cargados.',
+    'routes.packName': 'Archivo',
+    'routes.routeCount': 'Rutas',
+    'routes.cityCount': 'Ciudades',
+    'routes.loadedAt': 'Cargado el',
+    'routes.removePack': 'Quitar paquete',
+    'routes.conflictsCaption': '⚠️ Distancias que no coinciden',
+    'routes.conflict': '{origin} ↔ {destination}: se usa {used}; también figura {others}',
+    'routes.source.builtin': 'tabla de rutas',
+    'routes.source.custom': 'mis rutas',
+    'routes.invalidRoute': '⚠️ Ingresá un origen y un destino distintos y una distancia mayor que cero, hasta {maxDistance}.',
+    'routes.invalidCity': '⚠️ Ingresá el nombre de la ciudad. La latitud y la longitud son opcionales, pero tienen que ir juntas (latitud entre -90 y 90, longitud entre -180 y 180).',
+    'routes.invalidPack': '⚠️ El archivo no es un paquete de rutas: usá un CSV con las columnas origen, destino y distancia, o un JSON con routes y cities.',
+    'routes.emptyPack': '⚠️ El paquete no tiene ninguna ruta o ciudad válida.',
+    'routes.packSkipped': { one: '⚠️ Se ignoró {count} entrada inválida del paquete.', other: '⚠️ Se ignoraron {count} entradas inválidas del paquete.' },
+
+    // History
+    'history.title': '🕘 Historial de Viajes',
+    'history.exportCsv': '⬇️ Historial CSV',
+    'history.exportJson': '⬇️ Historial JSON',
+    'history.empty': 'Todavía no hay cálculos guardados. Tus cálculos aparecerán acá automáticamente.',
+    'history.rerun': 'Rehacer cálculo',
+    'history.delete': 'Eliminar',
+    'history.trips': 'Viajes',
+    'history.distance': 'Distancia',
+    'history.emission': 'Emisión',
+    'history.credits': 'Créditos',
+    'history.clear': 'Borrar historial',
+    'history.confirmClear': '¿Querés borrar todo el historial de viajes?',
+
+    // Carbon offset
+    'offset.title': '🌍 Compensar Emisiones',
+    'offset.close': 'Cerrar',
+    'offset.noProvider': '⚠️ No hay ningún proveedor de compensación disponible.',
+    'offset.loading': 'Cargando proyectos...',
+    'offset.loadError': 'No se pudieron cargar los proyectos. Intentá de nuevo más tarde.',
+    'offset.chooseProject': '1. Elegí un proyecto',
+    'offset.chooseAmount': '2. Cuánto compensar',
+    'offset.perCredit': '{price}/crédito',
+    'offset.thisTrip': 'Este viaje ({route}): {credits} créditos',
+    'offset.tripOffset': 'Este viaje ({route}) ya fue compensado',
+    'offset.balance': 'Saldo acumulado del historial: {credits} créditos',
+    'offset.balanceReference': 'Saldo acumulado',
+    'offset.chooseHint': 'Elegí un proyecto y una cantidad para compensar.',
+    'offset.summary': '{credits} créditos × {price} = {total}',
+    'offset.provider': 'Proveedor',
+    'offset.confirm': 'Confirmar compensación',
+    'offset.processing': 'Procesando...',
+    'offset.purchaseError': '⚠️ No se pudo completar la compensación: {message}',
+    'offset.myOffsets': 'Mis compensaciones ({count})',
+    'offset.confirmed': '¡Compensación confirmada!',
+    'offset.receipt': 'Comprobante',
+    'offset.date': 'Fecha',
+    'offset.project': 'Proyecto',
+    'offset.reference': 'Referencia',
+    'offset.total': 'Total',
+    'offset.receiptSaved': 'El comprobante se guardó en este navegador.',
+    'offset.done': 'Listo',
+
+    // Transport modes
+    'mode.walking': 'A pie',
+    'mode.bicycle': 'Bicicleta',
+    'mode.motorcycle': 'Moto',
+    'mode.car': 'Auto',
+    'mode.bus': 'Colectivo',
+    'mode.metro': 'Subte',
+    'mode.train': 'Tren',
+    'mode.ferry': 'Ferry',
+    'mode.plane': 'Avión',
+    'mode.truck': 'Camión',
+
+    // Freight modes
+    'freightMode.vuc': 'Camión urbano de reparto (VUC)',
+    'freightMode.toco': 'Camión sencillo (2 ejes)',
+    'freightMode.trucado': 'Camión con doble eje trasero (3 ejes)',
+    'freightMode.carreta': 'Semirremolque',
+    'freightMode.rail': 'Ferroviario',
+    'freightMode.cabotage': 'Cabotaje',
+
+    // Fuels
+    'fuel.gasolina': 'Nafta',
+    'fuel.etanol': 'Etanol',
+    'fuel.diesel': 'Diésel',
+    'fuel.gnv': 'GNC',
+    'fuel.eletrico': 'Eléctrico',
+    'fuel.hibrido': 'Híbrido',
+
+    // Credit markets and currencies
+    'market.voluntary': 'Mercado voluntario',
+    'market.regulated': 'Mercado regulado (SBCE)',
+    'market.eu-ets': 'EU ETS',
+    'currency.BRL': 'Real brasileño (R$)',
+    'currency.USD': 'Dólar estadounidense (US$)',
+    'currency.EUR': 'Euro (€)',
+
+    // Demonstration offset provider
+    'offsetProvider.mock': 'Proveedor de demostración (sin conexión)',
+    'offsetProject.reforestation-atlantic-forest.type': 'reforestación',
+    'offsetProject.reforestation-atlantic-forest.name': 'Reforestación de la Mata Atlántica',
+    'offsetProject.reforestation-atlantic-forest.description': 'Plantación de especies nativas en áreas degradadas del litoral de São Paulo.',
+    'offsetProject.renewable-wind-ne.type': 'energía renovable',
+    'offsetProject.renewable-wind-ne.name': 'Parque eólico en el Nordeste de Brasil',
+    'offsetProject.renewable-wind-ne.description': 'Generación de energía eólica que reemplaza centrales térmicas a combustibles fósiles.',
+    'offsetProject.redd-amazon.type': 'conservación forestal',
+    'offsetProject.redd-amazon.name': 'REDD+ en la Amazonia',
+    'offsetProject.redd-amazon.description': 'Protección del bosque en pie contra la deforestación en Pará.',
+    'offsetProject.biogas-landfill.type': 'biogás',
+    'offsetProject.biogas-landfill.name': 'Captura de metano en rellenos sanitarios',
+    'offsetProject.biogas-landfill.description': 'Quema y aprovechamiento energético del metano de rellenos sanitarios.'
+});
@@ -0,0 +1,350 @@
+/**
+ * Portuguese (Brazil) messages - default language and fallback for missing messages
+ * Mode, fuel and market names come from CONFIG labels.
+ */
+
+I18n.addMessages('pt-BR', {
+    // App
+    'app.title': 'Calculadora de emissão de CO₂',
+    'app.heading': '🍃 Calculadora de emissão de CO₂',
+    'app.subtitle': 'Calcule a quantidade de dióxido de carbono emitida em suas viagens e descubra como contribuir para um planeta mais sustentável.',
+    'app.footer': 'Desenvolvido por Teixeira | GitHub Copilot - DIO',
+    'language.label': 'Idioma',
+    'units.label': 'Unidades',
+    'units.metric': 'Métrico (km, kg)',
+    'units.imperial': 'Imperial (mi, lb)',
+
+    // Form
+    'form.calcType': 'Tipo de cálculo',
+    'form.passenger': 'Passageiros',
+    'form.freight': 'Carga (frete)',
+    'form.origin': 'Origem',
+    'form.destination': 'Destino',
+    'form.cityPlaceholder': 'Digite uma cidade',
+    'form.distance': 'Distância ({unit})',
+    'form.distanceHelper': 'A distância será preenchida automaticamente',
+    'form.manualDistance': 'Inserir distância manualmente',
+    'form.transportMode': 'Modo de Transporte',
+    'form.radiativeForcing': '✈️ Incluir efeitos não-CO₂ dos voos (forçamento radiativo)',
+    'form.freightMode': 'Modo de Frete',
+    'form.cargoWeight': 'Peso da carga (toneladas)',
+    'form.emptyReturn': 'Incluir retorno vazio do veículo',
+    'form.vehicleOptions': '⚙️ Opções avançadas do veículo',
+    'form.useVehicle': 'Usar dados do meu veículo (carro, moto ou caminhão)',
+    'form.fuel': 'Combustível',
+    'form.consumption': 'Consumo',
+    'form.consumptionPlaceholder': 'Ex.: {value}',
+    'form.passengers': 'Passageiros',
+    'form.vehicleHelper': 'A emissão do veículo é dividida entre os passageiros.',
+    'form.frequency': 'Frequência da Viagem',
+    'form.oneWay': 'Somente ida',
+    'form.roundTrip': 'Ida e volta',
+    'form.recurring': 'Viagem recorrente (ex.: trajeto casa-trabalho)',
+    'form.tripsPerWeek': 'Viagens por semana',
+    'form.weeksPerYear': 'Semanas por ano',
+    'form.submit': 'Calcular Emissão',
+    'form.calculating': 'Calculando...',
+
+    // Distance autofill
+    'distance.foundVia': '✓ Distância encontrada automaticamente (via {via})',
+    'distance.found': '✓ Distância encontrada automaticamente',
+    'distance.estimated': '≈ Distância estimada: {straightLine} em linha reta × {factor} (estimativa, não é uma distância rodoviária conhecida). Marque a opção abaixo para corrigir.',
+    'distance.notFound': 'Rota não encontrada. Insira a distância manualmente ou marque a opção abaixo.',
+    'distance.manual': 'Digite a distância manualmente',
+    'distance.foundSource': '✓ Distância de {sources}',
+    'distance.foundSourceVia': '✓ Distância de {sources} (via {via})',
+    'distance.conflict': '⚠️ Distância de {sources}, mas as fontes divergem sobre ela. Confira em "Minhas rotas e cidades".',
+    'autocomplete.didYouMean': 'Você quis dizer {city}?',
+
+    // Legs
+    'legs.add': '➕ Adicionar trecho',
+    'legs.remove': '🗑️ Remover trecho',
+    'legs.title': 'Trecho {number}',
+    'legs.distanceHelper': 'Preenchida automaticamente quando a rota é conhecida',
+    'legs.estimated': '≈ Distância estimada em linha reta (não é uma distância rodoviária conhecida)',
+    'legs.notFound': 'Rota não encontrada. Insira a distância manualmente.',
+
+    // Validation and errors
+    'errors.originRequired': 'Informe a cidade de origem.',
+    'errors.destinationRequired': 'Informe a cidade de destino.',
+    'errors.sameOriginDestination': 'O destino é a mesma cidade da origem.',
+    'errors.distance': 'Informe uma distância maior que zero.',
+    'errors.distanceTooLong': 'A distância passa de {max}, mais que meia volta ao mundo. Confira o valor.',
+    'errors.tripsPerWeek': 'Informe quantas viagens são feitas por semana.',
+    'errors.weeksPerYear': 'Informe entre 1 e 52 semanas por ano.',
+    'errors.consumption': 'Informe um consumo maior que zero.',
+    'errors.passengers': 'Informe pelo menos 1 passageiro.',
+    'errors.cargoWeight': 'Informe o peso da carga em toneladas.',
+    'errors.formInvalid': {
+        one: '⚠️ Corrija o campo destacado para calcular.',
+        other: '⚠️ Corrija os {count} campos destacados para calcular.'
+    },
+    'warnings.implausibleDistance': 'Distância incomum para {mode} (acima de {max}). Confira se o valor está certo.',
+    'warnings.checkValues': {
+        one: 'ℹ️ Confira o valor destacado. O cálculo foi feito mesmo assim.',
+        other: 'ℹ️ Confira os {count} valores destacados. O cálculo foi feito mesmo assim.'
+    },
+    'calculationError.invalid-mode': '❌ Modo de transporte desconhecido: {mode}. Escolha outro modo e tente novamente.',
+    'calculationError.invalid-fuel': '❌ Combustível desconhecido: {fuel}. Escolha outro combustível e tente novamente.',
+    'calculationError.invalid-freight-mode': '❌ Modo de frete desconhecido: {mode}. Escolha outro modo e tente novamente.',
+    'calculationError.invalid-market': '❌ Mercado de créditos desconhecido: {market}. Escolha outro mercado nas configurações de preço.',
+    'calculationError.invalid-currency': '❌ Moeda sem taxa de câmbio: {currency}. Escolha outra moeda nas configurações de preço.',
+    'errors.calculation': '❌ Ocorreu um erro ao processar o cálculo. Por favor, tente novamente.',
+    'errors.noResultToExport': '⚠️ Faça um cálculo antes de exportar o resultado.',
+    'errors.noHistoryToExport': '⚠️ Não há viagens salvas no histórico para exportar.',
+    'errors.noResultToReport': '⚠️ Faça um cálculo antes de gerar o relatório.',
+    'errors.noResultToShare': '⚠️ Faça um cálculo antes de compartilhar o resultado.',
+    'errors.invalidPeriod': '⚠️ A data inicial deve ser anterior à data final.',
+    'errors.emptyPeriod': '⚠️ Nenhuma viagem salva no período selecionado.',
+
+    // Results
+    'results.route': 'Rota',
+    'results.distance': 'Distância',
+    'results.emission': 'Emissão de CO₂',
+    'results.multimodal': 'Multimodal',
+    'results.legs': 'Trechos',
+    'results.savings': 'Economia de CO₂',
+    'results.lessThanCar': '{percentage}% a menos que carro',
+    'results.passengers': { one: '{count} passageiro', other: '{count} passageiros' },
+    'results.factorPerPassenger': '{factor} por passageiro',
+    'results.recurring': 'Emissão Recorrente',
+    'results.perTrip': 'Por viagem',
+    'results.weekly': 'Semanal',
+    'results.monthly': 'Mensal',
+    'results.yearly': 'Anual',
+    'results.yearlySavings': 'Economia anual vs carro: {value} CO₂',
+
+    // Comparison
+    'comparison.selected': 'Selecionado',
+    'comparison.vsCar': '{percentage}% vs Carro',
+    'comparison.vsSelected': '{difference}% vs selecionado',
+    'comparison.preview': 'Gráficos atualizados com os valores atuais do formulário. Calcule novamente para atualizar o resultado e o histórico.',
+    'comparison.tip': 'Dica',
+    'comparison.zeroEmission': { one: '{modes} produz zero emissões!', other: '{modes} produzem zero emissões!' },
+    'comparison.lowestMotorized': {
+        one: '{modes} é a opção motorizada mais sustentável para esta distância.',
+        other: '{modes} são as opções motorizadas mais sustentáveis para esta distância.'
+    },
+
+    // Charts
+    'charts.modesTitle': 'Emissão por modo de transporte',
+    'charts.curvesTitle': 'Emissão conforme a distância',
+    'charts.monthlyTitle': 'Emissões por mês',
+    'charts.showTable': 'Ver dados em tabela',
+    'charts.mode': 'Modo',
+    'charts.emission': 'Emissão ({unit} CO₂)',
+    'charts.vsCar': 'Em relação ao carro',
+    'charts.currentTrip': 'Sua viagem',
+    'charts.emissionAt': '{mode}: {mass} CO₂ em {distance}',
+    'charts.crossover': '{lower} passa a emitir menos que {higher} a partir de {distance}',
+    'charts.from': 'A partir de',
+    'charts.lowerMode': 'Emite menos',
+    'charts.higherMode': 'Que',
+    'charts.noCrossovers': 'Até {distance}, nenhum modo passa a emitir menos que outro: a ordem da comparação não muda com a distância.',
+    'charts.month': 'Mês',
+    'charts.total': 'Total',
+    'charts.mixedModes': 'Vários modos',
+    'charts.monthTooltip': '{month} · {mode}: {mass} CO₂',
+
+    // Freight
+    'freight.cargo': 'Carga',
+    'freight.emptyReturnIncluded': 'Inclui {value} do retorno vazio',
+    'freight.emptyReturnNotApplicable': 'Retorno vazio não se aplica a este modo',
+    'freight.vehicles': { one: '{count} veículo de até {capacity} t', other: '{count} veículos de até {capacity} t' },
+    'freight.tip': 'Ferrovias e cabotagem emitem muito menos por tonelada transportada. Evitar retornos vazios também reduz as emissões do transporte rodoviário.',
+
+    // Carbon credits
+    'credits.title': 'Créditos de Carbono',
+    'credits.definition': '1 crédito = {mass} CO₂',
+    'credits.estimatedValue': 'Valor Estimado',
+    'credits.perYear': 'Por Ano',
+    'credits.creditsUnit': 'créditos',
+    'credits.amount': '{value} créditos',
+    'credits.priceSource': 'Fonte do preço',
+    'credits.sourceUpdated': '{market} · atualizado em {date}',
+    'credits.exchangeRate': 'câmbio 1 {from} = {rate} {to} ({date})',
+    'credits.infoTitle': 'O que são Créditos de Carbono?',
+    'credits.infoText': 'Créditos de carbono representam o direito de emitir uma tonelada de CO₂. Você pode compensar suas emissões investindo em projetos de sustentabilidade como reflorestamento, energia renovável e tecnologias limpas.',
+    'credits.offsetButton': 'Compensar Emissões',
+
+    // Export
+    'export.title': '📤 Exportar resultado',
+    'export.resultCsv': '⬇️ CSV (Excel)',
+    'export.resultTitle': 'Calculadora de emissão de CO₂ - Resultado',
+    'export.historyTitle': 'Calculadora de emissão de CO₂ - Histórico',
+    'export.generatedAt': 'Gerado em',
+    'export.factorSet': 'Conjunto de fatores',
+    'export.result': 'Resultado',
+    'export.averageValue': 'Valor médio ({currency})',
+    'export.minValue': 'Valor mínimo ({currency})',
+    'export.maxValue': 'Valor máximo ({currency})',
+    'export.leg': 'Trecho',
+    'export.comparison': 'Comparação entre modos',
+    'export.intensity': 'Intensidade (g CO₂/t·km)',
+    'export.vehicles': 'Veículos',
+    'export.emptyReturn': 'Retorno vazio ({unit} CO₂)',
+    'export.percentageVsCar': '% vs carro',
+    'export.type': 'Tipo',
+    'export.distance': 'Distância ({unit})',
+    'export.emission': 'Emissão ({unit} CO₂)',
+    'export.units': 'Sistema de unidades',
+
+    // Share
+    'share.copyLink': '🔗 Copiar link',
+    'share.copied': '✅ Link copiado!',
+    'share.copyPrompt': 'Copie o link do cálculo:',
+
+    // App updates
+    'pwa.updateAvailable': 'Nova versão disponível.',
+    'pwa.update': 'Atualizar',
+
+    // Report
+    'report.generate': '🖨️ Gerar relatório',
+    'report.period': 'Relatório do período',
+    'report.from': 'De',
+    'report.to': 'Até',
+    'report.generatePeriod': '🖨️ Gerar relatório do período',
+    'report.tripTitle': 'Relatório de emissões da viagem',
+    'report.periodTitle': 'Relatório de emissões do período',
+    'report.periodRange': '{from} a {to}',
+    'report.brand': 'Calculadora de emissão de CO₂',
+    'report.factors': 'Fatores',
+    'report.print': 'Imprimir / Salvar como PDF',
+    'report.factor': 'Fator',
+    'report.emptyReturn': 'retorno vazio',
+    'report.creditsNeeded': 'Créditos necessários',
+    'report.priceRange': 'Faixa de preço',
+    'report.creditsNote': '1 crédito = {mass} CO₂. Os valores são estimativas e podem variar conforme o mercado.',
+    'report.comparisonNote': 'Emissão estimada para percorrer {distance} com cada modo.',
+    'report.source.table': 'Tabela de rotas',
+    'report.source.estimated': 'Estimativa (linha reta)',
+    'report.source.manual': 'Informada manualmente',
+
+    // Batch calculation
+    'batch.title': '📂 Cálculo em Lote',
+    'batch.help': 'Envie um arquivo CSV com as colunas <code>origem</code>, <code>destino</code>, <code>distancia</code> (opcional) e <code>modo</code>. Quando a distância fica em branco, ela é buscada na tabela de rotas.',
+    'batch.file': 'Arquivo CSV',
+    'batch.readError': '⚠️ Não foi possível ler o arquivo selecionado.',
+    'batch.missingHeader': '⚠️ O arquivo precisa de um cabeçalho com as colunas origem, destino e modo (distância é opcional).',
+    'batch.noTrips': '⚠️ O arquivo não contém nenhuma viagem.',
+    'batch.summary': { one: '{calculated} de {count} viagem calculada', other: '{calculated} de {count} viagens calculadas' },
+    'batch.totalEmission': '{value} kg CO₂ no total',
+    'batch.totalsByMode': 'Totais por modo',
+    'batch.line': 'Linha',
+    'batch.mode': 'Modo',
+    'batch.distance': 'Distância (km)',
+    'batch.distanceSource': 'Fonte da distância',
+    'batch.emission': 'Emissão (kg CO₂)',
+    'batch.status': 'Status',
+    'batch.status.ok': 'ok',
+    'batch.status.route-not-found': 'rota não encontrada',
+    'batch.status.invalid-mode': 'modo inválido',
+    'batch.status.invalid-distance': 'distância inválida',
+    'batch.source.table': 'tabela',
+    'batch.source.manual': 'arquivo',
+    'batch.download': 'Baixar resultados (CSV)',
+    'batch.exportTitle': 'Calculadora de emissão de CO₂ - Cálculo em lote',
+
+    // Pricing settings
+    'pricing.title': '💱 Preços de créditos e moeda',
+    'pricing.market': 'Mercado de referência',
+    'pricing.currency': 'Moeda de exibição',
+    'pricing.pricesCaption': 'Preço por crédito (na moeda de cada mercado)',
+    'pricing.marketColumn': 'Mercado',
+    'pricing.min': 'Mínimo',
+    'pricing.average': 'Médio',
+    'pricing.max': 'Máximo',
+    'pricing.ratesCaption': 'Câmbio (atualizado em {date})',
+    'pricing.rateLabel': '1 {base} em {currency}',
+    'pricing.userDefined': 'Valor definido pelo usuário',
+    'pricing.save': 'Salvar preços e câmbio',
+    'pricing.reset': 'Restaurar padrões',
+    'pricing.invalidPrices': '⚠️ Preços inválidos para {market}: use valores positivos com mínimo ≤ médio ≤ máximo.',
+    'pricing.invalidRate': '⚠️ Informe uma taxa de câmbio positiva para {currency}.',
+
+    // Custom routes
+    'routes.title': '🗺️ Minhas rotas e cidades',
+    'routes.help': 'Adicione rotas e locais próprios, como armazéns e escritórios de clientes. Eles ficam salvos neste navegador e têm prioridade sobre a tabela de rotas e os pacotes carregados.',
+    'routes.addRoute': 'Adicionar rota',
+    'routes.editRoute': 'Editar rota',
+    'routes.saveRoute': 'Adicionar rota',
+    'routes.updateRoute': 'Salvar rota',
+    'routes.addCity': 'Adicionar cidade ou local',
+    'routes.editCity': 'Editar cidade ou local',
+    'routes.saveCity': 'Adicionar cidade',
+    'routes.updateCity': 'Salvar cidade',
+    'routes.cancel': 'Cancelar',
+    'routes.edit': 'Editar',
+    'routes.delete': 'Excluir',
+    'routes.cityName': 'Cidade ou local',
+    'routes.cityPlaceholder': 'Ex.: CD Jundiaí, SP',
+    'routes.latitude': 'Latitude',
+    'routes.longitude': 'Longitude',
+    'routes.cityHelper': 'Coordenadas são opcionais; com elas, a distância até outras cidades pode ser estimada.',
+    'routes.routesCaption': 'Minhas rotas',
+    'routes.citiesCaption': 'Minhas cidades',
+    'routes.noRoutes': 'Nenhuma rota adicionada.',
+    'routes.noCities': 'Nenhuma cidade adicionada.',
+    'routes.packsCaption': 'Pacotes de rotas',
+    'routes.packHelp': 'CSV com as colunas origem, destino e distancia (km), ou JSON com as listas routes e cities. Carregar um arquivo com o mesmo nome substitui o pacote anterior.',
+    'routes.packFile': 'Carregar pacote (JSON ou CSV)',
+    'routes.loadedPacks': 'Pacotes carregados',
+    'routes.noPacks': 'Nenhum pacote carregado.',
+    'routes.packName': 'Arquivo',
+    'routes.routeCount': 'Rotas',
+    'routes.cityCount': 'Cidades',
+    'routes.loadedAt': 'Carregado em',
+    'routes.removePack': 'Remover pacote',
+    'routes.conflictsCaption': '⚠️ Distâncias divergentes',
+    'routes.conflict': '{origin} ↔ {destination}: usando {used}; também informado {others}',
+    'routes.source.builtin': 'tabela de rotas',
+    'routes.source.custom': 'minhas rotas',
+    'routes.invalidRoute': '⚠️ Informe origem e destino diferentes e uma distância maior que zero, até {maxDistance}.',
+    'routes.invalidCity': '⚠️ Informe o nome da cidade. Latitude e longitude são opcionais, mas precisam vir juntas (latitude entre -90 e 90, longitude entre -180 e 180).',
+    'routes.invalidPack': '⚠️ O arquivo não é um pacote de rotas: use um CSV com as colunas origem, destino e distancia, ou um JSON com routes e cities.',
+    'routes.emptyPack': '⚠️ O pacote não contém nenhuma rota ou cidade válida.',
+    'routes.packSkipped': { one: '⚠️ {count} entrada inválida do pacote foi ignorada.', other: '⚠️ {count} entradas inválidas do pacote foram ignoradas.' },
+
+    // History
+    'history.title': '🕘 Histórico de Viagens',
+    'history.exportCsv': '⬇️ Histórico CSV',
+    'history.exportJson': '⬇️ Histórico JSON',
+    'history.empty': 'Nenhum cálculo salvo ainda. Seus cálculos aparecerão aqui automaticamente.',
+    'history.rerun': 'Refazer cálculo',
+    'history.delete': 'Excluir',
+    'history.trips': 'Viagens',
+    'history.distance': 'Distância',
+    'history.emission': 'Emissão',
+    'history.credits': 'Créditos',
+    'history.clear': 'Limpar histórico',
+    'history.confirmClear': 'Deseja apagar todo o histórico de viagens?',
+
+    // Carbon offset
+    'offset.title': '🌍 Compensar Emissões',
+    'offset.close': 'Fechar',
+    'offset.noProvider': '⚠️ Nenhum provedor de compensação disponível.',
+    'offset.loading': 'Carregando projetos...',
+    'offset.loadError': 'Não foi possível carregar os projetos. Tente novamente mais tarde.',
+    'offset.chooseProject': '1. Escolha um projeto',
+    'offset.chooseAmount': '2. Quanto compensar',
+    'offset.perCredit': '{price}/crédito',
+    'offset.thisTrip': 'Esta viagem ({route}): {credits} créditos',
+    'offset.tripOffset': 'Esta viagem ({route}) já foi compensada',
+    'offset.balance': 'Saldo acumulado do histórico: {credits} créditos',
+    'offset.balanceReference': 'Saldo acumulado',
+    'offset.chooseHint': 'Escolha um projeto e uma quantidade para compensar.',
+    'offset.summary': '{credits} créditos × {price} = {total}',
+    'offset.provider': 'Provedor',
+    'offset.confirm': 'Confirmar compensação',
+    'offset.processing': 'Processando...',
+    'offset.purchaseError': '⚠️ Não foi possível concluir a compensação: {message}',
+    'offset.myOffsets': 'Minhas compensações ({count})',
+    'offset.confirmed': 'Compensação confirmada!',
+    'offset.receipt': 'Comprovante',
+    'offset.date': 'Data',
+    'offset.project': 'Projeto',
+    'offset.reference': 'Referência',
+    'offset.total': 'Total',
+    'offset.receiptSaved': 'O comprovante foi salvo neste navegador.',
+    'offset.done': 'Concluir'
+});
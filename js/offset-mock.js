@@ -0,0 +1,101 @@
+/**
+ * MockOffsetProvider - Local offset provider that works offline
+ *
+ * Implements the offset provider adapter used by Offset with a fixed
+ * catalogue of projects and simulated purchase confirmations.
+ * No payment is made and no credit is actually retired.
+ */
+
+const MockOffsetProvider = {
+    id: 'mock',
+
+    name: 'Provedor de demonstração (offline)',
+
+    /**
+     * Simulated network delay in milliseconds
+     */
+    DELAY_MS: 600,
+
+    /**
+     * Project catalogue with price per credit in R$
+     */
+    PROJECTS: [
+        {
+            id: 'reforestation-atlantic-forest',
+            type: 'reflorestamento',
+            name: 'Reflorestamento da Mata Atlântica',
+            description: 'Plantio de espécies nativas em áreas degradadas do litoral paulista.',
+            icon: '🌳',
+            pricePerCredit: 120
+        },
+        {
+            id: 'renewable-wind-ne',
+            type: 'energia renovável',
+            name: 'Parque eólico no Nordeste',
+            description: 'Geração de energia eólica que substitui termelétricas a combustível fóssil.',
+            icon: '💨',
+            pricePerCredit: 55
+        },
+        {
+            id: 'redd-amazon',
+            type: 'conservação florestal',
+            name: 'REDD+ na Amazônia',
+            description: 'Proteção de floresta em pé contra o desmatamento no Pará.',
+            icon: '🌿',
+            pricePerCredit: 85
+        },
+        {
+            id: 'biogas-landfill',
+            type: 'biogás',
+            name: 'Captura de metano em aterro',
+            description: 'Queima e aproveitamento energético do metano de aterros sanitários.',
+            icon: '♻️',
+            pricePerCredit: 50
+        }
+    ],
+
+    /**
+     * Get the projects available for offset, with texts in the interface language
+     * @returns {Promise<Array>} Promise resolving to the project catalogue
+     */
+    getProjects: function() {
+        const translate = (project, field) => I18n.label('offsetProject', `${project.id}.${field}`, project[field]);
+
+        return new Promise(resolve => {
+            setTimeout(() => resolve(this.PROJECTS.map(project => Object.assign({}, project, {
+                type: translate(project, 'type'),
+                name: translate(project, 'name'),
+                description: translate(project, 'description')
+            }))), this.DELAY_MS);
+        });
+    },
+
+    /**
+     * Simulate the purchase of credits from a project
+     * @param {Object} order - Order with projectId, credits, kgCO2 and reference
+     * @returns {Promise<Object>} Promise resolving to an object with transactionId and status
+     */
+    purchase: function(order) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                if (!this.PROJECTS.some(project => project.id === order.projectId)) {
+                    reject(new Error('projeto indisponível'));
+                    return;
+                }
+
+                if (!(order.credits > 0)) {
+                    reject(new Error('quantidade de créditos inválida'));
+                    return;
+                }
+
+                resolve({
+                    transactionId: `MOCK-${Date.now().toString(36).toUpperCase()}`,
+                    status: 'confirmed'
+                });
+            }, this.DELAY_MS);
+        });
+    }
+};
+
+// Register as the default provider
+Offset.registerProvider(MockOffsetProvider);
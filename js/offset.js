@@ -0,0 +1,331 @@
+/**
+ * Offset - Carbon offset checkout flow
+ *
+ * Contains methods for:
+ * - Registering offset providers (pluggable adapters)
+ * - Choosing a project and an amount to offset (this trip or the accumulated balance)
+ * - Confirming the purchase and keeping receipts in localStorage
+ *
+ * Each receipt records the history entries it covers (entryIds), so a saved trip is offset
+ * only once and the balance counts only the trips not yet offset.
+ *
+ * An offset provider is an object with:
+ * - id {string} and name {string}
+ * - getProjects() → Promise resolving to an array of projects with id, type, name,
+ *   description, icon and pricePerCredit (R$ per credit; shown in the display currency)
+ * - purchase(order) → Promise resolving to an object with transactionId, for an order
+ *   with projectId, credits, kgCO2 and reference
+ */
+
+const Offset = {
+    /**
+     * localStorage key where offset receipts are kept
+     */
+    STORAGE_KEY: 'carbono.offsets',
+
+    /**
+     * Currency of the project prices of the offset providers
+     */
+    PRICE_CURRENCY: 'BRL',
+
+    /**
+     * Registered offset providers by id
+     */
+    providers: {},
+
+    /**
+     * Id of the provider used for checkout
+     */
+    providerId: null,
+
+    /**
+     * Current checkout: trip, balance and the entries it covers, display currency and projects offered by the provider
+     */
+    checkout: null,
+
+    /**
+     * Register an offset provider; the first one registered becomes the active provider
+     * @param {Object} provider - Offset provider adapter
+     */
+    registerProvider: function(provider) {
+        this.providers[provider.id] = provider;
+
+        if (!this.providerId) {
+            this.providerId = provider.id;
+        }
+    },
+
+    /**
+     * Get the active offset provider
+     * @returns {Object|null} Offset provider adapter, null if none is registered
+     */
+    getProvider: function() {
+        return this.providers[this.providerId] || null;
+    },
+
+    /**
+     * Get all saved offset receipts
+     * @returns {Array} Array of receipts, newest first
+     */
+    getReceipts: function() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            const receipts = stored ? JSON.parse(stored) : [];
+            return Array.isArray(receipts) ? receipts : [];
+        } catch (error) {
+            console.error('Erro ao ler comprovantes de compensação:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Save an offset receipt
+     * @param {Object} receipt - Receipt of a confirmed purchase
+     */
+    saveReceipt: function(receipt) {
+        const receipts = this.getReceipts();
+        receipts.unshift(receipt);
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(receipts));
+        } catch (error) {
+            console.error('Erro ao salvar comprovante de compensação:', error);
+        }
+    },
+
+    /**
+     * Get the ids of the history entries already offset
+     * @param {Array} receipts - Offset receipts (default: saved receipts)
+     * @returns {Set} Ids of the entries covered by any receipt
+     */
+    getCoveredIds: function(receipts = this.getReceipts()) {
+        return new Set(receipts.reduce((ids, receipt) => ids.concat(receipt.entryIds || []), []));
+    },
+
+    /**
+     * Get the saved trips not yet offset
+     * @returns {Array} History entries with credits that no receipt covers
+     */
+    getPendingEntries: function() {
+        const covered = this.getCoveredIds();
+
+        return TripHistory.getAll().filter(entry => entry.credits > 0 && !covered.has(entry.id));
+    },
+
+    /**
+     * Calculate credits from saved trips not yet offset
+     * @returns {number} Accumulated balance in credits (never negative)
+     */
+    getBalance: function() {
+        const tripCredits = this.getPendingEntries().reduce((sum, entry) => sum + entry.credits, 0);
+
+        // Receipts saved before they recorded their entries can only be subtracted from the total
+        const unlinkedCredits = this.getReceipts()
+            .filter(receipt => !Array.isArray(receipt.entryIds))
+            .reduce((sum, receipt) => sum + receipt.credits, 0);
+
+        return Math.max(Math.round((tripCredits - unlinkedCredits) * 10000) / 10000, 0);
+    },
+
+    /**
+     * Convert a project price to the display currency
+     * @param {number} value - Price in the providers' currency (PRICE_CURRENCY)
+     * @param {string} currency - Display currency code
+     * @returns {number} Price in the display currency (not rounded)
+     */
+    convertPrice: function(value, currency) {
+        return Calculator.convertCurrency(value, this.PRICE_CURRENCY, currency);
+    },
+
+    /**
+     * Setup the offset dialog
+     */
+    init: function() {
+        const dialog = document.getElementById('offset-dialog');
+        const content = document.getElementById('offset-content');
+
+        if (!dialog || !content) {
+            console.error('Elementos da compensação de carbono não encontrados');
+            return;
+        }
+
+        dialog.addEventListener('click', (event) => {
+            if (event.target.closest('[data-action="offset-close"]')) {
+                this.close();
+            }
+        });
+
+        // Update total price whenever project or amount changes
+        content.addEventListener('change', () => this.updateSummary());
+
+        content.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.confirm();
+        });
+
+        console.log('Compensação de carbono configurada');
+    },
+
+    /**
+     * Open the offset dialog for the current trip
+     * @param {Object} trip - Object with credits of the current trip, its route label and
+     *                        entryId (id of its history entry, null when it was not saved)
+     */
+    open: function(trip) {
+        const provider = this.getProvider();
+        const dialog = document.getElementById('offset-dialog');
+        const content = document.getElementById('offset-content');
+
+        if (!provider) {
+            alert(I18n.t('offset.noProvider'));
+            return;
+        }
+
+        content.innerHTML = `<p class="offset__loading"><span class="spinner"></span> ${I18n.t('offset.loading')}</p>`;
+
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+
+        provider.getProjects()
+            .then(projects => {
+                const currency = CONFIG.CURRENCY.SELECTED;
+
+                this.checkout = {
+                    trip: Object.assign({ offset: this.getCoveredIds().has(trip.entryId) }, trip),
+                    balance: this.getBalance(),
+                    entryIds: this.getPendingEntries().map(entry => entry.id),
+                    currency: currency,
+                    // Price per credit in the display currency, next to the provider's pricePerCredit
+                    projects: projects.map(project => Object.assign({ price: this.convertPrice(project.pricePerCredit, currency) }, project))
+                };
+
+                content.innerHTML = UI.renderOffsetForm(this.checkout, provider, this.getReceipts());
+                this.updateSummary();
+            })
+            .catch(error => {
+                console.error('Erro ao carregar projetos de compensação:', error);
+                content.innerHTML = `<p class="offset__error">${I18n.t('offset.loadError')}</p>`;
+            });
+    },
+
+    /**
+     * Close the offset dialog
+     */
+    close: function() {
+        const dialog = document.getElementById('offset-dialog');
+
+        if (typeof dialog.close === 'function') {
+            dialog.close();
+        } else {
+            dialog.removeAttribute('open');
+        }
+
+        this.checkout = null;
+    },
+
+    /**
+     * Read the project and amount currently selected in the offset form
+     * @returns {Object|null} Object with project, scope and credits, null if nothing is selected
+     */
+    getSelection: function() {
+        const projectInput = document.querySelector('input[name="offset-project"]:checked');
+        const amountInput = document.querySelector('input[name="offset-amount"]:checked');
+
+        if (!this.checkout || !projectInput || !amountInput) {
+            return null;
+        }
+
+        const scope = amountInput.value;
+
+        return {
+            project: this.checkout.projects.find(project => project.id === projectInput.value),
+            scope: scope,
+            credits: scope === 'balance' ? this.checkout.balance : this.checkout.trip.credits
+        };
+    },
+
+    /**
+     * Show the total price of the current selection
+     */
+    updateSummary: function() {
+        const summary = document.getElementById('offset-summary');
+        const confirmButton = document.getElementById('offset-confirm');
+        const selection = this.getSelection();
+
+        if (!summary || !confirmButton) {
+            return;
+        }
+
+        if (!selection || selection.credits <= 0) {
+            summary.textContent = I18n.t('offset.chooseHint');
+            confirmButton.disabled = true;
+            return;
+        }
+
+        const total = selection.credits * selection.project.price;
+        summary.textContent = I18n.t('offset.summary', {
+            credits: UI.formatNumber(selection.credits, 4),
+            price: UI.formatCurrency(selection.project.price, this.checkout.currency),
+            total: UI.formatCurrency(total, this.checkout.currency)
+        });
+        confirmButton.disabled = false;
+    },
+
+    /**
+     * Confirm the purchase with the provider, save the receipt and show it
+     */
+    confirm: function() {
+        const provider = this.getProvider();
+        const selection = this.getSelection();
+        const content = document.getElementById('offset-content');
+        const confirmButton = document.getElementById('offset-confirm');
+
+        if (!selection || selection.credits <= 0) {
+            return;
+        }
+
+        const trip = this.checkout.trip;
+        const order = {
+            projectId: selection.project.id,
+            credits: selection.credits,
+            kgCO2: Math.round(selection.credits * CONFIG.CARBON_CREDIT.KG_PER_CREDIT * 100) / 100,
+            reference: selection.scope === 'balance' ? I18n.t('offset.balanceReference') : trip.route
+        };
+        const entryIds = selection.scope === 'balance' ? this.checkout.entryIds : (trip.entryId ? [trip.entryId] : []);
+        const currency = this.checkout.currency;
+
+        UI.showLoading(confirmButton, I18n.t('offset.processing'));
+
+        provider.purchase(order)
+            .then(confirmation => {
+                const receipt = {
+                    id: confirmation.transactionId,
+                    timestamp: new Date().toISOString(),
+                    providerId: provider.id,
+                    providerName: provider.name,
+                    projectId: selection.project.id,
+                    projectName: selection.project.name,
+                    projectType: selection.project.type,
+                    scope: selection.scope,
+                    reference: order.reference,
+                    entryIds: entryIds,
+                    credits: order.credits,
+                    kgCO2: order.kgCO2,
+                    pricePerCredit: selection.project.pricePerCredit,
+                    currency: currency,
+                    total: Math.round(order.credits * selection.project.price * 100) / 100
+                };
+
+                this.saveReceipt(receipt);
+                content.innerHTML = UI.renderOffsetReceipt(receipt);
+            })
+            .catch(error => {
+                console.error('Erro ao confirmar compensação:', error);
+                UI.hideLoading(confirmButton);
+                alert(I18n.t('offset.purchaseError', { message: error.message }));
+            });
+    }
+};
@@ -0,0 +1,279 @@
+/**
+ * Pricing - Carbon credit price sources, display currency and exchange rates
+ *
+ * Prices are layered, each layer overriding the previous one:
+ * 1. Built-in defaults in CONFIG.CARBON_CREDIT and CONFIG.CURRENCY
+ * 2. The local data file data/credit-prices.json (when served over HTTP)
+ * 3. The user's overrides saved in localStorage
+ *
+ * Contains methods for:
+ * - Loading price data and applying user settings to CONFIG
+ * - Rendering and handling the pricing settings panel
+ */
+
+const Pricing = {
+    /**
+     * Local JSON file with market prices and exchange rates
+     */
+    DATA_URL: 'data/credit-prices.json',
+
+    /**
+     * localStorage key where the user's pricing settings are kept
+     */
+    STORAGE_KEY: 'carbono.pricing',
+
+    /**
+     * Prices and rates before user overrides (defaults or data file)
+     */
+    base: null,
+
+    /**
+     * Callback run after settings change, so open results can be re-priced
+     */
+    onChange: null,
+
+    /**
+     * Apply saved settings and load the price data file
+     * @param {Function} onChange - Called after prices, rates or selections change
+     */
+    init: function(onChange) {
+        this.onChange = onChange || null;
+
+        // Keep a copy of the built-in defaults to rebuild from
+        this.base = {
+            markets: JSON.parse(JSON.stringify(CONFIG.CARBON_CREDIT.MARKETS)),
+            rates: Object.assign({}, CONFIG.CURRENCY.RATES),
+            ratesUpdatedAt: CONFIG.CURRENCY.UPDATED_AT,
+            market: CONFIG.CARBON_CREDIT.MARKET,
+            currency: CONFIG.CURRENCY.SELECTED
+        };
+
+        this.apply();
+        this.setupSettings();
+        this.load();
+    },
+
+    /**
+     * Load market prices and exchange rates from the local data file
+     * Keeps the built-in defaults when the file can't be read (e.g., page opened from disk)
+     * @returns {Promise} Promise resolved when loading finishes
+     */
+    load: function() {
+        if (typeof fetch !== 'function') {
+            return Promise.resolve();
+        }
+
+        return fetch(this.DATA_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                if (data.markets) {
+                    Object.assign(this.base.markets, data.markets);
+                }
+                if (data.exchangeRates && data.exchangeRates.rates) {
+                    this.base.rates = Object.assign({}, this.base.rates, data.exchangeRates.rates);
+                    this.base.ratesUpdatedAt = data.exchangeRates.updatedAt || this.base.ratesUpdatedAt;
+                }
+
+                this.apply();
+                this.renderSettings();
+                this.notify();
+            })
+            .catch(error => {
+                console.warn('Usando preços de crédito padrão; arquivo de preços indisponível:', error.message);
+            });
+    },
+
+    /**
+     * Get the user's pricing settings
+     * @returns {Object} Object with market, currency, markets (price overrides by market id) and rates
+     */
+    getSettings: function() {
+        const defaults = { market: null, currency: null, markets: {}, rates: {} };
+
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            return stored ? Object.assign(defaults, JSON.parse(stored)) : defaults;
+        } catch (error) {
+            console.error('Erro ao ler configurações de preço:', error);
+            return defaults;
+        }
+    },
+
+    /**
+     * Save the user's pricing settings and apply them
+     * @param {Object} settings - Object with market, currency, markets and rates
+     */
+    saveSettings: function(settings) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Erro ao salvar configurações de preço:', error);
+        }
+
+        this.apply();
+        this.notify();
+    },
+
+    /**
+     * Remove all user overrides and go back to the loaded prices
+     */
+    resetSettings: function() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.error('Erro ao limpar configurações de preço:', error);
+        }
+
+        this.apply();
+        this.notify();
+    },
+
+    /**
+     * Rebuild CONFIG prices, rates and selections from the base data and the user's settings
+     * Overridden markets are flagged with userDefined so their source is shown in the interface language
+     */
+    apply: function() {
+        const settings = this.getSettings();
+        const today = new Date().toISOString().slice(0, 10);
+
+        // Market prices, each override dated and flagged as user-defined
+        const markets = JSON.parse(JSON.stringify(this.base.markets));
+        Object.keys(settings.markets).forEach(id => {
+            if (markets[id]) {
+                Object.assign(markets[id], settings.markets[id], {
+                    userDefined: true,
+                    updatedAt: settings.markets[id].updatedAt || today
+                });
+            }
+        });
+        CONFIG.CARBON_CREDIT.MARKETS = markets;
+
+        // Exchange rates
+        const hasRateOverrides = Object.keys(settings.rates).length > 0;
+        CONFIG.CURRENCY.RATES = Object.assign({}, this.base.rates, settings.rates);
+        CONFIG.CURRENCY.UPDATED_AT = hasRateOverrides ? (settings.ratesUpdatedAt || today) : this.base.ratesUpdatedAt;
+
+        // Selected market and currency, ignoring ids that no longer exist
+        CONFIG.CARBON_CREDIT.MARKET = settings.market && markets[settings.market] ? settings.market : this.base.market;
+        CONFIG.CURRENCY.SELECTED = settings.currency && CONFIG.CURRENCY.RATES[settings.currency] ? settings.currency : this.base.currency;
+    },
+
+    /**
+     * Run the change callback, if any
+     */
+    notify: function() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    },
+
+    /**
+     * Setup the pricing settings panel
+     */
+    setupSettings: function() {
+        const content = document.getElementById('pricing-content');
+
+        if (!content) {
+            console.error('Painel de preços não encontrado');
+            return;
+        }
+
+        this.renderSettings();
+
+        // Market and currency apply right away
+        content.addEventListener('change', (event) => {
+            if (event.target.id === 'pricing-market' || event.target.id === 'pricing-currency') {
+                const settings = this.getSettings();
+                settings.market = document.getElementById('pricing-market').value;
+                settings.currency = document.getElementById('pricing-currency').value;
+                this.saveSettings(settings);
+            }
+        });
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.action === 'pricing-save') {
+                this.saveOverrides();
+            } else if (button.dataset.action === 'pricing-reset') {
+                this.resetSettings();
+                this.renderSettings();
+            }
+        });
+
+        console.log('Painel de preços configurado');
+    },
+
+    /**
+     * Render the settings panel from the current configuration
+     */
+    renderSettings: function() {
+        const content = document.getElementById('pricing-content');
+
+        if (content) {
+            content.innerHTML = UI.renderPricingSettings(CONFIG.CARBON_CREDIT, CONFIG.CURRENCY);
+        }
+    },
+
+    /**
+     * Read price and rate overrides from the panel, validate and save them
+     */
+    saveOverrides: function() {
+        const settings = this.getSettings();
+        const today = new Date().toISOString().slice(0, 10);
+        const markets = {};
+        const rates = {};
+
+        for (const id of Object.keys(CONFIG.CARBON_CREDIT.MARKETS)) {
+            const current = CONFIG.CARBON_CREDIT.MARKETS[id];
+            const read = field => parseFloat(document.getElementById(`pricing-${id}-${field}`).value);
+            const prices = { min: read('min'), average: read('average'), max: read('max') };
+
+            if (!(prices.min > 0) || !(prices.max >= prices.average) || !(prices.average >= prices.min)) {
+                alert(I18n.t('pricing.invalidPrices', { market: I18n.label('market', id, current.label) }));
+                return;
+            }
+
+            // Only keep markets the user actually changed
+            if (prices.min !== current.min || prices.average !== current.average || prices.max !== current.max) {
+                markets[id] = Object.assign(prices, { updatedAt: today });
+            } else if (settings.markets[id]) {
+                markets[id] = settings.markets[id];
+            }
+        }
+
+        for (const currency of Object.keys(CONFIG.CURRENCY.RATES)) {
+            if (currency === CONFIG.CURRENCY.BASE) {
+                continue;
+            }
+
+            const rate = parseFloat(document.getElementById(`pricing-rate-${currency}`).value);
+
+            if (!(rate > 0)) {
+                alert(I18n.t('pricing.invalidRate', { currency: currency }));
+                return;
+            }
+
+            if (rate !== CONFIG.CURRENCY.RATES[currency] || settings.rates[currency]) {
+                rates[currency] = rate;
+            }
+        }
+
+        const ratesChanged = Object.keys(rates).some(currency => rates[currency] !== CONFIG.CURRENCY.RATES[currency]);
+
+        this.saveSettings(Object.assign(settings, {
+            markets: markets,
+            rates: rates,
+            ratesUpdatedAt: ratesChanged ? today : settings.ratesUpdatedAt
+        }));
+        this.renderSettings();
+    }
+};
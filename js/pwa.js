@@ -0,0 +1,99 @@
+/**
+ * PWA - Offline support and app updates
+ *
+ * Contains methods for:
+ * - Registering the service worker (sw.js) that precaches the app for offline use
+ * - Showing an update prompt when a new version has been downloaded
+ * - Reloading the page once the user accepts the update
+ */
+
+const PWA = {
+    /**
+     * Service worker script, relative to index.html so its scope covers the whole app
+     */
+    SERVICE_WORKER_URL: 'sw.js',
+
+    /**
+     * New service worker waiting to replace the running one
+     */
+    waitingWorker: null,
+
+    /**
+     * Whether the user asked to update, so the next controller change reloads the page
+     */
+    updating: false,
+
+    /**
+     * Register the service worker and setup the update prompt
+     */
+    init: function() {
+        if (!('serviceWorker' in navigator)) {
+            console.warn('Service worker não suportado; o app funciona apenas online');
+            return;
+        }
+
+        // Service workers need http(s); a page opened from disk still works, without offline support
+        if (!/^https?:$/.test(window.location.protocol)) {
+            return;
+        }
+
+        const updateButton = document.getElementById('update-button');
+        if (updateButton) {
+            updateButton.addEventListener('click', () => this.applyUpdate());
+        }
+
+        navigator.serviceWorker.register(this.SERVICE_WORKER_URL)
+            .then(registration => {
+                // A new version finished downloading while the page was closed
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdate(registration.waiting);
+                }
+
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+
+                    worker.addEventListener('statechange', () => {
+                        // With a controller this is an update; without one it is the first install
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.showUpdate(worker);
+                        }
+                    });
+                });
+
+                console.log('Suporte offline configurado');
+            })
+            .catch(error => {
+                console.error('Erro ao registrar service worker:', error);
+            });
+
+        // The new version took over after the user accepted the update
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) {
+                this.updating = false;
+                window.location.reload();
+            }
+        });
+    },
+
+    /**
+     * Show the update prompt for a downloaded version
+     * @param {ServiceWorker} worker - Installed service worker waiting to activate
+     */
+    showUpdate: function(worker) {
+        this.waitingWorker = worker;
+        UI.showElement('update-banner');
+    },
+
+    /**
+     * Activate the waiting version; the page reloads when it takes control
+     */
+    applyUpdate: function() {
+        if (!this.waitingWorker) {
+            return;
+        }
+
+        this.updating = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        UI.hideElement('update-banner');
+    }
+};
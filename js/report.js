@@ -0,0 +1,356 @@
+/**
+ * Report - Printable emissions report for a trip or a period
+ *
+ * Contains methods for:
+ * - Building report data from the current result or from saved trips in a date range
+ * - Rendering a self-contained HTML document with a print stylesheet
+ * - Opening the report for printing or "Save as PDF"
+ *
+ * Report texts use the interface language at the time the report is built.
+ */
+
+const Report = {
+    /**
+     * Build report data from the last calculation
+     * @param {Object} calculation - Last calculation: calculationType, timestamp, result, comparison, credits and form
+     * @returns {Object} Report data
+     */
+    buildTripReport: function(calculation) {
+        const { calculationType, timestamp, result, comparison, credits, form } = calculation;
+
+        const trip = calculationType === 'freight' ?
+            this.buildFreightTrip(form, result.emission, timestamp) :
+            this.buildPassengerTrip(form, timestamp);
+
+        return {
+            title: I18n.t('report.tripTitle'),
+            subtitle: `${result.origin} ${form.frequency && form.frequency.roundTrip ? '⇄' : '→'} ${result.destination}`,
+            trips: [trip],
+            totals: {
+                distance: result.distance,
+                emission: result.emission
+            },
+            comparison: {
+                calculationType: calculationType,
+                distance: result.distance,
+                modes: comparison
+            },
+            credits: credits
+        };
+    },
+
+    /**
+     * Build report data from saved trips within a date range
+     * @param {Array} entries - Trip entries from TripHistory.getAll()
+     * @param {string} from - First day included (YYYY-MM-DD), empty for no lower limit
+     * @param {string} to - Last day included (YYYY-MM-DD), empty for no upper limit
+     * @returns {Object|null} Report data, null if no trip falls within the range
+     */
+    buildPeriodReport: function(entries, from, to) {
+        // Compare local calendar days so a trip saved late at night stays on its day
+        const dayOf = timestamp => {
+            const date = new Date(timestamp);
+            const pad = value => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        };
+
+        const selected = entries
+            .filter(entry => (!from || dayOf(entry.timestamp) >= from) && (!to || dayOf(entry.timestamp) <= to))
+            .slice()
+            .reverse();
+
+        if (selected.length === 0) {
+            return null;
+        }
+
+        const trips = selected.map(entry => entry.calculationType === 'freight' ?
+            this.buildFreightTrip(entry.form, entry.emission, entry.timestamp) :
+            this.buildPassengerTrip(entry.form, entry.timestamp));
+
+        const totals = TripHistory.getTotals(selected);
+
+        // Compare modes over the distance travelled by passengers in the period
+        const passengerDistance = trips
+            .filter(trip => trip.calculationType === 'passenger')
+            .reduce((sum, trip) => sum + trip.distance, 0);
+
+        const carbonCredits = Calculator.calculateCarbonCredits(totals.emission);
+
+        return {
+            title: I18n.t('report.periodTitle'),
+            subtitle: I18n.t('report.periodRange', {
+                from: UI.formatDate(from || dayOf(selected[0].timestamp)),
+                to: UI.formatDate(to || dayOf(selected[selected.length - 1].timestamp))
+            }),
+            trips: trips,
+            totals: {
+                distance: totals.distance,
+                emission: totals.emission
+            },
+            comparison: passengerDistance > 0 ? {
+                calculationType: 'passenger',
+                distance: passengerDistance,
+                modes: Calculator.calculateAllModes(passengerDistance, { skipInapplicable: true })
+            } : null,
+            credits: {
+                credits: carbonCredits,
+                price: Calculator.estimateCreditPrice(carbonCredits)
+            }
+        };
+    },
+
+    /**
+     * Build the legs of a passenger trip with the emission factor used on each one
+     * @param {Object} form - Saved form state of the trip
+     * @param {string} timestamp - ISO date of the calculation
+     * @returns {Object} Trip with calculationType, date, legs, distance and emission
+     */
+    buildPassengerTrip: function(form, timestamp) {
+        const options = {
+            vehicle: form.vehicle,
+            radiativeForcing: form.radiativeForcing
+        };
+
+        // Round trips repeat every leg in reverse order on the way back
+        const legs = form.frequency && form.frequency.roundTrip ?
+            form.legs.concat(form.legs.slice().reverse().map(leg => Object.assign({}, leg, {
+                origin: leg.destination,
+                destination: leg.origin
+            }))) :
+            form.legs;
+
+        const reportLegs = legs.map(leg => ({
+            origin: leg.origin,
+            destination: leg.destination,
+            distance: leg.distance,
+            distanceSource: leg.distanceSource || 'manual',
+            modeLabel: I18n.modeLabel(leg.mode),
+            factor: Units.factor(Calculator.getEmissionFactor(leg.mode, leg.distance, options)),
+            factorUnit: `${Units.massUnit()} CO₂/${Units.distanceUnit()}`,
+            emission: Calculator.calculateEmission(leg.distance, leg.mode, options)
+        }));
+
+        return {
+            calculationType: 'passenger',
+            date: timestamp,
+            legs: reportLegs,
+            distance: reportLegs.reduce((sum, leg) => sum + leg.distance, 0),
+            emission: Math.round(reportLegs.reduce((sum, leg) => sum + leg.emission, 0) * 100) / 100
+        };
+    },
+
+    /**
+     * Build the single leg of a freight shipment with its tonne-km factor
+     * @param {Object} form - Saved form state of the shipment
+     * @param {number} emission - Shipment emission in kg CO2
+     * @param {string} timestamp - ISO date of the calculation
+     * @returns {Object} Trip with calculationType, date, legs, distance and emission
+     */
+    buildFreightTrip: function(form, emission, timestamp) {
+        const leg = form.legs[0];
+        const freightMode = CONFIG.FREIGHT_MODES[form.freightMode];
+
+        return {
+            calculationType: 'freight',
+            date: timestamp,
+            legs: [{
+                origin: leg.origin,
+                destination: leg.destination,
+                distance: leg.distance,
+                distanceSource: leg.distanceSource || 'manual',
+                modeLabel: `${I18n.freightModeLabel(form.freightMode)} · ${UI.formatNumber(form.cargoTonnes, 1)} t${form.emptyReturn ? ` · ${I18n.t('report.emptyReturn')}` : ''}`,
+                factor: freightMode.kgCO2PerTkm,
+                factorUnit: 'kg CO₂/t·km',
+                emission: emission
+            }],
+            distance: leg.distance,
+            emission: emission
+        };
+    },
+
+    /**
+     * Render report data as a self-contained HTML document
+     * @param {Object} report - Report data from buildTripReport() or buildPeriodReport()
+     * @returns {string} Complete HTML document
+     */
+    render: function(report) {
+        const escape = text => UI.escapeHtml(text);
+
+        const legsHtml = report.trips.map(trip => trip.legs.map(leg => `
+                <tr>
+                    <td>${UI.formatDateTime(trip.date)}</td>
+                    <td>${escape(leg.origin)} → ${escape(leg.destination)}</td>
+                    <td class="number">${UI.formatNumber(Units.distance(leg.distance), 0)}</td>
+                    <td>${I18n.t(`report.source.${leg.distanceSource}`)}</td>
+                    <td>${escape(leg.modeLabel)}</td>
+                    <td class="number">${UI.formatNumber(leg.factor, 4)} ${leg.factorUnit}</td>
+                    <td class="number">${UI.formatNumber(Units.mass(leg.emission))}</td>
+                </tr>
+            `).join('')).join('');
+
+        return `<!DOCTYPE html>
+<html lang="${I18n.locale}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(report.title)} - ${escape(report.subtitle)}</title>
+    <style>${this.getStyles()}</style>
+</head>
+<body>
+    <header class="report__header">
+        <p class="report__brand">🍃 ${I18n.t('report.brand')}</p>
+        <h1>${escape(report.title)}</h1>
+        <p class="report__subtitle">${escape(report.subtitle)}</p>
+        <p class="report__meta">
+            ${I18n.t('export.generatedAt')} ${UI.formatDateTime(new Date().toISOString())} ·
+            ${I18n.t('report.factors')} ${CONFIG.FACTOR_SET.id} (${CONFIG.FACTOR_SET.updatedAt})
+        </p>
+        <button type="button" class="report__print" onclick="window.print()">🖨️ ${I18n.t('report.print')}</button>
+    </header>
+
+    <section class="report__summary">
+        <div class="report__card">
+            <span class="report__label">${I18n.t('history.trips')}</span>
+            <span class="report__value">${report.trips.length}</span>
+        </div>
+        <div class="report__card">
+            <span class="report__label">${I18n.t('history.distance')}</span>
+            <span class="report__value">${Units.formatDistance(report.totals.distance)}</span>
+        </div>
+        <div class="report__card">
+            <span class="report__label">${I18n.t('history.emission')}</span>
+            <span class="report__value">${Units.formatMass(report.totals.emission)} CO₂</span>
+        </div>
+    </section>
+
+    <section>
+        <h2>${I18n.t('results.legs')}</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th>${I18n.t('offset.date')}</th><th>${I18n.t('results.route')}</th><th>${I18n.t('export.distance', { unit: Units.distanceUnit() })}</th>
+                    <th>${I18n.t('batch.distanceSource')}</th><th>${I18n.t('batch.mode')}</th><th>${I18n.t('report.factor')}</th>
+                    <th>${I18n.t('export.emission', { unit: Units.massUnit() })}</th>
+                </tr>
+            </thead>
+            <tbody>${legsHtml}</tbody>
+        </table>
+    </section>
+
+    ${this.renderComparison(report.comparison)}
+
+    <section>
+        <h2>${I18n.t('credits.title')}</h2>
+        <table>
+            <tbody>
+                <tr><th>${I18n.t('report.creditsNeeded')}</th><td class="number">${UI.formatNumber(report.credits.credits, 4)}</td></tr>
+                <tr><th>${I18n.t('credits.estimatedValue')}</th><td class="number">${UI.formatCurrency(report.credits.price.average, report.credits.price.currency)}</td></tr>
+                <tr><th>${I18n.t('report.priceRange')}</th><td class="number">${UI.formatCurrency(report.credits.price.min, report.credits.price.currency)} - ${UI.formatCurrency(report.credits.price.max, report.credits.price.currency)}</td></tr>
+                <tr><th>${I18n.t('credits.priceSource')}</th><td class="number">${UI.describePriceSource(report.credits.price)}</td></tr>
+            </tbody>
+        </table>
+        <p class="report__note">${I18n.t('report.creditsNote', { mass: Units.formatMass(1000, 0) })}</p>
+    </section>
+</body>
+</html>`;
+    },
+
+    /**
+     * Render the mode comparison as a bar chart with its data table
+     * @param {Object|null} comparison - Object with calculationType, distance and modes
+     * @returns {string} HTML string, empty when there is nothing to compare
+     */
+    renderComparison: function(comparison) {
+        if (!comparison || comparison.modes.length === 0) {
+            return '';
+        }
+
+        const isFreight = comparison.calculationType === 'freight';
+        const modes = isFreight ? CONFIG.FREIGHT_MODES : CONFIG.TRANSPORT_MODES;
+        const maxEmission = Math.max(...comparison.modes.map(mode => mode.emission), 0);
+
+        const rowsHtml = comparison.modes.map(mode => {
+            const modeData = modes[mode.mode];
+            const width = maxEmission > 0 ? (mode.emission / maxEmission) * 100 : 0;
+
+            return `
+                <tr>
+                    <td>${modeData.icon} ${isFreight ? I18n.freightModeLabel(mode.mode) : I18n.modeLabel(mode.mode)}</td>
+                    <td class="report__bar-cell">
+                        <span class="report__bar" style="width: ${width}%; background-color: ${modeData.color};"></span>
+                    </td>
+                    <td class="number">${UI.formatNumber(Units.mass(mode.emission))}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+    <section>
+        <h2>${I18n.t('export.comparison')}</h2>
+        <p class="report__note">${I18n.t('report.comparisonNote', { distance: Units.formatDistance(comparison.distance) })}</p>
+        <table>
+            <thead>
+                <tr><th>${I18n.t('batch.mode')}</th><th></th><th>${I18n.t('export.emission', { unit: Units.massUnit() })}</th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    </section>`;
+    },
+
+    /**
+     * Get the stylesheet embedded in the report, including print rules
+     * @returns {string} CSS text
+     */
+    getStyles: function() {
+        return `
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 900px; margin: 0 auto; padding: 2rem; line-height: 1.5; }
+        h1 { font-size: 1.5rem; }
+        h2 { font-size: 1.1rem; margin: 2rem 0 0.5rem; color: #059669; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+        th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+        thead th { font-size: 0.75rem; text-transform: uppercase; color: #6b7280; }
+        .number { text-align: right; white-space: nowrap; }
+        .report__header { border-bottom: 3px solid #10b981; padding-bottom: 1rem; }
+        .report__brand { color: #059669; font-weight: 600; }
+        .report__subtitle { font-size: 1.1rem; }
+        .report__meta, .report__note { font-size: 0.8rem; color: #6b7280; }
+        .report__note { margin-top: 0.5rem; }
+        .report__print { margin-top: 1rem; padding: 0.5rem 1rem; border: 2px solid #10b981; border-radius: 0.5rem; background: #fff; color: #059669; font-weight: 600; cursor: pointer; }
+        .report__summary { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; margin-top: 1.5rem; }
+        .report__card { display: flex; flex-direction: column; padding: 0.75rem; border: 1px solid #e5e7eb; border-radius: 0.5rem; }
+        .report__label { font-size: 0.75rem; text-transform: uppercase; color: #6b7280; }
+        .report__value { font-size: 1.2rem; font-weight: 700; color: #059669; }
+        .report__bar-cell { width: 50%; }
+        .report__bar { display: block; height: 0.75rem; border-radius: 0.25rem; }
+
+        @media print {
+            @page { size: A4; margin: 1.5cm; }
+            body { padding: 0; max-width: none; }
+            .report__print { display: none; }
+            .report__bar { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            section, tr { break-inside: avoid; }
+            thead { display: table-header-group; }
+        }
+        `;
+    },
+
+    /**
+     * Open a report in a new window, ready to print
+     * Falls back to downloading the HTML file when pop-ups are blocked
+     * @param {Object} report - Report data
+     */
+    open: function(report) {
+        const html = this.render(report);
+        const reportWindow = window.open('', '_blank');
+
+        if (!reportWindow) {
+            Exporter.download(Exporter.buildFilename('relatorio', 'html'), html, 'text/html');
+            return;
+        }
+
+        reportWindow.document.open();
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+        reportWindow.focus();
+    }
+};
@@ -0,0 +1,200 @@
+/**
+ * Share - Shareable calculation links
+ *
+ * Encodes the form state of a calculation (the same object saved in the trip history)
+ * into URL query parameters, and reads it back when a link is opened.
+ * Distances in links are always in km, whatever the unit system of who shares them.
+ *
+ * Query parameters:
+ * - type: 'freight' for cargo shipments (passenger trips omit it)
+ * - from, to: origin and destination of the first leg
+ * - km: distance of the first leg, only when it was entered manually
+ * - mode: transport mode of the first leg (passenger) or freight mode (freight)
+ * - leg: each extra leg as "origin|destination|mode|km" (repeated)
+ * - round, rf: round trip and radiative forcing flags ("1")
+ * - trips, weeks: recurring trip schedule
+ * - fuel, consumption, passengers: vehicle profile
+ * - cargo, empty: cargo weight in tonnes and empty return flag ("1")
+ */
+
+const Share = {
+    /**
+     * Separator between the fields of an extra leg
+     */
+    LEG_SEPARATOR: '|',
+
+    /**
+     * Build the query string of a calculation
+     * @param {Object} formState - Form state saved with the calculation
+     * @returns {string} Query string without the leading "?"
+     */
+    toQuery: function(formState) {
+        const params = new URLSearchParams();
+        const firstLeg = formState.legs[0];
+
+        if (formState.calculationType === 'freight') {
+            params.set('type', 'freight');
+        }
+
+        params.set('from', firstLeg.origin);
+        params.set('to', firstLeg.destination);
+
+        if (formState.manualDistance) {
+            params.set('km', this.formatNumber(firstLeg.distance));
+        }
+
+        if (formState.calculationType === 'freight') {
+            params.set('mode', formState.freightMode);
+            params.set('cargo', this.formatNumber(formState.cargoTonnes));
+            if (formState.emptyReturn) {
+                params.set('empty', '1');
+            }
+            return params.toString();
+        }
+
+        params.set('mode', firstLeg.mode);
+
+        formState.legs.slice(1).forEach(leg => {
+            params.append('leg', [leg.origin, leg.destination, leg.mode, this.formatNumber(leg.distance)].join(this.LEG_SEPARATOR));
+        });
+
+        const frequency = formState.frequency || {};
+        if (frequency.roundTrip) {
+            params.set('round', '1');
+        }
+        if (frequency.recurring) {
+            params.set('trips', frequency.tripsPerWeek);
+            params.set('weeks', frequency.weeksPerYear);
+        }
+
+        if (formState.vehicle) {
+            params.set('fuel', formState.vehicle.fuel);
+            if (formState.vehicle.consumption) {
+                params.set('consumption', this.formatNumber(formState.vehicle.consumption));
+            }
+            params.set('passengers', formState.vehicle.passengers);
+        }
+
+        if (formState.radiativeForcing) {
+            params.set('rf', '1');
+        }
+
+        return params.toString();
+    },
+
+    /**
+     * Read a calculation from a query string
+     * Unknown modes and fuels fall back to the form defaults
+     * @param {string} query - Query string, with or without the leading "?"
+     * @returns {Object|null} Form state accepted by fillForm(), null if the query has no trip
+     */
+    fromQuery: function(query) {
+        const params = new URLSearchParams(query);
+        const origin = params.get('from');
+        const destination = params.get('to');
+
+        if (!origin || !destination) {
+            return null;
+        }
+
+        const manualDistance = params.has('km');
+        const firstLeg = {
+            origin: origin,
+            destination: destination,
+            distance: manualDistance ? parseFloat(params.get('km')) : null,
+            distanceSource: manualDistance ? 'manual' : 'table'
+        };
+
+        if (params.get('type') === 'freight') {
+            return {
+                calculationType: 'freight',
+                manualDistance: manualDistance,
+                legs: [firstLeg],
+                freightMode: Object.hasOwn(CONFIG.FREIGHT_MODES, params.get('mode')) ? params.get('mode') : 'carreta',
+                cargoTonnes: parseFloat(params.get('cargo')) || '',
+                emptyReturn: params.get('empty') === '1'
+            };
+        }
+
+        const validMode = mode => Object.hasOwn(CONFIG.TRANSPORT_MODES, mode) ? mode : 'car';
+        firstLeg.mode = validMode(params.get('mode'));
+
+        const extraLegs = params.getAll('leg').map(value => {
+            const [legOrigin, legDestination, mode, distance] = value.split(this.LEG_SEPARATOR);
+            return {
+                origin: legOrigin || '',
+                destination: legDestination || '',
+                mode: validMode(mode),
+                distance: parseFloat(distance) || null,
+                distanceSource: 'manual'
+            };
+        });
+
+        const recurring = params.has('trips') || params.has('weeks');
+        const fuel = params.get('fuel');
+
+        return {
+            calculationType: 'passenger',
+            manualDistance: manualDistance,
+            legs: [firstLeg].concat(extraLegs),
+            frequency: {
+                roundTrip: params.get('round') === '1',
+                recurring: recurring,
+                tripsPerWeek: recurring ? parseFloat(params.get('trips')) : CONFIG.FREQUENCY.TRIPS_PER_WEEK,
+                weeksPerYear: recurring ? parseFloat(params.get('weeks')) : CONFIG.FREQUENCY.WEEKS_PER_YEAR
+            },
+            vehicle: Object.hasOwn(CONFIG.FUEL_TYPES, fuel) ? {
+                mode: CONFIG.TRANSPORT_MODES[firstLeg.mode].vehicleProfile ? firstLeg.mode : 'car',
+                fuel: fuel,
+                consumption: parseFloat(params.get('consumption')) || null,
+                passengers: parseInt(params.get('passengers'), 10) || 1
+            } : null,
+            radiativeForcing: params.get('rf') === '1'
+        };
+    },
+
+    /**
+     * Build the full link of a calculation on the current page
+     * @param {Object} formState - Form state saved with the calculation
+     * @returns {string} Absolute URL
+     */
+    buildUrl: function(formState) {
+        const url = new URL(window.location.href);
+        url.search = this.toQuery(formState);
+        url.hash = '';
+        return url.toString();
+    },
+
+    /**
+     * Format a number for a link: plain decimal point, no trailing zeros
+     * @param {number} value - Number to format
+     * @returns {string} Number with up to 3 decimal places (e.g., "165" or "12.5")
+     */
+    formatNumber: function(value) {
+        return String(Math.round(value * 1000) / 1000);
+    },
+
+    /**
+     * Copy a link to the clipboard, asking the user to copy it by hand when the clipboard is unavailable
+     * @param {string} url - Link to copy
+     * @returns {Promise<boolean>} True if the link was copied automatically
+     */
+    copy: function(url) {
+        const askUser = () => {
+            window.prompt(I18n.t('share.copyPrompt'), url);
+            return false;
+        };
+
+        // The clipboard API is missing on insecure origins (e.g., plain http)
+        if (!navigator.clipboard) {
+            return Promise.resolve(askUser());
+        }
+
+        return navigator.clipboard.writeText(url)
+            .then(() => true)
+            .catch(error => {
+                console.error('Erro ao copiar link:', error);
+                return askUser();
+            });
+    }
+};
@@ -5,6 +5,7 @@
  * - Formatting numbers and currency
  * - DOM element manipulation
  * - Rendering results, comparisons, and carbon credits
+ * - Validation messages and form status
  * - Loading state management
  */
 
@@ -13,28 +14,82 @@ const UI = {
      * Format number with specified decimal places and thousand separators
      * @param {number} number - Number to format
      * @param {number} decimals - Number of decimal places (default: 2)
-     * @returns {string} Formatted number string (e.g., "1.234,56")
+     * @returns {string} Formatted number string in the interface locale (e.g., "1.234,56" or "1,234.56")
      */
     formatNumber: function(number, decimals = 2) {
-        // Use toLocaleString with pt-BR locale for proper formatting
-        return Number(number).toLocaleString('pt-BR', {
+        // Use toLocaleString with the interface locale for proper formatting
+        return Number(number).toLocaleString(I18n.getFormatLocale(), {
             minimumFractionDigits: decimals,
             maximumFractionDigits: decimals
         });
     },
 
     /**
-     * Format value as Brazilian currency
+     * Escape text for safe insertion into HTML
+     * @param {string} text - Text to escape (e.g., a city name typed by the user)
+     * @returns {string} Text with HTML special characters replaced by entities
+     */
+    escapeHtml: function(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Format value as currency
      * @param {number} value - Value to format
-     * @returns {string} Formatted currency string (e.g., "R$ 1.234,56")
+     * @param {string} currency - Currency code (default: selected display currency)
+     * @returns {string} Formatted currency string in the interface locale (e.g., "R$ 1.234,56" or "US$ 12,50")
      */
-    formatCurrency: function(value) {
-        return value.toLocaleString('pt-BR', {
+    formatCurrency: function(value, currency = CONFIG.CURRENCY.SELECTED) {
+        return value.toLocaleString(I18n.getFormatLocale(), {
             style: 'currency',
-            currency: 'BRL'
+            currency: currency
+        });
+    },
+
+    /**
+     * Format a YYYY-MM-DD date in the interface locale
+     * @param {string} date - Date string (e.g., "2025-12-26")
+     * @returns {string} Formatted date (e.g., "26/12/2025" or "12/26/2025")
+     */
+    formatDate: function(date) {
+        const [year, month, day] = date.split('-').map(Number);
+
+        // Build a local date so the day doesn't shift with the time zone
+        return new Date(year, month - 1, day).toLocaleDateString(I18n.getFormatLocale(), {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric'
         });
     },
 
+    /**
+     * Describe where a credit price estimate came from
+     * @param {Object} price - Price estimate from Calculator.estimateCreditPrice()
+     * @returns {string} Source description (e.g., "Mercado voluntário · atualizado em 26/12/2025")
+     */
+    describePriceSource: function(price) {
+        const parts = [I18n.t('credits.sourceUpdated', {
+            market: I18n.label('market', price.source.market, price.source.label),
+            date: this.formatDate(price.source.updatedAt)
+        })];
+
+        if (price.exchangeRate) {
+            parts.push(I18n.t('credits.exchangeRate', {
+                from: price.exchangeRate.from,
+                rate: this.formatNumber(price.exchangeRate.rate, 4),
+                to: price.exchangeRate.to,
+                date: this.formatDate(price.exchangeRate.updatedAt)
+            }));
+        }
+
+        return parts.join(' · ');
+    },
+
     /**
      * Show element by removing 'hidden' class
      * @param {string} elementId - ID of element to show
@@ -44,7 +99,7 @@ const UI = {
         if (element) {
             element.classList.remove('hidden');
         } else {
-            console.warn(`Element with id "${elementId}" not found`);
+            console.warn(`Elemento com id "${elementId}" não encontrado`);
         }
     },
 
@@ -57,7 +112,7 @@ const UI = {
         if (element) {
             element.classList.add('hidden');
         } else {
-            console.warn(`Element with id "${elementId}" not found`);
+            console.warn(`Elemento com id "${elementId}" não encontrado`);
         }
     },
 
@@ -70,22 +125,87 @@ const UI = {
         if (element) {
             element.scrollIntoView({ behavior: 'smooth', block: 'start' });
         } else {
-            console.warn(`Element with id "${elementId}" not found`);
+            console.warn(`Elemento com id "${elementId}" não encontrado`);
         }
     },
 
     /**
      * Render main results section with emission data
-     * @param {Object} data - Result data containing origin, destination, distance, emission, mode, savings
+     * @param {Object} data - Result data containing origin, destination, distance, emission, mode, legs, savings
      * @returns {string} HTML string with formatted results
      */
     renderResults: function(data) {
-        const modeData = CONFIG.TRANSPORT_MODES[data.mode];
+        const legs = data.legs || [];
+
+        // Trips mixing several modes are shown as multimodal with every mode icon
+        const modeData = data.mode ? {
+            icon: CONFIG.TRANSPORT_MODES[data.mode].icon,
+            label: I18n.modeLabel(data.mode)
+        } : {
+            icon: [...new Set(legs.map(leg => CONFIG.TRANSPORT_MODES[leg.mode].icon))].join(''),
+            label: I18n.t('results.multimodal')
+        };
+
+        // Leg-by-leg breakdown, only for trips with more than one leg
+        const legsHtml = legs.length > 1 ? `
+            <div class="results__card results__legs-card">
+                <h3 class="results__card-title">🧭 ${I18n.t('results.legs')}</h3>
+                <ol class="results__legs">
+                    ${legs.map(leg => `
+                        <li class="results__leg">
+                            <span class="results__leg-mode" title="${I18n.modeLabel(leg.mode)}">${CONFIG.TRANSPORT_MODES[leg.mode].icon}</span>
+                            <span class="results__leg-route">${this.escapeHtml(leg.origin)} → ${this.escapeHtml(leg.destination)}</span>
+                            <span class="results__leg-distance">${Units.formatDistance(leg.distance)}</span>
+                            <span class="results__leg-emission">${Units.formatMass(leg.emission)} CO₂</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        ` : '';
         const savingsHtml = data.savings && data.savings.savedKg > 0 ? `
             <div class="results__card results__savings-card">
-                <h3 class="results__card-title">💚 Economia de CO₂</h3>
-                <p class="results__card-value">${this.formatNumber(data.savings.savedKg)} kg</p>
-                <p class="results__card-subtitle">${data.savings.percentage}% a menos que carro</p>
+                <h3 class="results__card-title">💚 ${I18n.t('results.savings')}</h3>
+                <p class="results__card-value">${Units.formatMass(data.savings.savedKg)}</p>
+                <p class="results__card-subtitle">${I18n.t('results.lessThanCar', { percentage: this.formatNumber(data.savings.percentage, 1) })}</p>
+            </div>
+        ` : '';
+
+        // Vehicle profile summary (if applicable)
+        const vehicleHtml = data.vehicle ? (() => {
+            const fuel = CONFIG.FUEL_TYPES[data.vehicle.fuel];
+            const consumption = data.vehicle.consumption || fuel.defaultConsumption;
+            return `
+                <p class="results__card-subtitle results__vehicle">
+                    ${I18n.modeLabel(data.vehicle.mode)}: ${I18n.fuelLabel(data.vehicle.fuel)} · ${Units.formatConsumption(consumption, fuel.consumptionUnit)} ·
+                    ${I18n.t('results.passengers', { count: data.vehicle.passengers })} ·
+                    ${I18n.t('results.factorPerPassenger', { factor: Units.formatFactor(data.vehicle.factor) })}
+                </p>
+            `;
+        })() : '';
+
+        // Recurring schedule projection (if applicable)
+        const periodsHtml = data.periods ? `
+            <div class="results__card results__periods-card">
+                <h3 class="results__card-title">📅 ${I18n.t('results.recurring')}</h3>
+                <div class="results__periods">
+                    <div class="results__period">
+                        <span class="results__period-label">${I18n.t('results.perTrip')}</span>
+                        <span class="results__period-value">${Units.formatMass(data.periods.emission.perTrip)}</span>
+                    </div>
+                    <div class="results__period">
+                        <span class="results__period-label">${I18n.t('results.weekly')}</span>
+                        <span class="results__period-value">${Units.formatMass(data.periods.emission.weekly)}</span>
+                    </div>
+                    <div class="results__period">
+                        <span class="results__period-label">${I18n.t('results.monthly')}</span>
+                        <span class="results__period-value">${Units.formatMass(data.periods.emission.monthly)}</span>
+                    </div>
+                    <div class="results__period results__period--highlight">
+                        <span class="results__period-label">${I18n.t('results.yearly')}</span>
+                        <span class="results__period-value">${Units.formatMass(data.periods.emission.yearly)}</span>
+                    </div>
+                </div>
+                ${data.periods.savedKg.yearly > 0 ? `<p class="results__card-subtitle">💚 ${I18n.t('results.yearlySavings', { value: Units.formatMass(data.periods.savedKg.yearly) })}</p>` : ''}
             </div>
         ` : '';
 
@@ -93,35 +213,42 @@ const UI = {
             <div class="results__container">
                 <!-- Route Card -->
                 <div class="results__card results__route-card">
-                    <h3 class="results__card-title">📍 Rota</h3>
+                    <h3 class="results__card-title">📍 ${I18n.t('results.route')}</h3>
                     <p class="results__route">
-                        <span class="results__city">${data.origin}</span>
-                        <span class="results__arrow">→</span>
-                        <span class="results__city">${data.destination}</span>
+                        <span class="results__city">${this.escapeHtml(data.origin)}</span>
+                        <span class="results__arrow" title="${I18n.t(data.roundTrip ? 'form.roundTrip' : 'form.oneWay')}">${data.roundTrip ? '⇄' : '→'}</span>
+                        <span class="results__city">${this.escapeHtml(data.destination)}</span>
                     </p>
                 </div>
 
                 <!-- Distance Card -->
                 <div class="results__card results__distance-card">
-                    <h3 class="results__card-title">📏 Distância</h3>
-                    <p class="results__card-value">${this.formatNumber(data.distance, 0)} km</p>
+                    <h3 class="results__card-title">📏 ${I18n.t('results.distance')}</h3>
+                    <p class="results__card-value">${Units.formatDistance(data.distance)}</p>
                 </div>
 
                 <!-- Emission Card -->
                 <div class="results__card results__emission-card">
-                    <h3 class="results__card-title">🍃 Emissão de CO₂</h3>
-                    <p class="results__card-value" style="color: #10b981;">${this.formatNumber(data.emission)} kg</p>
+                    <h3 class="results__card-title">🍃 ${I18n.t('results.emission')}</h3>
+                    <p class="results__card-value" style="color: #10b981;">${Units.formatMass(data.emission)}</p>
                 </div>
 
                 <!-- Transport Mode Card -->
                 <div class="results__card results__mode-card">
-                    <h3 class="results__card-title">🚗 Modo de Transporte</h3>
+                    <h3 class="results__card-title">🚗 ${I18n.t('form.transportMode')}</h3>
                     <p class="results__mode">
                         <span class="results__mode-emoji">${modeData.icon}</span>
                         <span class="results__mode-label">${modeData.label}</span>
                     </p>
+                    ${vehicleHtml}
                 </div>
 
+                <!-- Recurring Periods Card (if applicable) -->
+                ${periodsHtml}
+
+                <!-- Legs Breakdown Card (if applicable) -->
+                ${legsHtml}
+
                 <!-- Savings Card (if applicable) -->
                 ${savingsHtml}
             </div>
@@ -132,61 +259,166 @@ const UI = {
      * Render comparison of all transport modes
      * @param {Array} modesArray - Array of mode data from Calculator.calculateAllModes()
      * @param {string} selectedMode - Currently selected transport mode
+     * @param {Object} trip - Trip drawn in the emission-by-distance chart: distance (km), options
+     *                        (calculation options) and preview (true when drawn from unsubmitted form values)
      * @returns {string} HTML string with comparison view
      */
-    renderComparison: function(modesArray, selectedMode) {
-        // Find maximum emission for progress bar scaling
-        const maxEmission = Math.max(...modesArray.map(m => m.emission));
-
-        // Helper function to determine progress bar color based on percentage
-        const getBarColor = (percentageVsCar) => {
-            if (percentageVsCar <= 25) return '#10b981'; // Green
-            if (percentageVsCar <= 75) return '#f59e0b'; // Yellow
-            if (percentageVsCar <= 100) return '#f97316'; // Orange
-            return '#ef4444'; // Red
-        };
+    renderComparison: function(modesArray, selectedMode, trip) {
+        const previewHtml = trip.preview ? `
+                <p class="comparison__preview" role="status">${I18n.t('comparison.preview')}</p>
+        ` : '';
+
+        return `
+            <div class="comparison__container">
+                ${previewHtml}
+
+                <!-- Charts -->
+                ${Charts.renderModesChart(modesArray, selectedMode)}
+                ${Charts.renderCurvesChart(modesArray, selectedMode, trip.distance, trip.options)}
+                
+                <!-- Tip Box -->
+                <div class="comparison__tip">
+                    <p class="comparison__tip-title">💡 ${I18n.t('comparison.tip')}</p>
+                    <p class="comparison__tip-text">${this.buildComparisonTip(modesArray)}</p>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Build tip text from the compared modes
+     * Highlights zero-emission modes and the lowest-emission motorized options
+     * @param {Array} modesArray - Array of mode data from Calculator.calculateAllModes(), sorted by emission
+     * @returns {string} Tip text
+     */
+    buildComparisonTip: function(modesArray) {
+        const labelsOf = modes => I18n.formatList(modes.map(mode => I18n.modeLabel(mode.mode)));
+
+        const zeroEmission = modesArray.filter(mode => mode.emission === 0);
+        const lowestMotorized = modesArray.filter(mode => mode.emission > 0).slice(0, 2);
+
+        const tips = [];
+
+        if (zeroEmission.length > 0) {
+            tips.push(I18n.t('comparison.zeroEmission', { count: zeroEmission.length, modes: labelsOf(zeroEmission) }));
+        }
+
+        if (lowestMotorized.length > 0) {
+            tips.push(I18n.t('comparison.lowestMotorized', { count: lowestMotorized.length, modes: labelsOf(lowestMotorized) }));
+        }
+
+        return tips.join(' ');
+    },
+
+    /**
+     * Render main results section for a freight shipment
+     * @param {Object} data - Shipment data containing origin, destination, distance, emission, mode,
+     *                        cargoTonnes, tonneKm, vehicles, emptyReturn and emptyReturnEmission
+     * @returns {string} HTML string with formatted freight results
+     */
+    renderFreightResults: function(data) {
+        const modeData = CONFIG.FREIGHT_MODES[data.mode];
+
+        // Empty return details (if applicable)
+        const emptyReturnHtml = data.emptyReturn ? `
+            <p class="results__card-subtitle">
+                ${data.emptyReturnEmission > 0 ?
+                    I18n.t('freight.emptyReturnIncluded', { value: Units.formatMass(data.emptyReturnEmission) }) :
+                    I18n.t('freight.emptyReturnNotApplicable')}
+            </p>
+        ` : '';
+
+        // Vehicle count for road modes
+        const vehiclesHtml = modeData.capacityTonnes ? `
+            <p class="results__card-subtitle">${I18n.t('freight.vehicles', { count: data.vehicles, capacity: this.formatNumber(modeData.capacityTonnes, 0) })}</p>
+        ` : '';
+
+        return `
+            <div class="results__container">
+                <!-- Route Card -->
+                <div class="results__card results__route-card">
+                    <h3 class="results__card-title">📍 ${I18n.t('results.route')}</h3>
+                    <p class="results__route">
+                        <span class="results__city">${this.escapeHtml(data.origin)}</span>
+                        <span class="results__arrow">→</span>
+                        <span class="results__city">${this.escapeHtml(data.destination)}</span>
+                    </p>
+                </div>
+
+                <!-- Distance Card -->
+                <div class="results__card results__distance-card">
+                    <h3 class="results__card-title">📏 ${I18n.t('results.distance')}</h3>
+                    <p class="results__card-value">${Units.formatDistance(data.distance)}</p>
+                </div>
+
+                <!-- Cargo Card -->
+                <div class="results__card results__cargo-card">
+                    <h3 class="results__card-title">📦 ${I18n.t('freight.cargo')}</h3>
+                    <p class="results__card-value">${this.formatNumber(data.cargoTonnes)} t</p>
+                    <p class="results__card-subtitle">${this.formatNumber(data.tonneKm, 0)} t·km</p>
+                </div>
+
+                <!-- Emission Card -->
+                <div class="results__card results__emission-card">
+                    <h3 class="results__card-title">🍃 ${I18n.t('results.emission')}</h3>
+                    <p class="results__card-value" style="color: #10b981;">${Units.formatMass(data.emission)}</p>
+                    ${emptyReturnHtml}
+                </div>
+
+                <!-- Freight Mode Card -->
+                <div class="results__card results__mode-card">
+                    <h3 class="results__card-title">🚛 ${I18n.t('form.freightMode')}</h3>
+                    <p class="results__mode">
+                        <span class="results__mode-emoji">${modeData.icon}</span>
+                        <span class="results__mode-label">${I18n.freightModeLabel(data.mode)}</span>
+                    </p>
+                    <p class="results__card-subtitle">${this.formatNumber(modeData.kgCO2PerTkm * 1000, 0)} g CO₂/t·km</p>
+                    ${vehiclesHtml}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render freight modes side by side for the same shipment
+     * @param {Array} modesArray - Array of mode data from Calculator.calculateAllFreightModes()
+     * @param {string} selectedMode - Currently selected freight mode
+     * @returns {string} HTML string with freight comparison grid
+     */
+    renderFreightComparison: function(modesArray, selectedMode) {
+        const selected = modesArray.find(mode => mode.mode === selectedMode);
 
-        // Generate HTML for each mode
         const modesHtml = modesArray.map(mode => {
-            const modeData = CONFIG.TRANSPORT_MODES[mode.mode];
+            const modeData = CONFIG.FREIGHT_MODES[mode.mode];
             const isSelected = mode.mode === selectedMode;
-            const barWidth = maxEmission > 0 ? (mode.emission / maxEmission) * 100 : 0;
-            const barColor = getBarColor(mode.percentageVsCar);
-
-            return `
-                <div class="comparison__item ${isSelected ? 'comparison__item--selected' : ''}">
-                    <!-- Mode Header -->
-                    <div class="comparison__header">
-                        <span class="comparison__icon">${modeData.icon}</span>
-                        <span class="comparison__label">${modeData.label}</span>
-                        ${isSelected ? '<span class="comparison__badge">Selecionado</span>' : ''}
-                    </div>
 
-                    <!-- Emission Stats -->
-                    <div class="comparison__stats">
-                        <p class="comparison__emission">${this.formatNumber(mode.emission)} kg CO₂</p>
-                        <p class="comparison__percentage">${this.formatNumber(mode.percentageVsCar, 1)}% vs Carro</p>
-                    </div>
+            // Difference against the selected mode
+            const difference = selected && selected.emission > 0 ?
+                Math.round(((mode.emission - selected.emission) / selected.emission) * 1000) / 10 : 0;
+            const differenceText = isSelected ? I18n.t('comparison.selected') :
+                I18n.t('comparison.vsSelected', { difference: `${difference > 0 ? '+' : ''}${this.formatNumber(difference, 1)}` });
 
-                    <!-- Progress Bar -->
-                    <div class="comparison__bar-container">
-                        <div 
-                            class="comparison__bar" 
-                            style="width: ${barWidth}%; background-color: ${barColor};"
-                        ></div>
-                    </div>
+            return `
+                <div class="comparison__freight-card ${isSelected ? 'comparison__item--selected' : ''}" style="border-top-color: ${modeData.color};">
+                    <span class="comparison__icon">${modeData.icon}</span>
+                    <p class="comparison__label">${I18n.freightModeLabel(mode.mode)}</p>
+                    <p class="comparison__emission">${Units.formatMass(mode.emission)} CO₂</p>
+                    <p class="comparison__percentage">${this.formatNumber(mode.gramsPerTkm, 1)} g/t·km</p>
+                    <p class="comparison__percentage">${differenceText}</p>
                 </div>
             `;
         }).join('');
 
         return `
             <div class="comparison__container">
-                ${modesHtml}
-                
+                <div class="comparison__freight-grid">
+                    ${modesHtml}
+                </div>
+
                 <!-- Tip Box -->
                 <div class="comparison__tip">
-                    <p class="comparison__tip-title">💡 Dica</p>
-                    <p class="comparison__tip-text">Bicicleta produz zero emissões! Ônibus e bicicleta são as opções mais sustentáveis para reduzir seu impacto ambiental.</p>
+                    <p class="comparison__tip-title">💡 ${I18n.t('comparison.tip')}</p>
+                    <p class="comparison__tip-text">${I18n.t('freight.tip')}</p>
                 </div>
             </div>
         `;
@@ -194,11 +426,22 @@ const UI = {
 
     /**
      * Render carbon credits information and pricing
-     * @param {Object} creditsData - Object containing credits and price data
+     * @param {Object} creditsData - Object containing credits, price and optional annual data
      * @returns {string} HTML string with carbon credits information
      */
     renderCarbonCredits: function(creditsData) {
-        const { credits, price } = creditsData;
+        const { credits, price, annual } = creditsData;
+
+        // Annual projection for recurring trips (if applicable)
+        const annualHtml = annual ? `
+                    <!-- Annual Card -->
+                    <div class="carbon-credits__card carbon-credits__card--annual">
+                        <h3 class="carbon-credits__card-title">📅 ${I18n.t('credits.perYear')}</h3>
+                        <p class="carbon-credits__card-value">${this.formatNumber(annual.credits, 4)}</p>
+                        <p class="carbon-credits__card-helper">${I18n.t('credits.creditsUnit')} · ${this.formatCurrency(annual.price.average, annual.price.currency)}</p>
+                        <p class="carbon-credits__card-range">${this.formatCurrency(annual.price.min, annual.price.currency)} - ${this.formatCurrency(annual.price.max, annual.price.currency)}</p>
+                    </div>
+        ` : '';
 
         return `
             <div class="carbon-credits__container">
@@ -206,41 +449,627 @@ const UI = {
                 <div class="carbon-credits__grid">
                     <!-- Credits Card -->
                     <div class="carbon-credits__card">
-                        <h3 class="carbon-credits__card-title">♻️ Créditos de Carbono</h3>
+                        <h3 class="carbon-credits__card-title">♻️ ${I18n.t('credits.title')}</h3>
                         <p class="carbon-credits__card-value">${this.formatNumber(credits, 4)}</p>
-                        <p class="carbon-credits__card-helper">1 crédito = 1.000 kg CO₂</p>
+                        <p class="carbon-credits__card-helper">${I18n.t('credits.definition', { mass: Units.formatMass(1000, 0) })}</p>
                     </div>
 
                     <!-- Price Card -->
                     <div class="carbon-credits__card">
-                        <h3 class="carbon-credits__card-title">💰 Valor Estimado</h3>
-                        <p class="carbon-credits__card-value">${this.formatCurrency(price.average)}</p>
-                        <p class="carbon-credits__card-range">${this.formatCurrency(price.min)} - ${this.formatCurrency(price.max)}</p>
+                        <h3 class="carbon-credits__card-title">💰 ${I18n.t('credits.estimatedValue')}</h3>
+                        <p class="carbon-credits__card-value">${this.formatCurrency(price.average, price.currency)}</p>
+                        <p class="carbon-credits__card-range">${this.formatCurrency(price.min, price.currency)} - ${this.formatCurrency(price.max, price.currency)}</p>
                     </div>
+                    ${annualHtml}
                 </div>
 
+                <!-- Price Source -->
+                <p class="carbon-credits__source">💱 ${I18n.t('credits.priceSource')}: ${this.describePriceSource(price)}</p>
+
                 <!-- Info Box -->
                 <div class="carbon-credits__info">
-                    <h4 class="carbon-credits__info-title">O que são Créditos de Carbono?</h4>
-                    <p class="carbon-credits__info-text">
-                        Créditos de carbono representam o direito de emitir uma tonelada de CO₂. Você pode compensar suas emissões 
-                        investindo em projetos de sustentabilidade como reflorestamento, energia renovável e tecnologias limpas.
-                    </p>
+                    <h4 class="carbon-credits__info-title">${I18n.t('credits.infoTitle')}</h4>
+                    <p class="carbon-credits__info-text">${I18n.t('credits.infoText')}</p>
                 </div>
 
                 <!-- Action Button -->
-                <button class="carbon-credits__button">
-                    🌍 Compensar Emissões
+                <button type="button" class="carbon-credits__button" data-action="offset">
+                    🌍 ${I18n.t('credits.offsetButton')}
                 </button>
             </div>
         `;
     },
 
+    /**
+     * Format ISO timestamp as date and time in the interface locale
+     * @param {string} timestamp - ISO 8601 timestamp
+     * @returns {string} Formatted date string (e.g., "19/10/2026, 14:30")
+     */
+    formatDateTime: function(timestamp) {
+        return new Date(timestamp).toLocaleString(I18n.getFormatLocale(), {
+            dateStyle: 'short',
+            timeStyle: 'short'
+        });
+    },
+
+    /**
+     * Render saved trip history with cumulative totals
+     * @param {Array} entries - Trip entries from TripHistory.getAll()
+     * @param {Object} totals - Totals from TripHistory.getTotals()
+     * @param {Array} months - Monthly totals from TripHistory.getMonthlyTotals()
+     * @returns {string} HTML string with history list
+     */
+    renderHistory: function(entries, totals, months) {
+        if (entries.length === 0) {
+            return `
+                <p class="history__empty">${I18n.t('history.empty')}</p>
+            `;
+        }
+
+        // Icons for the modes used in an entry
+        const iconsOf = entry => {
+            const modes = entry.calculationType === 'freight' ? CONFIG.FREIGHT_MODES : CONFIG.TRANSPORT_MODES;
+            return (entry.modes || [entry.mode])
+                .map(mode => modes[mode] ? modes[mode].icon : '❔')
+                .join('');
+        };
+
+        const itemsHtml = entries.map(entry => `
+            <li class="history__item">
+                <span class="history__icon">${iconsOf(entry)}</span>
+                <div class="history__info">
+                    <p class="history__route">${this.escapeHtml(entry.origin)} ${entry.form && entry.form.frequency && entry.form.frequency.roundTrip ? '⇄' : '→'} ${this.escapeHtml(entry.destination)}</p>
+                    <p class="history__meta">
+                        ${this.formatDateTime(entry.timestamp)} ·
+                        ${Units.formatDistance(entry.distance)} ·
+                        ${Units.formatMass(entry.emission)} CO₂ ·
+                        ${I18n.t('credits.amount', { value: this.formatNumber(entry.credits, 4) })}
+                    </p>
+                </div>
+                <div class="history__actions">
+                    <button type="button" class="history__button" data-action="rerun" data-id="${this.escapeHtml(entry.id)}" title="${I18n.t('history.rerun')}">🔁</button>
+                    <button type="button" class="history__button history__button--danger" data-action="delete" data-id="${this.escapeHtml(entry.id)}" title="${I18n.t('history.delete')}">🗑️</button>
+                </div>
+            </li>
+        `).join('');
+
+        return `
+            <div class="history__container">
+                <!-- Cumulative Totals -->
+                <div class="history__totals">
+                    <div class="history__total">
+                        <span class="history__total-label">${I18n.t('history.trips')}</span>
+                        <span class="history__total-value">${totals.trips}</span>
+                    </div>
+                    <div class="history__total">
+                        <span class="history__total-label">${I18n.t('history.distance')}</span>
+                        <span class="history__total-value">${Units.formatDistance(totals.distance)}</span>
+                    </div>
+                    <div class="history__total">
+                        <span class="history__total-label">${I18n.t('history.emission')}</span>
+                        <span class="history__total-value">${Units.formatMass(totals.emission)}</span>
+                    </div>
+                    <div class="history__total">
+                        <span class="history__total-label">${I18n.t('history.credits')}</span>
+                        <span class="history__total-value">${this.formatNumber(totals.credits, 4)}</span>
+                    </div>
+                </div>
+
+                <!-- Emission by Month -->
+                <div class="history__chart">
+                    ${Charts.renderMonthlyChart(months)}
+                </div>
+
+                <!-- Trip List -->
+                <ul class="history__list">
+                    ${itemsHtml}
+                </ul>
+
+                <button type="button" class="history__clear" data-action="clear">${I18n.t('history.clear')}</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the pricing settings: market, display currency, price overrides and exchange rates
+     * @param {Object} carbonCredit - CONFIG.CARBON_CREDIT
+     * @param {Object} currencyConfig - CONFIG.CURRENCY
+     * @returns {string} HTML string with the settings form
+     */
+    renderPricingSettings: function(carbonCredit, currencyConfig) {
+        const marketIds = Object.keys(carbonCredit.MARKETS);
+        const currencies = Object.keys(currencyConfig.RATES);
+
+        const labelOf = id => I18n.label('market', id, carbonCredit.MARKETS[id].label);
+
+        const marketOptions = marketIds.map(id =>
+            `<option value="${id}" ${id === carbonCredit.MARKET ? 'selected' : ''}>${labelOf(id)}</option>`
+        ).join('');
+
+        const currencyOptions = currencies.map(code =>
+            `<option value="${code}" ${code === currencyConfig.SELECTED ? 'selected' : ''}>${I18n.label('currency', code, currencyConfig.LABELS[code] || code)}</option>`
+        ).join('');
+
+        const marketRows = marketIds.map(id => {
+            const market = carbonCredit.MARKETS[id];
+            const input = field => `<input type="number" id="pricing-${id}-${field}" class="calculator__input" min="0" step="any" value="${market[field]}" aria-label="${labelOf(id)}: ${I18n.t(`pricing.${field}`)}">`;
+
+            return `
+                <tr>
+                    <th scope="row">
+                        ${labelOf(id)}
+                        <span class="pricing__meta">${market.currency} · ${this.formatDate(market.updatedAt)} · ${market.userDefined ? I18n.t('pricing.userDefined') : market.source}</span>
+                    </th>
+                    <td>${input('min')}</td>
+                    <td>${input('average')}</td>
+                    <td>${input('max')}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const rateFields = currencies.filter(code => code !== currencyConfig.BASE).map(code => `
+            <div class="calculator__field">
+                <label for="pricing-rate-${code}" class="calculator__label">${I18n.t('pricing.rateLabel', { base: currencyConfig.BASE, currency: code })}</label>
+                <input type="number" id="pricing-rate-${code}" class="calculator__input" min="0" step="any" value="${currencyConfig.RATES[code]}">
+            </div>
+        `).join('');
+
+        return `
+            <div class="pricing__selects">
+                <div class="calculator__field">
+                    <label for="pricing-market" class="calculator__label">${I18n.t('pricing.market')}</label>
+                    <select id="pricing-market" class="calculator__input">${marketOptions}</select>
+                </div>
+                <div class="calculator__field">
+                    <label for="pricing-currency" class="calculator__label">${I18n.t('pricing.currency')}</label>
+                    <select id="pricing-currency" class="calculator__input">${currencyOptions}</select>
+                </div>
+            </div>
+
+            <div class="batch__table-wrapper">
+                <table class="batch__table pricing__table">
+                    <caption class="batch__caption">${I18n.t('pricing.pricesCaption')}</caption>
+                    <thead>
+                        <tr><th>${I18n.t('pricing.marketColumn')}</th><th>${I18n.t('pricing.min')}</th><th>${I18n.t('pricing.average')}</th><th>${I18n.t('pricing.max')}</th></tr>
+                    </thead>
+                    <tbody>${marketRows}</tbody>
+                </table>
+            </div>
+
+            <p class="batch__caption">${I18n.t('pricing.ratesCaption', { date: this.formatDate(currencyConfig.UPDATED_AT) })}</p>
+            <div class="pricing__rates">${rateFields}</div>
+
+            <div class="export__actions">
+                <button type="button" class="export__button" data-action="pricing-save">💾 ${I18n.t('pricing.save')}</button>
+                <button type="button" class="export__button" data-action="pricing-reset">↩️ ${I18n.t('pricing.reset')}</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the routes panel: forms and lists of the user's routes and cities, route packs and conflicts
+     * @param {Object} custom - Object with routes and cities (from CustomRoutes.getCustom())
+     * @param {Array} packs - Loaded route packs (from CustomRoutes.getPacks())
+     * @param {Array} conflicts - Routes whose sources disagree (from RoutesDB.getConflicts())
+     * @param {Object|null} editing - Entry being edited: { type: 'route' | 'city', id }, null when adding
+     * @returns {string} HTML string with the routes panel
+     */
+    renderRouteSettings: function(custom, packs, conflicts, editing) {
+        const escape = text => this.escapeHtml(text);
+        const editingOf = type => editing && editing.type === type ?
+            custom[type === 'route' ? 'routes' : 'cities'].find(entry => entry.id === editing.id) || null : null;
+        const route = editingOf('route');
+        const city = editingOf('city');
+        const coordinate = value => value === null || value === undefined ? '' : value;
+
+        const actionsOf = (type, id) => `
+            <div class="history__actions">
+                <button type="button" class="history__button" data-action="routes-edit-${type}" data-id="${id}" title="${I18n.t('routes.edit')}">✏️</button>
+                <button type="button" class="history__button history__button--danger" data-action="routes-delete-${type}" data-id="${id}" title="${I18n.t('routes.delete')}">🗑️</button>
+            </div>
+        `;
+
+        const cancelButton = type => editingOf(type) ? `
+            <button type="button" class="export__button" data-action="routes-cancel">${I18n.t('routes.cancel')}</button>
+        ` : '';
+
+        const routeRows = custom.routes.map(entry => `
+            <tr>
+                <td>${escape(entry.origin)}</td>
+                <td>${escape(entry.destination)}</td>
+                <td class="batch__number">${Units.formatDistance(entry.distanceKm)}</td>
+                <td>${actionsOf('route', entry.id)}</td>
+            </tr>
+        `).join('');
+
+        const cityRows = custom.cities.map(entry => `
+            <tr>
+                <td>${escape(entry.name)}</td>
+                <td class="batch__number">${entry.lat !== null ? this.formatNumber(entry.lat, 4) : '-'}</td>
+                <td class="batch__number">${entry.lon !== null ? this.formatNumber(entry.lon, 4) : '-'}</td>
+                <td>${actionsOf('city', entry.id)}</td>
+            </tr>
+        `).join('');
+
+        const packRows = packs.map(pack => `
+            <tr>
+                <td>${escape(pack.name)}</td>
+                <td class="batch__number">${pack.routes.length}</td>
+                <td class="batch__number">${pack.cities.length}</td>
+                <td>${this.formatDate(pack.loadedAt)}</td>
+                <td>
+                    <button type="button" class="history__button history__button--danger" data-action="routes-remove-pack" data-id="${pack.id}" title="${I18n.t('routes.removePack')}">🗑️</button>
+                </td>
+            </tr>
+        `).join('');
+
+        const conflictItems = conflicts.map(conflict => {
+            const sourceOf = entry => `${Units.formatDistance(entry.distanceKm)} (${escape(CustomRoutes.sourceLabel(entry.source))})`;
+
+            return `
+                <li class="routes__conflict">${I18n.t('routes.conflict', {
+                    origin: escape(conflict.origin),
+                    destination: escape(conflict.destination),
+                    used: sourceOf(conflict),
+                    others: I18n.formatList(conflict.conflicts.map(sourceOf))
+                })}</li>
+            `;
+        }).join('');
+
+        const table = (caption, headers, rows, empty) => rows ? `
+            <div class="batch__table-wrapper">
+                <table class="batch__table">
+                    <caption class="batch__caption">${caption}</caption>
+                    <thead>
+                        <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        ` : `
+            <p class="batch__caption">${caption}</p>
+            <p class="routes__empty">${empty}</p>
+        `;
+
+        const conflictsHtml = conflicts.length > 0 ? `
+            <div class="routes__conflicts" role="status">
+                <p class="batch__caption">${I18n.t('routes.conflictsCaption')}</p>
+                <ul class="routes__conflict-list">${conflictItems}</ul>
+            </div>
+        ` : '';
+
+        return `
+            <p class="batch__help">${I18n.t('routes.help')}</p>
+
+            ${conflictsHtml}
+
+            <fieldset class="routes__form">
+                <legend class="calculator__legend">${I18n.t(route ? 'routes.editRoute' : 'routes.addRoute')}</legend>
+                <div class="routes__fields">
+                    <div class="calculator__field">
+                        <label for="routes-origin" class="calculator__label">${I18n.t('form.origin')}</label>
+                        <input type="text" id="routes-origin" class="calculator__input" list="routes-cities" placeholder="${escape(I18n.t('form.cityPlaceholder'))}" value="${route ? escape(route.origin) : ''}">
+                    </div>
+                    <div class="calculator__field">
+                        <label for="routes-destination" class="calculator__label">${I18n.t('form.destination')}</label>
+                        <input type="text" id="routes-destination" class="calculator__input" list="routes-cities" placeholder="${escape(I18n.t('form.cityPlaceholder'))}" value="${route ? escape(route.destination) : ''}">
+                    </div>
+                    <div class="calculator__field">
+                        <label for="routes-distance" class="calculator__label">${I18n.t('form.distance', { unit: Units.distanceUnit() })}</label>
+                        <input type="number" id="routes-distance" class="calculator__input" min="0" step="any" value="${route ? Units.toDistanceInput(route.distanceKm) : ''}" data-km="${route ? route.distanceKm : ''}">
+                    </div>
+                </div>
+                <datalist id="routes-cities">
+                    ${RoutesDB.getAllCities().map(name => `<option value="${escape(name)}"></option>`).join('')}
+                </datalist>
+                <div class="export__actions">
+                    <button type="button" class="export__button" data-action="routes-save-route">💾 ${I18n.t(route ? 'routes.updateRoute' : 'routes.saveRoute')}</button>
+                    ${cancelButton('route')}
+                </div>
+            </fieldset>
+
+            ${table(I18n.t('routes.routesCaption'), [I18n.t('form.origin'), I18n.t('form.destination'), I18n.t('form.distance', { unit: Units.distanceUnit() }), ''], routeRows, I18n.t('routes.noRoutes'))}
+
+            <fieldset class="routes__form">
+                <legend class="calculator__legend">${I18n.t(city ? 'routes.editCity' : 'routes.addCity')}</legend>
+                <div class="routes__fields">
+                    <div class="calculator__field">
+                        <label for="routes-city-name" class="calculator__label">${I18n.t('routes.cityName')}</label>
+                        <input type="text" id="routes-city-name" class="calculator__input" placeholder="${escape(I18n.t('routes.cityPlaceholder'))}" value="${city ? escape(city.name) : ''}">
+                    </div>
+                    <div class="calculator__field">
+                        <label for="routes-city-lat" class="calculator__label">${I18n.t('routes.latitude')}</label>
+                        <input type="number" id="routes-city-lat" class="calculator__input" min="-90" max="90" step="any" value="${city ? coordinate(city.lat) : ''}">
+                    </div>
+                    <div class="calculator__field">
+                        <label for="routes-city-lon" class="calculator__label">${I18n.t('routes.longitude')}</label>
+                        <input type="number" id="routes-city-lon" class="calculator__input" min="-180" max="180" step="any" value="${city ? coordinate(city.lon) : ''}">
+                    </div>
+                </div>
+                <small class="calculator__helper">${I18n.t('routes.cityHelper')}</small>
+                <div class="export__actions">
+                    <button type="button" class="export__button" data-action="routes-save-city">💾 ${I18n.t(city ? 'routes.updateCity' : 'routes.saveCity')}</button>
+                    ${cancelButton('city')}
+                </div>
+            </fieldset>
+
+            ${table(I18n.t('routes.citiesCaption'), [I18n.t('routes.cityName'), I18n.t('routes.latitude'), I18n.t('routes.longitude'), ''], cityRows, I18n.t('routes.noCities'))}
+
+            <fieldset class="routes__form">
+                <legend class="calculator__legend">${I18n.t('routes.packsCaption')}</legend>
+                <p class="batch__help">${I18n.t('routes.packHelp')}</p>
+                <label for="routes-pack-file" class="calculator__label">${I18n.t('routes.packFile')}</label>
+                <input type="file" id="routes-pack-file" class="batch__file" accept=".json,.csv,application/json,text/csv">
+            </fieldset>
+
+            ${table(I18n.t('routes.loadedPacks'), [I18n.t('routes.packName'), I18n.t('routes.routeCount'), I18n.t('routes.cityCount'), I18n.t('routes.loadedAt'), ''], packRows, I18n.t('routes.noPacks'))}
+        `;
+    },
+
+    /**
+     * Render the offset checkout form: project choice, amount and total
+     * @param {Object} checkout - Object with trip (credits, route, offset), balance, currency and projects
+     * @param {Object} provider - Active offset provider
+     * @param {Array} receipts - Saved offset receipts
+     * @returns {string} HTML string with the offset form
+     */
+    renderOffsetForm: function(checkout, provider, receipts) {
+        const { trip, balance, currency, projects } = checkout;
+
+        // Receipts saved before the currency was recorded were priced in R$
+        const receiptTotal = receipt => this.formatCurrency(receipt.total, receipt.currency || 'BRL');
+
+        const projectsHtml = projects.map((project, index) => `
+            <label class="offset__project">
+                <input type="radio" name="offset-project" value="${project.id}" class="calculator__radio" ${index === 0 ? 'checked' : ''}>
+                <span class="offset__project-content">
+                    <span class="offset__project-icon">${project.icon}</span>
+                    <span class="offset__project-info">
+                        <span class="offset__project-name">${project.name}</span>
+                        <span class="offset__project-type">${project.type} · ${I18n.t('offset.perCredit', { price: this.formatCurrency(project.price, currency) })}</span>
+                        <span class="offset__project-description">${project.description}</span>
+                    </span>
+                </span>
+            </label>
+        `).join('');
+
+        const receiptsHtml = receipts.length > 0 ? `
+            <details class="offset__receipts">
+                <summary>${I18n.t('offset.myOffsets', { count: receipts.length })}</summary>
+                <ul class="offset__receipt-list">
+                    ${receipts.map(receipt => `
+                        <li>${this.formatDateTime(receipt.timestamp)} · ${receipt.projectName} · ${I18n.t('credits.amount', { value: this.formatNumber(receipt.credits, 4) })} · ${receiptTotal(receipt)}</li>
+                    `).join('')}
+                </ul>
+            </details>
+        ` : '';
+
+        return `
+            <form class="offset__form">
+                <fieldset class="offset__fieldset">
+                    <legend class="calculator__legend">${I18n.t('offset.chooseProject')}</legend>
+                    <div class="offset__projects">${projectsHtml}</div>
+                </fieldset>
+
+                <fieldset class="offset__fieldset">
+                    <legend class="calculator__legend">${I18n.t('offset.chooseAmount')}</legend>
+                    <label class="calculator__checkbox-label">
+                        <input type="radio" name="offset-amount" value="trip" class="calculator__checkbox" ${trip.offset ? 'disabled' : 'checked'}>
+                        ${I18n.t(trip.offset ? 'offset.tripOffset' : 'offset.thisTrip', { route: this.escapeHtml(trip.route), credits: this.formatNumber(trip.credits, 4) })}
+                    </label>
+                    <label class="calculator__checkbox-label">
+                        <input type="radio" name="offset-amount" value="balance" class="calculator__checkbox" ${balance > 0 ? (trip.offset ? 'checked' : '') : 'disabled'}>
+                        ${I18n.t('offset.balance', { credits: this.formatNumber(balance, 4) })}
+                    </label>
+                </fieldset>
+
+                <p id="offset-summary" class="offset__summary" aria-live="polite"></p>
+                <p class="offset__provider">${I18n.t('offset.provider')}: ${I18n.label('offsetProvider', provider.id, provider.name)}</p>
+
+                <button type="submit" id="offset-confirm" class="carbon-credits__button">✅ ${I18n.t('offset.confirm')}</button>
+            </form>
+            ${receiptsHtml}
+        `;
+    },
+
+    /**
+     * Render the receipt of a confirmed offset
+     * @param {Object} receipt - Saved offset receipt
+     * @returns {string} HTML string with the receipt
+     */
+    renderOffsetReceipt: function(receipt) {
+        return `
+            <div class="offset__receipt">
+                <p class="offset__receipt-title">🎉 ${I18n.t('offset.confirmed')}</p>
+                <dl class="offset__receipt-details">
+                    <dt>${I18n.t('offset.receipt')}</dt><dd>${receipt.id}</dd>
+                    <dt>${I18n.t('offset.date')}</dt><dd>${this.formatDateTime(receipt.timestamp)}</dd>
+                    <dt>${I18n.t('offset.project')}</dt><dd>${receipt.projectName} (${receipt.projectType})</dd>
+                    <dt>${I18n.t('offset.reference')}</dt><dd>${this.escapeHtml(receipt.scope === 'balance' ? I18n.t('offset.balanceReference') : receipt.reference)}</dd>
+                    <dt>${I18n.t('history.credits')}</dt><dd>${this.formatNumber(receipt.credits, 4)} (${Units.formatMass(receipt.kgCO2)} CO₂)</dd>
+                    <dt>${I18n.t('offset.total')}</dt><dd>${this.formatCurrency(receipt.total, receipt.currency || 'BRL')}</dd>
+                    <dt>${I18n.t('offset.provider')}</dt><dd>${I18n.label('offsetProvider', receipt.providerId, receipt.providerName)}</dd>
+                </dl>
+                <p class="offset__provider">${I18n.t('offset.receiptSaved')}</p>
+                <button type="button" class="carbon-credits__button" data-action="offset-close">${I18n.t('offset.done')}</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Render batch calculation results with per-row status and totals by mode
+     * @param {Array} rows - Processed trips from TripBatch.processTrip()
+     * @param {Object} totals - Totals from TripBatch.getTotalsByMode()
+     * @returns {string} HTML string with results table and totals
+     */
+    renderBatchResults: function(rows, totals) {
+        const rowsHtml = rows.map(row => {
+            const modeData = CONFIG.TRANSPORT_MODES[row.mode];
+
+            return `
+                <tr class="batch__row batch__row--${row.status}">
+                    <td>${row.line}</td>
+                    <td>${this.escapeHtml(row.origin)}</td>
+                    <td>${this.escapeHtml(row.destination)}</td>
+                    <td class="batch__number">${row.distance ? this.formatNumber(row.distance, 0) : '-'}</td>
+                    <td>${modeData ? `${modeData.icon} ${I18n.modeLabel(row.mode)}` : this.escapeHtml(row.modeText)}</td>
+                    <td class="batch__number">${row.emission !== null ? this.formatNumber(row.emission) : '-'}</td>
+                    <td><span class="batch__status batch__status--${row.status}">${I18n.t(`batch.status.${row.status}`)}</span></td>
+                </tr>
+            `;
+        }).join('');
+
+        const totalsHtml = totals.byMode.map(total => {
+            const modeData = CONFIG.TRANSPORT_MODES[total.mode];
+
+            return `
+                <tr>
+                    <td>${modeData.icon} ${I18n.modeLabel(total.mode)}</td>
+                    <td class="batch__number">${total.trips}</td>
+                    <td class="batch__number">${this.formatNumber(total.distance, 0)}</td>
+                    <td class="batch__number">${this.formatNumber(total.emission)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="batch__container">
+                <p class="batch__summary">
+                    ${I18n.t('batch.summary', { calculated: totals.trips - totals.failed, count: totals.trips })} ·
+                    ${I18n.t('batch.totalEmission', { value: this.formatNumber(totals.emission) })}
+                </p>
+
+                <!-- Totals by Mode -->
+                <div class="batch__table-wrapper">
+                    <table class="batch__table">
+                        <caption class="batch__caption">${I18n.t('batch.totalsByMode')}</caption>
+                        <thead>
+                            <tr><th>${I18n.t('batch.mode')}</th><th>${I18n.t('history.trips')}</th><th>${I18n.t('batch.distance')}</th><th>${I18n.t('batch.emission')}</th></tr>
+                        </thead>
+                        <tbody>${totalsHtml}</tbody>
+                        <tfoot>
+                            <tr>
+                                <th>${I18n.t('offset.total')}</th>
+                                <td class="batch__number">${totals.trips - totals.failed}</td>
+                                <td class="batch__number">${this.formatNumber(totals.distance, 0)}</td>
+                                <td class="batch__number">${this.formatNumber(totals.emission)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+
+                <!-- Results by Trip -->
+                <div class="batch__table-wrapper">
+                    <table class="batch__table">
+                        <caption class="batch__caption">${I18n.t('history.trips')}</caption>
+                        <thead>
+                            <tr><th>${I18n.t('batch.line')}</th><th>${I18n.t('form.origin')}</th><th>${I18n.t('form.destination')}</th><th>${I18n.t('batch.distance')}</th><th>${I18n.t('batch.mode')}</th><th>${I18n.t('batch.emission')}</th><th>${I18n.t('batch.status')}</th></tr>
+                        </thead>
+                        <tbody>${rowsHtml}</tbody>
+                    </table>
+                </div>
+
+                <button type="button" class="export__button" data-action="batch-download">⬇️ ${I18n.t('batch.download')}</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Show a validation message next to a form input
+     * The message is linked with aria-describedby, and errors also mark the input with aria-invalid
+     * @param {HTMLElement} input - Input the message refers to
+     * @param {string} message - Message text
+     * @param {string} severity - 'error' or 'warning'
+     */
+    showFieldMessage: function(input, message, severity) {
+        const container = input.closest('.calculator__field') || input.parentElement;
+        const messageId = `${input.id}-message`;
+
+        // The input may be in a shadow root (see js/widget.js) instead of the page
+        let messageElement = input.getRootNode().getElementById(messageId);
+        if (!messageElement) {
+            messageElement = document.createElement('small');
+            messageElement.id = messageId;
+            container.appendChild(messageElement);
+        }
+
+        messageElement.className = `calculator__message calculator__message--${severity}`;
+        messageElement.textContent = message;
+
+        input.classList.add(`calculator__input--${severity}`);
+        if (severity === 'error') {
+            input.setAttribute('aria-invalid', 'true');
+        }
+
+        const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(messageId)) {
+            input.setAttribute('aria-describedby', describedBy.concat(messageId).join(' '));
+        }
+    },
+
+    /**
+     * Remove the validation message of a form input
+     * @param {HTMLElement} input - Input to clear
+     */
+    clearFieldMessage: function(input) {
+        const messageId = `${input.id}-message`;
+        const messageElement = input.getRootNode().getElementById(messageId);
+
+        if (messageElement) {
+            messageElement.remove();
+        }
+
+        input.classList.remove('calculator__input--error', 'calculator__input--warning');
+        input.removeAttribute('aria-invalid');
+
+        const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== messageId);
+        if (describedBy.length > 0) {
+            input.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            input.removeAttribute('aria-describedby');
+        }
+    },
+
+    /**
+     * Remove every validation message inside an element
+     * @param {HTMLElement} root - Element containing the inputs (e.g., the calculator form)
+     */
+    clearFieldMessages: function(root) {
+        root.querySelectorAll('.calculator__input--error, .calculator__input--warning').forEach(input => {
+            this.clearFieldMessage(input);
+        });
+    },
+
+    /**
+     * Show a message in the form status area, announced by screen readers (aria-live)
+     * @param {string} message - Message text
+     * @param {string} severity - 'error' or 'warning'
+     * @param {HTMLElement} status - Status area (default: the one of the page form)
+     */
+    showFormStatus: function(message, severity, status = document.getElementById('form-status')) {
+        if (status) {
+            status.className = `calculator__status calculator__status--${severity}`;
+            status.textContent = message;
+        }
+    },
+
+    /**
+     * Clear the form status area
+     * @param {HTMLElement} status - Status area (default: the one of the page form)
+     */
+    clearFormStatus: function(status = document.getElementById('form-status')) {
+        if (status) {
+            status.className = 'calculator__status';
+            status.textContent = '';
+        }
+    },
+
     /**
      * Show loading state on button
      * @param {HTMLElement} buttonElement - Button element to show loading state
+     * @param {string} text - Loading text (default: "Calculando..." in the interface language)
      */
-    showLoading: function(buttonElement) {
+    showLoading: function(buttonElement, text = I18n.t('form.calculating')) {
         // Save original text in data attribute
         buttonElement.dataset.originalText = buttonElement.textContent;
 
@@ -248,7 +1077,7 @@ const UI = {
         buttonElement.disabled = true;
 
         // Update button content with spinner
-        buttonElement.innerHTML = '<span class="spinner"></span> Calculando...';
+        buttonElement.innerHTML = `<span class="spinner"></span> ${text}`;
     },
 
     /**
@@ -0,0 +1,328 @@
+/**
+ * Units - Metric/imperial unit preference and conversions for display
+ *
+ * Calculations, history and exports keep canonical values (km, kg CO₂, km/l).
+ * This module converts them to the user's unit system only at the edges:
+ * when numbers are rendered and when form inputs are read or filled.
+ *
+ * Contains methods for:
+ * - Choosing and persisting the unit system
+ * - Converting and formatting distances, CO₂ masses, emission factors and fuel consumption
+ * - Reading and filling distance and consumption inputs
+ */
+
+const Units = {
+    /**
+     * Unit system used when no choice is saved
+     */
+    DEFAULT_SYSTEM: 'metric',
+
+    /**
+     * localStorage key where the chosen unit system is kept
+     */
+    STORAGE_KEY: 'carbono.units',
+
+    /**
+     * Kilometers in one mile
+     */
+    KM_PER_MILE: 1.609344,
+
+    /**
+     * Pounds in one kilogram
+     */
+    LB_PER_KG: 2.20462262185,
+
+    /**
+     * Supported unit systems with their distance and mass unit symbols
+     */
+    SYSTEMS: {
+        metric: {
+            distance: 'km',
+            mass: 'kg'
+        },
+        imperial: {
+            distance: 'mi',
+            mass: 'lb'
+        }
+    },
+
+    /**
+     * Imperial equivalent of each fuel consumption unit
+     * factor converts the metric value to the imperial one (imperial = metric × factor)
+     */
+    CONSUMPTION_UNITS: {
+        'km/l': { unit: 'mpg', factor: 3.785411784 / 1.609344 },
+        'km/m³': { unit: 'mi/m³', factor: 1 / 1.609344 },
+        'kWh/100km': { unit: 'kWh/100mi', factor: 1.609344 }
+    },
+
+    /**
+     * Current unit system
+     */
+    system: 'metric',
+
+    /**
+     * Pick the saved unit system and setup the unit switcher
+     */
+    init: function() {
+        this.system = this.getSavedSystem();
+
+        const select = document.getElementById('units-select');
+
+        if (!select) {
+            console.error('Seletor de unidades não encontrado');
+            return;
+        }
+
+        this.renderOptions();
+        this.updateLabels();
+        select.addEventListener('change', () => this.setSystem(select.value));
+
+        console.log(`Sistema de unidades configurado (${this.system})`);
+    },
+
+    /**
+     * Fill the unit switcher with translated system names
+     */
+    renderOptions: function() {
+        const select = document.getElementById('units-select');
+
+        if (select) {
+            select.innerHTML = Object.keys(this.SYSTEMS).map(system =>
+                `<option value="${system}" ${system === this.system ? 'selected' : ''}>${I18n.t(`units.${system}`)}</option>`
+            ).join('');
+        }
+    },
+
+    /**
+     * Show the current distance unit in distance field labels
+     * @param {HTMLElement|Document} root - Element containing the labels (default: whole document)
+     */
+    updateLabels: function(root = document) {
+        root.querySelectorAll('[data-i18n="form.distance"]').forEach(label => {
+            I18n.setText(label, 'form.distance', { unit: this.distanceUnit() });
+        });
+    },
+
+    /**
+     * Read the saved unit system
+     * @returns {string} Supported unit system, the default if none is saved
+     */
+    getSavedSystem: function() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return saved && this.SYSTEMS[saved] ? saved : this.DEFAULT_SYSTEM;
+        } catch (error) {
+            console.error('Erro ao ler sistema de unidades:', error);
+            return this.DEFAULT_SYSTEM;
+        }
+    },
+
+    /**
+     * Change the unit system, save the choice and notify listeners
+     * Dispatches a "unitschange" event on document with the previous and new systems,
+     * so inputs can be converted and dynamic content re-rendered
+     * @param {string} system - 'metric' or 'imperial'
+     */
+    setSystem: function(system) {
+        if (!this.SYSTEMS[system]) {
+            console.error(`Sistema de unidades não suportado: ${system}`);
+            return;
+        }
+
+        const previous = this.system;
+        this.system = system;
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, system);
+        } catch (error) {
+            console.error('Erro ao salvar sistema de unidades:', error);
+        }
+
+        document.dispatchEvent(new CustomEvent('unitschange', { detail: { previous: previous, system: system } }));
+    },
+
+    /**
+     * Check whether imperial units are in use
+     * @param {string} system - Unit system (default: current)
+     * @returns {boolean} True for imperial
+     */
+    isImperial: function(system = this.system) {
+        return system === 'imperial';
+    },
+
+    /**
+     * Get the distance unit symbol
+     * @returns {string} 'km' or 'mi'
+     */
+    distanceUnit: function() {
+        return this.SYSTEMS[this.system].distance;
+    },
+
+    /**
+     * Get the mass unit symbol
+     * @returns {string} 'kg' or 'lb'
+     */
+    massUnit: function() {
+        return this.SYSTEMS[this.system].mass;
+    },
+
+    /**
+     * Convert a distance in km to the display unit
+     * @param {number} km - Distance in kilometers
+     * @param {string} system - Unit system (default: current)
+     * @returns {number} Distance in km or miles
+     */
+    distance: function(km, system = this.system) {
+        return this.isImperial(system) ? km / this.KM_PER_MILE : km;
+    },
+
+    /**
+     * Convert a mass in kg to the display unit
+     * @param {number} kg - Mass in kilograms
+     * @returns {number} Mass in kg or pounds
+     */
+    mass: function(kg) {
+        return this.isImperial() ? kg * this.LB_PER_KG : kg;
+    },
+
+    /**
+     * Convert an emission factor in kg CO₂/km to the display units
+     * @param {number} kgPerKm - Factor in kg CO₂ per kilometer
+     * @returns {number} Factor in kg CO₂/km or lb CO₂/mi
+     */
+    factor: function(kgPerKm) {
+        return this.isImperial() ? kgPerKm * this.LB_PER_KG * this.KM_PER_MILE : kgPerKm;
+    },
+
+    /**
+     * Format a distance with its unit
+     * @param {number} km - Distance in kilometers
+     * @param {number} decimals - Number of decimal places (default: 0)
+     * @returns {string} Formatted distance (e.g., "525 km" or "326 mi")
+     */
+    formatDistance: function(km, decimals = 0) {
+        return `${UI.formatNumber(this.distance(km), decimals)} ${this.distanceUnit()}`;
+    },
+
+    /**
+     * Format a CO₂ mass with its unit
+     * @param {number} kg - Mass in kilograms
+     * @param {number} decimals - Number of decimal places (default: 2)
+     * @returns {string} Formatted mass (e.g., "46,72 kg" or "103.00 lb")
+     */
+    formatMass: function(kg, decimals = 2) {
+        return `${UI.formatNumber(this.mass(kg), decimals)} ${this.massUnit()}`;
+    },
+
+    /**
+     * Format an emission factor with its unit
+     * @param {number} kgPerKm - Factor in kg CO₂ per kilometer
+     * @param {number} decimals - Number of decimal places (default: 3)
+     * @returns {string} Formatted factor (e.g., "0,149 kg CO₂/km" or "0.529 lb CO₂/mi")
+     */
+    formatFactor: function(kgPerKm, decimals = 3) {
+        return `${UI.formatNumber(this.factor(kgPerKm), decimals)} ${this.massUnit()} CO₂/${this.distanceUnit()}`;
+    },
+
+    /**
+     * Get the display unit of a fuel consumption unit
+     * @param {string} metricUnit - Consumption unit from CONFIG.FUEL_TYPES (e.g., 'km/l')
+     * @returns {string} Display unit (e.g., 'km/l' or 'mpg')
+     */
+    consumptionUnit: function(metricUnit) {
+        const imperial = this.CONSUMPTION_UNITS[metricUnit];
+        return this.isImperial() && imperial ? imperial.unit : metricUnit;
+    },
+
+    /**
+     * Convert a fuel consumption to the display unit
+     * @param {number} value - Consumption in the fuel's metric unit
+     * @param {string} metricUnit - Consumption unit from CONFIG.FUEL_TYPES
+     * @param {string} system - Unit system (default: current)
+     * @returns {number} Consumption in the display unit
+     */
+    consumption: function(value, metricUnit, system = this.system) {
+        const imperial = this.CONSUMPTION_UNITS[metricUnit];
+        return this.isImperial(system) && imperial ? value * imperial.factor : value;
+    },
+
+    /**
+     * Format a fuel consumption with its unit
+     * @param {number} value - Consumption in the fuel's metric unit
+     * @param {string} metricUnit - Consumption unit from CONFIG.FUEL_TYPES
+     * @returns {string} Formatted consumption (e.g., "11,0 km/l" or "25.9 mpg")
+     */
+    formatConsumption: function(value, metricUnit) {
+        return `${UI.formatNumber(this.consumption(value, metricUnit), 1)} ${this.consumptionUnit(metricUnit)}`;
+    },
+
+    /**
+     * Read a distance typed in the display unit
+     * @param {string} text - Input value
+     * @param {string} system - Unit system the value was typed in (default: current)
+     * @returns {number} Distance in km, NaN if the input is not a number
+     */
+    readDistance: function(text, system = this.system) {
+        const value = parseFloat(text);
+        return this.isImperial(system) ? value * this.KM_PER_MILE : value;
+    },
+
+    /**
+     * Get the input value for a distance in km, in the display unit
+     * Two decimals keep switching back and forth between systems within about 10 m
+     * @param {number} km - Distance in kilometers
+     * @param {string} system - Unit system (default: current)
+     * @returns {number} Distance in the display unit
+     */
+    toDistanceInput: function(km, system = this.system) {
+        return Math.round(this.distance(km, system) * 100) / 100;
+    },
+
+    /**
+     * Fill a distance input in the display unit, keeping the exact distance in data-km
+     * @param {HTMLInputElement} input - Distance input
+     * @param {number} km - Distance in kilometers
+     */
+    setDistanceInput: function(input, km) {
+        input.value = this.toDistanceInput(km);
+        input.dataset.km = km;
+    },
+
+    /**
+     * Read a distance input filled by setDistanceInput() or typed by the user
+     * The exact distance is used while the input still shows it, so rounding to the
+     * display unit doesn't change filled distances; a typed value is read as is
+     * @param {HTMLInputElement} input - Distance input
+     * @param {string} system - Unit system the input is shown in (default: current)
+     * @returns {number} Distance in km, NaN if the input is not a number
+     */
+    readDistanceInput: function(input, system = this.system) {
+        const km = parseFloat(input.dataset.km);
+        return km >= 0 && this.toDistanceInput(km, system) === parseFloat(input.value) ? km : this.readDistance(input.value, system);
+    },
+
+    /**
+     * Read a fuel consumption typed in the display unit
+     * @param {string} text - Input value
+     * @param {string} metricUnit - Consumption unit from CONFIG.FUEL_TYPES
+     * @param {string} system - Unit system the value was typed in (default: current)
+     * @returns {number} Consumption in the fuel's metric unit, NaN if the input is not a number
+     */
+    readConsumption: function(text, metricUnit, system = this.system) {
+        const imperial = this.CONSUMPTION_UNITS[metricUnit];
+        const value = parseFloat(text);
+        return this.isImperial(system) && imperial ? value / imperial.factor : value;
+    },
+
+    /**
+     * Get the input value for a fuel consumption, in the display unit
+     * @param {number} value - Consumption in the fuel's metric unit
+     * @param {string} metricUnit - Consumption unit from CONFIG.FUEL_TYPES
+     * @param {string} system - Unit system (default: current)
+     * @returns {number} Consumption rounded to 0.01 in the display unit
+     */
+    toConsumptionInput: function(value, metricUnit, system = this.system) {
+        return Math.round(this.consumption(value, metricUnit, system) * 100) / 100;
+    }
+};
@@ -0,0 +1,151 @@
+/**
+ * Validator - Checks calculator form values before calculating
+ *
+ * Validation methods return a list of issues instead of stopping at the first problem,
+ * so every field can show its own message. Each issue has:
+ * - field: form field name ('origin', 'destination', 'distance' for trip legs; the input id otherwise)
+ * - leg: index of the trip leg the field belongs to (only for leg fields)
+ * - key and params: message in the I18n catalogs
+ * - severity: 'error' blocks the calculation, 'warning' only asks the user to check the value
+ */
+
+const Validator = {
+    /**
+     * Check trip legs: cities, identical origin and destination, and distance limits
+     * @param {Array} legs - Array of objects with origin, destination, distance (km) and optional mode
+     * @returns {Array} Issues found
+     */
+    validateLegs: function(legs) {
+        const issues = [];
+
+        legs.forEach((leg, index) => {
+            const issue = (field, key, params = {}, severity = 'error') => {
+                issues.push({ field: field, leg: index, key: key, params: params, severity: severity });
+            };
+
+            if (!leg.origin) {
+                issue('origin', 'errors.originRequired');
+            }
+
+            if (!leg.destination) {
+                issue('destination', 'errors.destinationRequired');
+            }
+
+            if (leg.origin && leg.destination && this.isSameCity(leg.origin, leg.destination)) {
+                issue('destination', 'errors.sameOriginDestination');
+            }
+
+            if (!leg.distance || leg.distance <= 0) {
+                issue('distance', 'errors.distance');
+            } else if (leg.distance > CONFIG.VALIDATION.MAX_DISTANCE_KM) {
+                issue('distance', 'errors.distanceTooLong', { maxKm: CONFIG.VALIDATION.MAX_DISTANCE_KM });
+            } else {
+                const modeData = CONFIG.TRANSPORT_MODES[leg.mode] || {};
+
+                if (modeData.maxPlausibleKm !== undefined && leg.distance > modeData.maxPlausibleKm) {
+                    issue('distance', 'warnings.implausibleDistance', { mode: leg.mode, maxKm: modeData.maxPlausibleKm }, 'warning');
+                }
+            }
+        });
+
+        return issues;
+    },
+
+    /**
+     * Check the recurring trip schedule
+     * @param {Object} frequency - Object with recurring, tripsPerWeek and weeksPerYear
+     * @returns {Array} Issues found (none when the trip is not recurring)
+     */
+    validateFrequency: function(frequency) {
+        const issues = [];
+
+        if (!frequency.recurring) {
+            return issues;
+        }
+
+        if (!frequency.tripsPerWeek || frequency.tripsPerWeek <= 0) {
+            issues.push({ field: 'trips-per-week', key: 'errors.tripsPerWeek', params: {}, severity: 'error' });
+        }
+
+        if (!frequency.weeksPerYear || frequency.weeksPerYear <= 0 || frequency.weeksPerYear > 52) {
+            issues.push({ field: 'weeks-per-year', key: 'errors.weeksPerYear', params: {}, severity: 'error' });
+        }
+
+        return issues;
+    },
+
+    /**
+     * Check the vehicle profile
+     * @param {Object|null} vehicle - Object with consumption (null for the fuel default) and passengers
+     * @returns {Array} Issues found (none without a vehicle profile)
+     */
+    validateVehicle: function(vehicle) {
+        const issues = [];
+
+        if (!vehicle) {
+            return issues;
+        }
+
+        if (vehicle.consumption !== null && vehicle.consumption <= 0) {
+            issues.push({ field: 'consumption', key: 'errors.consumption', params: {}, severity: 'error' });
+        }
+
+        if (vehicle.passengers < 1) {
+            issues.push({ field: 'passengers', key: 'errors.passengers', params: {}, severity: 'error' });
+        }
+
+        return issues;
+    },
+
+    /**
+     * Check the cargo weight of a freight shipment
+     * @param {number} cargoTonnes - Cargo weight in tonnes
+     * @returns {Array} Issues found
+     */
+    validateCargo: function(cargoTonnes) {
+        return !cargoTonnes || cargoTonnes <= 0 ?
+            [{ field: 'cargo-weight', key: 'errors.cargoWeight', params: {}, severity: 'error' }] :
+            [];
+    },
+
+    /**
+     * Check whether two typed city names refer to the same city
+     * Names are resolved through the routes table, so "São Paulo" and "sao paulo, SP" match
+     * @param {string} a - First city name
+     * @param {string} b - Second city name
+     * @returns {boolean} True if both names refer to the same city
+     */
+    isSameCity: function(a, b) {
+        const canonical = name => RoutesDB.resolveCity(name) || RoutesDB.cityKey(name);
+        return canonical(a) === canonical(b);
+    },
+
+    /**
+     * Check whether any issue blocks the calculation
+     * @param {Array} issues - Issues from the validation methods
+     * @returns {boolean} True if at least one issue is an error
+     */
+    hasErrors: function(issues) {
+        return issues.some(issue => issue.severity === 'error');
+    },
+
+    /**
+     * Get the translated message of an issue
+     * Distance limits are shown in the current unit system
+     * @param {Object} issue - Issue from the validation methods
+     * @returns {string} Message in the interface language
+     */
+    getMessage: function(issue) {
+        const params = Object.assign({}, issue.params);
+
+        if (params.maxKm !== undefined) {
+            params.max = Units.formatDistance(params.maxKm);
+        }
+
+        if (params.mode !== undefined) {
+            params.mode = I18n.modeLabel(params.mode);
+        }
+
+        return I18n.t(issue.key, params);
+    }
+};
@@ -0,0 +1,461 @@
+/**
+ * widget.js - Embeddable calculator widget (<carbono-calculator>)
+ *
+ * Lets other sites embed the passenger calculator with a single script tag:
+ *
+ *   <script type="module" src="https://example.org/carbono/js/widget.js"></script>
+ *   <carbono-calculator origin="São Paulo" destination="Rio de Janeiro" mode="bus" locale="en" theme="dark"></carbono-calculator>
+ *
+ * Attributes (all optional):
+ * - origin, destination: cities filled in when the widget opens
+ * - mode: transport mode key from CONFIG.TRANSPORT_MODES (default: 'car')
+ * - locale: language code from I18n.LOCALES (default: the visitor's language)
+ * - theme: 'light' (default) or 'dark'
+ *
+ * The form, results and mode comparison are rendered inside Shadow DOM with the same markup
+ * and styles as the page (css/style.css, then css/widget.css), so neither side's styles leak
+ * into the other. After each calculation the element dispatches a "calculated" event whose
+ * detail is the result object of Calculation.buildPassenger() (the same one the page renders).
+ *
+ * The widget runs its own copy of the page scripts, together in a private function scope, and
+ * imports the core directly: it neither defines globals on the embedding page nor uses the page's
+ * own CONFIG, I18n, UI, etc. when they exist. Running the scripts this way needs 'unsafe-eval'
+ * on pages with a Content Security Policy.
+ */
+
+import { CONFIG, Calculator, CalculationError, RoutesDB, CSVReader, TripBatch, RoutePack } from './core/index.js';
+
+// Root of the app, so scripts and styles load from where widget.js is hosted
+const BASE_URL = new URL('../', import.meta.url);
+
+// Page scripts used by the widget, in load order
+const DEPENDENCIES = [
+    'js/i18n.js',
+    'js/locales/pt-BR.js',
+    'js/locales/en.js',
+    'js/locales/es.js',
+    'js/units.js',
+    'js/validator.js',
+    'js/ui.js',
+    'js/charts.js',
+    'js/calculation.js'
+];
+
+// Stylesheets of the shadow root, in order
+const STYLESHEETS = ['css/style.css', 'css/widget.css'];
+
+// Page objects used by the element, set once their scripts have run
+let I18n, Units, Validator, UI, Charts, Calculation;
+
+/**
+ * Fetch the source of a page script
+ * @param {string} src - Script path relative to the app root
+ * @returns {Promise<string>} Script source
+ */
+function fetchScript(src) {
+    const url = new URL(src, BASE_URL).href;
+
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Falha ao carregar ${url}`);
+        }
+        return response.text();
+    });
+}
+
+/**
+ * Run the page scripts together in a private function scope
+ * Inside it the scripts see the core and each other's objects as globals, like on the page
+ * @param {Array<string>} sources - Sources of DEPENDENCIES, in order
+ * @returns {Object} Objects defined by the scripts
+ */
+function runScripts(sources) {
+    const core = { CONFIG, Calculator, CalculationError, RoutesDB, CSVReader, TripBatch, RoutePack };
+    const run = new Function(...Object.keys(core), `${sources.join('\n;\n')}
+        return { I18n, Units, Validator, UI, Charts, Calculation };`);
+
+    return run(...Object.values(core));
+}
+
+/**
+ * Fetch every page script, then run them
+ * @returns {Promise} Resolves when the page objects are set
+ */
+function loadDependencies() {
+    return Promise.all(DEPENDENCIES.map(fetchScript))
+        .then(sources => {
+            ({ I18n, Units, Validator, UI, Charts, Calculation } = runScripts(sources));
+        });
+}
+
+/**
+ * Custom element with the passenger calculator
+ */
+class CarbonoCalculatorElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['origin', 'destination', 'mode', 'locale', 'theme'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+
+        // Last successful calculation, re-rendered when the language changes
+        this.lastCalculation = null;
+
+        // Chart tooltips: document listeners (Charts.init) can't see inside the shadow root
+        this.shadowRoot.addEventListener('mouseover', event => Charts.showTooltip(event.target));
+        this.shadowRoot.addEventListener('mouseout', event => Charts.hideTooltip(event.target));
+
+        this.shadowRoot.addEventListener('submit', event => this.handleSubmit(event));
+        this.shadowRoot.addEventListener('change', event => this.handleChange(event));
+        this.shadowRoot.addEventListener('input', event => this.handleInput(event));
+    }
+
+    /**
+     * Language of the widget: the locale attribute when supported, the visitor's language otherwise
+     * @returns {string} Supported language code
+     */
+    get locale() {
+        const locale = this.getAttribute('locale');
+        return Object.hasOwn(I18n.LOCALES, locale) ? locale : I18n.detectLocale();
+    }
+
+    /**
+     * Transport mode set by the mode attribute, 'car' when missing or unknown
+     * @returns {string} Transport mode key
+     */
+    get defaultMode() {
+        const mode = this.getAttribute('mode');
+        return Object.hasOwn(CONFIG.TRANSPORT_MODES, mode) ? mode : 'car';
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot.querySelector('form')) {
+            this.render();
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Theme is applied by css/widget.css; nothing to render before the widget is connected
+        if (name === 'theme' || oldValue === newValue || !this.shadowRoot.querySelector('form')) {
+            return;
+        }
+
+        if (name === 'locale') {
+            this.render();
+            return;
+        }
+
+        I18n.withLocale(this.locale, () => {
+            const form = this.shadowRoot.querySelector('form');
+
+            if (name === 'mode') {
+                const radio = form.querySelector(`input[name="transport"][value="${this.defaultMode}"]`);
+                radio.checked = true;
+                return;
+            }
+
+            form.elements[name].value = newValue || '';
+            this.autoFillDistance();
+        });
+    }
+
+    /**
+     * Render the form, keeping the values already entered, and the last results
+     */
+    render() {
+        const current = this.shadowRoot.querySelector('form');
+        const values = current ? {
+            origin: current.elements.origin.value,
+            destination: current.elements.destination.value,
+            distance: current.elements.distance.value,
+            source: current.elements.distance.dataset.source,
+            mode: this.readMode(current)
+        } : {
+            origin: this.getAttribute('origin') || '',
+            destination: this.getAttribute('destination') || '',
+            distance: '',
+            source: undefined,
+            mode: this.defaultMode
+        };
+
+        I18n.withLocale(this.locale, () => {
+            const escape = text => UI.escapeHtml(text);
+
+            this.shadowRoot.innerHTML = `
+                ${STYLESHEETS.map(href => `<link rel="stylesheet" href="${new URL(href, BASE_URL).href}">`).join('')}
+
+                <div class="widget" lang="${this.locale}">
+                    <form class="calculator__form" novalidate>
+                        <div class="calculator__field">
+                            <label for="origin" class="calculator__label">${I18n.t('form.origin')}</label>
+                            <input type="text" id="origin" name="origin" class="calculator__input" list="cities"
+                                placeholder="${escape(I18n.t('form.cityPlaceholder'))}" value="${escape(values.origin)}" required>
+                        </div>
+
+                        <div class="calculator__field">
+                            <label for="destination" class="calculator__label">${I18n.t('form.destination')}</label>
+                            <input type="text" id="destination" name="destination" class="calculator__input" list="cities"
+                                placeholder="${escape(I18n.t('form.cityPlaceholder'))}" value="${escape(values.destination)}" required>
+                        </div>
+
+                        <datalist id="cities">
+                            ${RoutesDB.getAllCities().map(city => `<option value="${escape(city)}"></option>`).join('')}
+                        </datalist>
+
+                        <div class="calculator__field">
+                            <label for="distance" class="calculator__label">${I18n.t('form.distance', { unit: Units.distanceUnit() })}</label>
+                            <input type="number" id="distance" name="distance" class="calculator__input" min="0" value="${escape(values.distance)}">
+                            <small class="calculator__helper">${I18n.t('legs.distanceHelper')}</small>
+                        </div>
+
+                        <fieldset class="calculator__fieldset">
+                            <legend class="calculator__legend">${I18n.t('form.transportMode')}</legend>
+                            <div class="calculator__transport-grid">
+                                ${Object.keys(CONFIG.TRANSPORT_MODES).map(mode => `
+                                    <label class="calculator__transport-option">
+                                        <input type="radio" name="transport" value="${mode}" class="calculator__radio" ${mode === values.mode ? 'checked' : ''}>
+                                        <span class="calculator__transport-content">
+                                            <span class="calculator__transport-emoji">${CONFIG.TRANSPORT_MODES[mode].icon}</span>
+                                            <span class="calculator__transport-text">${I18n.modeLabel(mode)}</span>
+                                        </span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                        </fieldset>
+
+                        <div class="calculator__status" role="status" aria-live="polite"></div>
+
+                        <button type="submit" class="calculator__button">${I18n.t('form.submit')}</button>
+                    </form>
+
+                    <section class="results hidden">
+                        <div class="results__content"></div>
+                    </section>
+
+                    <section class="comparison hidden">
+                        <div class="comparison__content"></div>
+                    </section>
+                </div>
+            `;
+
+            // Restore how the distance was filled, or fill it from the cities
+            if (values.source === 'manual') {
+                this.setDistanceSource('manual');
+            } else {
+                this.autoFillDistance();
+            }
+
+            if (this.lastCalculation) {
+                this.renderCalculation(this.lastCalculation);
+            }
+        });
+    }
+
+    /**
+     * Get the transport mode checked in the form
+     * @param {HTMLFormElement} form - Widget form
+     * @returns {string} Transport mode key
+     */
+    readMode(form) {
+        const checked = form.querySelector('input[name="transport"]:checked');
+        return checked ? checked.value : 'car';
+    }
+
+    /**
+     * Show how the distance was filled in the helper text below it
+     * @param {string} source - 'table', 'estimated' or 'manual'; undefined when unknown
+     * @param {string} key - Helper message key (default: depends on the source)
+     * @param {Object} params - Helper message params
+     */
+    setDistanceSource(source, key, params = {}) {
+        const distanceInput = this.shadowRoot.getElementById('distance');
+        const helperText = this.shadowRoot.querySelector('.calculator__helper');
+        const keys = { table: 'distance.found', estimated: 'legs.estimated', manual: 'distance.manual' };
+        const colors = { table: '#10b981', estimated: '#f59e0b' };
+
+        if (source) {
+            distanceInput.dataset.source = source;
+        } else {
+            delete distanceInput.dataset.source;
+        }
+
+        distanceInput.classList.toggle('success', source === 'table');
+        helperText.textContent = I18n.t(key || keys[source] || 'legs.distanceHelper', params);
+        helperText.style.color = colors[source] || (key ? '#f59e0b' : '');
+    }
+
+    /**
+     * Fill the distance from the route table, or estimate it, when both cities are known
+     * The distance stays editable, like in extra legs (js/legs.js), so helper texts come from there
+     * Must run inside I18n.withLocale() so messages use the widget language
+     */
+    autoFillDistance() {
+        const form = this.shadowRoot.querySelector('form');
+        const origin = form.elements.origin.value.trim();
+        const destination = form.elements.destination.value.trim();
+        const distanceInput = form.elements.distance;
+
+        if (!origin || !destination) {
+            distanceInput.value = '';
+            this.setDistanceSource(undefined);
+            return;
+        }
+
+        const route = RoutesDB.findRoute(origin, destination);
+
+        if (route !== null) {
+            distanceInput.value = Units.toDistanceInput(route.distanceKm);
+            if (route.via.length > 0) {
+                this.setDistanceSource('table', 'distance.foundVia', { via: route.via.join(' → ') });
+            } else {
+                this.setDistanceSource('table');
+            }
+            return;
+        }
+
+        const estimate = RoutesDB.estimateDistance(origin, destination);
+
+        if (estimate !== null) {
+            distanceInput.value = Units.toDistanceInput(estimate.distanceKm);
+            this.setDistanceSource('estimated');
+        } else {
+            distanceInput.value = '';
+            this.setDistanceSource(undefined, 'legs.notFound');
+        }
+    }
+
+    /**
+     * Fill the distance again when a city changes
+     * @param {Event} event - Change event from the shadow root
+     */
+    handleChange(event) {
+        if (event.target.name === 'origin' || event.target.name === 'destination') {
+            I18n.withLocale(this.locale, () => this.autoFillDistance());
+        }
+    }
+
+    /**
+     * Mark a typed distance as manual and dismiss the validation message of the edited field
+     * @param {Event} event - Input event from the shadow root
+     */
+    handleInput(event) {
+        I18n.withLocale(this.locale, () => {
+            if (event.target.name === 'distance') {
+                this.setDistanceSource('manual');
+            }
+
+            if (event.target.classList.contains('calculator__input')) {
+                UI.clearFieldMessage(event.target);
+            }
+        });
+    }
+
+    /**
+     * Read the trip from the widget form
+     * @returns {Object} Form state in the format of readPassengerForm() in js/app.js
+     */
+    readForm() {
+        const form = this.shadowRoot.querySelector('form');
+        const distanceInput = form.elements.distance;
+
+        return {
+            calculationType: 'passenger',
+            manualDistance: distanceInput.dataset.source === 'manual',
+            legs: [{
+                origin: form.elements.origin.value.trim(),
+                destination: form.elements.destination.value.trim(),
+                distance: Units.readDistance(distanceInput.value),
+                mode: this.readMode(form),
+                distanceSource: distanceInput.dataset.source || null
+            }],
+            frequency: {
+                roundTrip: false,
+                recurring: false,
+                tripsPerWeek: CONFIG.FREQUENCY.TRIPS_PER_WEEK,
+                weeksPerYear: CONFIG.FREQUENCY.WEEKS_PER_YEAR
+            },
+            vehicle: null,
+            radiativeForcing: false
+        };
+    }
+
+    /**
+     * Validate and calculate the trip, render it and dispatch the "calculated" event
+     * @param {Event} event - Form submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+
+        I18n.withLocale(this.locale, () => {
+            const form = this.shadowRoot.querySelector('form');
+            const status = form.querySelector('.calculator__status');
+            const formState = this.readForm();
+            const issues = Validator.validateLegs(formState.legs);
+
+            UI.clearFieldMessages(form);
+            issues.forEach(issue => UI.showFieldMessage(form.elements[issue.field], Validator.getMessage(issue), issue.severity));
+
+            const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+            if (errorCount > 0) {
+                UI.showFormStatus(I18n.t('errors.formInvalid', { count: errorCount }), 'error', status);
+                return;
+            }
+
+            if (issues.length > 0) {
+                UI.showFormStatus(I18n.t('warnings.checkValues', { count: issues.length }), 'warning', status);
+            } else {
+                UI.clearFormStatus(status);
+            }
+
+            let calculation;
+
+            try {
+                calculation = Calculation.buildPassenger(formState);
+            } catch (error) {
+                console.error('Erro ao processar cálculo do widget:', error);
+                UI.showFormStatus(error instanceof CalculationError ?
+                    I18n.t(`calculationError.${error.code}`, error.details) :
+                    I18n.t('errors.calculation'), 'error', status);
+                return;
+            }
+
+            this.lastCalculation = calculation;
+            this.renderCalculation(calculation);
+
+            this.dispatchEvent(new CustomEvent('calculated', {
+                detail: calculation.result,
+                bubbles: true,
+                composed: true
+            }));
+        });
+    }
+
+    /**
+     * Render the results and mode comparison of a calculation
+     * Must run inside I18n.withLocale() so text uses the widget language
+     * @param {Object} calculation - Calculation from Calculation.buildPassenger()
+     */
+    renderCalculation(calculation) {
+        const { result, comparison, form } = calculation;
+
+        this.shadowRoot.querySelector('.results__content').innerHTML = UI.renderResults(result);
+        this.shadowRoot.querySelector('.comparison__content').innerHTML = UI.renderComparison(comparison, result.mode, {
+            distance: result.distance,
+            options: { vehicle: form.vehicle, radiativeForcing: form.radiativeForcing }
+        });
+
+        this.shadowRoot.querySelector('.results').classList.remove('hidden');
+        this.shadowRoot.querySelector('.comparison').classList.remove('hidden');
+    }
+}
+
+loadDependencies()
+    .then(() => {
+        if (!customElements.get('carbono-calculator')) {
+            customElements.define('carbono-calculator', CarbonoCalculatorElement);
+        }
+    })
+    .catch(error => console.error('Erro ao carregar o widget da calculadora:', error));
@@ -0,0 +1,496 @@
+/**
+ * Api - Local HTTP JSON API for emission calculations
+ *
+ * Wraps the calculation core (js/core/) for other tools, such as an expense system or a dashboard:
+ * - GET  /routes/cities          Every city of the routes database
+ * - GET  /routes/distance        Road distance between two cities (?from=&to=)
+ * - POST /emissions              Emission of one trip, or of several trips with totals
+ * - POST /credits                Carbon credits and estimated price of an emission
+ * - GET  /openapi.json           OpenAPI description of the endpoints (server/openapi.json)
+ *
+ * Errors are returned as { "error": { "code", "message", "details" } }, where code is stable
+ * and meant for programs (e.g., 'invalid-mode', 'route-not-found') and message is for people.
+ */
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+
+import { CONFIG, Calculator, CalculationError, RoutesDB } from '../js/core/index.js';
+
+const OPENAPI = JSON.parse(readFileSync(new URL('./openapi.json', import.meta.url), 'utf8'));
+
+/**
+ * Error answered to the client with an HTTP status and a stable error code
+ */
+export class ApiError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export const Api = {
+    /**
+     * Largest request body accepted, in bytes
+     */
+    MAX_BODY_BYTES: 1024 * 1024,
+
+    /**
+     * Largest number of trips in one POST /emissions request
+     */
+    MAX_TRIPS: 1000,
+
+    /**
+     * Endpoints by path and method, each naming the Api method that answers it
+     * GET handlers receive the query parameters; POST handlers receive the parsed body
+     */
+    ENDPOINTS: {
+        '/routes/cities': { GET: 'getCities' },
+        '/routes/distance': { GET: 'getDistance' },
+        '/emissions': { POST: 'postEmissions' },
+        '/credits': { POST: 'postCredits' },
+        '/openapi.json': { GET: 'getOpenApi' }
+    },
+
+    /**
+     * Answer a request
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @returns {Promise} Resolves once the response is sent
+     */
+    handle: function(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        const endpoint = this.ENDPOINTS[url.pathname.replace(/\/+$/, '') || '/'];
+
+        return Promise.resolve()
+            .then(() => {
+                if (!endpoint) {
+                    throw new ApiError(404, 'not-found', `Endpoint não encontrado: ${url.pathname}`);
+                }
+
+                const handler = endpoint[request.method];
+                if (!handler) {
+                    response.setHeader('Allow', Object.keys(endpoint).join(', '));
+                    throw new ApiError(405, 'method-not-allowed', `Método ${request.method} não permitido em ${url.pathname}`, {
+                        allowed: Object.keys(endpoint)
+                    });
+                }
+
+                if (request.method === 'GET') {
+                    return this[handler](Object.fromEntries(url.searchParams));
+                }
+
+                return this.readBody(request).then(body => this[handler](body));
+            })
+            .then(result => this.sendJson(response, 200, result))
+            .catch(error => {
+                if (!(error instanceof ApiError)) {
+                    console.error('Erro ao processar requisição:', error);
+                    error = new ApiError(500, 'internal-error', 'Erro interno do servidor');
+                }
+
+                this.sendJson(response, error.status, {
+                    error: {
+                        code: error.code,
+                        message: error.message,
+                        details: error.details
+                    }
+                });
+            });
+    },
+
+    /**
+     * Read and parse a JSON request body
+     * @param {http.IncomingMessage} request - Request
+     * @returns {Promise<*>} Parsed body
+     */
+    readBody: function(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            // An oversized body is read to the end but not kept, so the error can still be answered
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size <= this.MAX_BODY_BYTES) {
+                    chunks.push(chunk);
+                }
+            });
+            request.on('end', () => {
+                if (size > this.MAX_BODY_BYTES) {
+                    reject(new ApiError(413, 'payload-too-large', `O corpo da requisição passa de ${this.MAX_BODY_BYTES} bytes`));
+                    return;
+                }
+
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (error) {
+                    reject(new ApiError(400, 'invalid-json', 'O corpo da requisição não é um JSON válido'));
+                }
+            });
+            request.on('error', reject);
+        });
+    },
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} response - Response
+     * @param {number} status - HTTP status
+     * @param {Object} body - Response body
+     */
+    sendJson: function(response, status, body) {
+        const text = JSON.stringify(body);
+
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(text)
+        });
+        response.end(text);
+    },
+
+    /**
+     * GET /routes/cities
+     * @returns {Object} Object with cities (sorted canonical names, e.g., "São Paulo, SP")
+     */
+    getCities: function() {
+        return { cities: RoutesDB.getAllCities() };
+    },
+
+    /**
+     * GET /routes/distance
+     * @param {Object} query - Query parameters from and to (city names, with or without state)
+     * @returns {Object} Object with origin, destination, distance (km), path and via
+     * @throws {ApiError} 'missing-field' without from or to, 'route-not-found' when no route is known
+     */
+    getDistance: function(query) {
+        const from = this.readString(query, 'from', true);
+        const to = this.readString(query, 'to', true);
+        const route = RoutesDB.findRoute(from, to);
+
+        if (!route) {
+            throw new ApiError(404, 'route-not-found', `Rota não encontrada: ${from} → ${to}`, { from: from, to: to });
+        }
+
+        return {
+            origin: route.path[0],
+            destination: route.path[route.path.length - 1],
+            distance: route.distanceKm,
+            path: route.path,
+            via: route.via
+        };
+    },
+
+    /**
+     * POST /emissions
+     * The body is one trip, or { "trips": [...] } for several trips (see calculateTrip)
+     * @param {Object} body - Request body
+     * @returns {Object} The calculated trip, or an object with trips, totals and factorSet
+     * @throws {ApiError} When the body or one of its trips is invalid; details.trip holds the trip index
+     */
+    postEmissions: function(body) {
+        this.requireObject(body, 'body');
+
+        if (body.trips === undefined) {
+            return Object.assign(this.calculateTrip(body), { factorSet: CONFIG.FACTOR_SET.id });
+        }
+
+        if (!Array.isArray(body.trips) || body.trips.length === 0 || body.trips.length > this.MAX_TRIPS) {
+            throw new ApiError(400, 'invalid-field', `trips deve ser uma lista com 1 a ${this.MAX_TRIPS} viagens`, { field: 'trips' });
+        }
+
+        const trips = body.trips.map((trip, index) => {
+            try {
+                this.requireObject(trip, 'trip');
+                return this.calculateTrip(trip);
+            } catch (error) {
+                if (error instanceof ApiError) {
+                    error.details = Object.assign({ trip: index }, error.details);
+                }
+                throw error;
+            }
+        });
+
+        const sum = key => trips.reduce((total, trip) => total + trip[key], 0);
+
+        return {
+            trips: trips,
+            totals: {
+                trips: trips.length,
+                distance: Math.round(sum('distance') * 100) / 100,
+                emission: Math.round(sum('emission') * 100) / 100,
+                credits: Math.round(sum('credits') * 10000) / 10000
+            },
+            factorSet: CONFIG.FACTOR_SET.id
+        };
+    },
+
+    /**
+     * Calculate one trip of POST /emissions
+     * The distance is looked up from the origin and destination when not given
+     * @param {Object} trip - Object with mode, from, to, distance (km), roundTrip, radiativeForcing
+     *                        and vehicle ({ fuel, consumption, passengers }, for car and motorcycle)
+     * @returns {Object} Object with origin, destination, distance (km travelled), distanceSource,
+     *                   mode, roundTrip, emission (kg) and credits
+     * @throws {ApiError} For invalid fields, an unknown mode or fuel, a distance above
+     *                   CONFIG.VALIDATION.MAX_DISTANCE_KM or a route that is not known
+     */
+    calculateTrip: function(trip) {
+        const mode = this.readString(trip, 'mode', true);
+        const from = this.readString(trip, 'from', false);
+        const to = this.readString(trip, 'to', false);
+        const roundTrip = this.readBoolean(trip, 'roundTrip');
+        let distance = this.readNumber(trip, 'distance', false);
+        let distanceSource = 'manual';
+
+        if (!Object.hasOwn(CONFIG.TRANSPORT_MODES, mode)) {
+            throw this.toApiError(new CalculationError('invalid-mode', { mode: mode }));
+        }
+
+        // Same limit as the page form, which also keeps totals finite
+        if (distance > CONFIG.VALIDATION.MAX_DISTANCE_KM) {
+            throw new ApiError(400, 'invalid-field', `distance deve ser no máximo ${CONFIG.VALIDATION.MAX_DISTANCE_KM} km`, {
+                field: 'distance',
+                max: CONFIG.VALIDATION.MAX_DISTANCE_KM
+            });
+        }
+
+        if (distance === undefined) {
+            if (from === undefined || to === undefined) {
+                throw new ApiError(400, 'missing-field', 'Informe distance, ou from e to para buscar a distância', { field: 'distance' });
+            }
+
+            distance = RoutesDB.findDistance(from, to);
+            distanceSource = 'table';
+
+            if (!distance) {
+                throw new ApiError(422, 'route-not-found', `Rota não encontrada: ${from} → ${to}. Informe distance`, { from: from, to: to });
+            }
+        }
+
+        const options = {
+            radiativeForcing: this.readBoolean(trip, 'radiativeForcing'),
+            vehicle: this.readVehicle(trip, mode)
+        };
+
+        let emission;
+        try {
+            emission = Calculator.calculateEmission(distance, mode, options);
+        } catch (error) {
+            throw this.toApiError(error);
+        }
+
+        // A round trip repeats the same leg, so flights keep the factor of the leg distance
+        const legs = roundTrip ? 2 : 1;
+        emission = Math.round(emission * legs * 100) / 100;
+
+        return {
+            origin: from === undefined ? null : RoutesDB.resolveCity(from) || from,
+            destination: to === undefined ? null : RoutesDB.resolveCity(to) || to,
+            distance: Math.round(distance * legs * 100) / 100,
+            distanceSource: distanceSource,
+            mode: mode,
+            roundTrip: roundTrip,
+            emission: emission,
+            credits: Calculator.calculateCarbonCredits(emission)
+        };
+    },
+
+    /**
+     * POST /credits
+     * @param {Object} body - Object with emission (kg), market and currency (both optional)
+     * @returns {Object} Object with emission, credits and price (from Calculator.estimateCreditPrice)
+     * @throws {ApiError} For an invalid emission, market or currency
+     */
+    postCredits: function(body) {
+        this.requireObject(body, 'body');
+
+        const emission = this.readNumber(body, 'emission', true, true);
+        const market = this.readString(body, 'market', false) || CONFIG.CARBON_CREDIT.MARKET;
+        const currency = this.readString(body, 'currency', false) || CONFIG.CURRENCY.SELECTED;
+
+        if (!Object.hasOwn(CONFIG.CARBON_CREDIT.MARKETS, market)) {
+            throw new ApiError(400, 'invalid-market', `Mercado desconhecido: ${market}`, {
+                field: 'market',
+                allowed: Object.keys(CONFIG.CARBON_CREDIT.MARKETS)
+            });
+        }
+
+        if (!Object.hasOwn(CONFIG.CURRENCY.RATES, currency)) {
+            throw new ApiError(400, 'invalid-currency', `Moeda desconhecida: ${currency}`, {
+                field: 'currency',
+                allowed: Object.keys(CONFIG.CURRENCY.RATES)
+            });
+        }
+
+        const credits = Calculator.calculateCarbonCredits(emission);
+
+        return {
+            emission: emission,
+            credits: credits,
+            price: Calculator.estimateCreditPrice(credits, { market: market, currency: currency })
+        };
+    },
+
+    /**
+     * GET /openapi.json
+     * @returns {Object} OpenAPI description of the API
+     */
+    getOpenApi: function() {
+        return OPENAPI;
+    },
+
+    /**
+     * Convert a calculation error to the error answered to the client
+     * @param {Error} error - Error thrown by Calculator
+     * @returns {Error} ApiError for calculation errors, the same error otherwise
+     */
+    toApiError: function(error) {
+        if (!(error instanceof CalculationError)) {
+            return error;
+        }
+
+        const messages = {
+            'invalid-mode': `Modo de transporte desconhecido: ${error.details.mode}`,
+            'invalid-fuel': `Combustível desconhecido: ${error.details.fuel}`
+        };
+        const allowed = {
+            'invalid-mode': Object.keys(CONFIG.TRANSPORT_MODES),
+            'invalid-fuel': Object.keys(CONFIG.FUEL_TYPES)
+        };
+
+        return new ApiError(400, error.code, messages[error.code] || error.message,
+            Object.assign({}, error.details, allowed[error.code] ? { allowed: allowed[error.code] } : {}));
+    },
+
+    /**
+     * Check that a value is a plain object
+     * @param {*} value - Value to check
+     * @param {string} name - Name used in the error
+     * @throws {ApiError} 'invalid-field' if it is not an object
+     */
+    requireObject: function(value, name) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ApiError(400, 'invalid-field', `${name} deve ser um objeto JSON`, { field: name });
+        }
+    },
+
+    /**
+     * Read a non-empty string field
+     * @param {Object} source - Body or query parameters
+     * @param {string} field - Field name
+     * @param {boolean} required - Whether the field must be present
+     * @returns {string|undefined} Trimmed value, undefined when absent and optional
+     * @throws {ApiError} 'missing-field' or 'invalid-field'
+     */
+    readString: function(source, field, required) {
+        const value = source[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (required) {
+                throw new ApiError(400, 'missing-field', `Campo obrigatório: ${field}`, { field: field });
+            }
+            return undefined;
+        }
+
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new ApiError(400, 'invalid-field', `${field} deve ser um texto`, { field: field });
+        }
+
+        return value.trim();
+    },
+
+    /**
+     * Read a number field
+     * @param {Object} source - Request body
+     * @param {string} field - Field name
+     * @param {boolean} required - Whether the field must be present
+     * @param {boolean} allowZero - Whether zero is accepted (default: only positive numbers)
+     * @returns {number|undefined} Value, undefined when absent and optional
+     * @throws {ApiError} 'missing-field' or 'invalid-field'
+     */
+    readNumber: function(source, field, required, allowZero = false) {
+        const value = source[field];
+
+        if (value === undefined || value === null) {
+            if (required) {
+                throw new ApiError(400, 'missing-field', `Campo obrigatório: ${field}`, { field: field });
+            }
+            return undefined;
+        }
+
+        if (typeof value !== 'number' || !isFinite(value) || value < 0 || (value === 0 && !allowZero)) {
+            throw new ApiError(400, 'invalid-field', `${field} deve ser um número ${allowZero ? 'maior ou igual a zero' : 'maior que zero'}`, { field: field });
+        }
+
+        return value;
+    },
+
+    /**
+     * Read an optional boolean field
+     * @param {Object} source - Request body
+     * @param {string} field - Field name
+     * @returns {boolean} Value, false when absent
+     * @throws {ApiError} 'invalid-field'
+     */
+    readBoolean: function(source, field) {
+        const value = source[field];
+
+        if (value === undefined || value === null) {
+            return false;
+        }
+
+        if (typeof value !== 'boolean') {
+            throw new ApiError(400, 'invalid-field', `${field} deve ser true ou false`, { field: field });
+        }
+
+        return value;
+    },
+
+    /**
+     * Read the optional vehicle profile of a trip
+     * @param {Object} trip - Trip from the request body
+     * @param {string} mode - Transport mode of the trip (a key of CONFIG.TRANSPORT_MODES)
+     * @returns {Object|null} Vehicle profile accepted by Calculator, null when absent
+     * @throws {ApiError} 'invalid-field' for a malformed profile or a mode without vehicle profiles,
+     *                    'invalid-fuel' for an unknown fuel
+     */
+    readVehicle: function(trip, mode) {
+        if (trip.vehicle === undefined || trip.vehicle === null) {
+            return null;
+        }
+
+        this.requireObject(trip.vehicle, 'vehicle');
+
+        if (!CONFIG.TRANSPORT_MODES[mode].vehicleProfile) {
+            throw new ApiError(400, 'invalid-field', `O modo ${mode} não aceita perfil de veículo`, { field: 'vehicle' });
+        }
+
+        const fuel = this.readString(trip.vehicle, 'fuel', true);
+        if (!Object.hasOwn(CONFIG.FUEL_TYPES, fuel)) {
+            throw this.toApiError(new CalculationError('invalid-fuel', { fuel: fuel }));
+        }
+
+        const passengers = this.readNumber(trip.vehicle, 'passengers', false);
+        if (passengers !== undefined && !Number.isInteger(passengers)) {
+            throw new ApiError(400, 'invalid-field', 'vehicle.passengers deve ser um número inteiro', { field: 'vehicle.passengers' });
+        }
+
+        return {
+            mode: mode,
+            fuel: fuel,
+            consumption: this.readNumber(trip.vehicle, 'consumption', false) || null,
+            passengers: passengers || 1
+        };
+    }
+};
+
+/**
+ * Create the HTTP server of the API (not yet listening)
+ * @returns {http.Server} Server
+ */
+export function createApiServer() {
+    return http.createServer((request, response) => Api.handle(request, response));
+}
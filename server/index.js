@@ -0,0 +1,22 @@
+/**
+ * Starts the local emissions API (see server/api.js)
+ *
+ * Usage: node server/index.js (or npm run api)
+ * Environment: PORT (default 8787) and HOST (default 127.0.0.1, so only this machine can reach it)
+ */
+
+import { createApiServer } from './api.js';
+
+const port = Number(process.env.PORT) || 8787;
+const host = process.env.HOST || '127.0.0.1';
+
+const server = createApiServer();
+
+server.on('error', error => {
+    console.error('Erro ao iniciar a API:', error.message);
+    process.exitCode = 1;
+});
+
+server.listen(port, host, () => {
+    console.log(`API de emissões em http://${host}:${port} (descrição em /openapi.json)`);
+});
@@ -0,0 +1,146 @@
+/**
+ * sw.js - Service worker for offline use
+ *
+ * Precaches every file the app needs, so it keeps working without a connection
+ * (trip history, settings and offset receipts live in localStorage and need no network).
+ *
+ * Bump CACHE_VERSION whenever any cached file changes. The browser then installs the new
+ * worker next to the running one, the page offers to update (see PWA in js/pwa.js),
+ * and the old cache is removed once the new version takes over.
+ */
+
+const CACHE_PREFIX = 'carbono-';
+const CACHE_VERSION = `${CACHE_PREFIX}v6`;
+
+// Every file of the app; new scripts must be added here as well as in index.html
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'css/widget.css',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'data/credit-prices.json',
+    'js/core-bridge.js',
+    'js/core/index.js',
+    'js/core/config.js',
+    'js/core/calculator.js',
+    'js/core/routes.js',
+    'js/core/csv.js',
+    'js/core/batch.js',
+    'js/core/route-pack.js',
+    'js/i18n.js',
+    'js/locales/pt-BR.js',
+    'js/locales/en.js',
+    'js/locales/es.js',
+    'js/units.js',
+    'js/form-setup.js',
+    'js/validator.js',
+    'js/calculation.js',
+    'js/ui.js',
+    'js/charts.js',
+    'js/pricing.js',
+    'js/custom-routes.js',
+    'js/autocomplete.js',
+    'js/legs.js',
+    'js/share.js',
+    'js/history.js',
+    'js/csv.js',
+    'js/export.js',
+    'js/batch.js',
+    'js/report.js',
+    'js/offset.js',
+    'js/offset-mock.js',
+    'js/pwa.js',
+    'js/widget.js',
+    'js/app.js'
+];
+
+// Data that is updated without a new app version: network first, cached copy when offline
+const NETWORK_FIRST_URLS = [
+    'data/credit-prices.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Remove caches of previous versions, then control open pages right away
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_VERSION)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    // Sent by the page when the user accepts the update
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    const isNetworkFirst = NETWORK_FIRST_URLS.some(path => url.pathname.endsWith(`/${path}`));
+    event.respondWith(isNetworkFirst ? networkFirst(request) : cacheFirst(request));
+});
+
+/**
+ * Serve a request from the cache, falling back to the network
+ * Page loads ignore the query string, so shared links (index.html?from=...) open offline
+ * @param {Request} request - Request to serve
+ * @returns {Promise<Response>} Cached or network response
+ */
+function cacheFirst(request) {
+    const isPage = request.mode === 'navigate';
+
+    return caches.match(request, { ignoreSearch: isPage }).then(cached => {
+        if (cached) {
+            return cached;
+        }
+
+        return fetch(request).catch(error => {
+            // Any page of the app is index.html
+            if (isPage) {
+                return caches.match('index.html');
+            }
+            throw error;
+        });
+    });
+}
+
+/**
+ * Serve a request from the network, keeping a copy for offline use
+ * @param {Request} request - Request to serve
+ * @returns {Promise<Response>} Network response, or the cached copy when offline
+ */
+function networkFirst(request) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(error => caches.match(request).then(cached => {
+            if (cached) {
+                return cached;
+            }
+            throw error;
+        }));
+}
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CSVReader, TripBatch } from '../js/core/index.js';
+
+describe('CSVReader', () => {
+    it('parses quoted fields with delimiters, quotes and line breaks', () => {
+        assert.deepEqual(CSVReader.parse('a;"b;c";"d ""e"""\r\n"f\ng";h\n\n'), [
+            ['a', 'b;c', 'd "e"'],
+            ['f\ng', 'h']
+        ]);
+    });
+
+    it('detects comma or semicolon delimiters', () => {
+        assert.equal(CSVReader.detectDelimiter('origem;destino;modo'), ';');
+        assert.equal(CSVReader.detectDelimiter('origin,destination,mode'), ',');
+    });
+
+    it('reads numbers with decimal comma or decimal point', () => {
+        assert.equal(CSVReader.parseNumber('1.234,5'), 1234.5);
+        assert.equal(CSVReader.parseNumber('1234.5'), 1234.5);
+        assert.equal(CSVReader.parseNumber('12,5'), 12.5);
+        assert.ok(isNaN(CSVReader.parseNumber('')));
+        assert.ok(isNaN(CSVReader.parseNumber('abc')));
+    });
+
+    it('reads thousands grouped with point, comma or space', () => {
+        assert.equal(CSVReader.parseNumber('1,234.5'), 1234.5);
+        assert.equal(CSVReader.parseNumber('1.234.567'), 1234567);
+        assert.equal(CSVReader.parseNumber('1 234,5'), 1234.5);
+        assert.equal(CSVReader.parseNumber('-23,55'), -23.55);
+    });
+
+    it('rejects anything but plain decimal numbers', () => {
+        ['0x10', '1e3', '1.234.5', '1,23,4', '12.', '.5', 'Infinity', '1.2,3'].forEach(text => {
+            assert.ok(isNaN(CSVReader.parseNumber(text)), text);
+        });
+    });
+});
+
+describe('TripBatch', () => {
+    const csv = '﻿Origem;Destino;Distância (km);Modo\n' +
+        'Campinas;Santos;;Ônibus\n' +
+        'A;B;12,5;car\n' +
+        'A;B;;car\n' +
+        'A;B;10;rocket\n';
+
+    it('locates the columns by header name in any supported language', () => {
+        const trips = TripBatch.parseTrips(csv);
+
+        assert.equal(trips.length, 4);
+        assert.deepEqual(trips[0], { line: 2, origin: 'Campinas', destination: 'Santos', distance: '', mode: 'Ônibus' });
+        assert.equal(TripBatch.parseTrips('origin,destination,distance\nA,B,10'), null);
+    });
+
+    it('looks up blank distances and flags failed trips', () => {
+        const rows = TripBatch.parseTrips(csv).map(trip => TripBatch.processTrip(trip));
+
+        assert.deepEqual(rows.map(row => row.status), ['ok', 'ok', 'route-not-found', 'invalid-mode']);
+        assert.equal(rows[0].distance, 165);
+        assert.equal(rows[0].distanceSource, 'table');
+        assert.equal(rows[0].emission, 14.68);
+        assert.equal(rows[1].distanceSource, 'manual');
+        assert.equal(rows[1].emission, 1.5);
+    });
+
+    it('flags distances that are present but invalid', () => {
+        const rows = TripBatch.parseTrips('origem;destino;distância;modo\nSão Paulo;Campinas;abc;car\nSão Paulo;Campinas;-5;car\nSão Paulo;Campinas;1.234,5;car')
+            .map(trip => TripBatch.processTrip(trip));
+
+        assert.deepEqual(rows.map(row => row.status), ['invalid-distance', 'invalid-distance', 'ok']);
+        assert.equal(rows[2].distance, 1234.5);
+    });
+
+    it('accepts a custom mode resolver', () => {
+        const [trip] = TripBatch.parseTrips('origin,destination,distance,mode\nA,B,10,Auto');
+
+        assert.equal(TripBatch.processTrip(trip).status, 'invalid-mode');
+        assert.equal(TripBatch.processTrip(trip, text => text === 'Auto' ? 'car' : null).emission, 1.2);
+    });
+
+    it('totals successful trips by mode, highest emission first', () => {
+        const rows = TripBatch.parseTrips(csv).map(trip => TripBatch.processTrip(trip));
+        const totals = TripBatch.getTotalsByMode(rows);
+
+        assert.deepEqual(totals.byMode.map(total => total.mode), ['bus', 'car']);
+        assert.equal(totals.trips, 4);
+        assert.equal(totals.failed, 2);
+        assert.equal(totals.distance, 177.5);
+        assert.equal(totals.emission, 16.18);
+    });
+});
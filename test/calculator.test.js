@@ -0,0 +1,218 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, Calculator, CalculationError } from '../js/core/index.js';
+
+/**
+ * Check that a function throws a CalculationError with the given code
+ * @param {Function} fn - Function expected to throw
+ * @param {string} code - Expected error code
+ */
+function assertCalculationError(fn, code) {
+    assert.throws(fn, error => {
+        assert.ok(error instanceof CalculationError);
+        assert.equal(error.code, code);
+        return true;
+    });
+}
+
+describe('Calculator.calculateEmission', () => {
+    it('multiplies distance by the mode factor', () => {
+        assert.equal(Calculator.calculateEmission(430, 'car'), 51.6);
+        assert.equal(Calculator.calculateEmission(100, 'bicycle'), 0);
+    });
+
+    it('rounds to 2 decimal places', () => {
+        // 123 km × 0.089 = 10.947
+        assert.equal(Calculator.calculateEmission(123, 'bus'), 10.95);
+        // 1 km × 0.083 = 0.083
+        assert.equal(Calculator.calculateEmission(1, 'motorcycle'), 0.08);
+        // 0.4 km × 0.028 = 0.0112
+        assert.equal(Calculator.calculateEmission(0.4, 'metro'), 0.01);
+    });
+
+    it('uses the short-haul flight factor up to the band limit', () => {
+        const limit = CONFIG.FLIGHT_FACTORS.SHORT_HAUL_MAX_KM;
+
+        assert.equal(Calculator.calculateEmission(limit, 'plane'), Math.round(limit * CONFIG.FLIGHT_FACTORS.SHORT_HAUL * 100) / 100);
+        assert.equal(Calculator.calculateEmission(limit + 1, 'plane'), Math.round((limit + 1) * CONFIG.FLIGHT_FACTORS.LONG_HAUL * 100) / 100);
+    });
+
+    it('applies radiative forcing to flights only', () => {
+        const plain = Calculator.calculateEmission(500, 'plane');
+        const withRf = Calculator.calculateEmission(500, 'plane', { radiativeForcing: true });
+
+        assert.equal(withRf, Math.round(500 * CONFIG.FLIGHT_FACTORS.SHORT_HAUL * CONFIG.FLIGHT_FACTORS.RADIATIVE_FORCING_MULTIPLIER * 100) / 100);
+        assert.ok(withRf > plain);
+        assert.equal(Calculator.calculateEmission(500, 'car', { radiativeForcing: true }), 60);
+    });
+
+    it('shares a vehicle profile among its passengers', () => {
+        const vehicle = { mode: 'car', fuel: 'gasolina', consumption: null, passengers: 2 };
+        const fuel = CONFIG.FUEL_TYPES.gasolina;
+
+        // Default consumption of the fuel, split between two people
+        assert.equal(Calculator.calculateEmission(100, 'car', { vehicle: vehicle }),
+            Math.round(100 * fuel.kgCO2PerUnit / fuel.defaultConsumption / 2 * 100) / 100);
+
+        // The profile does not change other modes
+        assert.equal(Calculator.calculateEmission(100, 'bus', { vehicle: vehicle }), 8.9);
+    });
+
+    it('throws invalid-mode for an unknown transport mode', () => {
+        assertCalculationError(() => Calculator.calculateEmission(100, 'rocket'), 'invalid-mode');
+
+        try {
+            Calculator.calculateEmission(100, 'rocket');
+        } catch (error) {
+            assert.deepEqual(error.details, { mode: 'rocket' });
+            assert.equal(error.name, 'CalculationError');
+        }
+    });
+
+    it('throws invalid-fuel for a vehicle profile with an unknown fuel', () => {
+        const vehicle = { mode: 'car', fuel: 'querosene', consumption: 10, passengers: 1 };
+
+        assertCalculationError(() => Calculator.calculateEmission(100, 'car', { vehicle: vehicle }), 'invalid-fuel');
+    });
+
+    it('treats inherited property names as unknown modes and fuels', () => {
+        assertCalculationError(() => Calculator.calculateEmission(100, 'constructor'), 'invalid-mode');
+        assertCalculationError(() => Calculator.calculateEmission(100, 'toString'), 'invalid-mode');
+        assertCalculationError(() => Calculator.calculateEmission(100, 'car', { vehicle: { mode: 'car', fuel: 'constructor' } }), 'invalid-fuel');
+        assertCalculationError(() => Calculator.calculateFreightEmission(100, 1, '__proto__'), 'invalid-freight-mode');
+    });
+});
+
+describe('Calculator.calculateTrip', () => {
+    it('sums the legs, each with its own mode', () => {
+        const trip = Calculator.calculateTrip([
+            { origin: 'A', destination: 'B', distance: 100, mode: 'car' },
+            { origin: 'B', destination: 'C', distance: 50.5, mode: 'bus' }
+        ]);
+
+        assert.equal(trip.totalDistance, 150.5);
+        assert.equal(trip.legs[0].emission, 12);
+        assert.equal(trip.legs[1].emission, 4.49);
+        assert.equal(trip.totalEmission, 16.49);
+    });
+
+    it('throws when one leg has an invalid mode', () => {
+        assertCalculationError(() => Calculator.calculateTrip([{ distance: 10, mode: 'teleport' }]), 'invalid-mode');
+    });
+});
+
+describe('Calculator.calculateAllModes', () => {
+    it('compares every mode against car, lowest emission first', () => {
+        const results = Calculator.calculateAllModes(100);
+        const emissions = results.map(result => result.emission);
+
+        assert.equal(results.length, Object.keys(CONFIG.EMISSION_FACTORS).length);
+        assert.deepEqual(emissions, emissions.slice().sort((a, b) => a - b));
+        assert.equal(results.find(result => result.mode === 'car').percentageVsCar, 100);
+        assert.equal(results.find(result => result.mode === 'bus').percentageVsCar, 74.17);
+    });
+
+    it('leaves out modes that do not fit the distance, except the included one', () => {
+        const modes = options => Calculator.calculateAllModes(13, options).map(result => result.mode);
+
+        assert.ok(!modes({ skipInapplicable: true }).includes('plane'));
+        assert.ok(modes({ skipInapplicable: true, includeMode: 'plane' }).includes('plane'));
+        assert.ok(modes({}).includes('plane'));
+    });
+});
+
+describe('Calculator.calculateSavings', () => {
+    it('returns saved kg and percentage rounded to 2 decimals', () => {
+        assert.deepEqual(Calculator.calculateSavings(38.27, 51.6), { savedKg: 13.33, percentage: 25.83 });
+    });
+
+    it('reports negative savings when emitting more than the baseline', () => {
+        assert.deepEqual(Calculator.calculateSavings(60, 50), { savedKg: -10, percentage: -20 });
+    });
+
+    it('returns a zero percentage for a zero baseline', () => {
+        assert.deepEqual(Calculator.calculateSavings(0, 0), { savedKg: 0, percentage: 0 });
+    });
+});
+
+describe('Calculator.calculatePeriodTotals', () => {
+    it('projects a trip over weeks, months and a year', () => {
+        assert.deepEqual(Calculator.calculatePeriodTotals(2.5, { tripsPerWeek: 10, weeksPerYear: 48 }), {
+            perTrip: 2.5,
+            weekly: 25,
+            monthly: 100,
+            yearly: 1200
+        });
+    });
+});
+
+describe('Calculator.calculateCarbonCredits', () => {
+    it('converts kg to credits rounded to 4 decimal places', () => {
+        assert.equal(Calculator.calculateCarbonCredits(1000), 1);
+        assert.equal(Calculator.calculateCarbonCredits(51.6), 0.0516);
+        assert.equal(Calculator.calculateCarbonCredits(0.12345), 0.0001);
+    });
+});
+
+describe('Calculator.estimateCreditPrice', () => {
+    it('prices credits in the market currency', () => {
+        const price = Calculator.estimateCreditPrice(2, { market: 'voluntary', currency: 'BRL' });
+        const market = CONFIG.CARBON_CREDIT.MARKETS.voluntary;
+
+        assert.equal(price.min, 2 * market.min);
+        assert.equal(price.average, 2 * market.average);
+        assert.equal(price.max, 2 * market.max);
+        assert.equal(price.exchangeRate, null);
+    });
+
+    it('converts to another currency through the base currency', () => {
+        const price = Calculator.estimateCreditPrice(1, { market: 'eu-ets', currency: 'BRL' });
+        const rates = CONFIG.CURRENCY.RATES;
+
+        assert.equal(price.currency, 'BRL');
+        assert.equal(price.average, Math.round(75 / rates.EUR * rates.BRL * 100) / 100);
+        assert.equal(price.exchangeRate.from, 'EUR');
+    });
+    it('throws typed errors for unknown markets and currencies', () => {
+        assertCalculationError(() => Calculator.estimateCreditPrice(1, { market: 'lunar' }), 'invalid-market');
+        assertCalculationError(() => Calculator.estimateCreditPrice(1, { market: 'constructor' }), 'invalid-market');
+        assertCalculationError(() => Calculator.estimateCreditPrice(1, { currency: 'toString' }), 'invalid-currency');
+    });
+});
+
+describe('Calculator.calculateFreightEmission', () => {
+    it('multiplies tonne-km by the mode intensity', () => {
+        const shipment = Calculator.calculateFreightEmission(100, 10, 'carreta');
+
+        assert.equal(shipment.tonneKm, 1000);
+        assert.equal(shipment.emission, 75);
+        assert.equal(shipment.vehicles, 1);
+        assert.equal(shipment.emptyReturnEmission, 0);
+    });
+
+    it('adds the empty return of every road vehicle needed', () => {
+        // 10 t in 6 t trucks needs 2 vehicles
+        const shipment = Calculator.calculateFreightEmission(100, 10, 'toco', { emptyReturn: true });
+
+        assert.equal(shipment.vehicles, 2);
+        assert.equal(shipment.emptyReturnEmission, 110);
+        assert.equal(shipment.emission, 260);
+    });
+
+    it('throws invalid-freight-mode for an unknown freight mode', () => {
+        assertCalculationError(() => Calculator.calculateFreightEmission(100, 10, 'zeppelin'), 'invalid-freight-mode');
+    });
+});
+
+describe('Calculator.calculateCrossovers', () => {
+    it('finds where long-haul flights start emitting less than a car', () => {
+        assert.deepEqual(Calculator.calculateCrossovers(['car', 'plane', 'bus'], 2000), [
+            { distance: CONFIG.FLIGHT_FACTORS.SHORT_HAUL_MAX_KM, lower: 'plane', higher: 'car' }
+        ]);
+    });
+
+    it('finds nothing for modes with constant factors', () => {
+        assert.deepEqual(Calculator.calculateCrossovers(['car', 'bus', 'train'], 2000), []);
+    });
+});
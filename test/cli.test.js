@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/carbono.js', import.meta.url));
+
+/**
+ * Run the command-line tool
+ * @param {Array} args - Command-line arguments
+ * @param {string} input - Text sent to stdin (default: none)
+ * @returns {Object} Object with status, stdout and stderr
+ */
+function run(args, input = '') {
+    return spawnSync(process.execPath, [CLI].concat(args), { input: input, encoding: 'utf8' });
+}
+
+describe('carbono CLI', () => {
+    it('prints the comparison table of a known route', () => {
+        const result = run(['--from', 'São Paulo', '--to', 'rio de janeiro']);
+
+        assert.equal(result.status, 0);
+        assert.match(result.stdout, /Rota: São Paulo, SP → Rio de Janeiro, RJ/);
+        assert.match(result.stdout, /\* Carro\s+51\.60\s+100\.0%/);
+    });
+
+    it('prints JSON with --json', () => {
+        const trip = JSON.parse(run(['--km', '12,5', '--mode', 'bus', '--json']).stdout);
+
+        assert.equal(trip.distance, 12.5);
+        assert.equal(JSON.parse(run(['--km', '1,234.5', '--json']).stdout).distance, 1234.5);
+        assert.equal(trip.distanceSource, 'manual');
+        assert.equal(trip.emission, 1.11);
+        assert.ok(trip.comparison.some(item => item.mode === 'bus'));
+    });
+
+    it('uses distinct exit codes for an unknown route and an invalid mode', () => {
+        assert.equal(run(['--from', 'Gotham', '--to', 'Santos']).status, 3);
+        assert.equal(run(['--km', '10', '--mode', 'rocket']).status, 4);
+        assert.equal(run(['--from', 'Santos']).status, 2);
+        assert.equal(run(['--km', 'abc']).status, 2);
+        assert.equal(run(['--km', '0x10']).status, 2);
+        assert.equal(run(['--km', '1e3']).status, 2);
+        assert.equal(run(['--unknown']).status, 2);
+    });
+
+    it('rejects distances above the maximum', () => {
+        const result = run(['--km', '99999999', '--mode', 'bus']);
+
+        assert.equal(result.status, 2);
+        assert.equal(result.stdout, '');
+        assert.match(result.stderr, /Distância acima do máximo de 20000 km/);
+        assert.equal(run(['--km', '20000', '--json']).status, 0);
+    });
+
+    it('totals a CSV read from stdin', () => {
+        const csv = 'origem;destino;distância;modo\nCampinas;Santos;;ônibus\nSão Paulo;Campinas;;carro\n';
+        const results = JSON.parse(run(['--batch', '--json'], csv).stdout);
+
+        assert.equal(results.totals.trips, 2);
+        assert.equal(results.totals.failed, 0);
+        assert.equal(results.totals.emission, 26.08);
+        assert.equal(run(['--batch'], csv).status, 0);
+    });
+
+    it('exits with the code of the first failed line of a batch', () => {
+        const csv = 'origin,destination,distance,mode\nCampinas,Santos,,bus\nA,B,10,rocket\nA,B,,car\n';
+        const result = run(['--batch'], csv);
+
+        assert.equal(result.status, 4);
+        assert.match(result.stdout, /1 de 3 viagens calculadas/);
+        assert.equal(run(['--batch'], 'a,b\n1,2\n').status, 2);
+    });
+});
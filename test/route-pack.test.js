@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RoutePack } from '../js/core/index.js';
+
+describe('RoutePack.parse', () => {
+    it('reads routes from CSV with Portuguese headers and decimal comma', () => {
+        const pack = RoutePack.parse('origem;destino;distancia\nCampinas;CD Jundiaí, SP;42,5\n', 'armazens.csv');
+
+        assert.deepEqual(pack, {
+            routes: [{ origin: 'Campinas', destination: 'CD Jundiaí, SP', distanceKm: 42.5 }],
+            cities: [],
+            skipped: 0
+        });
+    });
+
+    it('reads routes and cities from JSON', () => {
+        const pack = RoutePack.parse(JSON.stringify({
+            routes: [{ origin: 'Campinas', destination: 'CD Jundiaí, SP', distanceKm: 42 }],
+            cities: [{ name: 'CD Jundiaí, SP', lat: -23.18, lon: -46.88 }, { name: 'Escritório Cliente, SP' }]
+        }), 'armazens.json');
+
+        assert.equal(pack.routes.length, 1);
+        assert.deepEqual(pack.cities, [
+            { name: 'CD Jundiaí, SP', lat: -23.18, lon: -46.88 },
+            { name: 'Escritório Cliente, SP', lat: null, lon: null }
+        ]);
+    });
+
+    it('detects JSON from the content and accepts a plain array of routes', () => {
+        const pack = RoutePack.parse('[{"origin": "Campinas", "destination": "Santos", "distance": "170"}]');
+
+        assert.deepEqual(pack.routes, [{ origin: 'Campinas', destination: 'Santos', distanceKm: 170 }]);
+    });
+
+    it('skips invalid entries', () => {
+        const csv = RoutePack.parse('origin,destination,distance\nCampinas,Campinas,10\nCampinas,Santos,0\nCampinas,,5\nCampinas,Santos,170\n');
+        const json = RoutePack.parse('{"cities": [{"name": "A", "lat": 100, "lon": 0}, {"name": "B", "lat": 10}, {"name": "C"}]}');
+
+        assert.equal(csv.routes.length, 1);
+        assert.equal(csv.skipped, 3);
+        assert.deepEqual(json.cities.map(city => city.name), ['C']);
+        assert.equal(json.skipped, 2);
+    });
+
+    it('returns null for files that are not route packs', () => {
+        assert.equal(RoutePack.parse('origem;destino\nA;B', 'viagens.csv'), null);
+        assert.equal(RoutePack.parse('{"foo": 1}', 'pack.json'), null);
+        assert.equal(RoutePack.parse('{not json', 'pack.json'), null);
+        assert.equal(RoutePack.parse('', 'pack.csv'), null);
+    });
+});
@@ -0,0 +1,183 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RoutesDB } from '../js/core/index.js';
+
+describe('RoutesDB.findDistance', () => {
+    it('finds a direct route', () => {
+        assert.equal(RoutesDB.findDistance('São Paulo, SP', 'Rio de Janeiro, RJ'), 430);
+    });
+
+    it('finds the same distance in the reverse direction', () => {
+        RoutesDB.routes.forEach(route => {
+            assert.equal(
+                RoutesDB.findDistance(route.destination, route.origin),
+                RoutesDB.findDistance(route.origin, route.destination)
+            );
+        });
+    });
+
+    it('matches cities typed without state, accents or capitals', () => {
+        assert.equal(RoutesDB.findDistance('São Paulo', 'Rio de Janeiro'), 430);
+        assert.equal(RoutesDB.findDistance('sao paulo', 'RIO DE JANEIRO'), 430);
+        assert.equal(RoutesDB.findDistance('  São   Paulo ', 'rio de janeiro, rj'), 430);
+    });
+
+    it('accepts other state formats', () => {
+        ['São Paulo - SP', 'São Paulo/SP', 'São Paulo (SP)', 'São Paulo SP'].forEach(name => {
+            assert.equal(RoutesDB.findDistance(name, 'Campinas'), 95);
+        });
+    });
+
+    it('chains routes through intermediate cities', () => {
+        const route = RoutesDB.findRoute('Santos', 'Campinas');
+
+        assert.equal(route.distanceKm, 70 + 95);
+        assert.deepEqual(route.via, ['São Paulo, SP']);
+        assert.equal(RoutesDB.findDistance('Santos', 'Campinas'), 165);
+    });
+
+    it('returns null for unknown or identical cities', () => {
+        assert.equal(RoutesDB.findDistance('Gotham', 'São Paulo'), null);
+        assert.equal(RoutesDB.findDistance('São Paulo', 'sao paulo, sp'), null);
+        assert.equal(RoutesDB.findDistance('', 'São Paulo'), null);
+    });
+
+    it('builds the route graph once', () => {
+        RoutesDB.findRoute('São Paulo', 'Campinas');
+        const graph = RoutesDB.getGraph();
+
+        RoutesDB.findRoute('Curitiba', 'Londrina');
+        assert.equal(RoutesDB.getGraph(), graph);
+    });
+});
+
+describe('RoutesDB.resolveCity', () => {
+    it('resolves a city name to its canonical name', () => {
+        assert.equal(RoutesDB.resolveCity('campinas'), 'Campinas, SP');
+        assert.equal(RoutesDB.resolveCity('Niteroi, RJ'), 'Niterói, RJ');
+    });
+
+    it('rejects a city with the wrong state', () => {
+        assert.equal(RoutesDB.resolveCity('Campinas, RJ'), null);
+        assert.equal(RoutesDB.resolveCity('Palmas, PR'), null);
+        assert.equal(RoutesDB.resolveCity('Vitória - BA'), null);
+    });
+
+    it('matches a city in any state when no state is given', () => {
+        assert.equal(RoutesDB.resolveCity('Palmas'), 'Palmas, TO');
+        assert.equal(RoutesDB.resolveCity('vitoria'), 'Vitória, ES');
+    });
+
+    it('returns null for an unknown city', () => {
+        assert.equal(RoutesDB.resolveCity('Atlantis'), null);
+    });
+});
+
+describe('RoutesDB.getAllCities', () => {
+    it('lists every city once, sorted', () => {
+        const cities = RoutesDB.getAllCities();
+
+        assert.equal(new Set(cities).size, cities.length);
+        assert.deepEqual(cities, cities.slice().sort((a, b) => a.localeCompare(b, 'pt-BR')));
+        assert.ok(cities.includes('São Paulo, SP'));
+        assert.ok(cities.includes('Macapá, AP'));
+    });
+});
+
+describe('RoutesDB.estimateDistance', () => {
+    it('estimates road distance from coordinates', () => {
+        const estimate = RoutesDB.estimateDistance('Natal', 'João Pessoa');
+        const straightLineKm = RoutesDB.greatCircleDistance(RoutesDB.coordinates['Natal, RN'], RoutesDB.coordinates['João Pessoa, PB']);
+
+        assert.equal(estimate.windingFactor, 1.2);
+        assert.equal(estimate.straightLineKm, Math.round(straightLineKm));
+        assert.equal(estimate.distanceKm, Math.round(straightLineKm * 1.2));
+        assert.ok(estimate.straightLineKm > 100 && estimate.straightLineKm < 200);
+    });
+
+    it('does not estimate from a namesake in another state', () => {
+        assert.equal(RoutesDB.estimateDistance('Palmas, PR', 'Curitiba, PR'), null);
+        assert.ok(RoutesDB.estimateDistance('Palmas', 'Curitiba, PR').distanceKm > 1000);
+    });
+
+    it('returns null without coordinates', () => {
+        assert.equal(RoutesDB.estimateDistance('Natal', 'Gotham'), null);
+    });
+});
+
+describe('RoutesDB sources', () => {
+    const warehouses = {
+        id: 'pack:armazens',
+        label: 'armazens.json',
+        routes: [
+            { origin: 'campinas', destination: 'CD Jundiaí, SP', distanceKm: 42 },
+            { origin: 'São Paulo', destination: 'Campinas', distanceKm: 99 }
+        ],
+        cities: [{ name: 'CD Jundiaí, SP', lat: -23.18, lon: -46.88 }]
+    };
+    const custom = {
+        id: 'custom',
+        label: 'Minhas rotas',
+        routes: [{ origin: 'Campinas, SP', destination: 'São Paulo, SP', distanceKm: 96 }],
+        cities: [{ name: 'Escritório Cliente, SP', lat: null, lon: null }]
+    };
+
+    afterEach(() => RoutesDB.setSources([]));
+
+    it('adds the cities of every source once', () => {
+        RoutesDB.setSources([warehouses, custom]);
+        const cities = RoutesDB.getAllCities();
+
+        assert.ok(cities.includes('CD Jundiaí, SP'));
+        assert.ok(cities.includes('Escritório Cliente, SP'));
+        assert.ok(!cities.includes('campinas'));
+        assert.equal(new Set(cities).size, cities.length);
+    });
+
+    it('chains routes across sources and records the source of each segment', () => {
+        RoutesDB.setSources([warehouses]);
+        const route = RoutesDB.findRoute('Santos', 'CD Jundiai');
+
+        assert.equal(route.distanceKm, 70 + 99 + 42);
+        assert.deepEqual(route.segments.map(segment => segment.source), ['builtin', 'pack:armazens', 'pack:armazens']);
+        assert.deepEqual(route.segments.map(segment => segment.destination), ['São Paulo, SP', 'Campinas, SP', 'CD Jundiaí, SP']);
+    });
+
+    it('lets later sources override earlier ones and flags the disagreement', () => {
+        RoutesDB.setSources([warehouses, custom]);
+
+        assert.equal(RoutesDB.findDistance('Campinas', 'São Paulo'), 96);
+        assert.deepEqual(RoutesDB.getConflicts().map(route => [route.source, route.conflicts]), [
+            ['custom', [{ distanceKm: 95, source: 'builtin' }, { distanceKm: 99, source: 'pack:armazens' }]]
+        ]);
+    });
+
+    it('does not flag sources that agree', () => {
+        RoutesDB.setSources([{ id: 'custom', label: '', routes: [{ origin: 'Campinas', destination: 'São Paulo', distanceKm: 95 }], cities: [] }]);
+
+        assert.equal(RoutesDB.getConflicts().length, 0);
+        assert.equal(RoutesDB.findRoute('São Paulo', 'Campinas').segments[0].source, 'custom');
+    });
+
+    it('estimates distances with the coordinates of source cities', () => {
+        RoutesDB.setSources([warehouses]);
+
+        assert.ok(RoutesDB.estimateDistance('CD Jundiaí', 'Natal').distanceKm > 0);
+        assert.equal(RoutesDB.estimateDistance('Escritório Cliente', 'Natal'), null);
+    });
+
+    it('keeps only the built-in routes without sources', () => {
+        assert.equal(RoutesDB.findDistance('São Paulo', 'Campinas'), 95);
+        assert.equal(RoutesDB.getConflicts().length, 0);
+        assert.equal(RoutesDB.getRoutes().length, RoutesDB.routes.length);
+    });
+
+    it('rebuilds the route graph when the sources change', () => {
+        const graph = RoutesDB.getGraph();
+
+        RoutesDB.setSources([warehouses]);
+        assert.notEqual(RoutesDB.getGraph(), graph);
+        assert.equal(RoutesDB.findDistance('Campinas', 'CD Jundiaí'), 42);
+    });
+});
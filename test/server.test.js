@@ -0,0 +1,177 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../js/core/index.js';
+import { createApiServer } from '../server/api.js';
+
+describe('emissions API', () => {
+    let server;
+    let baseUrl;
+
+    before(() => new Promise(resolve => {
+        server = createApiServer();
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve();
+        });
+    }));
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    /**
+     * Send a request to the API
+     * @param {string} path - Path with query string
+     * @param {Object} body - JSON body; sends a POST when given (default: GET without body)
+     * @returns {Promise<Object>} Object with status, headers and the parsed body
+     */
+    const request = (path, body) => fetch(baseUrl + path, body === undefined ? {} : {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    }).then(response => response.json().then(json => ({ status: response.status, headers: response.headers, body: json })));
+
+    it('lists the cities of the routes database', () => request('/routes/cities').then(response => {
+        assert.equal(response.status, 200);
+        assert.ok(response.body.cities.includes('São Paulo, SP'));
+    }));
+
+    it('finds the distance between two cities', () => request('/routes/distance?from=sao%20paulo&to=Campinas').then(response => {
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body, {
+            origin: 'São Paulo, SP',
+            destination: 'Campinas, SP',
+            distance: 95,
+            path: ['São Paulo, SP', 'Campinas, SP'],
+            via: []
+        });
+    }));
+
+    it('answers unknown routes and missing parameters with structured errors', () => Promise.all([
+        request('/routes/distance?from=Gotham&to=Santos'),
+        request('/routes/distance?from=Santos')
+    ]).then(([unknown, missing]) => {
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.error.code, 'route-not-found');
+        assert.equal(missing.status, 400);
+        assert.deepEqual(missing.body.error.details, { field: 'to' });
+    }));
+
+    it('calculates a single trip', () => request('/emissions', { from: 'São Paulo', to: 'Rio de Janeiro', mode: 'car' }).then(response => {
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body, {
+            origin: 'São Paulo, SP',
+            destination: 'Rio de Janeiro, RJ',
+            distance: 430,
+            distanceSource: 'table',
+            mode: 'car',
+            roundTrip: false,
+            emission: 51.6,
+            credits: 0.0516,
+            factorSet: CONFIG.FACTOR_SET.id
+        });
+    }));
+
+    it('keeps the flight band of each leg on round trips', () => request('/emissions', { distance: 500, mode: 'plane', roundTrip: true }).then(response => {
+        assert.equal(response.body.distance, 1000);
+        assert.equal(response.body.emission, Math.round(500 * CONFIG.FLIGHT_FACTORS.SHORT_HAUL * 100) / 100 * 2);
+    }));
+
+    it('calculates several trips with totals', () => request('/emissions', {
+        trips: [
+            { distance: 100, mode: 'car' },
+            { from: 'Campinas', to: 'Santos', mode: 'bus' },
+            { distance: 100, mode: 'car', vehicle: { fuel: 'gasolina', passengers: 2 } }
+        ]
+    }).then(response => {
+        assert.equal(response.status, 200);
+        assert.equal(response.body.trips.length, 3);
+        assert.deepEqual(response.body.totals, {
+            trips: 3,
+            distance: 365,
+            emission: Math.round((12 + 14.68 + response.body.trips[2].emission) * 100) / 100,
+            credits: Math.round((0.012 + 0.0147 + response.body.trips[2].credits) * 10000) / 10000
+        });
+    }));
+
+    it('rejects invalid trips with the index of the failing trip', () => Promise.all([
+        request('/emissions', { distance: 10, mode: 'rocket' }),
+        request('/emissions', { trips: [{ distance: 10, mode: 'car' }, { from: 'Gotham', to: 'Santos', mode: 'car' }] }),
+        request('/emissions', { distance: -5, mode: 'car' }),
+        request('/emissions', { mode: 'car' }),
+        request('/emissions', { distance: 10, mode: 'bus', vehicle: { fuel: 'gasolina' } }),
+        request('/emissions', { distance: 10, mode: 'car', vehicle: { fuel: 'querosene' } }),
+        request('/emissions', '{"mode": '),
+        request('/emissions', { distance: 1e308, mode: 'car', roundTrip: true })
+    ]).then(([mode, route, distance, missing, vehicle, fuel, json, tooLong]) => {
+        assert.equal(mode.status, 400);
+        assert.equal(mode.body.error.code, 'invalid-mode');
+        assert.equal(mode.body.error.details.mode, 'rocket');
+        assert.ok(mode.body.error.details.allowed.includes('car'));
+
+        assert.equal(route.status, 422);
+        assert.equal(route.body.error.code, 'route-not-found');
+        assert.equal(route.body.error.details.trip, 1);
+
+        assert.deepEqual([distance.status, distance.body.error.code], [400, 'invalid-field']);
+        assert.deepEqual([missing.status, missing.body.error.code], [400, 'missing-field']);
+        assert.deepEqual([vehicle.status, vehicle.body.error.code], [400, 'invalid-field']);
+        assert.deepEqual([fuel.status, fuel.body.error.code], [400, 'invalid-fuel']);
+        assert.deepEqual([json.status, json.body.error.code], [400, 'invalid-json']);
+        assert.deepEqual([tooLong.status, tooLong.body.error.code, tooLong.body.error.details.max], [400, 'invalid-field', CONFIG.VALIDATION.MAX_DISTANCE_KM]);
+    }));
+
+    it('treats inherited property names as unknown modes, fuels, markets and currencies', () => Promise.all([
+        request('/emissions', { mode: 'constructor', distance: 10 }),
+        request('/emissions', { mode: 'toString', distance: 10 }),
+        request('/emissions', { mode: 'car', distance: 10, vehicle: { fuel: 'constructor' } }),
+        request('/credits', { emission: 10, market: 'constructor' }),
+        request('/credits', { emission: 10, currency: 'toString' })
+    ]).then(responses => {
+        assert.deepEqual(responses.map(response => [response.status, response.body.error.code]), [
+            [400, 'invalid-mode'],
+            [400, 'invalid-mode'],
+            [400, 'invalid-fuel'],
+            [400, 'invalid-market'],
+            [400, 'invalid-currency']
+        ]);
+    }));
+
+    it('calculates credits and their price', () => request('/credits', { emission: 2000, market: 'eu-ets', currency: 'EUR' }).then(response => {
+        assert.equal(response.status, 200);
+        assert.equal(response.body.credits, 2);
+        assert.equal(response.body.price.average, 150);
+        assert.equal(response.body.price.currency, 'EUR');
+    }));
+
+    it('rejects unknown markets and currencies', () => Promise.all([
+        request('/credits', { emission: 10, market: 'moon' }),
+        request('/credits', { emission: 10, currency: 'XYZ' }),
+        request('/credits', { emission: '10' })
+    ]).then(([market, currency, emission]) => {
+        assert.equal(market.body.error.code, 'invalid-market');
+        assert.equal(currency.body.error.code, 'invalid-currency');
+        assert.equal(emission.body.error.code, 'invalid-field');
+    }));
+
+    it('answers unknown endpoints and methods', () => Promise.all([
+        request('/nothing'),
+        request('/routes/cities', {})
+    ]).then(([unknown, method]) => {
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.error.code, 'not-found');
+        assert.equal(method.status, 405);
+        assert.equal(method.headers.get('allow'), 'GET');
+    }));
+
+    it('serves an OpenAPI description matching the configuration', () => request('/openapi.json').then(response => {
+        const schemas = response.body.components.schemas;
+
+        assert.equal(response.body.openapi, '3.0.3');
+        assert.deepEqual(Object.keys(response.body.paths).sort(), ['/credits', '/emissions', '/openapi.json', '/routes/cities', '/routes/distance']);
+        assert.deepEqual(schemas.TripInput.properties.mode.enum, Object.keys(CONFIG.TRANSPORT_MODES));
+        assert.equal(schemas.TripInput.properties.distance.maximum, CONFIG.VALIDATION.MAX_DISTANCE_KM);
+        assert.deepEqual(schemas.Vehicle.properties.fuel.enum, Object.keys(CONFIG.FUEL_TYPES));
+        assert.deepEqual(schemas.CreditsInput.properties.market.enum, Object.keys(CONFIG.CARBON_CREDIT.MARKETS));
+        assert.deepEqual(schemas.CreditsInput.properties.currency.enum, Object.keys(CONFIG.CURRENCY.RATES));
+    }));
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { CONFIG } from '../js/core/index.js';
+
+// js/share.js is a page script: run it with the core config it reads as a global
+const source = readFileSync(new URL('../js/share.js', import.meta.url), 'utf8');
+const Share = new Function('CONFIG', `${source}\nreturn Share;`)(CONFIG);
+
+describe('Share.fromQuery', () => {
+    it('reads back the query of a passenger trip', () => {
+        const formState = Share.fromQuery('from=S%C3%A3o+Paulo&to=Campinas&km=95&mode=bus&round=1');
+
+        assert.equal(formState.calculationType, 'passenger');
+        assert.deepEqual(formState.legs[0], { origin: 'São Paulo', destination: 'Campinas', distance: 95, distanceSource: 'manual', mode: 'bus' });
+        assert.equal(formState.frequency.roundTrip, true);
+    });
+
+    it('falls back to the defaults for inherited keys', () => {
+        const passenger = Share.fromQuery('from=A&to=B&mode=toString&fuel=constructor&leg=B|C|__proto__|10');
+        const freight = Share.fromQuery('type=freight&from=A&to=B&mode=hasOwnProperty&cargo=5');
+
+        assert.equal(passenger.legs[0].mode, 'car');
+        assert.equal(passenger.legs[1].mode, 'car');
+        assert.equal(passenger.vehicle, null);
+        assert.equal(freight.freightMode, 'carreta');
+    });
+
+    it('returns null without origin and destination', () => {
+        assert.equal(Share.fromQuery('mode=bus'), null);
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// js/units.js is a page script: run it and take the object it defines
+const source = readFileSync(new URL('../js/units.js', import.meta.url), 'utf8');
+const Units = new Function(`${source}\nreturn Units;`)();
+
+describe('Units distance inputs', () => {
+    it('reads back the exact distance filled in miles', () => {
+        const input = { value: '', dataset: {} };
+
+        Units.system = 'imperial';
+        Units.setDistanceInput(input, 95);
+
+        assert.equal(input.value, 59.03);
+        assert.equal(Units.readDistanceInput(input), 95);
+        assert.notEqual(Units.readDistance(input.value), 95);
+    });
+
+    it('reads a typed distance in the display unit', () => {
+        const input = { value: '10', dataset: { km: '95' } };
+
+        Units.system = 'imperial';
+        assert.equal(Units.readDistanceInput(input), 10 * Units.KM_PER_MILE);
+
+        Units.system = 'metric';
+        input.dataset = {};
+        assert.equal(Units.readDistanceInput(input), 10);
+    });
+});
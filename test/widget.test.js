@@ -0,0 +1,82 @@
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { url: 'https://parceiro.example/' });
+
+// Objects of the embedding page with the same names as the widget's own
+const hostUI = { renderResults: () => 'host' };
+const hostI18n = { t: () => 'host' };
+
+/**
+ * Create a widget on the page and wait for it to render
+ * @param {Object} attributes - Attributes of the element
+ * @returns {HTMLElement} Widget element
+ */
+function createWidget(attributes) {
+    const element = window.document.createElement('carbono-calculator');
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    window.document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * Submit the widget form
+ * @param {HTMLElement} element - Widget element
+ */
+function submit(element) {
+    element.shadowRoot.querySelector('form').dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+}
+
+describe('<carbono-calculator>', () => {
+    before(async () => {
+        ['document', 'HTMLElement', 'customElements', 'CustomEvent', 'localStorage', 'navigator'].forEach(name => {
+            Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+        });
+        Object.assign(globalThis, { window: window, UI: hostUI, I18n: hostI18n });
+
+        // Page scripts are read from the repository instead of a web server
+        globalThis.fetch = url => readFile(new URL(url)).then(source => new Response(source));
+
+        await import('../js/widget.js');
+        await customElements.whenDefined('carbono-calculator');
+    });
+
+    it('calculates with the attributes and dispatches the result', () => {
+        const element = createWidget({ origin: 'São Paulo', destination: 'Rio de Janeiro', mode: 'bus', locale: 'en' });
+        let detail = null;
+
+        element.addEventListener('calculated', event => { detail = event.detail; });
+        submit(element);
+
+        assert.equal(detail.mode, 'bus');
+        assert.equal(detail.distance, 430);
+        assert.match(element.shadowRoot.querySelector('.results__content').textContent, /Rio de Janeiro/);
+    });
+
+    it('shows cities with HTML as text', () => {
+        const origin = '<img src=x onerror="alert(1)">';
+        const element = createWidget({ origin: origin, destination: 'Rio de Janeiro', locale: 'en' });
+        const distanceInput = element.shadowRoot.getElementById('distance');
+
+        distanceInput.value = '100';
+        distanceInput.dispatchEvent(new window.Event('input', { bubbles: true }));
+        submit(element);
+
+        assert.equal(element.shadowRoot.querySelector('img'), null);
+        assert.ok(element.shadowRoot.querySelector('.results__content').textContent.includes(origin));
+    });
+
+    it('ignores and keeps the globals of the embedding page', () => {
+        const element = createWidget({ origin: 'Curitiba', destination: 'Londrina', locale: 'pt-BR', mode: 'constructor' });
+
+        submit(element);
+
+        assert.equal(globalThis.UI, hostUI);
+        assert.equal(globalThis.I18n, hostI18n);
+        assert.equal(typeof globalThis.CONFIG, 'undefined');
+        assert.equal(element.shadowRoot.querySelector('input[name="transport"]:checked').value, 'car');
+        assert.doesNotMatch(element.shadowRoot.querySelector('.results__content').textContent, /host/);
+    });
+});